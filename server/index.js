@@ -7,9 +7,37 @@ import 'dotenv/config';
 import express from 'express';
 import path from 'path';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
 import mime from 'mime-types';
 import url from 'url';
+import {
+  IGNORE_FILES, TRASH_DIR, isValidFileName, toPosix, baseOf, groupKeysOf, fileEntry, groupAssets, applyMeta,
+  compareItems, itemComparator, SORT_KEYS, aggregateTags, parseTagFilter, matchesTagFilter, WEB_IMAGE_EXT, THUMB_EXT, thumbUrlOf,
+} from './lib/assets.js';
+import { createSearchIndex } from './lib/search-index.js';
+import { createListingCache } from './lib/listing-cache.js';
+import { watchLibrary } from './lib/watcher.js';
+import { createImagePool } from './lib/images/pool.js';
+import { DECODABLE_EXT } from './lib/images/decode.js';
+import { UnsupportedImageError } from './lib/images/common.js';
+import { createThumbnailer } from './lib/thumbs.js';
+import { sendFileResponse } from './lib/file-response.js';
+import { loadPathMapping } from './lib/path-mapping.js';
+import { createMetaStore, MetaValidationError } from './lib/metadata.js';
+import { createFolderRules, rulesFileDirs, ancestorsOf, setVocabulary } from './lib/folder-rules.js';
+import { createVocabulary, VocabularyError } from './lib/vocabulary.js';
+import { createZip } from './lib/zip.js';
+import { boundaryOf, MultipartError } from './lib/multipart.js';
+import { receiveUpload, CONFLICT_MODES, UploadError } from './lib/uploads.js';
+import { FileOpError, renameGroup, moveGroup, moveFolder, makeFolder } from './lib/file-ops.js';
+import { createTrash } from './lib/trash.js';
+import { createAuditLog } from './lib/audit.js';
+import { createUserStore, roleAt, hasRole, hasRoleOnTree, canBrowse } from './lib/users.js';
+import { createSessions, parseCookies, SESSION_COOKIE } from './lib/sessions.js';
+import { createCollections, CollectionError } from './lib/collections.js';
+import { createDuplicateFinder } from './lib/duplicates.js';
+import { createImageInfoCache } from './lib/image-info.js';
+import { pageOf, CursorError } from './lib/pagination.js';
+import { parseQuery, matchesQuery, queryUses, mapTags, QueryError } from './lib/query.js';
 
 const app = express();
 
@@ -32,6 +60,134 @@ if (!ASSETS_ROOT) {
 // Helper: get __dirname with ES modules
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
+// =============================================
+// Cache directory (search index, thumbnails, etc.)
+// Default = server/.cache if not defined in .env
+// =============================================
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '.cache');
+
+// =============================================
+// Library-wide search index
+// Rescanned every INDEX_REFRESH_MINUTES (default 10, 0 = off)
+// =============================================
+const INDEX_REFRESH_MINUTES = Number(process.env.INDEX_REFRESH_MINUTES ?? 10);
+const searchIndex = createSearchIndex({
+  root: ASSETS_ROOT,
+  file: path.join(CACHE_DIR, 'search-index.json'),
+  refreshMs: INDEX_REFRESH_MINUTES * 60 * 1000,
+  ignore: (rel) => isInternalPath(rel),
+});
+
+// =============================================
+// Previews of non-web images (TIFF, DDS, BMP, EXR, HDR)
+// Decoded in THUMB_WORKERS worker threads (default 1);
+// sources above THUMB_MAX_PIXELS are not previewed
+// (EXR/HDR are downscaled while decoding: no limit)
+// =============================================
+const THUMB_WORKERS = Number(process.env.THUMB_WORKERS || 1);
+const THUMB_MAX_PIXELS = Number(process.env.THUMB_MAX_PIXELS || 8192 * 8192);
+const THUMB_SIZES = [256, 512, 1024, 2048];
+const imagePool = createImagePool({ size: THUMB_WORKERS });
+const thumbnailer = createThumbnailer({
+  cacheDir: path.join(CACHE_DIR, 'thumbs'),
+  pool: imagePool,
+  maxPixels: THUMB_MAX_PIXELS,
+});
+
+// =============================================
+// Image header information (size, bit depth, colour
+// space) shown in listings, cached in CACHE_DIR
+// =============================================
+const imageInfo = createImageInfoCache({ root: ASSETS_ROOT, file: path.join(CACHE_DIR, 'image-info.json') });
+await imageInfo.load();
+
+// =============================================
+// Duplicate finder (exact copies and look-alike
+// images, see lib/duplicates.js)
+// Rescanned every DUPLICATE_SCAN_HOURS (default 24,
+// 0 = at startup and when asked only)
+// =============================================
+const DUPLICATE_SCAN_HOURS = Number(process.env.DUPLICATE_SCAN_HOURS ?? 24);
+const duplicates = createDuplicateFinder({
+  root: ASSETS_ROOT,
+  file: path.join(CACHE_DIR, 'duplicates.json'),
+  pool: imagePool,
+  listFiles: () => searchIndex.files(),
+  maxPixels: THUMB_MAX_PIXELS,
+});
+
+// =============================================
+// Path mapping for "copy path" buttons (per-platform
+// roots of the share), see path-mapping.json
+// =============================================
+const PATH_MAPPING_FILE = process.env.PATH_MAPPING_FILE || path.join(__dirname, 'path-mapping.json');
+const pathMapping = await loadPathMapping(PATH_MAPPING_FILE);
+
+// =============================================
+// Browser uploads (POST /api/upload)
+// Largest accepted file: UPLOAD_MAX_MB (default 20480)
+// =============================================
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 20480);
+
+// =============================================
+// Trash (deleted assets/folders, see lib/trash.js)
+// Kept in ASSETS_ROOT/.trash for TRASH_DAYS days
+// (default 30, 0 = until emptied by hand)
+// =============================================
+const TRASH_DAYS = Number(process.env.TRASH_DAYS ?? 30);
+const trash = createTrash({ root: ASSETS_ROOT, days: TRASH_DAYS });
+
+// =============================================
+// Audit log of renames, moves, deletions, …
+// One JSON line per operation
+// Default = CACHE_DIR/audit.log
+// =============================================
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(CACHE_DIR, 'audit.log');
+const audit = createAuditLog({ file: AUDIT_LOG_FILE });
+
+// =============================================
+// Accounts and roles (see users.js to manage them)
+// Login is required as soon as USERS_FILE exists
+// (default server/users.json); sessions end after
+// SESSION_HOURS without a request (default 12)
+// =============================================
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'users.json');
+const SESSION_HOURS = Number(process.env.SESSION_HOURS || 12);
+const userStore = createUserStore({ file: USERS_FILE });
+const sessions = createSessions({ ttlMs: SESSION_HOURS * 60 * 60 * 1000 });
+if (!(await userStore.load())) {
+  console.warn(`⚠️ No users file (${USERS_FILE}): authentication is disabled, everyone has full access`);
+}
+
+// =============================================
+// Named collections of assets (shared by all users)
+// Default = server/collections.json
+// =============================================
+const COLLECTIONS_FILE = process.env.COLLECTIONS_FILE || path.join(__dirname, 'collections.json');
+const collections = createCollections({ file: COLLECTIONS_FILE });
+await collections.load();
+
+// =============================================
+// Tag vocabulary: synonyms, plural folding,
+// "parent/child" tags and blocked tags, applied to
+// every folder (see lib/vocabulary.js); edited by
+// admins in the UI. Default = server/vocabulary.json
+// =============================================
+const VOCABULARY_FILE = process.env.VOCABULARY_FILE || path.join(__dirname, 'vocabulary.json');
+const vocabulary = createVocabulary({ file: VOCABULARY_FILE });
+await vocabulary.load();
+setVocabulary(vocabulary.current());
+
+// =============================================
+// Browser caching of served files
+// Images (card thumbnails, previews) are reused for
+// a few minutes, then revalidated in the background;
+// anything else is revalidated on every use (a cheap
+// 304 thanks to the ETag / Last-Modified validators)
+// =============================================
+const IMAGE_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=86400';
+const FILE_CACHE_CONTROL = 'no-cache';
+
 /**
  * =============================================
  * Security helper: safeJoin(root, rel)
@@ -59,314 +215,1749 @@ function safeJoin(root, rel = '') {
   return abs;
 }
 
+// Path relative to ASSETS_ROOT ("/" separated, '' for the root)
+const relOf = (abs) => toPosix(path.relative(path.resolve(ASSETS_ROOT), abs));
+
+// Manual tags / description / rating (sidecar file per folder)
+const metaStore = createMetaStore({ root: ASSETS_ROOT });
+
 /**
- * =============================================
- * classify(mimetype)
+ * readListing(rel)
  * ---------------------------------------------
- * Simplifies MIME types into broad categories
- * for frontend display (icons, filters, etc.)
+ * Lists one folder of the library (one stat per entry).
  *
- * Examples:
- *  - "image/png"  → "image"
- *  - "video/mp4"  → "video"
- *  - "text/plain" → "text"
- *  - "application/pdf" → "pdf"
- * =============================================
+ * Files are grouped and tagged with the rules of
+ * the folder (.assetlib.json files, see folder-rules.js).
+ *
+ * Returns:
+ *  - items: directories + asset groups, sorted
+ *    (groups carry `meta` when they have sidecar metadata)
+ *  - tags:  tag counts for the folder (manual tags included)
+ */
+async function readListing(rel) {
+  const dirAbs = safeJoin(ASSETS_ROOT, rel);
+  const rules = await folderRules.rulesFor(rel);
+  const entries = await fs.readdir(dirAbs, { withFileTypes: true });
+
+  const files = [];
+  const dirs = [];
+
+  for (const e of entries) {
+    if (e.isDirectory()) { 
+      if (!isInternalPath(toPosix(path.join(rel, e.name)))) dirs.push(e);
+      continue; 
+    }
+    if (IGNORE_FILES.test(e.name)) continue;
+
+    const stat = await fs.stat(path.join(dirAbs, e.name));
+    files.push(fileEntry(rel, e.name, stat, rules));
+  }
+
+  const items = [];
+
+  // Add directories as items
+  for (const d of dirs) {
+    const abs = path.join(dirAbs, d.name);
+    const stat = await fs.stat(abs);
+    items.push({
+      name: d.name,
+      path: toPosix(path.join(rel, d.name)),
+      isDir: true,
+      size: null,
+      mtime: stat.mtime,
+      url: null,
+      thumbnail: null,
+      files: [],
+      tags: [],
+    });
+  }
+
+  // Convert each group of files into an asset item (+ sidecar metadata)
+  items.push(...applyMeta(groupAssets(rel, files, rules), await metaStore.read(rel), rules));
+
+  // Sort: directories first, then alphanumeric
+  items.sort(compareItems);
+
+  // Aggregate tags for the current folder
+  return { items, tags: aggregateTags(items) };
+}
+
+/**
+ * withImageInfo(items)
+ * ---------------------------------------------
+ * Sets `image` (header information, see
+ * images/headers.js; null for other files) on the
+ * files of these asset items. Headers are read
+ * for the items sent only, not whole folders.
+ */
+async function withImageInfo(items) {
+  for (const it of items) {
+    for (const f of it.isDir ? [] : it.files) {
+      if (f.image === undefined) f.image = await imageInfo.get(toPosix(path.join(parentOf(it.path), f.name)), f);
+    }
+  }
+  return items;
+}
+
+/**
+ * withFolderSummaries(req, items)
+ * ---------------------------------------------
+ * Copies of these items where directories carry
+ * `summary`: asset / file / folder counts, total
+ * size, latest modification, most frequent tags and
+ * up to 4 thumbnails for a mosaic, over the whole
+ * subtree (from the search index, see summaryOf;
+ * null until it was indexed). Folders the user only
+ * passes through get none: their subtree is not
+ * all visible to them.
  */
-function classify(mimetype) {
-  if (!mimetype) return 'other';
-  if (mimetype.startsWith('image/')) return 'image';
-  if (mimetype.startsWith('video/')) return 'video';
-  if (mimetype.startsWith('audio/')) return 'audio';
-  if (mimetype === 'application/pdf') return 'pdf';
-  if (mimetype.startsWith('text/')) return 'text';
-  return 'other';
+function withFolderSummaries(req, items) {
+  return items.map(it => (it.isDir
+    ? { ...it, summary: allowed(req, it.path, 'viewer') ? searchIndex.summaryOf(it.path) : null }
+    : it));
 }
 
 /* ======================================================
-   Helpers for filename normalization and metadata parsing
+   Live updates (watcher → listing cache, index, browsers)
    ====================================================== */
 
-// Regex for detecting "preview" words in filenames
-const PREVIEW_WORD_RE = /(preview|thumb|thumbnail)/ig;
-const PREVIEW_TEST_RE = /(preview|thumb|thumbnail)/i;
-
-// Regex for useless words (ignored in normalization)
-const USELESS_WORD = /(raw_acescg.exr|raw_acescg.hdr|_mdl)/ig;
-
-// Regex for resolution tokens (1k..32k, WxH, 720p, 1080p, etc.)
-const RES_TOKENS_RE = new RegExp(
-  [
-    '(?:^|[\\s._()-])(?:[1-9]|1[0-9]|2[0-9]|3[0-2])k(?:$|[\\s._()-])',
-    '(?:^|[\\s._()-])\\d{3,5}x\\d{3,5}(?:$|[\\s._()-])',
-    '(?:^|[\\s._()-])(720|1080|1440|2160|4320)p(?:$|[\\s._()-])',
-    '(?:^|[\\s._()-])(512|1?024|2?048|4?096|8?192|16?384|32?768)(?:$|[\\s._()-])'
-  ].join('|'),
-  'ig'
-);
-
-// Regex for versions in filenames (v1, v01, v202, …)
-const VERSION_RE = /(?:^|[\s._()-])v\d{1,4}(?=$|[\s._()-])/ig;
-
-// Ignore common system files
-const IGNORE_FILES = /^(Thumbs\.db|desktop\.ini|\.DS_Store)$/i;
-
-// Filename utilities
-const extOf = (n) => path.extname(n).toLowerCase();       // ".png"
-const baseOf = (n) => path.basename(n, path.extname(n));  // "wood_4k_preview"
-
-/**
- * normalizeBase(stem)
- * ---------------------------------------------
- * Creates a compact normalized key for grouping files
- * belonging to the same asset.
- *
- * - Removes "preview", resolution tokens, versions
- * - Lowercases everything
- * - Removes spaces and special characters
- *
- * Example:
- *   "wood_4k_preview_v2" → "wood"
- */
-function normalizeBase(stem) {
-  return stem
-    .toLowerCase()
-    .replace(PREVIEW_WORD_RE, ' ')
-    .replace(USELESS_WORD, ' ')
-    .replace(RES_TOKENS_RE, ' ')
-    .replace(VERSION_RE, ' ')
-    .replace(/[\s._()-]+/g, ' ')
-    .trim()
-    .replace(/\s+/g, '');
-}
+// Ignore our own cache files if CACHE_DIR lives inside the library
+const cacheRel = relOf(path.resolve(CACHE_DIR));
+const isCachePath = (rel) =>
+  !cacheRel.startsWith('..') && (rel === cacheRel || rel.startsWith(`${cacheRel}/`));
+
+// Our own folders in the library (cache, trash): never listed, indexed or served
+const isInternalPath = (rel) =>
+  isCachePath(rel) || rel === TRASH_DIR || rel.startsWith(`${TRASH_DIR}/`);
+
+// Parents of changed folders: their folder cards show summaries of them
+const parentDirsOf = (dirs) => [...new Set(dirs.flatMap(d => ancestorsOf(d).filter(a => a !== d)))];
+
+// Listings are only cached while the watcher can tell us about changes
+const watcher = watchLibrary(ASSETS_ROOT, (change) => {
+  // A rules file applies to its whole subtree
+  const ruleDirs = rulesFileDirs(change.paths);
+  folderRules.invalidate(change);
+  listingCache.invalidate({ ...change, paths: [...change.paths, ...ruleDirs] });
+  broadcast('change', { dirs: change.dirs, all: change.all || ruleDirs.length > 0 });
+  // Once indexed, the summaries are up to date
+  searchIndex.update(change.all ? [''] : change.dirs).then(() => {
+    if (!change.all) broadcast('change', { dirs: parentDirsOf(change.dirs), all: false });
+  });
+}, { ignore: isInternalPath });
+
+const listingCache = createListingCache(readListing, { enabled: () => watcher.active });
+const folderRules = createFolderRules({ root: ASSETS_ROOT, enabled: () => watcher.active });
 
 /* ======================================================
-   Tagging system (automatic tag extraction from names)
+   Authentication and permissions
    ====================================================== */
 
-// Stopwords (ignored as tags)
-const TAG_STOPWORDS = new Set([
-  'preview','thumb','thumbnail','raw','aces','acescg','hdr','hdri',
-  'map','free','copy','final','render','tx','exr','hdr','jpg','jpeg','png','webp','mdl',
-]);
+// Reachable without a session
+const PUBLIC_ROUTES = new Set(['/api/auth/login', '/api/auth/logout', '/api/auth/me']);
+
+/**
+ * Sets req.user from the session cookie and answers
+ * 401 to requests without a valid session. Nothing is
+ * checked while authentication is disabled (no users
+ * file): req.user stays undefined.
+ */
+app.use(['/api', '/files'], async (req, res, next) => {
+  try {
+    await userStore.refresh();
+    if (!userStore.enabled()) return next();
+    const name = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    req.user = name ? await userStore.get(name) : null;
+    if (req.user || PUBLIC_ROUTES.has(req.originalUrl.split('?')[0])) return next();
+    res.status(401).json({ error: 'Login required' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * The role of the request's user on `rel` ('admin'
+ * while authentication is disabled, null = none).
+ */
+const roleOf = (req, rel) => (userStore.enabled() ? roleAt(req.user, rel) : 'admin');
+
+/**
+ * Whether the request's user has at least `role` on
+ * `rel` (a folder, or a file's folder).
+ */
+const allowed = (req, rel, role) => !userStore.enabled() || hasRole(req.user, rel, role);
 
-// Split filenames into tokens (separators: space, underscore, dash, etc.)
-const TAG_SPLIT_RE = /[\s._()\-[\],]+/g;
+/**
+ * Whether the request's user has at least `role` on
+ * folder `rel` and on each of its subfolders (see
+ * hasRoleOnTree): needed to rename, move or delete it.
+ */
+const allowedTree = (req, rel, role) => !userStore.enabled() || hasRoleOnTree(req.user, rel, role);
 
-// Regex for versions (ignored)
-const TAG_VERSION_RE = /^v\d{1,4}$/i;
+/**
+ * Whether folder `rel` may be listed, at least as a
+ * way down to a folder the user has a role on.
+ */
+const browsable = (req, rel) => !userStore.enabled() || canBrowse(req.user, rel);
 
-// Regex for resolution tags (kept, e.g. "4k", "2048x2048", "1080p")
-const TAG_RES_RE = /^(?:[1-9]|1[0-9]|2[0-9]|3[0-2])k$|^\d{3,5}x\d{3,5}$|^(720|1080|1440|2160|4320)p$/i;
+// Who did it, for the audit log
+const actorOf = (req) => ({ user: req.user?.name ?? null, ip: req.ip });
 
-// Normalize token (remove accents, lowercase)
-function normalizeToken(t) {
-  return t.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
-}
+// Failed logins per IP: { count, since, until } (brute force brake:
+// MAX_LOGIN_FAILURES within LOGIN_LOCK_MS lock the address that long)
+const loginFailures = new Map();
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+const publicUser = (u) => (u ? { name: u.name, roles: u.roles } : null);
 
 /**
- * extractTagsFromName(name)
+ * GET /api/auth/me
  * ---------------------------------------------
- * Extracts relevant tags from a filename.
- * - Removes extension
- * - Splits into tokens
- * - Filters versions, stopwords, short/number-only tokens
- * - Keeps resolutions and meaningful words
+ * { auth: boolean, user: { name, roles } | null }
+ * auth = false: no users file, everything is open.
  */
-function extractTagsFromName(name) {
-  const stem = path.basename(name, path.extname(name));
-  const raw = stem.split(TAG_SPLIT_RE).filter(Boolean);
+app.get('/api/auth/me', (req, res) => {
+  res.json({ auth: userStore.enabled(), user: publicUser(req.user) });
+});
 
-  const tags = [];
-  for (let tok of raw) {
-    tok = normalizeToken(tok);
-    if (!tok) continue;
-    if (TAG_VERSION_RE.test(tok)) continue;
-    if (TAG_STOPWORDS.has(tok)) continue;
+/**
+ * POST /api/auth/login
+ * ---------------------------------------------
+ * Body: { name, password } → sets the session
+ * cookie and answers { user: { name, roles } }.
+ *
+ * Errors: 400 auth disabled, 401 wrong name or
+ * password, 429 too many failures from this address
+ * (locked for 15 minutes).
+ */
+app.post('/api/auth/login', express.json({ limit: '4kb' }), async (req, res) => {
+  if (!userStore.enabled()) return res.status(400).json({ error: 'Authentication is disabled' });
 
-    if (TAG_RES_RE.test(tok)) { tags.push(tok); continue; }
-    if (/^\d+$/.test(tok)) continue;
-    if (tok.length >= 3) tags.push(tok);
+  const failures = loginFailures.get(req.ip);
+  if (failures?.until > Date.now()) {
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
   }
-  return Array.from(new Set(tags));
-}
 
-/* ======================================================
-   Image/thumbnail handling
-   ====================================================== */
+  const name = String(req.body?.name || '');
+  const user = await userStore.authenticate(name, String(req.body?.password || ''));
+  if (!user) {
+    const now = Date.now();
+    const recent = failures && failures.since > now - LOGIN_LOCK_MS && !failures.until;
+    const count = recent ? failures.count + 1 : 1;
+    loginFailures.set(req.ip, {
+      count,
+      since: recent ? failures.since : now,
+      until: count >= MAX_LOGIN_FAILURES ? now + LOGIN_LOCK_MS : 0,
+    });
+    audit.write({ op: 'login-failed', user: name.slice(0, 64), ip: req.ip });
+    return res.status(401).json({ error: 'Wrong user name or password' });
+  }
+
+  loginFailures.delete(req.ip);
+  // Session cookie: the server decides when the session expires
+  res.cookie(SESSION_COOKIE, sessions.create(user.name), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+  });
+  audit.write({ op: 'login', user: user.name, ip: req.ip });
+  res.json({ user: publicUser(user) });
+});
 
-// Web-compatible image formats
-const WEB_IMAGE_EXT = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg', '.avif', '.jfif', '.pjpeg', '.pjp', '.apng', '.bmp', '.ico', '.cur']);
+/**
+ * POST /api/auth/logout
+ * ---------------------------------------------
+ * Ends the session of the request (if any).
+ */
+app.post('/api/auth/logout', (req, res) => {
+  sessions.drop(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ user: null });
+});
 
-// Formats we treat as "images" even if not web-native (but NOT EXR)
-const IMAGE_EXT_FALLBACK = new Set(['.tif', '.tiff', '.bmp', '.dds']);
+/**
+ * POST /api/auth/password
+ * ---------------------------------------------
+ * Body: { current, password } → changes the password
+ * of the logged-in user; their other sessions end.
+ *
+ * Errors: 400 auth disabled / password shorter than
+ * 8 characters, 403 wrong current password.
+ */
+app.post('/api/auth/password', express.json({ limit: '4kb' }), async (req, res) => {
+  if (!req.user) return res.status(400).json({ error: 'Authentication is disabled' });
+  const password = String(req.body?.password || '');
+  if (password.length < 8) return res.status(400).json({ error: 'Passwords need at least 8 characters' });
+  if (!(await userStore.authenticate(req.user.name, String(req.body?.current || '')))) {
+    return res.status(403).json({ error: 'Wrong current password' });
+  }
+  try {
+    await userStore.setPassword(req.user.name, password);
+    sessions.dropUser(req.user.name, parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    audit.write({ op: 'password', ...actorOf(req) });
+    res.json({ user: publicUser(req.user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
 
 /* ======================================================
    API Routes
    ====================================================== */
 
+// Largest page of /api/assets
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Whether a listing item matches the filters of
+ * /api/assets: the parsed `q` (see lib/query.js;
+ * text terms match the name) and the tag filter.
+ */
+function matchesFilters(item, query, tagFilter, now) {
+  return matchesQuery(query, item, { now }) && matchesTagFilter(item.tags, tagFilter);
+}
+
+/**
+ * Filters of /api/assets and /api/search: the query
+ * `q` and the tag filter of `tags` ("wood,-painted":
+ * a leading "-" excludes a tag) and `match` ("all",
+ * default, or "any" of the included tags). Tags are
+ * mapped through the vocabulary: filtering on
+ * "timber" finds the assets tagged "material/wood".
+ */
+function canonicalFilters(req) {
+  const { canonical } = vocabulary.current();
+  const query = mapTags(parseQuery(req.query.q ? String(req.query.q) : ''), canonical);
+  const list = req.query.tags ? String(req.query.tags).split(',') : [];
+  const { include, exclude, any } = parseTagFilter(list, req.query.match);
+  const tagFilter = { include: include.map(canonical), exclude: exclude.map(canonical), any };
+  return { query, tagFilter };
+}
+
+// Answer of a query with a syntax error: the UI points at `position`
+const queryErrorBody = (err) => ({ error: err.message, code: err.code, position: err.position });
+
+// Listing items per order ("mtime:desc" → sorted copy), kept as
+// long as the cached listing itself
+const sortedListings = new WeakMap();
+
+function sortedItems(listing, sort, order) {
+  if (sort === 'name' && order === 'asc') return listing.items;
+  if (!sortedListings.has(listing)) sortedListings.set(listing, new Map());
+  const orders = sortedListings.get(listing);
+  const key = `${sort}:${order}`;
+  if (!orders.has(key)) orders.set(key, [...listing.items].sort(itemComparator(sort, order)));
+  return orders.get(key);
+}
+
 /**
- * GET /api/assets?dir=subdir
+ * GET /api/assets?dir=subdir&limit=200&cursor=…&q=oak&tags=4k,wood,-painted&match=all&sort=mtime&order=desc
  * ---------------------------------------------
  * Returns a JSON list of assets in the requested directory.
  *
+ * Query:
+ *  - sort: name (default), mtime, size, type (kind, then
+ *    extension) or variants (files in the group);
+ *    directories always come first
+ *  - order: asc (default) or desc
+ *  - limit: page size (max 1000; none = every item)
+ *  - cursor: nextCursor of the previous page
+ *  - q / tags: only items matching the query q (see
+ *    lib/query.js; words match the name) and that
+ *    carry every tag (comma-separated; "-painted":
+ *    not that tag)
+ *  - match: all (default) or any of the included tags
+ *
  * Response:
- *  - Directories
- *  - Groups of files (grouped by normalizeBase)
- *    * "primary" file (prefer EXR/HDR if available)
- *    * "thumbnail" (web-safe image, ideally preview)
- *    * "tags" extracted from filenames
+ *  - access: role of the user on this folder (null:
+ *    no role, only subfolders leading to granted ones)
+ *  - total: number of items matching the filters
+ *  - assets: how many of them are asset groups (the
+ *    base of the tag counts: folders carry no tags)
+ *  - nextCursor: cursor of the next page, null at the end
+ *  - tags: tag counts over every matching item (not
+ *    only this page)
+ *  - items: one page of
+ *    * Directories
+ *    * Groups of files (grouped by normalizeBase; PBR
+ *      texture maps of one set are grouped together)
+ *      - "primary" file (base color of a texture set,
+ *        else prefer EXR/HDR if available)
+ *      - "thumbnail" (web-safe image, ideally preview)
+ *      - "tags" extracted from filenames
+ *      - "maps": { basecolor, normal_gl, roughness, … }
+ *        → { name, url } for texture sets, else null
+ *      - files[].image: header information of image
+ *        files (see images/headers.js), else null
+ *    Directories the user may see carry a "summary" of
+ *    their content, subfolders included (see
+ *    withFolderSummaries)
+ *
+ * Errors: 400 invalid cursor, sort or order; 400 query
+ *   syntax error: { error, code, position: { start, end } }.
  */
 app.get('/api/assets', async (req, res) => {
   try {
     const rel = req.query.dir ? String(req.query.dir) : '';
     const dirAbs = safeJoin(ASSETS_ROOT, rel);
+    if (isInternalPath(relOf(dirAbs))) return res.status(404).json({ error: 'Not found' });
+    if (!browsable(req, relOf(dirAbs))) return res.status(403).json({ error: 'Forbidden' });
+    const sort = req.query.sort ? String(req.query.sort) : 'name';
+    const order = req.query.order ? String(req.query.order) : 'asc';
+    if (!SORT_KEYS.has(sort)) return res.status(400).json({ error: 'Invalid sort' });
+    if (order !== 'asc' && order !== 'desc') return res.status(400).json({ error: 'Invalid order' });
 
-    const entries = await fs.readdir(dirAbs, { withFileTypes: true });
+    const listing = await listingCache.get(relOf(dirAbs));
+    const access = roleOf(req, relOf(dirAbs));
+    const sorted = sortedItems(listing, sort, order);
+    // Without a role: only the way down to the folders the user has a role on
+    const items = access ? sorted : sorted.filter(i => i.isDir && browsable(req, i.path));
 
-    const groups = new Map();
-    const dirs = [];
+    const { query, tagFilter } = canonicalFilters(req);
+    const filtered = query.terms.length || tagFilter.include.length || tagFilter.exclude.length;
+    // res: needs the image headers of the whole folder (read once, cached)
+    if (queryUses(query, 'res')) await withImageInfo(items);
+    const now = Date.now();
+    const matching = filtered ? items.filter(i => matchesFilters(i, query, tagFilter, now)) : items;
+    const limit = req.query.limit ? Math.min(Math.max(Number(req.query.limit) || 1, 1), MAX_PAGE_SIZE) : undefined;
+    const page = pageOf(matching, { cursor: req.query.cursor, limit }, itemComparator(sort, order));
 
-    for (const e of entries) {
-      if (e.isDirectory()) { 
-        dirs.push(e); 
-        continue; 
-      }
-      if (IGNORE_FILES.test(e.name)) continue;
-
-      const abs = path.join(dirAbs, e.name);
-      const stat = await fs.stat(abs);
-      const ext = extOf(e.name);
-      const stem = baseOf(e.name);
-      const key = normalizeBase(stem);
-
-      const mimeType = mime.lookup(e.name) || 'application/octet-stream';
-
-      let isImg = mimeType.startsWith('image/');
-      if (IMAGE_EXT_FALLBACK.has(ext)) isImg = true;
-
-      const isPreviewLike = PREVIEW_TEST_RE.test(stem);
-
-      if (!groups.has(key)) groups.set(key, []);
-      groups.get(key).push({
-        name: e.name,
-        url: `/files/${encodeURI(path.join(rel, e.name).replaceAll('\\','/'))}`,
-        ext,
-        size: stat.size,
-        mtime: stat.mtime,
-        mimetype: mimeType,
-        isImage: isImg,
-        isPreviewLike,
-        tags: extractTagsFromName(e.name),
-      });
-    }
+    res.json({
+      cwd: rel,
+      access,
+      total: matching.length,
+      assets: matching.filter(i => !i.isDir).length,
+      nextCursor: page.nextCursor,
+      tags: !access ? [] : filtered ? aggregateTags(matching) : listing.tags,
+      items: withFolderSummaries(req, await withImageInfo(page.items)),
+    });
+  } catch (err) {
+    if (err instanceof CursorError) return res.status(400).json({ error: err.message });
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
 
-    const outItems = [];
-
-    // Add directories as items
-    for (const d of dirs) {
-      const abs = path.join(dirAbs, d.name);
-      const stat = await fs.stat(abs);
-      outItems.push({
-        name: d.name,
-        path: path.join(rel, d.name).replaceAll('\\','/'),
-        isDir: true,
-        size: null,
-        mtime: stat.mtime,
-        url: null,
-        thumbnail: null,
-        files: [],
-        tags: [],
-      });
-    }
+/**
+ * GET /api/events
+ * ---------------------------------------------
+ * Server-Sent Events stream of library changes.
+ *
+ * Events:
+ *  - "change": { dirs: string[], all: boolean }
+ *    folders whose listing changed (all = unknown,
+ *    reload whatever is open)
+ *  - "collections": { id } a collection was created,
+ *    changed or deleted
+ *
+ * A comment line is sent periodically so proxies
+ * keep the connection open.
+ */
+const eventClients = new Map(); // res → user (undefined: no authentication)
 
-    // Convert each group of files into an asset item
-    for (const [key, files] of groups) {
-      const primary =
-        files.find(f => f.ext === '.exr') ||
-        files.find(f => f.ext === '.hdr') ||
-        files[0];
-
-      const thumb =
-        files.find(f => f.isImage && f.isPreviewLike && WEB_IMAGE_EXT.has(f.ext)) ||
-        files.find(f => f.isImage && WEB_IMAGE_EXT.has(f.ext)) ||
-        null;
-
-      const unionTags = Array.from(new Set(files.flatMap(f => f.tags || [])));
-
-      let kind = primary ? classify(primary.mimetype) : 'other';
-      if (primary?.ext === '.exr') kind = 'other';
-
-      outItems.push({
-        name: primary ? primary.name : key,
-        path: primary ? path.join(rel, primary.name).replaceAll('\\','/') : key,
-        isDir: false,
-        size: primary?.size ?? null,
-        mtime: primary?.mtime ?? null,
-        url: primary?.url ?? null,
-        thumbnail: thumb?.url ?? null,
-        mimetype: primary?.mimetype ?? null,
-        kind,
-        files,
-        normalizeBase: key,
-        tags: unionTags,
-      });
-    }
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable buffering behind nginx
+  });
+  res.write('retry: 5000\n\n');
+  eventClients.set(res, req.user);
 
-    // Sort: directories first, then alphanumeric
-    outItems.sort((a, b) => {
-      if (a.isDir && !b.isDir) return -1;
-      if (!a.isDir && b.isDir) return 1;
-      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
-    });
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(ping);
+    eventClients.delete(res);
+  });
+});
 
-    // Aggregate tags for the current folder
-    const tagCount = new Map();
-    for (const it of outItems) {
-      if (it.isDir) continue;
-      const seen = new Set();
-      for (const tg of it.tags || []) {
-        const k = tg.toLowerCase();
-        if (seen.has(k)) continue;
-        seen.add(k);
-        tagCount.set(k, (tagCount.get(k) || 0) + 1);
-      }
+/**
+ * Send one event to every connected browser
+ * (changed folders a user cannot see are left out).
+ */
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const [client, user] of eventClients) {
+    if (!user || !Array.isArray(data.dirs)) {
+      client.write(payload);
+      continue;
     }
-    const tags = Array.from(tagCount.entries())
-      .map(([name, count]) => ({ name, count }))
-      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    const dirs = data.dirs.filter(d => canBrowse(user, d));
+    if (dirs.length || data.all) client.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, dirs })}\n\n`);
+  }
+}
+
+/**
+ * Refreshes what depends on folders we just changed
+ * ourselves (listings, rules, search index), so that
+ * clients reloading right away see the result: the
+ * watcher may report it later, or not at all.
+ *
+ * @param {string[]} dirs - Folders whose content changed
+ *   (their subtrees are re-indexed)
+ * @param {string[]} [paths] - Folders moved/removed or
+ *   created (cached subtrees are dropped)
+ */
+async function refreshAfterChange(dirs, paths = []) {
+  listingCache.invalidate({ dirs, paths });
+  folderRules.invalidate({ paths });
+  await searchIndex.update(dirs);
+  if (!watcher.active) {
+    const changed = [...new Set([...dirs, ...paths])];
+    broadcast('change', { dirs: [...new Set([...changed, ...parentDirsOf(changed)])], all: false });
+  }
+}
+
+/**
+ * GET /api/search?q=wood&tags=4k,oak,-painted&match=all&limit=200
+ * ---------------------------------------------
+ * Searches every asset group under ASSETS_ROOT
+ * using the persistent search index. `q` is a query
+ * (see lib/query.js); its words match names,
+ * normalizeBase keys, descriptions and tags. `tags`
+ * and `match` filter as in /api/assets.
+ *
+ * Errors: 400 query syntax error (as /api/assets).
+ *
+ * Response:
+ *  - results: asset items (same shape as /api/assets)
+ *    plus "dir" = folder path relative to the root
+ *  - total: number of matches before the limit
+ *  - index: { indexedAt, building, folders, assets }
+ */
+app.get('/api/search', (req, res) => {
+  try {
+    const q = req.query.q ? String(req.query.q) : '';
+    const { query, tagFilter } = canonicalFilters(req);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
 
-    res.json({ cwd: rel, items: outItems, tags });
+    const accept = userStore.enabled() ? (it) => hasRole(req.user, it.dir, 'viewer') : null;
+    const { total, results } = searchIndex.search(query, tagFilter, limit, accept);
+    const tags = [...tagFilter.include, ...tagFilter.exclude.map(t => `-${t}`)];
+    res.json({ q, tags, match: tagFilter.any ? 'any' : 'all', total, results, index: searchIndex.status() });
   } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
     console.error(err);
     res.status(500).json({ error: String(err.message || err) });
   }
 });
 
 /**
- * GET /files/*
+ * POST /api/search/reindex
  * ---------------------------------------------
- * Serves raw files directly from ASSETS_ROOT.
- *
- * Example: /files/textures/wood/albedo.jpg
+ * Triggers a rescan of the library in the background
+ * (admins of the whole library only).
+ */
+app.post('/api/search/reindex', (req, res) => {
+  if (!allowed(req, '', 'admin')) return res.status(403).json({ error: 'Forbidden' });
+  searchIndex.rebuild();
+  res.status(202).json({ index: searchIndex.status() });
+});
+
+/**
+ * Resolves the `path` query parameter of /api/meta
+ * (any file of an asset group) to its folder and
+ * group key. Returns null if there is no such file,
+ * or, given `req`, if the user may not view its
+ * folder: checked before looking at the disk, so a
+ * hidden file answers like a missing one.
+ */
+async function assetRefOf(relPath, req = null) {
+  try {
+    const abs = safeJoin(ASSETS_ROOT, String(relPath || ''));
+    const rel = relOf(path.dirname(abs));
+    if (req && !allowed(req, rel, 'viewer')) return null;
+    if (!(await fs.stat(abs)).isFile()) return null;
+    const rules = await folderRules.rulesFor(rel);
+    // Texture maps are grouped with their siblings (see groupKeysOf)
+    const names = (await fs.readdir(path.dirname(abs), { withFileTypes: true }))
+      .filter(e => !e.isDirectory() && !IGNORE_FILES.test(e.name))
+      .map(e => e.name);
+    return { rel, key: groupKeysOf(names, rules).get(path.basename(abs)).key };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/meta?path=textures/wood/oak_albedo.jpg
+ * ---------------------------------------------
+ * Manual metadata of the asset group the file
+ * belongs to: { path, key, meta: { tags,
+ * description, rating } } (empty if none).
+ * 404 for missing files and for files in folders
+ * the user cannot view alike.
+ */
+app.get('/api/meta', async (req, res) => {
+  const ref = await assetRefOf(req.query.path, req);
+  if (!ref) return res.status(404).json({ error: 'Not found' });
+  const meta = (await metaStore.read(ref.rel))[ref.key] || { tags: [], description: '', rating: null };
+  res.json({ path: String(req.query.path), key: ref.key, meta });
+});
+
+/**
+ * PUT /api/meta?path=textures/wood/oak_albedo.jpg
+ * ---------------------------------------------
+ * Replaces the metadata of that asset group.
+ * Body: { tags: string[], description: string,
+ * rating: 1..5 | null } (missing fields = empty).
  *
- * Note:
- * - Directory listing is NOT allowed here.
- * - To list folders/files, use /api/assets.
+ * Errors: 404 unknown file (or in a folder the user
+ * cannot view), 400 invalid body, 403 not a
+ * contributor of that folder.
  */
-app.get('/files/*', async (req, res) => {
+app.put('/api/meta', express.json({ limit: '64kb' }), async (req, res) => {
+  const ref = await assetRefOf(req.query.path, req);
+  if (!ref) return res.status(404).json({ error: 'Not found' });
+  if (!allowed(req, ref.rel, 'contributor')) return res.status(403).json({ error: 'Forbidden' });
   try {
-    const relPath = decodeURI(req.params[0] || '');
-    const abs = safeJoin(ASSETS_ROOT, relPath);
-    const stat = await fs.stat(abs);
-    if (stat.isDirectory()) {
-      return res.status(400).send('Directory listing via /api/assets only');
+    const meta = await metaStore.put(ref.rel, ref.key, req.body);
+    await refreshAfterChange([ref.rel]);
+    res.json({ path: String(req.query.path), key: ref.key, meta });
+  } catch (err) {
+    if (err instanceof MetaValidationError) {
+      return res.status(400).json({ error: err.message });
     }
-    const mt = mime.lookup(abs) || 'application/octet-stream';
-    res.setHeader('Content-Type', mt);
-    createReadStream(abs).pipe(res);
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/meta/tags
+ * ---------------------------------------------
+ * Adds and removes manual tags of several asset
+ * groups at once (a selection); their other
+ * metadata is kept.
+ * Body: { paths: [files of the groups],
+ *         add: string[], remove: string[] }
+ *
+ * Response: { updated: number of groups }.
+ * Errors: 400 invalid body, 404 unknown file or
+ * one the user cannot view (with its `path`), 403 not a contributor of one
+ * of the folders. Nothing is changed on 403 / 404.
+ */
+app.post('/api/meta/tags', express.json({ limit: '256kb' }), async (req, res) => {
+  const { paths, add = [], remove = [] } = req.body || {};
+  const isStrings = (v) => Array.isArray(v) && v.every(t => typeof t === 'string');
+  if (!isStrings(paths) || !paths.length) return res.status(400).json({ error: '"paths" must be a non-empty array of paths' });
+  if (!isStrings(add) || !isStrings(remove)) return res.status(400).json({ error: '"add" and "remove" must be arrays of strings' });
+
+  // rel + "\0" + key → ref (variants of one group count once)
+  const refs = new Map();
+  for (const p of paths) {
+    const ref = await assetRefOf(p, req);
+    if (!ref) return res.status(404).json({ error: 'Not found', path: p });
+    if (!allowed(req, ref.rel, 'contributor')) return res.status(403).json({ error: 'Forbidden', path: p });
+    refs.set(`${ref.rel}\0${ref.key}`, ref);
+  }
+  try {
+    for (const ref of refs.values()) await metaStore.editTags(ref.rel, ref.key, { add, remove });
+  } catch (err) {
+    if (err instanceof MetaValidationError) return res.status(400).json({ error: err.message });
+    console.error(err);
+    return res.status(500).json({ error: String(err.message || err) });
+  } finally {
+    await refreshAfterChange([...new Set([...refs.values()].map(r => r.rel))]);
+  }
+  res.json({ updated: refs.size });
+});
+
+/**
+ * GET /api/rules?dir=vendor/pack
+ * ---------------------------------------------
+ * Shows how the files of a folder are grouped
+ * under its current naming rules (to check a new
+ * .assetlib.json):
+ *   { dir, sources: ["vendor/.assetlib.json", …],
+ *     rules: { stopwords, previewWords, ignoredTokens,
+ *              groupPatterns },
+ *     groups: [{ key, primary, files: [{ name, role, tags }] }] }
+ */
+app.get('/api/rules', async (req, res) => {
+  let dirAbs;
+  try {
+    dirAbs = safeJoin(ASSETS_ROOT, req.query.dir ? String(req.query.dir) : '');
+  } catch {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (!allowed(req, relOf(dirAbs), 'viewer')) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    const rel = relOf(dirAbs);
+    const rules = await folderRules.rulesFor(rel);
+    const entries = await fs.readdir(dirAbs, { withFileTypes: true });
+    const files = entries
+      .filter(e => !e.isDirectory() && !IGNORE_FILES.test(e.name))
+      // Sizes/dates do not matter for grouping: no stat per file
+      .map(e => fileEntry(rel, e.name, { size: 0, mtime: null }, rules));
+
+    const groups = groupAssets(rel, files, rules)
+      .map(g => ({
+        key: g.normalizeBase,
+        primary: g.name,
+        files: g.files.map(f => ({ name: f.name, role: f.role || null, tags: f.tags })),
+      }))
+      .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+
+    res.json({ dir: rel, sources: await folderRules.sourcesOf(rel), rules: rules.spec, groups });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return res.status(404).json({ error: 'Not found' });
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api/vocabulary
+ * ---------------------------------------------
+ * The tag vocabulary (see lib/vocabulary.js):
+ *   { foldPlurals, terms: [{ tag, synonyms }], blocked,
+ *     canEdit }
+ */
+app.get('/api/vocabulary', (req, res) => {
+  res.json({ ...vocabulary.get(), canEdit: allowed(req, '', 'admin') });
+});
+
+/**
+ * PUT /api/vocabulary
+ * ---------------------------------------------
+ * Body: { foldPlurals, terms, blocked } → replaces
+ * the whole vocabulary (admins of the whole library
+ * only). Listings are re-read and the search index
+ * rescanned so that every tag follows it.
+ *
+ * Errors: 400 invalid vocabulary.
+ */
+app.put('/api/vocabulary', express.json({ limit: '1mb' }), async (req, res) => {
+  if (!allowed(req, '', 'admin')) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    const spec = await vocabulary.replace(req.body);
+    setVocabulary(vocabulary.current());
+    listingCache.invalidate({ all: true });
+    audit.write({ op: 'vocabulary', ...actorOf(req), terms: spec.terms.length, blocked: spec.blocked.length });
+    broadcast('change', { dirs: [], all: true });
+    searchIndex.rebuild().then(() => broadcast('change', { dirs: [], all: true }));
+    res.json({ ...spec, canEdit: true });
+  } catch (err) {
+    if (err instanceof VocabularyError) return res.status(400).json({ error: err.message, code: err.code });
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api/config/paths
+ * ---------------------------------------------
+ * Platform profiles used by the UI to turn /files
+ * URLs into paths users can paste:
+ *   { default, profiles: [{ id, label, root, separator }] }
+ */
+app.get('/api/config/paths', (req, res) => {
+  res.json(pathMapping);
+});
+
+/**
+ * GET /api/thumb/*?size=512&exposure=0&gamma=2.2
+ * ---------------------------------------------
+ * PNG preview of an image the browser cannot show
+ * (TIFF, DDS, BMP, EXR, HDR), decoded on the server
+ * and kept in the thumbnail cache (keyed by path +
+ * mtime).
+ *
+ * - size: longest side, rounded up to one of
+ *   256 / 512 / 1024 / 2048 (default 512)
+ * - exposure: EXR/HDR only, in stops (-10..10, default 0)
+ * - gamma: EXR/HDR only, display gamma (1..3, default 2.2)
+ *
+ * Errors: 404 missing file, 415 format/variant
+ * that cannot be decoded.
+ */
+app.get('/api/thumb/*', async (req, res) => {
+  let abs, stat;
+  try {
+    const relPath = decodeURI(req.params[0] || '');
+    abs = safeJoin(ASSETS_ROOT, relPath);
+    if (isInternalPath(relOf(abs))) throw new Error('Internal file');
+    if (!allowed(req, relOf(path.dirname(abs)), 'viewer')) return res.status(403).json({ error: 'Forbidden' });
+    stat = await fs.stat(abs);
+    if (!stat.isFile()) throw new Error('Not a file');
+  } catch {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  if (!DECODABLE_EXT.has(path.extname(abs).toLowerCase())) {
+    return res.status(415).json({ error: 'No preview available for this format' });
+  }
+
+  const wanted = Number(req.query.size) || 512;
+  const size = THUMB_SIZES.find(s => s >= wanted) ?? THUMB_SIZES[THUMB_SIZES.length - 1];
+  // Rounded so that slider noise does not fill the cache
+  const clampRound = (v, min, max, def) =>
+    Number.isFinite(v) ? Math.round(Math.min(max, Math.max(min, v)) * 10) / 10 : def;
+  const exposure = clampRound(parseFloat(req.query.exposure), -10, 10, 0);
+  const gamma = clampRound(parseFloat(req.query.gamma), 1, 3, 2.2);
+
+  try {
+    const file = await thumbnailer.get(abs, stat, size, { exposure, gamma });
+    await sendFileResponse(req, res, file, await fs.stat(file), {
+      type: 'image/png',
+      cacheControl: IMAGE_CACHE_CONTROL,
+    });
+  } catch (err) {
+    if (err instanceof UnsupportedImageError) {
+      return res.status(415).json({ error: err.message });
+    }
+    if (res.headersSent) return res.destroy();
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * Files of a folder and its subfolders (system files,
+ * sidecars, symlinks and our cache excluded), named
+ * `${prefix}/sub/dir/file` for the archive.
+ */
+async function walkForZip(dirAbs, prefix, out = []) {
+  const entries = await fs.readdir(dirAbs, { withFileTypes: true });
+  for (const e of entries) {
+    const abs = path.join(dirAbs, e.name);
+    if (isInternalPath(relOf(abs))) continue;
+    if (e.isDirectory()) {
+      await walkForZip(abs, `${prefix}/${e.name}`, out);
+    } else if (e.isFile() && !IGNORE_FILES.test(e.name)) {
+      out.push({ name: `${prefix}/${e.name}`, abs });
+    }
+  }
+  return out;
+}
+
+/**
+ * What to put in the archive for `abs`: a whole
+ * folder, or the asset group a file belongs to
+ * (every file in its `files`).
+ *
+ * @returns {Promise<{label: string, files: {name: string, abs: string}[]}>}
+ */
+async function downloadSourcesOf(abs, stat) {
+  if (stat.isDirectory()) {
+    const label = path.basename(abs) && relOf(abs) ? path.basename(abs) : 'library';
+    return { label, files: await walkForZip(abs, label) };
+  }
+
+  const dirAbs = path.dirname(abs);
+  const { items } = await listingCache.get(relOf(dirAbs));
+  const name = path.basename(abs);
+  const group = items.find(i => !i.isDir && i.files.some(f => f.name === name));
+  const label = baseOf(group ? group.name : name);
+  const names = group ? group.files.map(f => f.name) : [name];
+  return { label, files: names.map(n => ({ name: `${label}/${n}`, abs: path.join(dirAbs, n) })) };
+}
+
+// Error messages of the statuses returned by downloadRequestOf()
+const HTTP_ERRORS = { 403: 'Forbidden', 404: 'Not found' };
+
+/**
+ * Archive sources of a requested path (see
+ * downloadSourcesOf), or { status } when it cannot
+ * be downloaded: 403 outside ASSETS_ROOT or not
+ * visible to the user, 404 missing.
+ */
+async function downloadRequestOf(req, relPath) {
+  let abs;
+  try {
+    abs = safeJoin(ASSETS_ROOT, String(relPath || ''));
+  } catch {
+    return { status: 403 };
+  }
+  if (isInternalPath(relOf(abs))) return { status: 404 };
+
+  try {
+    const stat = await fs.stat(abs);
+    if (!allowed(req, stat.isDirectory() ? relOf(abs) : relOf(path.dirname(abs)), 'viewer')) {
+      return { status: 403 };
+    }
+    return await downloadSourcesOf(abs, stat);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return { status: 404 };
+    throw err;
+  }
+}
+
+// ZIP of archive sources, with their current size and date
+async function zipOf(sources) {
+  const files = [];
+  for (const f of sources) {
+    try {
+      const st = await fs.stat(f.abs);
+      files.push({ ...f, size: st.size, mtime: st.mtime });
+    } catch {
+      // Removed since the listing was read
+    }
+  }
+  return createZip(files);
+}
+
+// Streams a ZIP from zipOf() as the download `${label}.zip`
+async function sendZip(req, res, label, zip) {
+  res.attachment(`${label}.zip`);
+  res.setHeader('Content-Length', zip.length);
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'HEAD') return res.end();
+
+  try {
+    await zip.pipe(res);
+  } catch (err) {
+    // Client went away, or a file changed while zipping
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.warn(`⚠️ Download of ${label}.zip aborted: ${err.message}`);
+    res.destroy();
+  }
+}
+
+/**
+ * GET /api/download?path=textures/wood/oak_albedo.jpg
+ * ---------------------------------------------
+ * Streams a ZIP archive, built on the fly:
+ *  - path = a file → its whole asset group
+ *  - path = a folder → the folder with its subfolders
+ *    ('' = the whole library)
+ *
+ * Files are stored uncompressed (ZIP64 for sets above
+ * 4 GiB); Content-Length is exact. If a file changes
+ * size mid-download, the connection is dropped.
+ *
+ * Errors: 400 bad path, 403 outside ASSETS_ROOT,
+ * 404 missing path.
+ */
+app.get('/api/download', async (req, res) => {
+  let sources;
+  let zip;
+  try {
+    sources = await downloadRequestOf(req, req.query.path);
+    if (sources.status) return res.status(sources.status).json({ error: HTTP_ERRORS[sources.status] });
+    zip = await zipOf(sources.files);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+  await sendZip(req, res, sources.label, zip);
+});
+
+/**
+ * POST /api/download
+ * ---------------------------------------------
+ * One ZIP archive of several paths (a selection):
+ * each file → its asset group, each folder → the
+ * folder with its subfolders, every one in its own
+ * top-level folder of the archive.
+ * Body: paths = JSON array of paths, as a form field
+ * (so that a plain form submit downloads the file)
+ * or in a JSON body.
+ *
+ * Errors: 400 bad body, 403 / 404 as GET (with the
+ * offending `path`).
+ */
+app.post('/api/download', express.urlencoded({ extended: false, limit: '1mb' }), express.json({ limit: '1mb' }), async (req, res) => {
+  let paths = req.body?.paths;
+  if (typeof paths === 'string') {
+    try {
+      paths = JSON.parse(paths);
+    } catch {
+      paths = null;
+    }
+  }
+  if (!Array.isArray(paths) || !paths.length || paths.some(p => typeof p !== 'string')) {
+    return res.status(400).json({ error: '"paths" must be a non-empty array of paths' });
+  }
+
+  let zip;
+  try {
+    const files = [];
+    const labels = new Set();
+    for (const p of paths) {
+      const sources = await downloadRequestOf(req, p);
+      if (sources.status) return res.status(sources.status).json({ error: HTTP_ERRORS[sources.status], path: p });
+      // Two folders / groups with the same name: "oak", "oak (2)"
+      let label = sources.label;
+      for (let n = 2; labels.has(label); n++) label = `${sources.label} (${n})`;
+      labels.add(label);
+      for (const f of sources.files) files.push({ ...f, name: label + f.name.slice(sources.label.length) });
+    }
+    zip = await zipOf(files);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+  await sendZip(req, res, 'selection', zip);
+});
+
+/**
+ * Folders whose listing changes when `abs` is stored
+ * below `baseRel`: its own folder and every new parent
+ * up to (and including) `baseRel`.
+ */
+function touchedDirsOf(abs, baseRel) {
+  const out = [];
+  let rel = relOf(path.dirname(abs));
+  for (;;) {
+    out.push(rel);
+    if (rel === baseRel || !rel) break;
+    rel = path.posix.dirname(rel) === '.' ? '' : path.posix.dirname(rel);
+  }
+  return out;
+}
+
+/**
+ * POST /api/upload?dir=textures/wood&conflict=rename
+ * ---------------------------------------------
+ * Stores the files of a multipart/form-data body in
+ * `dir`. File names may contain "/" to upload whole
+ * folders (subfolders are created).
+ *
+ * conflict: what to do when a file exists already
+ *   skip | rename ("name_v2.ext", grouped with
+ *   the asset, see copyNameOf) | overwrite
+ *   (default rename)
+ *
+ * Response:
+ *  - files: [{ name, path, size, status, error? }]
+ *    status = created | renamed | overwritten |
+ *             skipped | rejected
+ *  - groups: asset groups the stored files ended up in
+ *    [{ dir, key, name, files, uploaded }]
+ *
+ * Errors: 400 bad request / body, 403 outside
+ * ASSETS_ROOT or a file going to a folder the user
+ * is not a contributor of ({ error, path }: nothing
+ * is stored then), 404 missing destination.
+ */
+app.post('/api/upload', async (req, res) => {
+  const conflict = req.query.conflict ? String(req.query.conflict) : 'rename';
+  if (!CONFLICT_MODES.includes(conflict)) {
+    return res.status(400).json({ error: `conflict must be one of: ${CONFLICT_MODES.join(', ')}` });
+  }
+  const boundary = boundaryOf(req.headers['content-type']);
+  if (!boundary) return res.status(400).json({ error: 'Expected multipart/form-data' });
+
+  let dirAbs;
+  try {
+    dirAbs = safeJoin(ASSETS_ROOT, req.query.dir ? String(req.query.dir) : '');
+    if (!(await fs.stat(dirAbs)).isDirectory()) return res.status(400).json({ error: 'Not a folder' });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return res.status(404).json({ error: 'Not found' });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const rel = relOf(dirAbs);
+  if (isInternalPath(rel) || !allowed(req, rel, 'contributor')) return res.status(403).json({ error: 'Forbidden' });
+
+  let results;
+  try {
+    results = await receiveUpload(req, boundary, {
+      conflict,
+      maxFileSize: UPLOAD_MAX_MB * 1024 * 1024,
+      resolve: (segments) => {
+        const abs = safeJoin(dirAbs, path.join(...segments));
+        if (isInternalPath(relOf(abs))) throw new Error('Path traversal blocked');
+        // Subfolders of `dir` may have a more restricted role
+        if (!allowed(req, relOf(path.dirname(abs)), 'contributor')) {
+          throw new UploadError('Forbidden', 'FORBIDDEN', segments.join('/'));
+        }
+        return abs;
+      },
+    });
+  } catch (err) {
+    if (res.destroyed) return; // Client went away
+    if (err instanceof MultipartError) return res.status(400).json({ error: err.message });
+    if (err instanceof UploadError) return res.status(403).json({ error: err.message, path: err.path });
+    console.error(err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+
+  const stored = results.filter(r => r.status !== 'skipped' && r.status !== 'rejected');
+  const dirs = [...new Set(stored.flatMap(r => touchedDirsOf(r.abs, rel)))];
+
+  if (dirs.length) await refreshAfterChange(dirs);
+
+  // How the new files were grouped (with the files already there)
+  const groups = [];
+  for (const d of new Set(stored.map(r => relOf(path.dirname(r.abs))))) {
+    const names = new Set(stored.filter(r => relOf(path.dirname(r.abs)) === d).map(r => path.basename(r.abs)));
+    const { items } = await listingCache.get(d);
+    for (const it of items) {
+      if (it.isDir || !it.files.some(f => names.has(f.name))) continue;
+      groups.push({
+        dir: d,
+        key: it.normalizeBase,
+        name: it.name,
+        files: it.files.map(f => f.name),
+        uploaded: it.files.filter(f => names.has(f.name)).map(f => f.name),
+      });
+    }
+  }
+
+  res.json({
+    dir: rel,
+    conflict,
+    files: results.map(({ abs, ...r }) => ({ ...r, path: abs ? relOf(abs) : null })),
+    groups,
+  });
+});
+
+/* ======================================================
+   File management (rename, move, new folder, trash)
+   Contributors of the folders involved only (403)
+   ====================================================== */
+
+// FileOpError code → HTTP status
+const FILE_OP_STATUS = { INVALID: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+function sendFileOpError(res, err) {
+  if (err instanceof FileOpError) return res.status(FILE_OP_STATUS[err.code]).json({ error: err.message });
+  if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return res.status(404).json({ error: 'Not found' });
+  console.error(err);
+  res.status(500).json({ error: String(err.message || err) });
+}
+
+/**
+ * Resolves a path given to a file operation. Throws
+ * for paths outside the library, the library root
+ * itself (unless `allowRoot`) and our own folders.
+ */
+function opTargetOf(relPath, { allowRoot = false } = {}) {
+  const abs = safeJoin(ASSETS_ROOT, String(relPath ?? ''));
+  const rel = relOf(abs);
+  if ((!rel && !allowRoot) || isInternalPath(rel)) throw new Error('Forbidden');
+  return { abs, rel };
+}
+
+// 'a/b/c' → 'a/b', 'a' → ''
+const parentOf = (rel) => (path.posix.dirname(rel) === '.' ? '' : path.posix.dirname(rel));
+
+/**
+ * What a file operation applies to: a folder, or the
+ * whole asset group of a file (from a fresh listing,
+ * not the cache: the group must be complete).
+ *
+ * @returns {Promise<{kind: 'folder', dir: string, name: string}
+ *   | {kind: 'group', dir: string, key: string, names: string[]}>}
+ */
+async function opSubjectOf({ abs, rel }) {
+  const stat = await fs.stat(abs);
+  const dir = parentOf(rel);
+  const name = path.basename(abs);
+  if (stat.isDirectory()) return { kind: 'folder', dir, name };
+
+  const { items } = await readListing(dir);
+  const group = items.find(i => !i.isDir && i.files.some(f => f.name === name));
+  if (!group) throw new FileOpError('Not found', 'NOT_FOUND'); // System / sidecar file
+  return { kind: 'group', dir, key: group.normalizeBase, names: group.files.map(f => f.name) };
+}
+
+/**
+ * Sidecar metadata follows an asset group to its new
+ * name / folder. If the group joined one that has its
+ * own metadata, that one is kept.
+ */
+async function carryMeta(meta, toRelPath) {
+  if (!meta) return;
+  const ref = await assetRefOf(toRelPath);
+  if (!ref || (await metaStore.read(ref.rel))[ref.key]) return;
+  await metaStore.put(ref.rel, ref.key, meta);
+}
+
+/**
+ * Whether the request may rename / move / delete the
+ * subject of a file operation: contributor of its
+ * folder, and for a folder of all of it; `toRel` = its
+ * new path (rename, move).
+ */
+function mayChange(req, subject, target, toRel = null) {
+  if (!allowed(req, subject.dir, 'contributor')) return false;
+  if (toRel !== null && !allowed(req, toRel, 'contributor')) return false;
+  return subject.kind !== 'folder' || allowedTree(req, target.rel, 'contributor');
+}
+
+/**
+ * Renames / moves folder `from` to `to` (rel paths),
+ * with the role entries of its subtree (see
+ * userStore.relocate). Roles already set for `to`
+ * would mix with them: 409. The folder goes back when
+ * the users file cannot be written, so no restriction
+ * is lost.
+ */
+async function relocateFolder(from, to) {
+  if (await userStore.hasEntries(to)) throw new FileOpError(`Roles are set for ${to}`, 'CONFLICT');
+  const fromAbs = path.join(ASSETS_ROOT, from);
+  const toAbs = path.join(ASSETS_ROOT, to);
+  await moveFolder(fromAbs, toAbs);
+  try {
+    await userStore.relocate(from, to);
+  } catch (err) {
+    await moveFolder(toAbs, fromAbs);
+    throw err;
+  }
+  await collections.relocate(from, to);
+}
+
+/**
+ * POST /api/fs/rename
+ * ---------------------------------------------
+ * Body: { path, name }
+ *  - path = a file → its whole asset group is
+ *    renamed: the part of the name its files share
+ *    becomes `name` ("oak_albedo.jpg" + "oak_normal.png",
+ *    name "walnut" → "walnut_albedo.jpg" + …)
+ *  - path = a folder → the folder is renamed to `name`
+ *    (role entries of the folder and below follow it)
+ *
+ * Response: { kind, from, path, files: [{ from, to }] }
+ * (path = new path of the item; files = renamed file
+ * names, groups only).
+ *
+ * Errors: 400 invalid name, 403 outside ASSETS_ROOT,
+ * the root itself or not a contributor (of the whole
+ * folder and its new path), 404 missing path, 409 name
+ * taken or roles set for the new path.
+ */
+app.post('/api/fs/rename', express.json({ limit: '16kb' }), async (req, res) => {
+  let target;
+  try {
+    target = opTargetOf(req.body?.path);
+  } catch {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!isValidFileName(name)) return res.status(400).json({ error: 'Invalid name' });
+
+  try {
+    const subject = await opSubjectOf(target);
+    const folderRel = subject.kind === 'folder' ? path.posix.join(subject.dir, name) : null;
+    if (!mayChange(req, subject, target, folderRel)) return res.status(403).json({ error: 'Forbidden' });
+    const dirAbs = path.dirname(target.abs);
+    let out;
+    if (subject.kind === 'folder') {
+      await relocateFolder(target.rel, folderRel);
+      await refreshAfterChange([subject.dir], [target.rel, folderRel]);
+      out = { kind: 'folder', from: target.rel, path: folderRel, files: [] };
+    } else {
+      const meta = (await metaStore.read(subject.dir))[subject.key] || null;
+      const files = await renameGroup(dirAbs, subject.names, name);
+      const toRel = path.posix.join(subject.dir, files.find(f => f.from === path.basename(target.abs)).to);
+      await metaStore.take(subject.dir, subject.key);
+      await carryMeta(meta, toRel);
+      for (const f of files) {
+        await collections.relocate(path.posix.join(subject.dir, f.from), path.posix.join(subject.dir, f.to));
+      }
+      await refreshAfterChange([subject.dir]);
+      out = { kind: 'group', from: target.rel, path: toRel, files };
+    }
+    audit.write({ op: 'rename', ...actorOf(req), ...out });
+    res.json(out);
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/**
+ * POST /api/fs/move
+ * ---------------------------------------------
+ * Body: { path, to }
+ * Moves an asset group (path = any of its files) or a
+ * folder into the existing folder `to` ('' = root).
+ * Role entries of a folder and below follow it.
+ *
+ * Response: { kind, from, path, files: string[] }
+ *
+ * Errors: 400 folder into itself, 403 outside
+ * ASSETS_ROOT or not a contributor (of the whole
+ * folder, `to` and the new path), 404 missing path /
+ * destination, 409 name taken in the destination or
+ * roles set for the new path.
+ */
+app.post('/api/fs/move', express.json({ limit: '16kb' }), async (req, res) => {
+  let target, dest;
+  try {
+    target = opTargetOf(req.body?.path);
+    dest = opTargetOf(req.body?.to, { allowRoot: true });
+  } catch {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const subject = await opSubjectOf(target);
+    const name = path.basename(target.abs);
+    const toRel = path.posix.join(dest.rel, name);
+    if (!allowed(req, dest.rel, 'contributor') || !mayChange(req, subject, target, toRel)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    let out;
+    if (subject.kind === 'folder') {
+      await relocateFolder(target.rel, toRel);
+      await refreshAfterChange([subject.dir, dest.rel], [target.rel, toRel]);
+      out = { kind: 'folder', from: target.rel, path: toRel, files: [] };
+    } else {
+      const meta = (await metaStore.read(subject.dir))[subject.key] || null;
+      await moveGroup(path.dirname(target.abs), subject.names, dest.abs);
+      if (dest.rel !== subject.dir) {
+        await metaStore.take(subject.dir, subject.key);
+        await carryMeta(meta, toRel);
+      }
+      for (const n of subject.names) {
+        await collections.relocate(path.posix.join(subject.dir, n), path.posix.join(dest.rel, n));
+      }
+      await refreshAfterChange([subject.dir, dest.rel]);
+      out = { kind: 'group', from: target.rel, path: toRel, files: subject.names };
+    }
+    audit.write({ op: 'move', ...actorOf(req), ...out });
+    res.json(out);
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/**
+ * POST /api/fs/mkdir
+ * ---------------------------------------------
+ * Body: { path } → creates that folder (its parent
+ * must exist).
+ *
+ * Errors: 400 invalid name, 403 outside ASSETS_ROOT,
+ * 404 missing parent, 409 name taken.
+ */
+app.post('/api/fs/mkdir', express.json({ limit: '16kb' }), async (req, res) => {
+  let target;
+  try {
+    target = opTargetOf(req.body?.path);
+  } catch {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (!allowed(req, parentOf(target.rel), 'contributor')) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    await makeFolder(target.abs);
+    await refreshAfterChange([parentOf(target.rel)], [target.rel]);
+    audit.write({ op: 'mkdir', ...actorOf(req), path: target.rel });
+    res.status(201).json({ path: target.rel });
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/**
+ * POST /api/fs/delete
+ * ---------------------------------------------
+ * Body: { path } → moves the asset group of that file
+ * (with its metadata), or that folder, to the trash.
+ *
+ * Response: the trash entry
+ *   { id, deletedAt, dir, kind, names, meta }
+ *
+ * Errors: 403 outside ASSETS_ROOT, the root itself or
+ * not a contributor (of the whole folder), 404 missing
+ * path.
+ */
+app.post('/api/fs/delete', express.json({ limit: '16kb' }), async (req, res) => {
+  let target;
+  try {
+    target = opTargetOf(req.body?.path);
+  } catch {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  try {
+    const subject = await opSubjectOf(target);
+    if (!mayChange(req, subject, target)) return res.status(403).json({ error: 'Forbidden' });
+    let entry;
+    if (subject.kind === 'folder') {
+      entry = await trash.put({ dir: subject.dir, kind: 'folder', names: [subject.name] });
+      await refreshAfterChange([subject.dir], [target.rel]);
+    } else {
+      const meta = (await metaStore.read(subject.dir))[subject.key] || null;
+      entry = await trash.put({ dir: subject.dir, kind: 'group', names: subject.names, meta });
+      await metaStore.take(subject.dir, subject.key);
+      await refreshAfterChange([subject.dir]);
+    }
+    audit.write({ op: 'delete', ...actorOf(req), path: target.rel, id: entry.id, kind: entry.kind, names: entry.names });
+    res.json(entry);
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/**
+ * GET /api/trash
+ * ---------------------------------------------
+ * Deleted assets and folders the user could restore
+ * (contributor of their folder), newest first:
+ *   { days, entries: [{ id, deletedAt, expiresAt,
+ *     dir, kind, names, size, meta }] }
+ * (days = TRASH_DAYS, expiresAt null if kept forever)
+ */
+app.get('/api/trash', async (req, res) => {
+  try {
+    const entries = (await trash.list()).filter(e => allowed(req, e.dir, 'contributor'));
+    res.json({ days: TRASH_DAYS, entries });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * ---------------------------------------------
+ * Puts a trash entry back where it was deleted from
+ * (missing folders are created again).
+ *
+ * Errors: 403 not a contributor of the folder,
+ * 404 unknown id, 409 a name was taken meanwhile
+ * (rename or move that one first).
+ */
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    if (!allowed(req, (await trash.get(req.params.id)).dir, 'contributor')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const entry = await trash.restore(req.params.id);
+    if (entry.kind === 'group') await carryMeta(entry.meta, path.posix.join(entry.dir, entry.names[0]));
+    const paths = entry.kind === 'folder' ? [path.posix.join(entry.dir, entry.names[0])] : [];
+    // Folders created again change their parent's listing
+    if (entry.created) paths.push(entry.created);
+    await refreshAfterChange([entry.created ? parentOf(entry.created) : entry.dir], paths);
+    audit.write({ op: 'restore', ...actorOf(req), id: entry.id, dir: entry.dir, kind: entry.kind, names: entry.names });
+    res.json(entry);
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/trash/:id
+ * ---------------------------------------------
+ * Erases a trash entry for good (admins of the
+ * folder it was deleted from).
+ *
+ * Errors: 403 not an admin, 404 unknown id.
+ */
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    if (!allowed(req, (await trash.get(req.params.id)).dir, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const entry = await trash.remove(req.params.id);
+    audit.write({ op: 'erase', ...actorOf(req), id: entry.id, dir: entry.dir, kind: entry.kind, names: entry.names });
+    res.json({ id: entry.id });
+  } catch (err) {
+    sendFileOpError(res, err);
+  }
+});
+
+/* ======================================================
+   Collections (named, ordered sets of asset groups from
+   any folder, shared by everybody who can log in)
+   ====================================================== */
+
+// CollectionError code → HTTP status
+const COLLECTION_STATUS = { INVALID: 400, NOT_FOUND: 404 };
+
+function sendCollectionError(res, err) {
+  if (err instanceof CollectionError) return res.status(COLLECTION_STATUS[err.code]).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: String(err.message || err) });
+}
+
+const collectionSummaryOf = ({ items, ...c }) => ({ ...c, count: items.length });
+
+/**
+ * The asset group a file belongs to (from the listing
+ * cache), or null: missing file, folder, system file.
+ */
+async function assetGroupOf(relPath) {
+  try {
+    const abs = safeJoin(ASSETS_ROOT, String(relPath || ''));
+    const rel = relOf(abs);
+    if (!rel || isInternalPath(rel)) return null;
+    const { items } = await listingCache.get(parentOf(rel));
+    const name = path.basename(abs);
+    return items.find(i => !i.isDir && i.files.some(f => f.name === name)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paths of `relPaths` that may be added to collection
+ * `c`: asset groups the user can see that are not in
+ * it yet (one path per group: the group's own path).
+ * Throws for paths that are not asset groups.
+ */
+async function collectablePathsOf(req, c, relPaths) {
+  const out = [];
+  for (const p of relPaths) {
+    const group = await assetGroupOf(p);
+    if (!group || !allowed(req, parentOf(group.path), 'viewer')) {
+      throw new CollectionError(`Not an asset: ${p}`, 'INVALID');
+    }
+    const dir = parentOf(group.path);
+    const paths = group.files.map(f => path.posix.join(dir, f.name));
+    if (!paths.some(x => c.items.includes(x) || out.includes(x))) out.push(group.path);
+  }
+  return out;
+}
+
+/**
+ * Who may rename or delete a collection: its
+ * creator, and admins of the whole library. Anyone
+ * may add, remove and reorder the assets they can
+ * see (the others are left alone).
+ */
+const canManageCollection = (req, c) =>
+  allowed(req, '', 'admin') || (req.user && req.user.name === c.createdBy);
+
+/**
+ * GET /api/collections
+ * ---------------------------------------------
+ * { collections: [{ id, name, createdBy, createdAt,
+ *   updatedAt, count }] } (oldest first)
+ */
+app.get('/api/collections', (req, res) => {
+  res.json({ collections: collections.list().map(collectionSummaryOf) });
+});
+
+/**
+ * POST /api/collections
+ * ---------------------------------------------
+ * Body: { name, paths? } → creates a collection
+ * (paths: files of asset groups to put in it).
+ *
+ * Response (201): the collection summary.
+ * Errors: 400 invalid name / not an asset.
+ */
+app.post('/api/collections', express.json({ limit: '256kb' }), async (req, res) => {
+  try {
+    const items = await collectablePathsOf(req, { items: [] }, req.body?.paths ?? []);
+    const c = await collections.create({ name: req.body?.name, by: req.user?.name ?? null, items });
+    audit.write({ op: 'collection-create', ...actorOf(req), id: c.id, name: c.name });
+    broadcast('collections', { id: c.id });
+    res.status(201).json(collectionSummaryOf(c));
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * ---------------------------------------------
+ * The collection with its assets, in order:
+ *   { id, name, createdBy, createdAt, updatedAt,
+ *     canManage, hidden,
+ *     items: [asset item (as /api/assets) + "dir"
+ *             | { path, dir, missing: true }] }
+ * Assets in folders the user cannot see are left
+ * out (hidden = how many).
+ */
+app.get('/api/collections/:id', async (req, res) => {
+  try {
+    const { items: paths, ...c } = collections.get(req.params.id);
+    const items = [];
+    let hidden = 0;
+    for (const p of paths) {
+      const dir = parentOf(p);
+      if (!allowed(req, dir, 'viewer')) {
+        hidden += 1;
+        continue;
+      }
+      const group = await assetGroupOf(p);
+      if (group) await withImageInfo([group]);
+      items.push(group ? { ...group, path: p, dir } : { path: p, dir, missing: true });
+    }
+    res.json({ ...c, canManage: canManageCollection(req, c), hidden, items });
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+/**
+ * PATCH /api/collections/:id
+ * ---------------------------------------------
+ * Body (every field optional):
+ *   { name, add: [paths], remove: [paths],
+ *     order: [paths] }
+ * add = files of asset groups (appended, once per
+ * group); order = paths to put first, in that order
+ * (see collections.update()). Paths in folders the
+ * user cannot view are ignored in remove / order;
+ * renaming follows canManageCollection.
+ *
+ * Response: the collection summary.
+ * Errors: 400 invalid name / not an asset,
+ * 403 rename by someone else, 404 unknown id.
+ */
+app.patch('/api/collections/:id', express.json({ limit: '256kb' }), async (req, res) => {
+  try {
+    const before = collections.get(req.params.id);
+    const { name, remove, order } = req.body ?? {};
+    if (name !== undefined && name !== before.name && !canManageCollection(req, before)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    // Non-strings are left for collections.update() to reject
+    const visible = (list) => (Array.isArray(list)
+      ? list.filter(p => typeof p !== 'string' || allowed(req, parentOf(p), 'viewer'))
+      : list);
+    const add = await collectablePathsOf(req, before, req.body?.add ?? []);
+    const c = await collections.update(before.id, { name, add, remove: visible(remove), order: visible(order) });
+    if (c.name !== before.name) {
+      audit.write({ op: 'collection-rename', ...actorOf(req), id: c.id, from: before.name, name: c.name });
+    }
+    broadcast('collections', { id: c.id });
+    res.json(collectionSummaryOf(c));
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * ---------------------------------------------
+ * Deletes a collection (not its assets).
+ *
+ * Errors: 403 neither its creator nor an admin,
+ * 404 unknown id.
+ */
+app.delete('/api/collections/:id', async (req, res) => {
+  try {
+    if (!canManageCollection(req, collections.get(req.params.id))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const c = await collections.remove(req.params.id);
+    audit.write({ op: 'collection-delete', ...actorOf(req), id: c.id, name: c.name });
+    broadcast('collections', { id: c.id });
+    res.json({ id: c.id });
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+/* ======================================================
+   Duplicates (exact copies and look-alike images found
+   by the background scan, see lib/duplicates.js)
+   ====================================================== */
+
+/**
+ * One file of a duplicate group, for the report:
+ * fileEntry() fields plus path, dir and a thumbnail
+ * URL (null if it cannot be previewed).
+ */
+function duplicateFileOf({ path: p, size }) {
+  const dir = parentOf(p);
+  const entry = fileEntry(dir, path.posix.basename(p), { size, mtime: null });
+  const thumbnail = WEB_IMAGE_EXT.has(entry.ext) ? entry.url : THUMB_EXT.has(entry.ext) ? thumbUrlOf(p) : null;
+  return { ...entry, path: p, dir, thumbnail };
+}
+
+/**
+ * GET /api/duplicates?limit=200
+ * ---------------------------------------------
+ * Results of the last duplicate scan, limited to
+ * the files the user can see.
+ *
+ * Response:
+ *  - exact / near: { total, wasted, groups }
+ *    (exact copies / look-alike images)
+ *      total:  number of groups before the limit
+ *      wasted: bytes that removing the extra files
+ *              would free, over all groups
+ *      groups: [{ wasted, files: [file…] }], biggest
+ *              waste first (`limit` of each kind)
+ *  - status: { scannedAt, scanning, progress }
+ */
+app.get('/api/duplicates', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+    const accept = userStore.enabled() ? (p) => hasRole(req.user, parentOf(p), 'viewer') : null;
+    const report = duplicates.report(accept);
+    const shape = (groups) => ({
+      total: groups.length,
+      wasted: groups.reduce((n, g) => n + g.wasted, 0),
+      groups: groups.slice(0, limit).map(g => ({ wasted: g.wasted, files: g.files.map(duplicateFileOf) })),
+    });
+    res.json({ status: duplicates.status(), exact: shape(report.exact), near: shape(report.near) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/duplicates/rescan
+ * ---------------------------------------------
+ * Starts a duplicate scan in the background (admins
+ * of the whole library only). Only new or changed
+ * files are read again.
+ */
+app.post('/api/duplicates/rescan', (req, res) => {
+  if (!allowed(req, '', 'admin')) return res.status(403).json({ error: 'Forbidden' });
+  duplicates.scan();
+  res.status(202).json({ status: duplicates.status() });
+});
+
+/**
+ * GET /files/*
+ * ---------------------------------------------
+ * Serves raw files directly from ASSETS_ROOT.
+ *
+ * Example: /files/textures/wood/albedo.jpg
+ *
+ * Supports HEAD, byte ranges (single and multiple,
+ * for video scrubbing and resumed downloads) and
+ * conditional requests (ETag / Last-Modified → 304).
+ *
+ * Errors: 400 bad path or directory, 403 outside
+ * ASSETS_ROOT, 404 missing file, 412 failed
+ * precondition, 416 range outside the file.
+ *
+ * Note:
+ * - Directory listing is NOT allowed here.
+ * - To list folders/files, use /api/assets.
+ */
+app.get('/files/*', async (req, res) => {
+  let abs;
+  try {
+    abs = safeJoin(ASSETS_ROOT, decodeURI(req.params[0] || ''));
+  } catch (err) {
+    return err instanceof URIError
+      ? res.status(400).send('Bad path')
+      : res.status(403).send('Forbidden');
+  }
+
+  if (isInternalPath(relOf(abs))) return res.status(404).send('Not found');
+  if (!allowed(req, relOf(path.dirname(abs)), 'viewer')) return res.status(403).send('Forbidden');
+
+  let stat;
+  try {
+    stat = await fs.stat(abs);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return res.status(404).send('Not found');
+    console.error(err);
+    return res.status(500).send('Cannot read file');
+  }
+  if (stat.isDirectory()) {
+    return res.status(400).send('Directory listing via /api/assets only');
+  }
+
+  const type = mime.lookup(abs) || 'application/octet-stream';
+  try {
+    await sendFileResponse(req, res, abs, stat, {
+      type,
+      cacheControl: type.startsWith('image/') ? IMAGE_CACHE_CONTROL : FILE_CACHE_CONTROL,
+    });
   } catch (err) {
-    res.status(404).send('Not found');
+    // Client went away mid-stream, or the file vanished
+    if (res.headersSent) return res.destroy();
+    res.status(500).send('Cannot read file');
   }
 });
 
@@ -376,4 +1967,9 @@ app.get('/files/*', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`✅ Asset API running at http://localhost:${PORT}`);
   console.log(`📂 Serving files from: ${ASSETS_ROOT}`);
+  // The duplicate scan lists files from the index: after its first scan
+  searchIndex.start().then(() => duplicates.start(DUPLICATE_SCAN_HOURS * 60 * 60 * 1000));
+  trash.start((entries) => {
+    for (const e of entries) audit.write({ op: 'purge', user: null, ip: null, id: e.id, dir: e.dir, names: e.names });
+  });
 });
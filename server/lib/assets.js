@@ -0,0 +1,615 @@
+// =============================================
+// Asset naming, grouping and tagging rules
+// ---------------------------------------------
+// Shared by the directory listing (/api/assets)
+// and the library-wide search index, so both
+// see exactly the same asset groups and tags.
+// =============================================
+import path from 'path';
+import mime from 'mime-types';
+
+/**
+ * =============================================
+ * classify(mimetype)
+ * ---------------------------------------------
+ * Simplifies MIME types into broad categories
+ * for frontend display (icons, filters, etc.)
+ *
+ * Examples:
+ *  - "image/png"  → "image"
+ *  - "video/mp4"  → "video"
+ *  - "text/plain" → "text"
+ *  - "application/pdf" → "pdf"
+ * =============================================
+ */
+export function classify(mimetype) {
+  if (!mimetype) return 'other';
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  if (mimetype === 'application/pdf') return 'pdf';
+  if (mimetype.startsWith('text/')) return 'text';
+  return 'other';
+}
+
+/* ======================================================
+   Naming rules (defaults, overridable per folder)
+   ====================================================== */
+
+// Regex sources for resolution tokens (1k..32k, WxH, 720p, 1080p, etc.)
+const RES_TOKENS_SOURCE = [
+  '(?:^|[\\s._()-])(?:[1-9]|1[0-9]|2[0-9]|3[0-2])k(?:$|[\\s._()-])',
+  '(?:^|[\\s._()-])\\d{3,5}x\\d{3,5}(?:$|[\\s._()-])',
+  '(?:^|[\\s._()-])(720|1080|1440|2160|4320)p(?:$|[\\s._()-])',
+  '(?:^|[\\s._()-])(512|1?024|2?048|4?096|8?192|16?384|32?768)(?:$|[\\s._()-])'
+].join('|');
+
+// Regex source for versions in filenames (v1, v01, v202, …)
+const VERSION_SOURCE = '(?:^|[\\s._()-])v\\d{1,4}(?=$|[\\s._()-])';
+
+/**
+ * Built-in rules, as plain lists (the shape a
+ * `.assetlib.json` folder file extends, see
+ * folder-rules.js):
+ *  - stopwords:     tokens never used as tags
+ *  - previewWords:  words marking preview images;
+ *                   stripped before grouping
+ *  - ignoredTokens: literal strings stripped before
+ *                   grouping ("_mdl", …)
+ *  - groupPatterns: regexes (case-insensitive) stripped
+ *                   before grouping (resolutions, versions)
+ */
+export const DEFAULT_RULE_SPEC = Object.freeze({
+  stopwords: [
+    'preview','thumb','thumbnail','raw','aces','acescg','hdr','hdri',
+    'map','free','copy','final','render','tx','exr','jpg','jpeg','png','webp','mdl',
+  ],
+  previewWords: ['preview', 'thumb', 'thumbnail'],
+  ignoredTokens: ['raw_acescg.exr', 'raw_acescg.hdr', '_mdl'],
+  groupPatterns: [RES_TOKENS_SOURCE, VERSION_SOURCE],
+});
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Alternation of literal words; null when the list is empty
+const wordsRe = (words, flags) =>
+  words.length ? new RegExp(`(${words.map(escapeRe).join('|')})`, flags) : null;
+
+/**
+ * compileRules(spec)
+ * ---------------------------------------------
+ * Turns a rule spec (same shape as DEFAULT_RULE_SPEC)
+ * into the regexes/sets used by normalizeBase,
+ * extractTagsFromName and fileEntry. With a tag
+ * vocabulary (see vocabulary.js), tags are mapped
+ * to its terms and its blocked tags become stopwords.
+ *
+ * @throws {SyntaxError} on an invalid group pattern
+ */
+export function compileRules(spec, vocabulary = null) {
+  return {
+    spec,
+    previewWordRe: wordsRe(spec.previewWords, 'ig'),
+    previewTestRe: wordsRe(spec.previewWords, 'i'),
+    ignoredRe: wordsRe(spec.ignoredTokens, 'ig'),
+    groupRes: spec.groupPatterns.map(src => new RegExp(src, 'ig')),
+    stopwords: new Set([...spec.stopwords.map(w => w.toLowerCase()), ...(vocabulary?.blocked ?? [])]),
+    vocabulary,
+  };
+}
+
+// Rules used wherever no folder file applies
+export const DEFAULT_RULES = compileRules(DEFAULT_RULE_SPEC);
+
+// Per-folder sidecar with user metadata (see metadata.js)
+export const META_FILE = '.assetmeta.json';
+
+// Per-folder naming rules, inherited by subfolders (see folder-rules.js)
+export const RULES_FILE = '.assetlib.json';
+
+// Ignore common system files (and our sidecars, incl. temp files and uploads in progress)
+export const IGNORE_FILES = /^(Thumbs\.db|desktop\.ini|\.DS_Store|\.assetmeta\.json(\.\d+\.tmp)?|\.assetlib\.json|\.upload-[0-9a-f]+\.tmp)$/i;
+
+// Recoverable deletions, at the root of the library (see trash.js)
+export const TRASH_DIR = '.trash';
+
+// Characters Windows clients cannot open from the share
+const BAD_NAME_RE = /[<>:"|?*\u0000-\u001f]/;
+
+/**
+ * isValidFileName(name)
+ * ---------------------------------------------
+ * One path segment we accept to create on the
+ * share: not empty, "." or "..", no separators or
+ * characters Windows refuses, no trailing dot/space
+ * (Windows strips them silently), at most 255 bytes.
+ */
+export function isValidFileName(name) {
+  return typeof name === 'string'
+    && name !== '' && name !== '.' && name !== '..'
+    && !/[\\/]/.test(name)
+    && !BAD_NAME_RE.test(name)
+    && !/[ .]$/.test(name)
+    && Buffer.byteLength(name) <= 255;
+}
+
+// Filename utilities
+export const extOf = (n) => path.extname(n).toLowerCase();       // ".png"
+export const baseOf = (n) => path.basename(n, path.extname(n));  // "wood_4k_preview"
+
+// Relative paths are always exposed with forward slashes
+export const toPosix = (p) => p.replaceAll('\\', '/');
+
+/**
+ * normalizeBase(stem, rules)
+ * ---------------------------------------------
+ * Creates a compact normalized key for grouping files
+ * belonging to the same asset.
+ *
+ * - Removes preview words, ignored tokens and group
+ *   patterns (resolution tokens, versions)
+ * - Lowercases everything
+ * - Removes spaces and special characters
+ *
+ * Example:
+ *   "wood_4k_preview_v2" → "wood"
+ *
+ * @param {string} stem
+ * @param {object} [rules] - From compileRules (defaults if omitted)
+ */
+export function normalizeBase(stem, rules = DEFAULT_RULES) {
+  let s = stem.toLowerCase();
+  if (rules.previewWordRe) s = s.replace(rules.previewWordRe, ' ');
+  if (rules.ignoredRe) s = s.replace(rules.ignoredRe, ' ');
+  for (const re of rules.groupRes) s = s.replace(re, ' ');
+  return s
+    .replace(/[\s._()-]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, '');
+}
+
+/* ======================================================
+   Tagging system (automatic tag extraction from names)
+   ====================================================== */
+
+// Split filenames into tokens (separators: space, underscore, dash, etc.)
+const TAG_SPLIT_RE = /[\s._()\-[\],]+/g;
+
+// Regex for versions (ignored)
+const TAG_VERSION_RE = /^v\d{1,4}$/i;
+
+// Regex for resolution tags (kept, e.g. "4k", "2048x2048", "1080p")
+const TAG_RES_RE = /^(?:[1-9]|1[0-9]|2[0-9]|3[0-2])k$|^\d{3,5}x\d{3,5}$|^(720|1080|1440|2160|4320)p$/i;
+
+// Normalize token (remove accents, lowercase)
+export function normalizeToken(t) {
+  return t.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * extractTagsFromName(name, rules)
+ * ---------------------------------------------
+ * Extracts relevant tags from a filename.
+ * - Removes extension
+ * - Splits into tokens
+ * - Filters versions, stopwords, short/number-only tokens
+ * - Keeps resolutions and meaningful words, mapped
+ *   through the vocabulary of the rules if any
+ */
+export function extractTagsFromName(name, rules = DEFAULT_RULES) {
+  const stem = path.basename(name, path.extname(name));
+  const raw = stem.split(TAG_SPLIT_RE).filter(Boolean);
+
+  const tags = [];
+  for (let tok of raw) {
+    tok = normalizeToken(tok);
+    if (!tok) continue;
+    if (TAG_VERSION_RE.test(tok)) continue;
+    if (rules.stopwords.has(tok)) continue;
+
+    if (TAG_RES_RE.test(tok)) { tags.push(tok); continue; }
+    if (/^\d+$/.test(tok) || tok.length < 3) continue;
+    const tag = rules.vocabulary ? rules.vocabulary.canonical(tok) : tok;
+    if (!rules.stopwords.has(tag)) tags.push(tag);
+  }
+  return Array.from(new Set(tags));
+}
+
+/* ======================================================
+   Image/thumbnail handling
+   ====================================================== */
+
+// Web-compatible image formats
+export const WEB_IMAGE_EXT = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg', '.avif', '.jfif', '.pjpeg', '.pjp', '.apng', '.bmp', '.ico', '.cur']);
+
+// Formats we treat as "images" even if not web-native (but NOT EXR)
+export const IMAGE_EXT_FALLBACK = new Set(['.tif', '.tiff', '.bmp', '.dds']);
+
+// Formats the server can turn into a web preview (/api/thumb/*),
+// EXR/HDR being tone-mapped
+export const THUMB_EXT = new Set(['.tif', '.tiff', '.bmp', '.dds', '.exr', '.hdr']);
+
+// URL of the server-generated preview of a file
+export const thumbUrlOf = (relPath) => `/api/thumb/${encodeURI(toPosix(relPath))}`;
+
+/* ======================================================
+   PBR texture sets (map roles)
+   ====================================================== */
+
+// Map roles and their aliases, as the last meaningful token(s)
+// of a file name, separators removed ("nor_gl" → "norgl")
+export const MAP_ROLES = [
+  ['basecolor', ['basecolor', 'albedo', 'diffuse', 'diff', 'color', 'colour', 'col', 'bc']],
+  ['normal_gl', ['normalgl', 'norgl', 'nrmgl', 'normalopengl']],
+  ['normal_dx', ['normaldx', 'nordx', 'nrmdx', 'normaldirectx']],
+  ['normal', ['normal', 'normals', 'nor', 'nrm', 'norm', 'nrml']],
+  ['roughness', ['roughness', 'rough', 'rgh']],
+  ['metallic', ['metallic', 'metalness', 'metal', 'mtl']],
+  ['ao', ['ao', 'ambientocclusion', 'occlusion', 'occ']],
+  ['height', ['height', 'displacement', 'disp', 'displace', 'bump', 'hgt']],
+  ['opacity', ['opacity', 'alpha', 'mask', 'transparency']],
+  ['emissive', ['emissive', 'emission', 'emit', 'glow']],
+  ['orm', ['arm', 'orm']], // packed occlusion/roughness/metallic
+];
+
+const ROLE_OF_ALIAS = new Map(MAP_ROLES.flatMap(([role, aliases]) => aliases.map(a => [a, role])));
+
+// Tokens allowed after the role: resolutions, versions, numbers
+const isTrailingToken = (tok) =>
+  TAG_RES_RE.test(tok) || TAG_VERSION_RE.test(tok) || /^\d+$/.test(tok);
+
+/**
+ * detectMapRole(stem, rules)
+ * ---------------------------------------------
+ * "wood_nor_gl_4k" → { role: 'normal_gl', key: 'wood' }
+ *
+ * The role must be the last meaningful token(s) of
+ * the name (resolutions, versions and numbers may
+ * follow) and something must come before it; `key`
+ * is the group key of the name without the role.
+ *
+ * @returns {{role: string, key: string} | null}
+ */
+export function detectMapRole(stem, rules = DEFAULT_RULES) {
+  const tokens = normalizeToken(stem).split(TAG_SPLIT_RE).filter(Boolean);
+  let end = tokens.length;
+  while (end > 0 && isTrailingToken(tokens[end - 1])) end--;
+
+  for (const n of [2, 1]) {
+    if (end - n < 1) continue;
+    const role = ROLE_OF_ALIAS.get(tokens.slice(end - n, end).join(''));
+    if (!role) continue;
+    const rest = [...tokens.slice(0, end - n), ...tokens.slice(end)].join('_');
+    const key = normalizeBase(rest, rules);
+    return key ? { role, key } : null;
+  }
+  return null;
+}
+
+/**
+ * groupKeysOf(names, rules)
+ * ---------------------------------------------
+ * Group key (and map role) of every file name of
+ * one folder. Files are grouped by normalizeBase,
+ * except texture maps: names that only differ by
+ * their map role ("wood_albedo", "wood_normal", …)
+ * form one set, as long as at least two different
+ * roles are present (a lone "rusty_metal.png" stays
+ * an asset of its own).
+ *
+ * @param {string[]} names
+ * @returns {Map<string, {key: string, role: string|null}>}
+ */
+export function groupKeysOf(names, rules = DEFAULT_RULES) {
+  const detected = names.map(name => [name, detectMapRole(baseOf(name), rules)]);
+
+  // set key → roles seen
+  const roles = new Map();
+  for (const [, m] of detected) {
+    if (!m) continue;
+    if (!roles.has(m.key)) roles.set(m.key, new Set());
+    roles.get(m.key).add(m.role);
+  }
+
+  const out = new Map();
+  for (const [name, m] of detected) {
+    if (m && roles.get(m.key).size >= 2) out.set(name, { key: m.key, role: m.role });
+    else out.set(name, { key: normalizeBase(baseOf(name), rules), role: null });
+  }
+  return out;
+}
+
+// Preferred file per role: EXR, then larger files (higher resolution / bit depth)
+const betterMap = (a, b) =>
+  (b.ext === '.exr') - (a.ext === '.exr') || (b.size || 0) - (a.size || 0);
+
+/**
+ * mapsOf(files)
+ * ---------------------------------------------
+ * { role → { name, url } } for the files of a set
+ * (one file per role), or null without roles.
+ */
+function mapsOf(files) {
+  const byRole = new Map();
+  for (const f of files) {
+    if (!f.role) continue;
+    if (!byRole.has(f.role)) byRole.set(f.role, []);
+    byRole.get(f.role).push(f);
+  }
+  if (!byRole.size) return null;
+  const maps = {};
+  for (const [role] of MAP_ROLES) {
+    const list = byRole.get(role);
+    if (!list) continue;
+    const best = list.sort(betterMap)[0];
+    maps[role] = { name: best.name, url: best.url };
+  }
+  return maps;
+}
+
+/* ======================================================
+   Grouping (files → asset items)
+   ====================================================== */
+
+/**
+ * fileEntry(rel, name, stat, rules)
+ * ---------------------------------------------
+ * Builds the per-file record exposed in an asset's
+ * `files` array.
+ *
+ * @param {string} rel  - Folder path relative to ASSETS_ROOT
+ * @param {string} name - File name inside that folder
+ * @param {{size:number, mtime:Date|string}} stat
+ * @param {object} [rules] - Naming rules of the folder
+ */
+export function fileEntry(rel, name, stat, rules = DEFAULT_RULES) {
+  const ext = extOf(name);
+  const stem = baseOf(name);
+  const mimeType = mime.lookup(name) || 'application/octet-stream';
+
+  let isImg = mimeType.startsWith('image/');
+  if (IMAGE_EXT_FALLBACK.has(ext)) isImg = true;
+
+  return {
+    name,
+    url: `/files/${encodeURI(toPosix(path.join(rel, name)))}`,
+    ext,
+    size: stat.size,
+    mtime: stat.mtime,
+    mimetype: mimeType,
+    isImage: isImg,
+    isPreviewLike: !!rules.previewTestRe?.test(stem),
+    tags: extractTagsFromName(name, rules),
+  };
+}
+
+/**
+ * groupAssets(rel, files, rules)
+ * ---------------------------------------------
+ * Groups file records (from fileEntry) by their
+ * group key (see groupKeysOf) and converts each
+ * group into an asset item:
+ *  * "primary" file (base color of a texture set,
+ *    else prefer EXR/HDR if available)
+ *  * "thumbnail" (web-safe image, ideally preview or
+ *    base color, else a server-generated preview of
+ *    a TIFF/DDS/…)
+ *  * "tags" = union of the files' tags
+ *  * "maps" = { role → { name, url } } for texture
+ *    sets (files also get a "role"), else null
+ *
+ * @param {string} rel - Folder path relative to ASSETS_ROOT
+ * @param {object[]} files - Records built by fileEntry()
+ * @param {object} [rules] - Naming rules of the folder
+ * @returns {object[]} asset items (unsorted)
+ */
+export function groupAssets(rel, files, rules = DEFAULT_RULES) {
+  const keys = groupKeysOf(files.map(f => f.name), rules);
+  const groups = new Map();
+  for (const f of files) {
+    const { key, role } = keys.get(f.name);
+    if (role) f.role = role;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  }
+
+  const items = [];
+  for (const [key, groupFiles] of groups) {
+    const maps = mapsOf(groupFiles);
+    const baseColor = maps?.basecolor && groupFiles.find(f => f.name === maps.basecolor.name);
+
+    const primary =
+      baseColor ||
+      groupFiles.find(f => f.ext === '.exr') ||
+      groupFiles.find(f => f.ext === '.hdr') ||
+      groupFiles[0];
+
+    const thumb =
+      groupFiles.find(f => f.isImage && f.isPreviewLike && WEB_IMAGE_EXT.has(f.ext)) ||
+      groupFiles.find(f => f.isImage && f.role === 'basecolor' && WEB_IMAGE_EXT.has(f.ext)) ||
+      groupFiles.find(f => f.isImage && !f.role && WEB_IMAGE_EXT.has(f.ext)) ||
+      groupFiles.find(f => f.isImage && WEB_IMAGE_EXT.has(f.ext)) ||
+      null;
+    const decodable = thumb ? null : (
+      (baseColor && THUMB_EXT.has(baseColor.ext) ? baseColor : null) ||
+      groupFiles.find(f => THUMB_EXT.has(f.ext))
+    );
+
+    const unionTags = Array.from(new Set(groupFiles.flatMap(f => f.tags || [])));
+
+    let kind = primary ? classify(primary.mimetype) : 'other';
+    // Previewable on the server (EXR/HDR have no usable MIME type)
+    if (primary && THUMB_EXT.has(primary.ext)) kind = 'image';
+
+    items.push({
+      name: primary ? primary.name : key,
+      path: primary ? toPosix(path.join(rel, primary.name)) : key,
+      isDir: false,
+      size: primary?.size ?? null,
+      mtime: primary?.mtime ?? null,
+      url: primary?.url ?? null,
+      thumbnail: thumb?.url ?? (decodable ? thumbUrlOf(path.join(rel, decodable.name)) : null),
+      mimetype: primary?.mimetype ?? null,
+      kind,
+      files: groupFiles,
+      normalizeBase: key,
+      tags: unionTags,
+      maps,
+    });
+  }
+  return items;
+}
+
+/**
+ * compareItems(a, b)
+ * ---------------------------------------------
+ * Sort order used by listings: directories first,
+ * then natural alphanumeric order by name (names
+ * equal but for case / accents: by code points, so
+ * that the order is total, see pagination.js).
+ */
+export function compareItems(a, b) {
+  if (a.isDir && !b.isDir) return -1;
+  if (!a.isDir && b.isDir) return 1;
+  return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' })
+    || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+}
+
+// Listing orders (?sort= of /api/assets), besides 'name'
+const SORT_VALUES = {
+  mtime: (i) => (i.mtime ? new Date(i.mtime).getTime() : null),
+  size: (i) => i.size ?? null,
+  // Kind, then extension of the primary file ("image\0.png")
+  type: (i) => (i.isDir ? null : `${i.kind || ''}\0${extOf(i.name)}`),
+  // Files of the group (pagination cursors carry the count only)
+  variants: (i) => i.files?.length ?? i.variants ?? 0,
+};
+
+export const SORT_KEYS = new Set(['name', ...Object.keys(SORT_VALUES)]);
+
+/**
+ * itemComparator(sort, order)
+ * ---------------------------------------------
+ * Listing order by `sort` (see SORT_KEYS) in `order`
+ * ('asc' | 'desc'). Directories stay first; items
+ * without a value (no size, …) come last either way;
+ * ties are broken by compareItems.
+ */
+export function itemComparator(sort = 'name', order = 'asc') {
+  const dir = order === 'desc' ? -1 : 1;
+  const valueOf = SORT_VALUES[sort];
+  if (!valueOf) {
+    // By name: folders stay first, only the names are reversed
+    return dir > 0 ? compareItems : (a, b) => (a.isDir === b.isDir ? compareItems(b, a) : compareItems(a, b));
+  }
+  return (a, b) => {
+    if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va !== vb) {
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      return (va < vb ? -1 : 1) * dir;
+    }
+    return compareItems(a, b);
+  };
+}
+
+/**
+ * applyMeta(items, meta, rules)
+ * ---------------------------------------------
+ * Attaches sidecar metadata (from readMetaFile) to
+ * the asset items of one folder: `meta` is set on
+ * each item that has some, and manual tags are
+ * merged into `tags` (so counts and filters see them),
+ * mapped through the vocabulary of the rules.
+ */
+export function applyMeta(items, meta, rules = DEFAULT_RULES) {
+  const canonical = rules.vocabulary ? rules.vocabulary.canonical : (t) => t;
+  for (const it of items) {
+    const m = !it.isDir && meta[it.normalizeBase];
+    if (!m) continue;
+    it.meta = m;
+    it.tags = Array.from(new Set([...(it.tags || []), ...m.tags.map(canonical)]));
+  }
+  return items;
+}
+
+/**
+ * aggregateTags(items)
+ * ---------------------------------------------
+ * Counts in how many (non-directory) items each
+ * tag appears; "material/wood/oak" also counts for
+ * "material" and "material/wood". Sorted by count,
+ * then name.
+ *
+ * @returns {{name:string, count:number}[]}
+ */
+export function aggregateTags(items) {
+  const tagCount = new Map();
+  for (const it of items) {
+    if (it.isDir) continue;
+    const seen = new Set();
+    for (const tg of it.tags || []) {
+      const parts = tg.toLowerCase().split('/');
+      for (let i = 1; i <= parts.length; i++) {
+        const k = parts.slice(0, i).join('/');
+        if (seen.has(k)) continue;
+        seen.add(k);
+        tagCount.set(k, (tagCount.get(k) || 0) + 1);
+      }
+    }
+  }
+  return Array.from(tagCount.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * parseTagFilter(list, match)
+ * ---------------------------------------------
+ * ["wood", "stone", "-painted"], "any" → { include:
+ * ["wood", "stone"], exclude: ["painted"], any: true }
+ * (a leading "-" excludes a tag).
+ */
+export function parseTagFilter(list, match = 'all') {
+  const include = [];
+  const exclude = [];
+  for (const raw of list) {
+    const t = String(raw).trim();
+    if (t.startsWith('-')) {
+      if (t.length > 1) exclude.push(t.slice(1));
+    } else if (t) {
+      include.push(t);
+    }
+  }
+  return { include, exclude, any: match === 'any' };
+}
+
+/**
+ * matchesTagFilter(tags, filter)
+ * ---------------------------------------------
+ * Whether a tag list passes a filter of
+ * parseTagFilter: every included tag (any one of
+ * them with `any`) and none of the excluded ones,
+ * children counting as their parent (see hasTag).
+ */
+export function matchesTagFilter(tags, { include = [], exclude = [], any = false } = {}) {
+  if (exclude.some(t => hasTag(tags, t))) return false;
+  if (!include.length) return true;
+  return any ? include.some(t => hasTag(tags, t)) : include.every(t => hasTag(tags, t));
+}
+
+/**
+ * hasTag(tags, tag)
+ * ---------------------------------------------
+ * Whether a tag list contains `tag` or one of its
+ * children ("material/wood" → "material/wood/oak").
+ */
+export function hasTag(tags, tag) {
+  const t = normalizeToken(String(tag));
+  return (tags || []).some((own) => {
+    const o = normalizeToken(String(own));
+    return o === t || o.startsWith(`${t}/`);
+  });
+}
@@ -0,0 +1,34 @@
+// =============================================
+// Audit log of changes made through the API
+// ---------------------------------------------
+// One JSON object per line (append only):
+//   {"at":"2026-…Z","op":"rename","ip":"10.0.0.5",
+//    "path":"textures/oak_albedo.jpg","to":"…"}
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * createAuditLog({ file })
+ * ---------------------------------------------
+ * @param {{file: string}} opts - Log file (created if missing)
+ * @returns {{ write: (entry: object) => Promise<void> }}
+ *   write() never throws: a log that cannot be written
+ *   is reported, the operation itself already happened.
+ */
+export function createAuditLog({ file }) {
+  let queue = Promise.resolve(); // Lines are appended in order
+
+  function write(entry) {
+    const line = `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`;
+    queue = queue
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, line);
+      })
+      .catch(err => console.warn(`⚠️ Cannot write audit log ${file}: ${err.message}`));
+    return queue;
+  }
+
+  return { write };
+}
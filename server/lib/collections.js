@@ -0,0 +1,189 @@
+// =============================================
+// Named collections of asset groups (shared)
+// ---------------------------------------------
+// COLLECTIONS_FILE (JSON), written by the server:
+//   { "collections": [
+//       { "id": "3f9a1b2c0d", "name": "Shot 042",
+//         "createdBy": "alice", "createdAt": "…",
+//         "updatedAt": "…",
+//         "items": ["hdri/outdoor/sunset_4k.exr", …] } ] }
+//
+// Items are the paths (relative to ASSETS_ROOT) of
+// one file of each asset group, in display order.
+// They follow renames and moves made through the
+// API (relocate()); assets deleted or changed on
+// disk are kept and reported as missing.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+export class CollectionError extends Error {
+  /**
+   * @param {string} message
+   * @param {'INVALID'|'NOT_FOUND'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'CollectionError';
+    this.code = code;
+  }
+}
+
+const ID_RE = /^[0-9a-f]{10}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_ITEMS = 5000;
+
+function validName(name) {
+  const n = typeof name === 'string' ? name.trim() : '';
+  if (!n || n.length > MAX_NAME_LENGTH) {
+    throw new CollectionError(`Collection names need 1 to ${MAX_NAME_LENGTH} characters`, 'INVALID');
+  }
+  return n;
+}
+
+function pathList(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(p => typeof p !== 'string')) {
+    throw new CollectionError(`"${field}" must be an array of paths`, 'INVALID');
+  }
+  return value;
+}
+
+/**
+ * createCollections({ file })
+ * ---------------------------------------------
+ * @param {{file: string}} opts
+ * @returns {{
+ *   load: () => Promise<void>,
+ *   list: () => object[],
+ *   get: (id: string) => object,
+ *   create: (c: {name: string, by: string|null, items?: string[]}) => Promise<object>,
+ *   update: (id: string, change: {name?: string, add?: string[], remove?: string[], order?: string[]}) => Promise<object>,
+ *   remove: (id: string) => Promise<object>,
+ *   relocate: (from: string, to: string) => Promise<void>,
+ * }}
+ *   Collections are copies: changing a returned
+ *   object changes nothing.
+ */
+export function createCollections({ file }) {
+  let collections = [];
+  let queue = Promise.resolve(); // Writes happen in order
+
+  async function load() {
+    try {
+      const json = JSON.parse(await fs.readFile(file, 'utf8'));
+      collections = (Array.isArray(json?.collections) ? json.collections : [])
+        .filter(c => ID_RE.test(c?.id) && typeof c.name === 'string')
+        .map(c => ({ ...c, items: pathList(c.items, 'items') }));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`⚠️ Cannot read collections file ${file}: ${err.message}`);
+      collections = [];
+    }
+  }
+
+  // Temp file + rename: a crash never leaves half a file
+  function save() {
+    const data = JSON.stringify({ collections }, null, 2);
+    queue = queue.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, file);
+    });
+    return queue;
+  }
+
+  const copy = (c) => ({ ...c, items: [...c.items] });
+
+  function find(id) {
+    const c = ID_RE.test(String(id)) && collections.find(x => x.id === id);
+    if (!c) throw new CollectionError('No such collection', 'NOT_FOUND');
+    return c;
+  }
+
+  async function create({ name, by, items = [] }) {
+    const now = new Date().toISOString();
+    const c = {
+      id: crypto.randomBytes(5).toString('hex'),
+      name: validName(name),
+      createdBy: by ?? null,
+      createdAt: now,
+      updatedAt: now,
+      items: [...new Set(pathList(items, 'items'))].slice(0, MAX_ITEMS),
+    };
+    collections.push(c);
+    await save();
+    return copy(c);
+  }
+
+  /**
+   * update(id, change)
+   * ---------------------------------------------
+   * Applied in this order:
+   *  - name:   renames the collection
+   *  - remove: drops these paths
+   *  - add:    appends paths not in it yet
+   *  - order:  these paths first, in this order; the
+   *            others follow in their current order
+   *            (so a client may reorder what it shows)
+   *
+   * @throws {CollectionError}
+   */
+  async function update(id, { name, add, remove, order } = {}) {
+    const c = find(id);
+    const toRemove = new Set(pathList(remove, 'remove'));
+    const toAdd = pathList(add, 'add');
+    const first = pathList(order, 'order');
+    const nextName = name === undefined ? c.name : validName(name);
+
+    let items = c.items.filter(p => !toRemove.has(p));
+    for (const p of toAdd) if (!items.includes(p)) items.push(p);
+    if (items.length > MAX_ITEMS) throw new CollectionError(`Collections hold at most ${MAX_ITEMS} assets`, 'INVALID');
+    if (first.length) {
+      const ordered = [...new Set(first)].filter(p => items.includes(p));
+      items = [...ordered, ...items.filter(p => !ordered.includes(p))];
+    }
+
+    c.name = nextName;
+    c.items = items;
+    c.updatedAt = new Date().toISOString();
+    await save();
+    return copy(c);
+  }
+
+  async function remove(id) {
+    const c = find(id);
+    collections = collections.filter(x => x !== c);
+    await save();
+    return copy(c);
+  }
+
+  /**
+   * relocate(from, to)
+   * ---------------------------------------------
+   * A file or folder was renamed / moved: items at
+   * `from` or below it now live under `to`.
+   */
+  async function relocate(from, to) {
+    let changed = false;
+    for (const c of collections) {
+      c.items = c.items.map((p) => {
+        if (p === from) { changed = true; return to; }
+        if (p.startsWith(`${from}/`)) { changed = true; return to + p.slice(from.length); }
+        return p;
+      });
+    }
+    if (changed) await save();
+  }
+
+  return {
+    load,
+    list: () => collections.map(copy),
+    get: (id) => copy(find(id)),
+    create,
+    update,
+    remove,
+    relocate,
+  };
+}
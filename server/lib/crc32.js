@@ -0,0 +1,30 @@
+// =============================================
+// CRC-32 (IEEE 802.3, as used by PNG and ZIP)
+// ---------------------------------------------
+// Uses zlib.crc32 when Node provides it (20.15+,
+// much faster on multi-GB ZIP downloads), else a
+// table-driven version.
+// =============================================
+import zlib from 'zlib';
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  TABLE[n] = c >>> 0;
+}
+
+/**
+ * crc32(buf, prev)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Bytes to checksum
+ * @param {number} [prev=0] - CRC of the preceding bytes,
+ *   to checksum a stream chunk by chunk
+ * @returns {number} unsigned 32-bit CRC
+ */
+export function crc32(buf, prev = 0) {
+  if (zlib.crc32) return zlib.crc32(buf, prev);
+  let c = (prev ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buf.length; i++) c = TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
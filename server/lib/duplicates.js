@@ -0,0 +1,315 @@
+// =============================================
+// Duplicate and near-duplicate detection
+// ---------------------------------------------
+// A background scan over every file of the library:
+//  - exact copies: files of the same size are
+//    compared by a SHA-256 of their first 64 KB,
+//    then of their whole content (files with a
+//    unique size are never read)
+//  - look-alikes: images get a perceptual hash
+//    (images/phash.js, in the image workers); hashes
+//    at most `nearDistance` bits apart are linked
+//
+// Results are cached per file (size + mtime) in a
+// JSON file, so rescans only read new or changed
+// files; a file renamed or moved keeps its hashes.
+// Variants of one asset (same folder, same name
+// once resolutions / versions are stripped, e.g.
+// oak_2k.jpg / oak_4k.jpg) are not look-alikes.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import { baseOf, extOf, normalizeBase } from './assets.js';
+import { PHASH_EXT, hammingDistance } from './images/phash.js';
+
+// Bump when the cache format changes (old files are ignored)
+const CACHE_VERSION = 1;
+
+// Bytes hashed first to tell same-size files apart cheaply
+const HEAD_BYTES = 64 * 1024;
+
+// Save progress every so often during long scans
+const SAVE_EVERY_MS = 60 * 1000;
+
+function hashFile(abs, bytes = Infinity) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(abs, Number.isFinite(bytes) ? { end: bytes - 1 } : {})
+      .on('error', reject)
+      .on('data', (d) => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Union-find over indexes 0..n-1
+function disjointSets(n) {
+  const parent = Int32Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  return { find, union: (a, b) => { parent[find(a)] = find(b); } };
+}
+
+// oak_4k.jpg and oak_2k.png in one folder: variants of one asset
+const variantKeyOf = (p) => `${path.posix.dirname(p)}\0${normalizeBase(baseOf(p))}`;
+
+/**
+ * createDuplicateFinder({ root, file, pool, listFiles, maxPixels, nearDistance })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string} opts.root - ASSETS_ROOT (absolute)
+ * @param {string} opts.file - Cache of per-file hashes (JSON)
+ * @param {{run: Function}} opts.pool - Image worker pool
+ * @param {() => Promise<{path: string, size: number, mtime: string}[]>} opts.listFiles
+ *   Every file of the library (relative paths)
+ * @param {number} [opts.maxPixels] - Larger images get no perceptual hash
+ * @param {number} [opts.nearDistance] - Max. differing bits of look-alikes
+ * @returns {{
+ *   start: (intervalMs: number) => void,
+ *   scan: () => Promise<void>,
+ *   status: () => object,
+ *   report: (accept?: (path: string) => boolean) => {exact: object[], near: object[]},
+ * }}
+ */
+export function createDuplicateFinder({ root, file, pool, listFiles, maxPixels, nearDistance = 6 }) {
+  // path → { size, mtime, head?, hash?, phash? } (phash null: not an image we can hash)
+  let cache = new Map();
+  let scannedAt = null;
+  let exact = [];  // [{ files: [path…] }]
+  let near = [];
+  let sizes = new Map(); // path → size, of the files in a group
+  let running = null;    // Promise of the scan in progress
+  let progress = null;   // { phase, done, total } while scanning
+
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data?.version !== CACHE_VERSION) return;
+      cache = new Map(Object.entries(data.files || {}));
+      scannedAt = data.scannedAt || null;
+      group([...cache].map(([p, e]) => ({ path: p, size: e.size, mtime: e.mtime })));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Duplicate cache not loaded:', err.message);
+    }
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    const files = {};
+    for (const [p, e] of cache) if (e.head || e.hash || e.phash !== undefined) files[p] = e;
+    await fs.writeFile(tmp, JSON.stringify({ version: CACHE_VERSION, scannedAt, files }));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Builds the exact / look-alike groups of `files`
+   * from the cached hashes.
+   */
+  function group(files) {
+    const nextSizes = new Map();
+
+    const byHash = new Map();
+    for (const f of files) {
+      const hash = cache.get(f.path)?.hash;
+      if (!hash) continue;
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(f.path);
+      nextSizes.set(f.path, f.size);
+    }
+    const nextExact = [...byHash.values()].filter(list => list.length > 1).map(list => ({ files: list.sort() }));
+
+    // Look-alikes: one node per distinct content
+    const nodes = [];
+    const nodeOfHash = new Map();
+    for (const f of files) {
+      const e = cache.get(f.path);
+      if (!e?.phash) continue;
+      nextSizes.set(f.path, f.size);
+      const same = e.hash && nodeOfHash.get(e.hash);
+      if (same) {
+        same.files.push(f.path);
+        continue;
+      }
+      const node = { phash: e.phash, files: [f.path] };
+      if (e.hash) nodeOfHash.set(e.hash, node);
+      nodes.push(node);
+    }
+
+    // Hashes within `nearDistance` bits share at least one of their
+    // 8 bytes (as long as nearDistance < 8): compare within buckets
+    const sets = disjointSets(nodes.length);
+    const buckets = new Map();
+    nodes.forEach((node, i) => {
+      for (let b = 0; b < 8; b++) {
+        const key = `${b}:${node.phash.slice(b * 2, b * 2 + 2)}`;
+        const list = buckets.get(key);
+        if (list) list.push(i);
+        else buckets.set(key, [i]);
+      }
+    });
+    const variantKeys = nodes.map(node => new Set(node.files.map(variantKeyOf)));
+    for (const list of buckets.values()) {
+      for (let a = 0; a < list.length; a++) {
+        for (let b = a + 1; b < list.length; b++) {
+          const i = list[a];
+          const j = list[b];
+          if (sets.find(i) === sets.find(j)) continue;
+          if (hammingDistance(nodes[i].phash, nodes[j].phash) > nearDistance) continue;
+          if ([...variantKeys[i]].some(k => variantKeys[j].has(k))) continue;
+          sets.union(i, j);
+        }
+      }
+    }
+    const components = new Map();
+    nodes.forEach((node, i) => {
+      const root = sets.find(i);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(node);
+    });
+    const nextNear = [...components.values()]
+      .filter(list => list.length > 1)
+      .map(list => ({ files: list.flatMap(n => n.files).sort() }));
+
+    exact = nextExact;
+    near = nextNear;
+    sizes = nextSizes;
+  }
+
+  /**
+   * Cached hashes of a file, if it did not change. A file
+   * renamed or moved (same name, size and mtime) keeps
+   * its hashes.
+   */
+  function cachedEntry(f, moved) {
+    const prev = cache.get(f.path) || moved.get(`${path.posix.basename(f.path)}\0${f.size}\0${f.mtime}`);
+    return prev && prev.size === f.size && prev.mtime === f.mtime ? prev : { size: f.size, mtime: f.mtime };
+  }
+
+  async function runScan() {
+    const started = Date.now();
+    progress = { phase: 'listing', done: 0, total: 0 };
+    const files = await listFiles();
+
+    const moved = new Map();
+    for (const [p, e] of cache) moved.set(`${path.posix.basename(p)}\0${e.size}\0${e.mtime}`, e);
+    const next = new Map(files.map(f => [f.path, cachedEntry(f, moved)]));
+    cache = next;
+
+    let savedAt = Date.now();
+    const step = async () => {
+      progress.done += 1;
+      if (Date.now() - savedAt > SAVE_EVERY_MS) {
+        savedAt = Date.now();
+        await save();
+      }
+    };
+    const safeHash = async (p, bytes) => {
+      try {
+        return await hashFile(path.join(root, p), bytes);
+      } catch {
+        return null; // Vanished or unreadable: retried next scan
+      }
+    };
+
+    // 1. Same size → same first bytes → same content
+    const bySize = new Map();
+    for (const f of files) {
+      if (!f.size) continue;
+      if (!bySize.has(f.size)) bySize.set(f.size, []);
+      bySize.get(f.size).push(f.path);
+    }
+    const candidates = [...bySize.values()].filter(list => list.length > 1);
+    progress = { phase: 'hashing', done: 0, total: candidates.reduce((n, list) => n + list.length, 0) };
+    for (const list of candidates) {
+      const byHead = new Map();
+      for (const p of list) {
+        const e = next.get(p);
+        if (!e.head) e.head = await safeHash(p, HEAD_BYTES);
+        if (e.head) {
+          if (!byHead.has(e.head)) byHead.set(e.head, []);
+          byHead.get(e.head).push(p);
+        }
+        await step();
+      }
+      for (const same of byHead.values()) {
+        if (same.length < 2) continue;
+        for (const p of same) {
+          const e = next.get(p);
+          if (!e.hash) e.hash = e.size <= HEAD_BYTES ? e.head : await safeHash(p);
+        }
+      }
+    }
+
+    // 2. Perceptual hashes of images (one at a time: previews
+    //    requested meanwhile are not kept waiting)
+    const images = files.filter(f => PHASH_EXT.has(extOf(f.path)) && next.get(f.path).phash === undefined);
+    progress = { phase: 'images', done: 0, total: images.length };
+    for (const f of images) {
+      try {
+        next.get(f.path).phash = await pool.run({ type: 'phash', src: path.join(root, f.path), ext: extOf(f.path), maxPixels });
+      } catch {
+        next.get(f.path).phash = null; // Not decodable: retried when the file changes
+      }
+      await step();
+    }
+
+    group(files);
+    scannedAt = new Date().toISOString();
+    await save();
+    console.log(`👯 Duplicates: ${exact.length} exact and ${near.length} look-alike groups in ${files.length} files (${Date.now() - started} ms)`);
+  }
+
+  /**
+   * scan()
+   * ---------------------------------------------
+   * Rescans the library (only new or changed files
+   * are read). A scan in progress is shared.
+   */
+  function scan() {
+    running ??= runScan()
+      .catch(err => console.error('❌ Duplicate scan failed:', err))
+      .finally(() => { running = null; progress = null; });
+    return running;
+  }
+
+  /**
+   * Loads the cache, scans, then rescans every
+   * `intervalMs` (0 = only when asked).
+   */
+  async function start(intervalMs) {
+    await load();
+    scan();
+    if (intervalMs > 0) setInterval(scan, intervalMs).unref();
+  }
+
+  const status = () => ({ scannedAt, scanning: Boolean(running), progress });
+
+  /**
+   * report(accept)
+   * ---------------------------------------------
+   * Groups of the last scan, biggest waste first.
+   * `accept` drops files the caller may not see;
+   * groups left with a single file are dropped.
+   *   wasted = bytes that could be freed: every copy
+   *   but one (exact), all but the largest file
+   *   (look-alikes)
+   */
+  function report(accept = null) {
+    const shape = (groups, exactCopies) => groups
+      .map(({ files }) => {
+        const list = (accept ? files.filter(accept) : files).map(p => ({ path: p, size: sizes.get(p) ?? 0 }));
+        const total = list.reduce((n, f) => n + f.size, 0);
+        const largest = Math.max(0, ...list.map(f => f.size));
+        return { files: list, wasted: exactCopies ? total - (list[0]?.size ?? 0) : total - largest };
+      })
+      .filter(g => g.files.length > 1)
+      .sort((a, b) => b.wasted - a.wasted || a.files[0].path.localeCompare(b.files[0].path));
+    return { exact: shape(exact, true), near: shape(near, false) };
+  }
+
+  return { start, scan, status, report };
+}
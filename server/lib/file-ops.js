@@ -0,0 +1,181 @@
+// =============================================
+// Renaming and moving assets and folders
+// ---------------------------------------------
+// An asset group is always handled as a whole: all
+// its variants are renamed / moved together so they
+// keep grouping after the operation
+//   oak_albedo_2k.jpg, oak_normal_gl_2k.jpg, …
+//   → rename "oak" to "walnut"
+//   → walnut_albedo_2k.jpg, walnut_normal_gl_2k.jpg, …
+//
+// Nothing is ever overwritten: a name that is taken
+// fails the whole operation (FileOpError 'CONFLICT').
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { isValidFileName } from './assets.js';
+
+/**
+ * Thrown for operations that cannot be done as
+ * asked. `code` is one of:
+ *  - 'INVALID':   bad name / target
+ *  - 'NOT_FOUND': source or destination missing
+ *  - 'CONFLICT':  a target name is taken
+ */
+export class FileOpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FileOpError';
+    this.code = code;
+  }
+}
+
+// Characters that end a name token ("oak_albedo" → "oak")
+const SEPARATORS = /[_\-. ]/;
+
+const exists = (abs) => fs.lstat(abs).then(() => true, () => false);
+
+/**
+ * groupPrefixOf(names)
+ * ---------------------------------------------
+ * The part of the name all files of a group share,
+ * cut at a token boundary:
+ *   ["oak_albedo_2k.jpg", "oak_normal_2k.png"] → "oak"
+ *   ["oak_planks.exr", "oak_planks_preview.jpg"] → "oak_planks"
+ *   ["rock.hdr"] → "rock"
+ * Empty when the names have nothing in common.
+ */
+export function groupPrefixOf(names) {
+  if (names.length === 1) return path.basename(names[0], path.extname(names[0]));
+
+  let prefix = names[0];
+  for (const n of names) {
+    let i = 0;
+    while (i < prefix.length && i < n.length && prefix[i] === n[i]) i++;
+    prefix = prefix.slice(0, i);
+  }
+  // Back to a boundary every name agrees on
+  const atBoundary = (len) => names.every(n => len === n.length || SEPARATORS.test(n[len]));
+  let len = prefix.length;
+  while (len > 0 && !atBoundary(len)) len--;
+  return prefix.slice(0, len).replace(/[_\-. ]+$/, '');
+}
+
+/**
+ * Renames every [from, to] pair (absolute paths). If
+ * one fails, the ones already done are put back.
+ */
+async function renameAll(pairs) {
+  const done = [];
+  try {
+    for (const [from, to] of pairs) {
+      await fs.rename(from, to);
+      done.push([from, to]);
+    }
+  } catch (err) {
+    for (const [from, to] of done.reverse()) {
+      await fs.rename(to, from).catch(() => {});
+    }
+    if (err.code === 'ENOENT') throw new FileOpError('A file vanished during the operation', 'NOT_FOUND');
+    throw err;
+  }
+}
+
+/**
+ * Fails unless none of the targets exists. A target
+ * equal to its source apart from letter case is not
+ * a conflict (case-insensitive shares).
+ */
+async function assertFree(pairs) {
+  for (const [from, to] of pairs) {
+    if (from.toLowerCase() === to.toLowerCase()) continue;
+    if (await exists(to)) throw new FileOpError(`"${path.basename(to)}" already exists`, 'CONFLICT');
+  }
+}
+
+/**
+ * renameGroup(dirAbs, names, newBase)
+ * ---------------------------------------------
+ * Replaces the shared prefix of the group's files
+ * (see groupPrefixOf) with `newBase`.
+ *
+ * @returns {Promise<{from: string, to: string}[]>} file names
+ * @throws {FileOpError}
+ */
+export async function renameGroup(dirAbs, names, newBase) {
+  const prefix = groupPrefixOf(names);
+  if (!prefix) throw new FileOpError('The files of this asset share no common name', 'INVALID');
+
+  const renames = names.map(n => ({ from: n, to: newBase + n.slice(prefix.length) }));
+  if (!renames.every(r => isValidFileName(r.to))) throw new FileOpError('Invalid name', 'INVALID');
+
+  const pairs = renames
+    .filter(r => r.from !== r.to)
+    .map(r => [path.join(dirAbs, r.from), path.join(dirAbs, r.to)]);
+  await assertFree(pairs);
+  await renameAll(pairs);
+  return renames;
+}
+
+/**
+ * moveGroup(dirAbs, names, toAbs)
+ * ---------------------------------------------
+ * Moves the group's files (same names) into the
+ * existing folder `toAbs`.
+ *
+ * @throws {FileOpError}
+ */
+export async function moveGroup(dirAbs, names, toAbs) {
+  await assertDir(toAbs);
+  if (path.resolve(dirAbs) === path.resolve(toAbs)) return;
+  const pairs = names.map(n => [path.join(dirAbs, n), path.join(toAbs, n)]);
+  await assertFree(pairs);
+  await renameAll(pairs);
+}
+
+async function assertDir(abs) {
+  try {
+    if ((await fs.stat(abs)).isDirectory()) return;
+  } catch {
+    // Reported below
+  }
+  throw new FileOpError('Destination folder not found', 'NOT_FOUND');
+}
+
+/**
+ * moveFolder(fromAbs, toAbs)
+ * ---------------------------------------------
+ * Renames or moves a folder (with its content);
+ * `toAbs` is its new path. The parent of `toAbs`
+ * must exist.
+ *
+ * @throws {FileOpError}
+ */
+export async function moveFolder(fromAbs, toAbs) {
+  if (!isValidFileName(path.basename(toAbs))) throw new FileOpError('Invalid name', 'INVALID');
+  const rel = path.relative(fromAbs, toAbs);
+  if (rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+    throw new FileOpError('Cannot move a folder into itself', 'INVALID');
+  }
+  await assertDir(path.dirname(toAbs));
+  await assertFree([[fromAbs, toAbs]]);
+  await renameAll([[fromAbs, toAbs]]);
+}
+
+/**
+ * makeFolder(abs)
+ * ---------------------------------------------
+ * Creates one folder; its parent must exist.
+ *
+ * @throws {FileOpError}
+ */
+export async function makeFolder(abs) {
+  if (!isValidFileName(path.basename(abs))) throw new FileOpError('Invalid name', 'INVALID');
+  await assertDir(path.dirname(abs));
+  try {
+    await fs.mkdir(abs);
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new FileOpError(`"${path.basename(abs)}" already exists`, 'CONFLICT');
+    throw err;
+  }
+}
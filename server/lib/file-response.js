@@ -0,0 +1,192 @@
+// =============================================
+// Raw file responses with HTTP caching and ranges
+// ---------------------------------------------
+// - ETag / Last-Modified from the file size + mtime
+// - Conditional requests (If-None-Match, If-Modified-
+//   Since, If-Match, If-Unmodified-Since) → 304 / 412
+// - Range requests: single range → 206, several
+//   ranges → 206 multipart/byteranges, none that fit
+//   the file → 416; If-Range falls back to 200
+// =============================================
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+
+// Above this many ranges the header is ignored (full 200 response)
+const MAX_RANGES = 64;
+
+/**
+ * etagOf(stat)
+ * ---------------------------------------------
+ * Validator derived from size + mtime: it changes
+ * whenever the file is rewritten on the share.
+ */
+export function etagOf(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// HTTP dates have a 1 s resolution
+const secondsOf = (date) => Math.floor(date.getTime() / 1000);
+
+// "a", W/"b", * → list of opaque tags (weak prefix dropped)
+function parseEtagList(header) {
+  return header.split(',').map(t => t.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+/**
+ * parseRange(header, size)
+ * ---------------------------------------------
+ * Parses a "bytes=..." Range header.
+ *
+ * @returns {null | 'unsatisfiable' | {start:number, end:number}[]}
+ *   null when the header is absent, malformed or not
+ *   worth honouring (ignored → full response); ranges
+ *   are sorted and overlapping ones coalesced.
+ */
+export function parseRange(header, size) {
+  const m = /^bytes=(.+)$/i.exec(String(header || '').trim());
+  if (!m) return null;
+  const specs = m[1].split(',').map(s => s.trim()).filter(Boolean);
+  if (!specs.length || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const r = /^(\d*)-(\d*)$/.exec(spec);
+    if (!r || (r[1] === '' && r[2] === '')) return null;
+    let start, end;
+    if (r[1] === '') { // suffix: last N bytes
+      const n = Number(r[2]);
+      if (n === 0) continue;
+      start = Math.max(0, size - n);
+      end = size - 1;
+    } else {
+      start = Number(r[1]);
+      end = r[2] === '' ? size - 1 : Math.min(Number(r[2]), size - 1);
+      if (r[2] !== '' && Number(r[2]) < start) return null;
+    }
+    if (start >= size) continue; // this part does not fit
+    ranges.push({ start, end });
+  }
+  if (!ranges.length) return 'unsatisfiable';
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const r of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+    else merged.push(r);
+  }
+  return merged;
+}
+
+/**
+ * Evaluates the conditional headers against the
+ * validators (RFC 9110 §13.2.2 order).
+ * Returns 304, 412 or 0 (proceed).
+ */
+function checkPreconditions(req, etag, lastModified) {
+  const h = req.headers;
+  const isGet = req.method === 'GET' || req.method === 'HEAD';
+
+  if (h['if-match']) {
+    const tags = parseEtagList(h['if-match']);
+    if (!tags.includes('*') && !tags.includes(etag)) return 412;
+  } else if (h['if-unmodified-since']) {
+    const since = Date.parse(h['if-unmodified-since']);
+    if (!Number.isNaN(since) && secondsOf(lastModified) > since / 1000) return 412;
+  }
+
+  if (h['if-none-match']) {
+    const tags = parseEtagList(h['if-none-match']);
+    if (tags.includes('*') || tags.includes(etag)) return isGet ? 304 : 412;
+  } else if (isGet && h['if-modified-since']) {
+    const since = Date.parse(h['if-modified-since']);
+    if (!Number.isNaN(since) && secondsOf(lastModified) <= since / 1000) return 304;
+  }
+  return 0;
+}
+
+// If-Range: the range only applies if the validator still matches
+function rangeStillValid(req, etag, lastModified) {
+  const v = req.headers['if-range'];
+  if (!v) return true;
+  if (v.trim().startsWith('"')) return v.trim() === etag;
+  const date = Date.parse(v);
+  return !Number.isNaN(date) && secondsOf(lastModified) === date / 1000;
+}
+
+/**
+ * sendFileResponse(req, res, abs, stat, opts)
+ * ---------------------------------------------
+ * Streams `abs` with validators, conditional GET
+ * and byte-range support. Works for HEAD as well.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} abs - Absolute path of a regular file
+ * @param {import('fs').Stats} stat
+ * @param {{type: string, cacheControl?: string}} opts
+ */
+export async function sendFileResponse(req, res, abs, stat, { type, cacheControl = 'no-cache' }) {
+  const etag = etagOf(stat);
+  const lastModified = stat.mtime;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', cacheControl);
+
+  const status = checkPreconditions(req, etag, lastModified);
+  if (status) return res.status(status).end();
+
+  const size = stat.size;
+  const ranges = rangeStillValid(req, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+
+  if (ranges === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  // Whole file
+  if (!ranges) {
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Length', size);
+    if (req.method === 'HEAD') return res.end();
+    return pipeline(createReadStream(abs), res);
+  }
+
+  res.status(206);
+
+  // Single range
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+    if (req.method === 'HEAD') return res.end();
+    return pipeline(createReadStream(abs, { start, end }), res);
+  }
+
+  // Several ranges: multipart/byteranges, Content-Length computed upfront
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: `--${boundary}\r\nContent-Type: ${type}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+  }));
+  const tail = `--${boundary}--\r\n`;
+  const length = parts.reduce((n, p) => n + Buffer.byteLength(p.head) + (p.end - p.start + 1) + 2, 0)
+    + Buffer.byteLength(tail);
+
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+  if (req.method === 'HEAD') return res.end();
+
+  for (const p of parts) {
+    if (res.destroyed) return;
+    res.write(p.head);
+    await pipeline(createReadStream(abs, { start: p.start, end: p.end }), res, { end: false });
+    res.write('\r\n');
+  }
+  res.end(tail);
+}
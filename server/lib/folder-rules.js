@@ -0,0 +1,260 @@
+// =============================================
+// Per-folder naming rules (.assetlib.json)
+// ---------------------------------------------
+// A vendor pack with its own naming convention can
+// ship a RULES_FILE in any folder; it applies to
+// that folder and every subfolder, on top of the
+// rules of the parent folders:
+//
+//   { "inherit": true,
+//     "stopwords":     { "add": ["pbr"], "remove": ["map"] },
+//     "previewWords":  ["swatch"],
+//     "ignoredTokens": { "add": ["_sbsar"] },
+//     "groupPatterns": { "replace": ["_(?:albedo|normal)$"] } }
+//
+// Each list takes an array (shorthand for "add") or
+// { add, remove, replace }; "inherit": false starts
+// again from the built-in rules.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { RULES_FILE, DEFAULT_RULE_SPEC, DEFAULT_RULES, compileRules } from './assets.js';
+
+const LIST_KEYS = ['stopwords', 'previewWords', 'ignoredTokens', 'groupPatterns'];
+const MAX_ENTRIES = 500;
+// Folders whose rules file is cached at most (all of them
+// is cleared beyond that)
+const MAX_CACHED_DIRS = 50000;
+
+const isDir = (abs) => fs.stat(abs).then(s => s.isDirectory(), () => false);
+
+/**
+ * Validates one list operation of a rules file
+ * (array = { add }). Patterns are compiled once so a
+ * bad regex is reported with the file it comes from.
+ */
+function normalizeOp(key, value) {
+  const op = Array.isArray(value) ? { add: value } : value;
+  if (!op || typeof op !== 'object') {
+    throw new Error(`"${key}" must be an array or { add, remove, replace }`);
+  }
+  const out = {};
+  for (const part of ['add', 'remove', 'replace']) {
+    if (op[part] === undefined) continue;
+    const list = op[part];
+    if (!Array.isArray(list) || list.some(v => typeof v !== 'string' || !v)) {
+      throw new Error(`"${key}.${part}" must be an array of non-empty strings`);
+    }
+    if (list.length > MAX_ENTRIES) throw new Error(`"${key}.${part}" has more than ${MAX_ENTRIES} entries`);
+    if (key === 'groupPatterns' && part !== 'remove') {
+      for (const src of list) {
+        try {
+          new RegExp(src, 'ig');
+        } catch (err) {
+          throw new Error(`"${key}": ${err.message}`);
+        }
+      }
+    }
+    out[part] = key === 'stopwords' ? list.map(w => w.toLowerCase()) : list;
+  }
+  return out;
+}
+
+/**
+ * readRulesFile(dirAbs)
+ * ---------------------------------------------
+ * Reads and validates the rules file of one folder.
+ * Missing files give null; invalid ones are reported
+ * and ignored (null as well), so a typo never breaks
+ * the listing.
+ *
+ * @returns {Promise<null | {inherit: boolean, stopwords?: object,
+ *   previewWords?: object, ignoredTokens?: object, groupPatterns?: object}>}
+ */
+export async function readRulesFile(dirAbs) {
+  const file = path.join(dirAbs, RULES_FILE);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️ Cannot read ${file}: ${err.message}`);
+    return null;
+  }
+  try {
+    const json = JSON.parse(raw);
+    if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('expected a JSON object');
+    const config = { inherit: json.inherit !== false };
+    for (const key of LIST_KEYS) {
+      if (json[key] !== undefined) config[key] = normalizeOp(key, json[key]);
+    }
+    return config;
+  } catch (err) {
+    console.warn(`⚠️ Ignoring ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Applies one folder config on top of a spec
+ * (replace, then remove, then add).
+ */
+function applyConfig(spec, config) {
+  const base = config.inherit ? spec : DEFAULT_RULE_SPEC;
+  const next = {};
+  for (const key of LIST_KEYS) {
+    const op = config[key];
+    let list = op?.replace ?? base[key];
+    if (op?.remove) list = list.filter(v => !op.remove.includes(v));
+    if (op?.add) list = [...list, ...op.add.filter(v => !list.includes(v))];
+    next[key] = list;
+  }
+  return next;
+}
+
+// Compiled rules by spec (folders sharing a chain share the regexes)
+const compiled = new Map();
+
+// Tag vocabulary applied to every folder (see vocabulary.js)
+let vocabulary = null;
+
+/**
+ * setVocabulary(vocabulary)
+ * ---------------------------------------------
+ * Sets the compiled tag vocabulary used by the
+ * rules of every folder (null: none). Listings and
+ * the search index must be rebuilt afterwards.
+ */
+export function setVocabulary(next) {
+  vocabulary = next;
+  compiled.clear();
+}
+
+/**
+ * resolveRules(configs)
+ * ---------------------------------------------
+ * Effective rules for a folder, given the configs
+ * of the root, each ancestor and the folder itself
+ * (in that order; null entries are skipped).
+ *
+ * @returns {object} compiled rules (see compileRules)
+ */
+export function resolveRules(configs) {
+  const chain = configs.filter(Boolean);
+  if (!chain.length && !vocabulary) return DEFAULT_RULES;
+  const spec = chain.reduce(applyConfig, DEFAULT_RULE_SPEC);
+  const key = JSON.stringify(spec);
+  let rules = compiled.get(key);
+  if (!rules) {
+    rules = compileRules(spec, vocabulary);
+    if (compiled.size > 200) compiled.clear();
+    compiled.set(key, rules);
+  }
+  return rules;
+}
+
+// '' → ['']; 'a/b' → ['', 'a', 'a/b']
+export function ancestorsOf(rel) {
+  const parts = rel ? rel.split('/') : [];
+  return ['', ...parts.map((_, i) => parts.slice(0, i + 1).join('/'))];
+}
+
+/**
+ * createFolderRules({ root, enabled })
+ * ---------------------------------------------
+ * Resolves the rules of a folder from the rules
+ * files of its ancestors. Parsed files are cached
+ * until the watcher reports a change (no caching
+ * while `enabled()` is false); folders that do not
+ * exist (made-up paths asked for) are not kept.
+ *
+ * @param {object} opts
+ * @param {string} opts.root - ASSETS_ROOT (absolute)
+ * @param {() => boolean} [opts.enabled]
+ * @returns {{
+ *   rulesFor: (rel: string) => Promise<object>,
+ *   sourcesOf: (rel: string) => Promise<string[]>,
+ *   invalidate: (change: {paths?: string[], all?: boolean}) => void,
+ * }}
+ */
+export function createFolderRules({ root, enabled = () => true }) {
+  // rel dir → Promise<config | null>
+  const files = new Map();
+
+  function configOf(rel) {
+    if (!enabled()) {
+      files.clear();
+      return readRulesFile(path.join(root, rel));
+    }
+    let p = files.get(rel);
+    if (!p) {
+      const dirAbs = path.join(root, rel);
+      p = readRulesFile(dirAbs);
+      if (files.size >= MAX_CACHED_DIRS) files.clear();
+      files.set(rel, p);
+      p.then(async (config) => {
+        if (!config && files.get(rel) === p && !(await isDir(dirAbs))) files.delete(rel);
+      });
+    }
+    return p;
+  }
+
+  const configsOf = (rel) => Promise.all(ancestorsOf(rel).map(configOf));
+
+  const rulesFor = async (rel) => resolveRules(await configsOf(rel));
+
+  /**
+   * Folders (relative paths) whose rules file takes
+   * part in the rules of `rel`, root first. A file
+   * with "inherit": false hides the ones above it.
+   */
+  async function sourcesOf(rel) {
+    const dirs = ancestorsOf(rel);
+    const configs = await configsOf(rel);
+    let out = [];
+    configs.forEach((c, i) => {
+      if (!c) return;
+      if (!c.inherit) out = [];
+      out.push(path.posix.join(dirs[i], RULES_FILE));
+    });
+    return out;
+  }
+
+  /**
+   * Drops cached files touched by a change: a rules
+   * file itself, or a folder that was renamed/removed
+   * (its subtree goes along).
+   */
+  function invalidate({ paths = [], all = false } = {}) {
+    if (all) {
+      files.clear();
+      return;
+    }
+    for (const p of paths) {
+      if (path.posix.basename(p) === RULES_FILE) {
+        const dir = path.posix.dirname(p);
+        files.delete(dir === '.' ? '' : dir);
+        continue;
+      }
+      for (const key of files.keys()) {
+        if (key === p || key.startsWith(`${p}/`)) files.delete(key);
+      }
+    }
+  }
+
+  return { rulesFor, sourcesOf, invalidate };
+}
+
+/**
+ * rulesFileDirs(paths)
+ * ---------------------------------------------
+ * Folders whose rules file appears among changed
+ * paths (as reported by the watcher).
+ */
+export function rulesFileDirs(paths) {
+  return paths
+    .filter(p => path.posix.basename(p) === RULES_FILE)
+    .map(p => {
+      const dir = path.posix.dirname(p);
+      return dir === '.' ? '' : dir;
+    });
+}
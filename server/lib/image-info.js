@@ -0,0 +1,81 @@
+// =============================================
+// Cache of image header information
+// ---------------------------------------------
+// Width, height, channels, bit depth and colour
+// space of image files (see images/headers.js),
+// kept per file path with the size and mtime it
+// was read at, and saved to a JSON file so that
+// restarts do not read every header again.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { IMAGE_INFO_EXT, readImageInfo } from './images/headers.js';
+
+// Bump when the cached fields change (old files are ignored)
+const CACHE_VERSION = 1;
+
+// Changes are written at most this often
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * createImageInfoCache({ root, file })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string} opts.root - ASSETS_ROOT (absolute)
+ * @param {string} opts.file - Where the cache is saved (JSON)
+ * @returns {{
+ *   load: () => Promise<void>,
+ *   get: (rel: string, file: {size: number, mtime: Date|string}) => Promise<object|null>,
+ * }}
+ *   get() resolves null for files that are not
+ *   images with a readable header.
+ */
+export function createImageInfoCache({ root, file }) {
+  // rel → { size, mtime, info }
+  let entries = new Map();
+  let saveTimer = null;
+
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data?.version === CACHE_VERSION) entries = new Map(Object.entries(data.files || {}));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Image info cache not loaded:', err.message);
+    }
+  }
+
+  async function save() {
+    saveTimer = null;
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ version: CACHE_VERSION, files: Object.fromEntries(entries) }));
+      await fs.rename(tmp, file);
+    } catch (err) {
+      console.warn('⚠️ Image info cache not saved:', err.message);
+    }
+  }
+
+  function scheduleSave() {
+    saveTimer ??= setTimeout(save, SAVE_DELAY_MS);
+  }
+
+  async function get(rel, { size, mtime }) {
+    if (!IMAGE_INFO_EXT.has(path.extname(rel).toLowerCase())) return null;
+    const mtimeMs = new Date(mtime).getTime();
+    const cached = entries.get(rel);
+    if (cached && cached.size === size && cached.mtime === mtimeMs) return cached.info;
+
+    let info = null;
+    try {
+      info = await readImageInfo(path.join(root, rel), path.extname(rel).toLowerCase());
+    } catch {
+      return null; // Vanished or unreadable: not cached, tried again next time
+    }
+    entries.set(rel, { size, mtime: mtimeMs, info });
+    scheduleSave();
+    return info;
+  }
+
+  return { load, get };
+}
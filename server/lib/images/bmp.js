@@ -0,0 +1,141 @@
+// =============================================
+// BMP decoder
+// ---------------------------------------------
+// Supports uncompressed 1/4/8/16/24/32-bit files
+// (BI_RGB and BI_BITFIELDS), RLE8/RLE4, bottom-up
+// and top-down rows.
+// =============================================
+import { UnsupportedImageError, checkPixels, maskReader } from './common.js';
+
+/**
+ * Expand RLE8/RLE4 data into one palette index per pixel
+ * (rows in file order, i.e. bottom-up).
+ */
+function decodeRle(src, width, height, bits) {
+  const idx = new Uint8Array(width * height);
+  let x = 0, y = 0, p = 0;
+  while (p + 1 < src.length && y < height) {
+    const n = src[p++], v = src[p++];
+    if (n > 0) {
+      for (let i = 0; i < n && x < width; i++, x++) {
+        idx[y * width + x] = bits === 8 ? v : (i & 1 ? v & 0xF : v >> 4);
+      }
+    } else if (v === 0) { x = 0; y++; }          // end of line
+    else if (v === 1) break;                     // end of bitmap
+    else if (v === 2) { x += src[p++]; y += src[p++]; } // delta
+    else {                                        // absolute run of v pixels
+      for (let i = 0; i < v; i++) {
+        const b = bits === 8 ? src[p + i] : src[p + (i >> 1)];
+        const val = bits === 8 ? b : (i & 1 ? b & 0xF : b >> 4);
+        if (x < width) idx[y * width + x++] = val;
+      }
+      const used = bits === 8 ? v : (v + 1) >> 1;
+      p += used + (used & 1); // runs are word aligned
+    }
+  }
+  return idx;
+}
+
+/**
+ * decodeBmp(buf)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {{width:number, height:number, data:Uint8Array}} RGBA8
+ */
+export function decodeBmp(buf, { maxPixels } = {}) {
+  if (buf[0] !== 0x42 || buf[1] !== 0x4D) throw new Error('Not a BMP file');
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const dataOffset = dv.getUint32(10, true);
+  const headerSize = dv.getUint32(14, true);
+
+  let width, height, bits, compression = 0, colors = 0;
+  if (headerSize === 12) { // OS/2 BITMAPCOREHEADER
+    width = dv.getUint16(18, true);
+    height = dv.getInt16(20, true);
+    bits = dv.getUint16(24, true);
+  } else {
+    width = dv.getInt32(18, true);
+    height = dv.getInt32(22, true);
+    bits = dv.getUint16(28, true);
+    compression = dv.getUint32(30, true);
+    colors = dv.getUint32(46, true);
+  }
+  const topDown = height < 0;
+  height = Math.abs(height);
+  checkPixels(width, height, maxPixels);
+
+  // Bit masks (BI_BITFIELDS: after the 40-byte header or inside V4/V5 headers)
+  let masks = bits === 16
+    ? [0x7C00, 0x03E0, 0x001F, 0]
+    : [0x00FF0000, 0x0000FF00, 0x000000FF, bits === 32 ? 0xFF000000 : 0];
+  if (compression === 3 || compression === 6) {
+    const at = 14 + 40;
+    masks = [dv.getUint32(at, true), dv.getUint32(at + 4, true), dv.getUint32(at + 8, true),
+      headerSize >= 56 || compression === 6 ? dv.getUint32(at + 12, true) : 0];
+  } else if (compression !== 0 && compression !== 1 && compression !== 2) {
+    throw new UnsupportedImageError(`BMP compression ${compression} is not supported`);
+  }
+
+  // Palette (BGR0 entries, BGR for OS/2)
+  const palette = [];
+  if (bits <= 8) {
+    const entry = headerSize === 12 ? 3 : 4;
+    const n = colors || 1 << bits;
+    const at = 14 + headerSize;
+    for (let i = 0; i < n; i++) {
+      const p = at + i * entry;
+      palette.push([buf[p + 2], buf[p + 1], buf[p]]);
+    }
+  }
+
+  const out = new Uint8Array(width * height * 4);
+  const put = (x, fileRow, r, g, b, a = 255) => {
+    const y = topDown ? fileRow : height - 1 - fileRow;
+    const o = (y * width + x) * 4;
+    out[o] = r; out[o + 1] = g; out[o + 2] = b; out[o + 3] = a;
+  };
+
+  if (compression === 1 || compression === 2) {
+    const idx = decodeRle(buf.subarray(dataOffset), width, height, compression === 1 ? 8 : 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const c = palette[idx[y * width + x]] || [0, 0, 0];
+        put(x, y, c[0], c[1], c[2]);
+      }
+    }
+    return { width, height, data: out };
+  }
+
+  const stride = Math.ceil((width * bits) / 32) * 4;
+  if (dataOffset + stride * height > buf.length) throw new Error('Truncated BMP data');
+  const [rm, gm, bm, am] = masks.map(maskReader);
+  // 32-bit files often leave the alpha byte at 0: treat all-zero alpha as opaque
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + y * stride;
+    for (let x = 0; x < width; x++) {
+      if (bits <= 8) {
+        const bit = x * bits;
+        const v = (buf[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+        const c = palette[v] || [0, 0, 0];
+        put(x, y, c[0], c[1], c[2]);
+      } else if (bits === 24) {
+        const p = row + x * 3;
+        put(x, y, buf[p + 2], buf[p + 1], buf[p]);
+      } else if (bits === 16 || bits === 32) {
+        const v = bits === 16 ? dv.getUint16(row + x * 2, true) : dv.getUint32(row + x * 4, true);
+        const a = am ? am(v) : 255;
+        if (am && a) hasAlpha = true;
+        put(x, y, rm(v), gm(v), bm(v), a);
+      } else {
+        throw new UnsupportedImageError(`BMP ${bits}-bit pixels are not supported`);
+      }
+    }
+  }
+  if (am && !hasAlpha) {
+    for (let i = 3; i < out.length; i += 4) out[i] = 255;
+  }
+  return { width, height, data: out };
+}
@@ -0,0 +1,75 @@
+// =============================================
+// Shared helpers for the image decoders
+// =============================================
+
+/**
+ * Thrown when a file is valid but uses a variant
+ * (compression, pixel format, …) we cannot decode.
+ * Routes answer 415 for these instead of 500.
+ */
+export class UnsupportedImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedImageError';
+  }
+}
+
+/**
+ * checkPixels(width, height, maxPixels)
+ * ---------------------------------------------
+ * Refuses images whose decoded RGBA buffer would
+ * be unreasonably large (4 bytes per pixel).
+ */
+export function checkPixels(width, height, maxPixels = Infinity) {
+  if (width * height > maxPixels) {
+    throw new UnsupportedImageError(`Image too large to preview (${width}×${height})`);
+  }
+}
+
+/**
+ * halfToFloat(h)
+ * ---------------------------------------------
+ * IEEE 754 half (16-bit) → JS number.
+ */
+export function halfToFloat(h) {
+  const s = h & 0x8000 ? -1 : 1;
+  const e = (h >> 10) & 0x1F;
+  const m = h & 0x3FF;
+  if (e === 0) return s * m * 2 ** -24;
+  if (e === 31) return m ? NaN : s * Infinity;
+  return s * (1 + m / 1024) * 2 ** (e - 15);
+}
+
+// linear → sRGB lookup (4096 steps over 0..1 is plenty for 8-bit output)
+const SRGB_LUT = new Uint8Array(4097);
+for (let i = 0; i <= 4096; i++) {
+  const v = i / 4096;
+  const s = v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055;
+  SRGB_LUT[i] = Math.round(s * 255);
+}
+
+/**
+ * linearToSrgb8(v)
+ * ---------------------------------------------
+ * Scene-linear value (clamped to 0..1) → 8-bit sRGB.
+ */
+export function linearToSrgb8(v) {
+  if (!(v > 0)) return 0; // also catches NaN
+  if (v >= 1) return 255;
+  return SRGB_LUT[Math.round(v * 4096)];
+}
+
+/**
+ * maskReader(mask)
+ * ---------------------------------------------
+ * For bit-mask pixel formats (BMP, DDS): returns a
+ * function extracting that channel from a packed
+ * pixel, scaled to 0..255 (null if mask is 0).
+ */
+export function maskReader(mask) {
+  if (!mask) return null;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return (v) => Math.round((((v & mask) >>> shift) / max) * 255);
+}
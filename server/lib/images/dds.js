@@ -0,0 +1,276 @@
+// =============================================
+// DDS decoder (top mip level of the first surface)
+// ---------------------------------------------
+// Supports:
+//  - BC1 (DXT1), BC2 (DXT2/3), BC3 (DXT4/5)
+//  - BC4 (ATI1) and BC5 (ATI2, shown as a normal map)
+//  - Uncompressed RGB(A)/luminance with bit masks
+//  - RGBA16F / RGBA32F (tone mapped to sRGB)
+//  - The same formats through the DX10 header
+//
+// Not supported: BC6H and BC7 (they throw
+// UnsupportedImageError). Cube maps, arrays and
+// volumes only show their first face/slice.
+// =============================================
+import { UnsupportedImageError, checkPixels, halfToFloat, linearToSrgb8, maskReader } from './common.js';
+
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
+
+const fourCC = (s) => s.charCodeAt(0) | (s.charCodeAt(1) << 8) | (s.charCodeAt(2) << 16) | (s.charCodeAt(3) << 24);
+
+// Legacy FourCC codes → internal format names
+const FOURCC_FORMATS = new Map([
+  [fourCC('DXT1'), 'bc1'],
+  [fourCC('DXT2'), 'bc2'],
+  [fourCC('DXT3'), 'bc2'],
+  [fourCC('DXT4'), 'bc3'],
+  [fourCC('DXT5'), 'bc3'],
+  [fourCC('ATI1'), 'bc4'],
+  [fourCC('BC4U'), 'bc4'],
+  [fourCC('ATI2'), 'bc5'],
+  [fourCC('BC5U'), 'bc5'],
+  [113, 'rgba16f'], // D3DFMT_A16B16G16R16F
+  [116, 'rgba32f'], // D3DFMT_A32B32G32R32F
+]);
+
+// DXGI_FORMAT values (DX10 header) → internal format names
+const DXGI_FORMATS = new Map([
+  [2, 'rgba32f'],
+  [10, 'rgba16f'],
+  [28, 'rgba8'], [29, 'rgba8'],
+  [87, 'bgra8'], [88, 'bgrx8'], [91, 'bgra8'], [93, 'bgrx8'],
+  [71, 'bc1'], [72, 'bc1'],
+  [74, 'bc2'], [75, 'bc2'],
+  [77, 'bc3'], [78, 'bc3'],
+  [80, 'bc4'],
+  [83, 'bc5'],
+]);
+const DXGI_UNSUPPORTED = new Map([
+  [95, 'BC6H'], [96, 'BC6H'], [98, 'BC7'], [99, 'BC7'],
+]);
+
+/* ======================================================
+   Block decoders (4×4 pixel blocks)
+   ====================================================== */
+
+function rgb565(c) {
+  const r = (c >> 11) & 31, g = (c >> 5) & 63, b = c & 31;
+  return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2)];
+}
+
+/**
+ * Colour part of BC1/BC2/BC3 blocks → 16 RGBA pixels.
+ * `allowAlpha` enables the BC1 3-colour + transparent mode.
+ */
+function decodeColorBlock(src, p, out, allowAlpha) {
+  const c0 = src[p] | (src[p + 1] << 8);
+  const c1 = src[p + 2] | (src[p + 3] << 8);
+  const a = rgb565(c0), b = rgb565(c1);
+  const pal = [[...a, 255], [...b, 255]];
+  if (c0 > c1 || !allowAlpha) {
+    pal.push([0, 1, 2].map(i => Math.round((2 * a[i] + b[i]) / 3)).concat(255));
+    pal.push([0, 1, 2].map(i => Math.round((a[i] + 2 * b[i]) / 3)).concat(255));
+  } else {
+    pal.push([0, 1, 2].map(i => Math.round((a[i] + b[i]) / 2)).concat(255));
+    pal.push([0, 0, 0, 0]);
+  }
+  const bits = (src[p + 4] | (src[p + 5] << 8) | (src[p + 6] << 16) | (src[p + 7] << 24)) >>> 0;
+  for (let i = 0; i < 16; i++) {
+    const c = pal[(bits >>> (2 * i)) & 3];
+    out[i * 4] = c[0]; out[i * 4 + 1] = c[1]; out[i * 4 + 2] = c[2]; out[i * 4 + 3] = c[3];
+  }
+}
+
+/**
+ * BC3 alpha / BC4 / BC5 channel block → 16 values.
+ */
+function decodeChannelBlock(src, p, out, stride, offset) {
+  const a0 = src[p], a1 = src[p + 1];
+  const pal = [a0, a1];
+  if (a0 > a1) {
+    for (let i = 1; i <= 6; i++) pal.push(Math.round(((7 - i) * a0 + i * a1) / 7));
+  } else {
+    for (let i = 1; i <= 4; i++) pal.push(Math.round(((5 - i) * a0 + i * a1) / 5));
+    pal.push(0, 255);
+  }
+  // 48 bits of 3-bit indices (little endian)
+  const lo = (src[p + 2] | (src[p + 3] << 8) | (src[p + 4] << 16)) >>> 0;
+  const hi = (src[p + 5] | (src[p + 6] << 8) | (src[p + 7] << 16)) >>> 0;
+  for (let i = 0; i < 16; i++) {
+    const idx = i < 8 ? (lo >>> (3 * i)) & 7 : (hi >>> (3 * (i - 8))) & 7;
+    out[i * stride + offset] = pal[idx];
+  }
+}
+
+function decodeBlocks(src, start, width, height, format) {
+  const out = new Uint8Array(width * height * 4);
+  const blockBytes = format === 'bc1' || format === 'bc4' ? 8 : 16;
+  const bw = Math.ceil(width / 4), bh = Math.ceil(height / 4);
+  if (start + bw * bh * blockBytes > src.length) throw new Error('Truncated DDS data');
+
+  const px = new Uint8Array(64);
+  let p = start;
+  for (let by = 0; by < bh; by++) {
+    for (let bx = 0; bx < bw; bx++, p += blockBytes) {
+      switch (format) {
+        case 'bc1':
+          decodeColorBlock(src, p, px, true);
+          break;
+        case 'bc2':
+          decodeColorBlock(src, p + 8, px, false);
+          for (let i = 0; i < 16; i++) {
+            const nib = (src[p + (i >> 1)] >> ((i & 1) * 4)) & 0xF;
+            px[i * 4 + 3] = nib * 17;
+          }
+          break;
+        case 'bc3':
+          decodeColorBlock(src, p + 8, px, false);
+          decodeChannelBlock(src, p, px, 4, 3);
+          break;
+        case 'bc4':
+          decodeChannelBlock(src, p, px, 4, 0);
+          for (let i = 0; i < 16; i++) {
+            px[i * 4 + 1] = px[i * 4 + 2] = px[i * 4];
+            px[i * 4 + 3] = 255;
+          }
+          break;
+        default: // bc5: two channels, rebuild Z like a tangent-space normal map
+          decodeChannelBlock(src, p, px, 4, 0);
+          decodeChannelBlock(src, p + 8, px, 4, 1);
+          for (let i = 0; i < 16; i++) {
+            const x = px[i * 4] / 127.5 - 1, y = px[i * 4 + 1] / 127.5 - 1;
+            const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+            px[i * 4 + 2] = Math.round((z + 1) * 127.5);
+            px[i * 4 + 3] = 255;
+          }
+      }
+
+      for (let y = 0; y < 4; y++) {
+        const iy = by * 4 + y;
+        if (iy >= height) break;
+        for (let x = 0; x < 4; x++) {
+          const ix = bx * 4 + x;
+          if (ix >= width) break;
+          const o = (iy * width + ix) * 4, s = (y * 4 + x) * 4;
+          out[o] = px[s]; out[o + 1] = px[s + 1]; out[o + 2] = px[s + 2]; out[o + 3] = px[s + 3];
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/* ======================================================
+   Uncompressed formats
+   ====================================================== */
+
+function decodeMasked(dv, start, width, height, pf) {
+  const bytes = pf.bitCount / 8;
+  if (![1, 2, 3, 4].includes(bytes)) throw new UnsupportedImageError(`DDS ${pf.bitCount}-bit pixels are not supported`);
+  const pitch = width * bytes;
+  if (start + pitch * height > dv.byteLength) throw new Error('Truncated DDS data');
+
+  const r = maskReader(pf.rMask), g = maskReader(pf.gMask), b = maskReader(pf.bMask);
+  const a = pf.flags & DDPF_ALPHAPIXELS ? maskReader(pf.aMask) : null;
+  const lum = (pf.flags & DDPF_LUMINANCE) !== 0;
+
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = start + y * pitch + x * bytes;
+      let v = dv.getUint8(p);
+      if (bytes > 1) v |= dv.getUint8(p + 1) << 8;
+      if (bytes > 2) v |= dv.getUint8(p + 2) << 16;
+      if (bytes > 3) v = (v | (dv.getUint8(p + 3) << 24)) >>> 0;
+      const o = (y * width + x) * 4;
+      if (lum) {
+        out[o] = out[o + 1] = out[o + 2] = r ? r(v) : v & 0xFF;
+      } else {
+        out[o] = r ? r(v) : 0;
+        out[o + 1] = g ? g(v) : 0;
+        out[o + 2] = b ? b(v) : 0;
+      }
+      out[o + 3] = a ? a(v) : 255;
+    }
+  }
+  return out;
+}
+
+function decodeFixed(dv, start, width, height, format) {
+  const bpp = { rgba8: 4, bgra8: 4, bgrx8: 4, rgba16f: 8, rgba32f: 16 }[format];
+  if (start + width * height * bpp > dv.byteLength) throw new Error('Truncated DDS data');
+  const out = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = start + i * bpp, o = i * 4;
+    switch (format) {
+      case 'rgba8':
+        out[o] = dv.getUint8(p); out[o + 1] = dv.getUint8(p + 1);
+        out[o + 2] = dv.getUint8(p + 2); out[o + 3] = dv.getUint8(p + 3);
+        break;
+      case 'bgra8':
+      case 'bgrx8':
+        out[o] = dv.getUint8(p + 2); out[o + 1] = dv.getUint8(p + 1); out[o + 2] = dv.getUint8(p);
+        out[o + 3] = format === 'bgra8' ? dv.getUint8(p + 3) : 255;
+        break;
+      case 'rgba16f':
+        for (let c = 0; c < 3; c++) out[o + c] = linearToSrgb8(halfToFloat(dv.getUint16(p + c * 2, true)));
+        out[o + 3] = Math.round(Math.min(1, Math.max(0, halfToFloat(dv.getUint16(p + 6, true)))) * 255);
+        break;
+      default:
+        for (let c = 0; c < 3; c++) out[o + c] = linearToSrgb8(dv.getFloat32(p + c * 4, true));
+        out[o + 3] = Math.round(Math.min(1, Math.max(0, dv.getFloat32(p + 12, true))) * 255);
+    }
+  }
+  return out;
+}
+
+/**
+ * decodeDds(buf)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {{width:number, height:number, data:Uint8Array}} RGBA8
+ */
+export function decodeDds(buf, { maxPixels } = {}) {
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  if (buf.length < 128 || dv.getUint32(0, true) !== fourCC('DDS ')) throw new Error('Not a DDS file');
+
+  const height = dv.getUint32(12, true);
+  const width = dv.getUint32(16, true);
+  checkPixels(width, height, maxPixels);
+  const pf = {
+    flags: dv.getUint32(80, true),
+    fourCC: dv.getUint32(84, true),
+    bitCount: dv.getUint32(88, true),
+    rMask: dv.getUint32(92, true),
+    gMask: dv.getUint32(96, true),
+    bMask: dv.getUint32(100, true),
+    aMask: dv.getUint32(104, true),
+  };
+
+  let start = 128;
+  let format = null;
+  if (pf.flags & DDPF_FOURCC) {
+    if (pf.fourCC === fourCC('DX10')) {
+      const dxgi = dv.getUint32(128, true);
+      start = 148;
+      if (DXGI_UNSUPPORTED.has(dxgi)) throw new UnsupportedImageError(`${DXGI_UNSUPPORTED.get(dxgi)} DDS textures are not supported`);
+      format = DXGI_FORMATS.get(dxgi);
+      if (!format) throw new UnsupportedImageError(`DXGI format ${dxgi} is not supported`);
+    } else {
+      format = FOURCC_FORMATS.get(pf.fourCC);
+      if (!format) throw new UnsupportedImageError('Unknown DDS FourCC');
+    }
+  } else if (!(pf.flags & (DDPF_RGB | DDPF_LUMINANCE))) {
+    throw new UnsupportedImageError('Unknown DDS pixel format');
+  }
+
+  let data;
+  if (!format) data = decodeMasked(dv, start, width, height, pf);
+  else if (format.startsWith('bc')) data = decodeBlocks(buf, start, width, height, format);
+  else data = decodeFixed(dv, start, width, height, format);
+  return { width, height, data };
+}
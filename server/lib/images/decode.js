@@ -0,0 +1,65 @@
+// =============================================
+// Image decoding entry point
+// ---------------------------------------------
+// Picks the decoder from the file extension.
+// Every decoder returns { width, height, data }
+// with 8-bit RGBA pixels, rows top to bottom.
+//
+// HDR formats (EXR, Radiance) go through
+// decodeHdrImage() instead: scene-linear float
+// RGBA, already downscaled, to be tone-mapped.
+// =============================================
+import { decodeTiff } from './tiff.js';
+import { decodeDds } from './dds.js';
+import { decodeBmp } from './bmp.js';
+import { decodeExr } from './exr.js';
+import { decodeHdr } from './hdr.js';
+import { UnsupportedImageError } from './common.js';
+
+const DECODERS = {
+  '.tif': decodeTiff,
+  '.tiff': decodeTiff,
+  '.dds': decodeDds,
+  '.bmp': decodeBmp,
+};
+
+const HDR_DECODERS = {
+  '.exr': decodeExr,
+  '.hdr': decodeHdr,
+};
+
+// Extensions decodeHdrImage() understands
+export const HDR_EXT = new Set(Object.keys(HDR_DECODERS));
+
+// Extensions the server can preview (either decoder)
+export const DECODABLE_EXT = new Set([...Object.keys(DECODERS), ...HDR_EXT]);
+
+/**
+ * decodeImage(buf, ext, opts)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {string} ext - Lowercased extension (".tif")
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {{width:number, height:number, data:Uint8Array}}
+ * @throws {UnsupportedImageError} unknown extension or variant
+ */
+export function decodeImage(buf, ext, opts) {
+  const decoder = DECODERS[ext];
+  if (!decoder) throw new UnsupportedImageError(`No decoder for ${ext} files`);
+  return decoder(buf, opts);
+}
+
+/**
+ * decodeHdrImage(buf, ext, opts)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {string} ext - Lowercased extension (".exr")
+ * @param {{maxSize?: number}} [opts] - Longest side of the result
+ * @returns {{width:number, height:number, data:Float32Array}} linear RGBA
+ * @throws {UnsupportedImageError} unknown extension or variant
+ */
+export function decodeHdrImage(buf, ext, opts) {
+  const decoder = HDR_DECODERS[ext];
+  if (!decoder) throw new UnsupportedImageError(`No HDR decoder for ${ext} files`);
+  return decoder(buf, opts);
+}
@@ -0,0 +1,554 @@
+// =============================================
+// OpenEXR decoder
+// ---------------------------------------------
+// Single-part scanline and tiled files (level 0),
+// HALF/FLOAT/UINT channels, with NONE, RLE, ZIPS,
+// ZIP and PIZ compression. Pixels are streamed into
+// a downscaling accumulator, one block at a time.
+//
+// Not supported: multi-part / deep files, subsampled
+// (luminance/chroma) channels, PXR24, B44 and DWA.
+// =============================================
+import zlib from 'zlib';
+import { UnsupportedImageError, halfToFloat } from './common.js';
+import { createAccumulator } from './resize.js';
+
+const COMPRESSION = ['NONE', 'RLE', 'ZIPS', 'ZIP', 'PIZ', 'PXR24', 'B44', 'B44A', 'DWAA', 'DWAB'];
+// Scanlines per compressed block, by compression
+const LINES_PER_BLOCK = { NONE: 1, RLE: 1, ZIPS: 1, ZIP: 16, PIZ: 32 };
+// Bytes per sample, by pixel type (UINT, HALF, FLOAT)
+const SAMPLE_BYTES = [4, 2, 4];
+
+// All 65536 half values, decoded once
+const HALF = new Float32Array(65536);
+for (let i = 0; i < 65536; i++) HALF[i] = halfToFloat(i);
+
+/* ====== Header ====== */
+
+/**
+ * Parse the attribute list following the magic/version
+ * words. Returns the attributes we need and the offset
+ * of the chunk offset table.
+ */
+function readHeader(buf, dv) {
+  const attrs = {};
+  let p = 8;
+  const cstr = () => {
+    const end = buf.indexOf(0, p);
+    if (end < 0) throw new Error('Truncated EXR header');
+    const s = Buffer.from(buf.subarray(p, end)).toString('latin1');
+    p = end + 1;
+    return s;
+  };
+
+  for (;;) {
+    const name = cstr();
+    if (!name) break;
+    const type = cstr();
+    const size = dv.getInt32(p, true);
+    const at = p + 4;
+    p = at + size;
+    if (p > buf.length) throw new Error('Truncated EXR header');
+
+    if (type === 'chlist') {
+      const channels = [];
+      let q = at;
+      while (buf[q] !== 0) {
+        const end = buf.indexOf(0, q);
+        const chName = Buffer.from(buf.subarray(q, end)).toString('latin1');
+        q = end + 1;
+        channels.push({
+          name: chName,
+          type: dv.getInt32(q, true),
+          xSampling: dv.getInt32(q + 8, true),
+          ySampling: dv.getInt32(q + 12, true),
+        });
+        q += 16;
+      }
+      attrs[name] = channels;
+    } else if (type === 'compression') {
+      attrs[name] = buf[at];
+    } else if (type === 'box2i') {
+      attrs[name] = {
+        xMin: dv.getInt32(at, true), yMin: dv.getInt32(at + 4, true),
+        xMax: dv.getInt32(at + 8, true), yMax: dv.getInt32(at + 12, true),
+      };
+    } else if (type === 'tiledesc') {
+      attrs[name] = { xSize: dv.getUint32(at, true), ySize: dv.getUint32(at + 4, true), mode: buf[at + 8] };
+    }
+  }
+  return { attrs, offset: p };
+}
+
+/**
+ * Pick the channels shown in the preview: R/G/B/A,
+ * else the first layer's R/G/B/A ("diffuse.R"), else
+ * luminance (Y), else the first channel as grey.
+ * Returns channel indexes [r, g, b, a] (a may be -1).
+ */
+function pickChannels(channels) {
+  const find = (names) => names.map((n) => channels.findIndex((c) => c.name === n));
+  let [r, g, b, a] = find(['R', 'G', 'B', 'A']);
+  if (r < 0 && g < 0 && b < 0) {
+    const layered = channels.find((c) => /\.[RGB]$/.test(c.name));
+    if (layered) {
+      const prefix = layered.name.slice(0, -1);
+      [r, g, b, a] = find(['R', 'G', 'B', 'A'].map((n) => prefix + n));
+    }
+  }
+  if (r < 0 && g < 0 && b < 0) {
+    const y = channels.findIndex((c) => c.name === 'Y');
+    r = g = b = y >= 0 ? y : 0;
+  }
+  return [r, g, b, a];
+}
+
+/* ====== Decompression ====== */
+
+// Undo the ZIP/RLE byte predictor and re-interleave the two halves
+function unpredict(tmp) {
+  for (let i = 1; i < tmp.length; i++) tmp[i] = (tmp[i - 1] + tmp[i] - 128) & 0xFF;
+  const out = new Uint8Array(tmp.length);
+  const half = (tmp.length + 1) >> 1;
+  for (let i = 0, s = 0; s < tmp.length; i++) {
+    out[s++] = tmp[i];
+    if (s < tmp.length) out[s++] = tmp[half + i];
+  }
+  return out;
+}
+
+function rleDecompress(src, size) {
+  const tmp = new Uint8Array(size);
+  let p = 0, o = 0;
+  while (p < src.length) {
+    const n = (src[p++] << 24) >> 24; // signed byte
+    if (n < 0) {
+      if (o - n > size) throw new Error('Corrupt EXR RLE data');
+      tmp.set(src.subarray(p, p - n), o);
+      p -= n;
+      o -= n;
+    } else {
+      if (o + n + 1 > size) throw new Error('Corrupt EXR RLE data');
+      tmp.fill(src[p++], o, o + n + 1);
+      o += n + 1;
+    }
+  }
+  if (o !== size) throw new Error('Corrupt EXR RLE data');
+  return unpredict(tmp);
+}
+
+function zipDecompress(src, size) {
+  const tmp = zlib.inflateSync(src);
+  if (tmp.length !== size) throw new Error('Corrupt EXR ZIP data');
+  return unpredict(new Uint8Array(tmp.buffer, tmp.byteOffset, tmp.length));
+}
+
+/* ====== PIZ: Huffman + Haar wavelet ====== */
+
+const USHORT_RANGE = 1 << 16;
+const BITMAP_SIZE = USHORT_RANGE >> 3;
+const HUF_ENCSIZE = (1 << 16) + 1;
+const HUF_DECBITS = 14;
+const HUF_DECSIZE = 1 << HUF_DECBITS;
+const HUF_DECMASK = HUF_DECSIZE - 1;
+const SHORT_ZEROCODE_RUN = 59;
+const LONG_ZEROCODE_RUN = 63;
+const SHORTEST_LONG_RUN = 2 + LONG_ZEROCODE_RUN - SHORT_ZEROCODE_RUN;
+// Codes longer than this would not fit our 32-bit bit buffer
+// (the format allows 58 bits, encoders never get near it)
+const MAX_CODE_LENGTH = 32;
+
+function corrupt() {
+  return new Error('Corrupt EXR PIZ data');
+}
+
+/**
+ * Read the packed code-length table (6 bits per symbol,
+ * with zero-run escapes). Returns the offset after it.
+ */
+function hufUnpackEncTable(buf, p, end, im, iM, codeLen) {
+  let c = 0, lc = 0;
+  const getBits = (n) => {
+    while (lc < n) {
+      if (p >= end) throw corrupt();
+      c = (c << 8) | buf[p++];
+      lc += 8;
+    }
+    lc -= n;
+    const v = (c >> lc) & ((1 << n) - 1);
+    c &= (1 << lc) - 1;
+    return v;
+  };
+
+  for (; im <= iM; im++) {
+    const l = getBits(6);
+    codeLen[im] = l;
+    if (l >= SHORT_ZEROCODE_RUN) {
+      const run = l === LONG_ZEROCODE_RUN
+        ? getBits(8) + SHORTEST_LONG_RUN
+        : l - SHORT_ZEROCODE_RUN + 2;
+      if (im + run > iM + 1) throw corrupt();
+      codeLen.fill(0, im, im + run);
+      im += run - 1;
+    }
+  }
+  return p;
+}
+
+/** Canonical Huffman codes from code lengths. */
+function hufCanonicalCodes(codeLen) {
+  const n = new Float64Array(59);
+  for (let i = 0; i < HUF_ENCSIZE; i++) n[codeLen[i]]++;
+  let c = 0;
+  for (let l = 58; l > 0; l--) {
+    const next = Math.floor((c + n[l]) / 2);
+    n[l] = c;
+    c = next;
+  }
+  const codes = new Float64Array(HUF_ENCSIZE);
+  for (let i = 0; i < HUF_ENCSIZE; i++) {
+    if (codeLen[i] > 0) codes[i] = n[codeLen[i]]++;
+  }
+  return codes;
+}
+
+/**
+ * Decoding table indexed by the next HUF_DECBITS bits:
+ * short codes fill every slot they prefix, long codes
+ * are listed per slot and matched one by one.
+ */
+function hufBuildDecTable(codeLen, codes, im, iM) {
+  const len = new Uint8Array(HUF_DECSIZE);
+  const lit = new Uint32Array(HUF_DECSIZE);
+  const long = new Map();
+  for (let s = im; s <= iM; s++) {
+    const l = codeLen[s];
+    if (!l) continue;
+    if (l > MAX_CODE_LENGTH) throw new UnsupportedImageError('EXR PIZ code too long');
+    const c = codes[s];
+    if (l > HUF_DECBITS) {
+      const slot = Math.floor(c / 2 ** (l - HUF_DECBITS));
+      if (len[slot]) throw corrupt();
+      if (!long.has(slot)) long.set(slot, []);
+      long.get(slot).push(s);
+    } else {
+      const start = c * 2 ** (HUF_DECBITS - l);
+      const count = 2 ** (HUF_DECBITS - l);
+      for (let i = start; i < start + count; i++) {
+        if (len[i] || long.has(i)) throw corrupt();
+        len[i] = l;
+        lit[i] = s;
+      }
+    }
+  }
+  return { len, lit, long };
+}
+
+function hufDecode(codeLen, codes, dec, buf, p, nBits, rlc, out) {
+  const end = p + Math.ceil(nBits / 8);
+  if (end > buf.length) throw corrupt();
+  let c = 0, lc = 0, o = 0;
+
+  const emit = (sym) => {
+    if (sym === rlc) {
+      if (lc < 8) {
+        if (p >= end) throw corrupt();
+        c = (c << 8) | buf[p++];
+        lc += 8;
+      }
+      lc -= 8;
+      const run = (c >>> lc) & 0xFF;
+      c &= (1 << lc) - 1;
+      if (o === 0 || o + run > out.length) throw corrupt();
+      out.fill(out[o - 1], o, o + run);
+      o += run;
+    } else {
+      if (o >= out.length) throw corrupt();
+      out[o++] = sym;
+    }
+  };
+
+  while (p < end) {
+    c = (c << 8) | buf[p++];
+    lc += 8;
+    while (lc >= HUF_DECBITS) {
+      const slot = (c >>> (lc - HUF_DECBITS)) & HUF_DECMASK;
+      const l = dec.len[slot];
+      if (l) {
+        lc -= l;
+        c &= (1 << lc) - 1;
+        emit(dec.lit[slot]);
+        continue;
+      }
+      // Long code: compare the next l bits against each candidate
+      const candidates = dec.long.get(slot);
+      if (!candidates) throw corrupt();
+      let found = false;
+      for (const s of candidates) {
+        const sl = codeLen[s];
+        let v = c, n = lc, q = p;
+        while (n < sl && q < end) { v = v * 256 + buf[q++]; n += 8; }
+        if (n < sl) continue;
+        if (Math.floor(v / 2 ** (n - sl)) !== codes[s]) continue;
+        p = q;
+        lc = n - sl;
+        c = v % 2 ** lc;
+        emit(s);
+        found = true;
+        break;
+      }
+      if (!found) throw corrupt();
+    }
+  }
+
+  // Trailing bits of the last byte
+  const pad = (8 - nBits) & 7;
+  c >>>= pad;
+  lc -= pad;
+  while (lc > 0) {
+    const slot = (c << (HUF_DECBITS - lc)) & HUF_DECMASK;
+    const l = dec.len[slot];
+    if (!l || l > lc) throw corrupt();
+    lc -= l;
+    c &= (1 << lc) - 1;
+    emit(dec.lit[slot]);
+  }
+  if (o !== out.length) throw corrupt();
+}
+
+function hufUncompress(buf, p, length, out) {
+  if (length < 20) throw corrupt();
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const im = dv.getUint32(p, true);
+  const iM = dv.getUint32(p + 4, true);
+  const nBits = dv.getUint32(p + 12, true);
+  if (im >= HUF_ENCSIZE || iM >= HUF_ENCSIZE) throw corrupt();
+  const end = p + length;
+
+  const codeLen = new Uint8Array(HUF_ENCSIZE);
+  const q = hufUnpackEncTable(buf, p + 20, end, im, iM, codeLen);
+  if (nBits > 8 * (end - q)) throw corrupt();
+  const codes = hufCanonicalCodes(codeLen);
+  const dec = hufBuildDecTable(codeLen, codes, im, iM);
+  hufDecode(codeLen, codes, dec, buf, q, nBits, iM, out);
+}
+
+// Inverse wavelet steps; results in wa/wb
+let wa = 0, wb = 0;
+
+function wdec14(l, h) {
+  const ls = (l << 16) >> 16;
+  const hs = (h << 16) >> 16;
+  const ai = ls + (hs & 1) + (hs >> 1);
+  wa = ai & 0xFFFF;
+  wb = (ai - hs) & 0xFFFF;
+}
+
+function wdec16(l, h) {
+  const b = (l - (h >> 1)) & 0xFFFF;
+  wa = (h + b - 0x8000) & 0xFFFF;
+  wb = b;
+}
+
+/** In-place 2D inverse Haar wavelet over one channel plane. */
+function wav2Decode(buf, start, nx, ox, ny, oy, mx) {
+  const wdec = mx < (1 << 14) ? wdec14 : wdec16;
+  const n = Math.min(nx, ny);
+  let p = 1;
+  while (p <= n) p <<= 1;
+  p >>= 1;
+  let p2 = p;
+  p >>= 1;
+
+  while (p >= 1) {
+    let py = start;
+    const ey = start + oy * (ny - p2);
+    const oy1 = oy * p, oy2 = oy * p2, ox1 = ox * p, ox2 = ox * p2;
+
+    for (; py <= ey; py += oy2) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1, p10 = px + oy1, p11 = p10 + ox1;
+        wdec(buf[px], buf[p10]);
+        const i00 = wa, i10 = wb;
+        wdec(buf[p01], buf[p11]);
+        const i01 = wa, i11 = wb;
+        wdec(i00, i01);
+        buf[px] = wa; buf[p01] = wb;
+        wdec(i10, i11);
+        buf[p10] = wa; buf[p11] = wb;
+      }
+      if (nx & p) { // odd column
+        const p10 = px + oy1;
+        wdec(buf[px], buf[p10]);
+        buf[px] = wa; buf[p10] = wb;
+      }
+    }
+    if (ny & p) { // odd line
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        wdec(buf[px], buf[p01]);
+        buf[px] = wa; buf[p01] = wb;
+      }
+    }
+    p2 = p;
+    p >>= 1;
+  }
+}
+
+function pizDecompress(src, size, width, lines, channels) {
+  const dv = new DataView(src.buffer, src.byteOffset, src.byteLength);
+  let p = 0;
+  const minNonZero = dv.getUint16(0, true);
+  const maxNonZero = dv.getUint16(2, true);
+  p += 4;
+  if (maxNonZero >= BITMAP_SIZE) throw corrupt();
+
+  const bitmap = new Uint8Array(BITMAP_SIZE);
+  if (minNonZero <= maxNonZero) {
+    const n = maxNonZero - minNonZero + 1;
+    bitmap.set(src.subarray(p, p + n), minNonZero);
+    p += n;
+  }
+
+  // Reverse LUT: dense codes → original 16-bit values
+  const lut = new Uint16Array(USHORT_RANGE);
+  let k = 0;
+  for (let i = 0; i < USHORT_RANGE; i++) {
+    if (i === 0 || bitmap[i >> 3] & (1 << (i & 7))) lut[k++] = i;
+  }
+  const maxValue = k - 1;
+
+  const length = dv.getInt32(p, true);
+  p += 4;
+  const words = new Uint16Array(size / 2);
+  hufUncompress(src, p, length, words);
+
+  // One plane per channel, one wavelet per 16-bit word of the sample
+  let start = 0;
+  const planes = [];
+  for (const ch of channels) {
+    const n = SAMPLE_BYTES[ch.type] / 2;
+    for (let j = 0; j < n; j++) wav2Decode(words, start + j, width, n, lines, width * n, maxValue);
+    planes.push(start);
+    start += width * lines * n;
+  }
+  for (let i = 0; i < words.length; i++) words[i] = lut[words[i]];
+
+  // Planes → interleaved scanlines (little-endian words)
+  const out = new Uint8Array(size);
+  let o = 0;
+  for (let y = 0; y < lines; y++) {
+    channels.forEach((ch, c) => {
+      const n = width * (SAMPLE_BYTES[ch.type] / 2);
+      for (let i = 0; i < n; i++, o += 2) {
+        const w = words[planes[c] + i];
+        out[o] = w & 0xFF;
+        out[o + 1] = w >> 8;
+      }
+      planes[c] += n;
+    });
+  }
+  return out;
+}
+
+/* ====== Decoder ====== */
+
+/**
+ * decodeExr(buf, { maxSize })
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxSize?: number}} [opts] - Longest side of the result
+ * @returns {{width:number, height:number, data:Float32Array}} linear RGBA
+ */
+export function decodeExr(buf, { maxSize = Infinity } = {}) {
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  if (dv.getUint32(0, true) !== 20000630) throw new Error('Not an OpenEXR file');
+  const flags = dv.getUint32(4, true);
+  if (flags & 0x1800) throw new UnsupportedImageError('Multi-part and deep EXR files are not supported');
+  if (flags & 0x400) throw new UnsupportedImageError('EXR long attribute names are not supported');
+
+  const { attrs, offset } = readHeader(buf, dv);
+  const { channels, dataWindow } = attrs;
+  if (!channels?.length || !dataWindow) throw new Error('Incomplete EXR header');
+  if (channels.some((c) => c.xSampling !== 1 || c.ySampling !== 1)) {
+    throw new UnsupportedImageError('Subsampled EXR channels are not supported');
+  }
+  const compression = COMPRESSION[attrs.compression] || String(attrs.compression);
+  if (!LINES_PER_BLOCK[compression]) {
+    throw new UnsupportedImageError(`EXR ${compression} compression is not supported`);
+  }
+
+  const width = dataWindow.xMax - dataWindow.xMin + 1;
+  const height = dataWindow.yMax - dataWindow.yMin + 1;
+  if (width <= 0 || height <= 0) throw new Error('Bad EXR data window');
+  const pixelBytes = channels.reduce((n, c) => n + SAMPLE_BYTES[c.type], 0);
+  const [ri, gi, bi, ai] = pickChannels(channels);
+
+  // Blocks: scanline chunks, or level-0 tiles (listed first in the table)
+  const tiled = Boolean(flags & 0x200);
+  let blocks;
+  if (tiled) {
+    const { xSize, ySize } = attrs.tiles || {};
+    if (!xSize || !ySize) throw new Error('Missing EXR tile description');
+    blocks = Math.ceil(width / xSize) * Math.ceil(height / ySize);
+  } else {
+    blocks = Math.ceil(height / LINES_PER_BLOCK[compression]);
+  }
+
+  const acc = createAccumulator(width, height, maxSize);
+  const values = new Float32Array(channels.length);
+  const alpha = ai >= 0;
+
+  for (let b = 0; b < blocks; b++) {
+    let p = Number(dv.getBigUint64(offset + b * 8, true));
+    let x0 = 0, y0, w = width, lines;
+    if (tiled) {
+      const { xSize, ySize } = attrs.tiles;
+      x0 = dv.getInt32(p, true) * xSize;
+      y0 = dv.getInt32(p + 4, true) * ySize;
+      w = Math.min(xSize, width - x0);
+      lines = Math.min(ySize, height - y0);
+      p += 16;
+    } else {
+      y0 = dv.getInt32(p, true) - dataWindow.yMin;
+      lines = Math.min(LINES_PER_BLOCK[compression], height - y0);
+      p += 4;
+    }
+    const packed = dv.getInt32(p, true);
+    p += 4;
+    if (w <= 0 || lines <= 0 || y0 < 0 || p + packed > buf.length) throw new Error('Corrupt EXR block');
+
+    const size = w * lines * pixelBytes;
+    const src = buf.subarray(p, p + packed);
+    let data;
+    if (packed >= size) data = src; // stored uncompressed when compression did not help
+    else if (compression === 'RLE') data = rleDecompress(src, size);
+    else if (compression === 'ZIP' || compression === 'ZIPS') data = zipDecompress(src, size);
+    else if (compression === 'PIZ') data = pizDecompress(src, size, w, lines, channels);
+    else throw new Error('Corrupt EXR block');
+
+    const bv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let row = 0;
+    for (let y = 0; y < lines; y++) {
+      // Channel runs for this line: channel c starts at row + w × (bytes of earlier channels)
+      for (let x = 0; x < w; x++) {
+        let q = row;
+        for (let c = 0; c < channels.length; c++) {
+          const t = channels[c].type;
+          const at = q + x * SAMPLE_BYTES[t];
+          values[c] = t === 1 ? HALF[bv.getUint16(at, true)]
+            : t === 2 ? bv.getFloat32(at, true)
+              : bv.getUint32(at, true);
+          q += w * SAMPLE_BYTES[t];
+        }
+        acc.add(x0 + x, y0 + y, values[ri], values[gi], values[bi], alpha ? values[ai] : 1);
+      }
+      row += w * pixelBytes;
+    }
+  }
+  return acc.result();
+}
@@ -0,0 +1,122 @@
+// =============================================
+// Radiance HDR (.hdr / RGBE) decoder
+// ---------------------------------------------
+// Reads 32-bit_rle_rgbe files with flat, old-style
+// RLE or new-style (per-channel) RLE scanlines, and
+// streams linear RGB into a downscaling accumulator.
+// =============================================
+import { UnsupportedImageError } from './common.js';
+import { createAccumulator } from './resize.js';
+
+/**
+ * Read the text header: returns the header lines and
+ * the offset of the first byte after the resolution line.
+ */
+function readHeader(buf) {
+  const lines = [];
+  let p = 0;
+  for (;;) {
+    const end = buf.indexOf(0x0A, p);
+    if (end < 0) throw new Error('Truncated HDR header');
+    const line = Buffer.from(buf.subarray(p, end)).toString('latin1');
+    p = end + 1;
+    lines.push(line);
+    // The resolution line follows the blank line closing the header
+    if (lines.length > 1 && lines[lines.length - 2] === '') return { lines, offset: p };
+    if (lines.length > 1000) throw new Error('HDR header too long');
+  }
+}
+
+/**
+ * Decode one scanline of RGBE quadruplets into `row`
+ * (width × 4 bytes). Returns the offset after it.
+ */
+function readScanline(buf, p, width, row) {
+  const newRle = width >= 8 && width < 0x8000 &&
+    buf[p] === 2 && buf[p + 1] === 2 && (buf[p + 2] & 0x80) === 0;
+
+  if (newRle) {
+    if (((buf[p + 2] << 8) | buf[p + 3]) !== width) throw new Error('Bad HDR scanline width');
+    p += 4;
+    for (let c = 0; c < 4; c++) {
+      let x = 0;
+      while (x < width) {
+        if (p >= buf.length) throw new Error('Truncated HDR data');
+        let n = buf[p++];
+        if (n > 128) { // run
+          n -= 128;
+          if (x + n > width) throw new Error('Bad HDR run length');
+          const v = buf[p++];
+          for (let i = 0; i < n; i++) row[(x++) * 4 + c] = v;
+        } else {       // literal
+          if (n === 0 || x + n > width) throw new Error('Bad HDR run length');
+          for (let i = 0; i < n; i++) row[(x++) * 4 + c] = buf[p++];
+        }
+      }
+    }
+    return p;
+  }
+
+  // Flat pixels, possibly with old-style (1,1,1,n) repeats
+  let x = 0, shift = 0;
+  while (x < width) {
+    if (p + 4 > buf.length) throw new Error('Truncated HDR data');
+    const r = buf[p], g = buf[p + 1], b = buf[p + 2], e = buf[p + 3];
+    p += 4;
+    if (r === 1 && g === 1 && b === 1) {
+      if (x === 0) throw new Error('Bad HDR run');
+      const n = Math.min(width - x, e << shift);
+      for (let i = 0; i < n; i++, x++) row.copyWithin(x * 4, (x - 1) * 4, x * 4);
+      shift += 8;
+    } else {
+      row[x * 4] = r; row[x * 4 + 1] = g; row[x * 4 + 2] = b; row[x * 4 + 3] = e;
+      x++;
+      shift = 0;
+    }
+  }
+  return p;
+}
+
+/**
+ * decodeHdr(buf, { maxSize })
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxSize?: number}} [opts] - Longest side of the result
+ * @returns {{width:number, height:number, data:Float32Array}} linear RGBA
+ */
+export function decodeHdr(buf, { maxSize = Infinity } = {}) {
+  const { lines, offset } = readHeader(buf);
+  if (!/^#\?(RADIANCE|RGBE)/.test(lines[0])) throw new Error('Not a Radiance HDR file');
+
+  let exposure = 1;
+  for (const line of lines) {
+    const [key, value] = line.split('=');
+    if (key === 'FORMAT' && value.trim() !== '32-bit_rle_rgbe') {
+      throw new UnsupportedImageError(`HDR format ${value.trim()} is not supported`);
+    }
+    if (key === 'EXPOSURE') exposure *= Number(value) || 1;
+  }
+
+  // Standard orientation is "-Y height +X width"; "+Y" is bottom-up
+  const res = /^([-+])Y (\d+) \+X (\d+)$/.exec(lines[lines.length - 1].trim());
+  if (!res) throw new UnsupportedImageError('HDR image orientation is not supported');
+  const bottomUp = res[1] === '+';
+  const height = Number(res[2]);
+  const width = Number(res[3]);
+  if (!width || !height) throw new Error('Bad HDR resolution');
+
+  const acc = createAccumulator(width, height, maxSize);
+  const row = new Uint8Array(width * 4);
+  let p = offset;
+  for (let i = 0; i < height; i++) {
+    p = readScanline(buf, p, width, row);
+    const y = bottomUp ? height - 1 - i : i;
+    for (let x = 0; x < width; x++) {
+      const e = row[x * 4 + 3];
+      if (e === 0) { acc.add(x, y, 0, 0, 0, 1); continue; }
+      const f = 2 ** (e - 136) / exposure;
+      acc.add(x, y, (row[x * 4] + 0.5) * f, (row[x * 4 + 1] + 0.5) * f, (row[x * 4 + 2] + 0.5) * f, 1);
+    }
+  }
+  return acc.result();
+}
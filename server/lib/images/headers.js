@@ -0,0 +1,565 @@
+// =============================================
+// Image header parsing (no pixel decoding)
+// ---------------------------------------------
+// Reads the size and pixel format of PNG, JPEG,
+// WebP, TIFF, OpenEXR, Radiance HDR and DDS files
+// from their headers, plus the colour-space hints
+// they carry (ICC profile description, sRGB / cICP
+// chunks, Exif ColorSpace, EXR chromaticities,
+// DXGI _SRGB formats, …).
+//
+// Only the bytes needed are read (a few KB for most
+// files), so listings can afford it.
+// =============================================
+import fs from 'fs/promises';
+import zlib from 'zlib';
+
+/**
+ * @typedef {object} ImageInfo
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} channels - Alpha included
+ * @property {number|null} bitDepth - Bits per channel
+ * @property {'uint'|'half'|'float'} sampleType
+ * @property {string|null} colorSpace - Hint found in the file
+ *   ("sRGB", ICC profile name, "Linear ACES AP0", …)
+ * @property {string|null} encoding - Pixel encoding when
+ *   it says more than the bit depth ("BC7", "RGBE", "palette", …)
+ */
+
+// Bytes read at once (headers mostly fit in the first window)
+const WINDOW = 64 * 1024;
+// Largest block read for one field (ICC profiles, EXR headers)
+const MAX_FIELD = 4 * 1024 * 1024;
+
+class TruncatedError extends Error {}
+
+/**
+ * Random access to the start of a file (or a buffer)
+ * through one cached window.
+ */
+function fileReader(fh, size) {
+  let window = Buffer.alloc(0);
+  let windowAt = 0;
+  async function bytes(offset, length) {
+    if (offset < 0 || length > MAX_FIELD || offset + length > size) throw new TruncatedError('Truncated file');
+    if (offset >= windowAt && offset + length <= windowAt + window.length) {
+      return window.subarray(offset - windowAt, offset - windowAt + length);
+    }
+    window = Buffer.alloc(Math.min(Math.max(length, WINDOW), size - offset));
+    windowAt = offset;
+    await fh.read(window, 0, window.length, offset);
+    return window.subarray(0, length);
+  }
+  return { size, bytes };
+}
+
+function bufferReader(buf) {
+  return {
+    size: buf.length,
+    async bytes(offset, length) {
+      if (offset < 0 || offset + length > buf.length) throw new TruncatedError('Truncated data');
+      return buf.subarray(offset, offset + length);
+    },
+  };
+}
+
+const info = ({ width, height, channels = null, bitDepth = null, sampleType = 'uint', colorSpace = null, encoding = null }) =>
+  (width > 0 && height > 0 ? { width, height, channels, bitDepth, sampleType, colorSpace, encoding } : null);
+
+/* ======================================================
+   Colour-space hints
+   ====================================================== */
+
+/**
+ * Description of an ICC profile ("sRGB IEC61966-2.1",
+ * "Display P3", …): v2 'desc' or v4 'mluc' tag.
+ */
+function iccDescription(icc) {
+  if (icc.length < 132) return null;
+  const count = icc.readUInt32BE(128);
+  for (let i = 0; i < count && 144 + i * 12 <= icc.length; i++) {
+    const e = 132 + i * 12;
+    if (icc.toString('latin1', e, e + 4) !== 'desc') continue;
+    const at = icc.readUInt32BE(e + 4);
+    const type = icc.toString('latin1', at, at + 4);
+    if (type === 'desc') {
+      const len = icc.readUInt32BE(at + 8);
+      return cleanName(icc.toString('latin1', at + 12, at + 12 + len));
+    }
+    if (type === 'mluc' && icc.readUInt32BE(at + 8) > 0) {
+      const len = icc.readUInt32BE(at + 20);
+      const from = at + icc.readUInt32BE(at + 24);
+      const utf16 = Buffer.from(icc.subarray(from, from + len)).swap16();
+      return cleanName(utf16.toString('utf16le'));
+    }
+    return null;
+  }
+  return null;
+}
+
+const cleanName = (s) => s.replace(/\0.*$/s, '').trim() || null;
+
+// CIE xy of red, green, blue and white of well-known RGB spaces
+const PRIMARIES = [
+  ['Rec.709', [0.64, 0.33, 0.3, 0.6, 0.15, 0.06, 0.3127, 0.329]],
+  ['Rec.2020', [0.708, 0.292, 0.17, 0.797, 0.131, 0.046, 0.3127, 0.329]],
+  ['ACES AP0', [0.7347, 0.2653, 0, 1, 0.0001, -0.077, 0.32168, 0.33767]],
+  ['ACES AP1', [0.713, 0.293, 0.165, 0.83, 0.128, 0.044, 0.32168, 0.33767]],
+  ['Display P3', [0.68, 0.32, 0.265, 0.69, 0.15, 0.06, 0.3127, 0.329]],
+  ['DCI-P3', [0.68, 0.32, 0.265, 0.69, 0.15, 0.06, 0.314, 0.351]],
+  ['Adobe RGB', [0.64, 0.33, 0.21, 0.71, 0.15, 0.06, 0.3127, 0.329]],
+];
+
+function primariesName(xy) {
+  const match = PRIMARIES.find(([, ref]) => ref.every((v, i) => Math.abs(v - xy[i]) < 0.005));
+  return match ? match[0] : 'custom primaries';
+}
+
+// PNG cICP / H.273 code points
+const CICP_PRIMARIES = { 1: 'BT.709', 9: 'BT.2020', 12: 'Display P3' };
+const CICP_TRANSFER = { 1: 'BT.709', 6: 'BT.709', 8: 'linear', 13: 'sRGB', 14: 'BT.709', 15: 'BT.709', 16: 'PQ', 18: 'HLG' };
+
+/* ======================================================
+   TIFF structures (TIFF files and JPEG Exif blocks)
+   ====================================================== */
+
+// Byte size of each IFD field type
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+/**
+ * Reads the IFD at `offset`: Map(tag → { type, count,
+ * at }) where `at` is the offset of the value(s).
+ */
+async function readIfd(reader, offset, le) {
+  const head = await reader.bytes(offset, 2);
+  const count = le ? head.readUInt16LE(0) : head.readUInt16BE(0);
+  const raw = await reader.bytes(offset + 2, count * 12);
+  const tags = new Map();
+  for (let i = 0; i < count; i++) {
+    const e = i * 12;
+    const u16 = (o) => (le ? raw.readUInt16LE(e + o) : raw.readUInt16BE(e + o));
+    const u32 = (o) => (le ? raw.readUInt32LE(e + o) : raw.readUInt32BE(e + o));
+    const type = u16(2);
+    const n = u32(4);
+    const inline = (TYPE_SIZE[type] || 1) * n <= 4;
+    tags.set(u16(0), { type, count: n, at: inline ? offset + 2 + e + 8 : u32(8) });
+  }
+  return tags;
+}
+
+/**
+ * Values of an IFD entry (integer types), or the raw
+ * bytes for UNDEFINED / BYTE data with `raw`.
+ */
+async function tagValues(reader, tags, tag, le, { raw = false } = {}) {
+  const t = tags.get(tag);
+  if (!t) return null;
+  const size = TYPE_SIZE[t.type] || 1;
+  const buf = await reader.bytes(t.at, size * t.count);
+  if (raw) return buf;
+  const out = [];
+  for (let i = 0; i < t.count; i++) {
+    if (size === 2) out.push(le ? buf.readUInt16LE(i * 2) : buf.readUInt16BE(i * 2));
+    else if (size === 4) out.push(le ? buf.readUInt32LE(i * 4) : buf.readUInt32BE(i * 4));
+    else out.push(buf[i]);
+  }
+  return out;
+}
+
+async function tiffHeader(reader) {
+  const head = await reader.bytes(0, 8);
+  const le = head[0] === 0x49 && head[1] === 0x49;
+  if (!le && !(head[0] === 0x4D && head[1] === 0x4D)) return null;
+  if ((le ? head.readUInt16LE(2) : head.readUInt16BE(2)) !== 42) return null; // BigTIFF: not read
+  return { le, ifd: le ? head.readUInt32LE(4) : head.readUInt32BE(4) };
+}
+
+/* ======================================================
+   Formats
+   ====================================================== */
+
+const PNG_COLOR_CHANNELS = { 0: 1, 2: 3, 3: 3, 4: 2, 6: 4 };
+
+async function pngInfo(reader) {
+  const sig = await reader.bytes(0, 8);
+  if (sig.readUInt32BE(0) !== 0x89504E47) return null;
+  const ihdr = await reader.bytes(16, 13);
+  const colorType = ihdr[9];
+  let channels = PNG_COLOR_CHANNELS[colorType] ?? null;
+  let colorSpace = null;
+  let gamma = null;
+
+  // Ancillary chunks before the image data
+  let pos = 8 + 25;
+  while (pos + 8 <= reader.size) {
+    const head = await reader.bytes(pos, 8);
+    const len = head.readUInt32BE(0);
+    const type = head.toString('latin1', 4, 8);
+    if (type === 'IDAT' || type === 'IEND') break;
+    if (type === 'sRGB') colorSpace ??= 'sRGB';
+    else if (type === 'tRNS' && colorType !== 4 && colorType !== 6) channels += 1;
+    else if (type === 'gAMA') gamma = (await reader.bytes(pos + 8, 4)).readUInt32BE(0) / 100000;
+    else if (type === 'cICP') {
+      const [p, t] = await reader.bytes(pos + 8, 2);
+      colorSpace = [CICP_PRIMARIES[p], CICP_TRANSFER[t]].filter(Boolean).join(' ') || colorSpace;
+    } else if (type === 'iCCP' && !colorSpace) {
+      const data = await reader.bytes(pos + 8, len);
+      const nameEnd = data.indexOf(0);
+      try {
+        colorSpace = iccDescription(zlib.inflateSync(data.subarray(nameEnd + 2))) || cleanName(data.toString('latin1', 0, nameEnd));
+      } catch {
+        colorSpace = cleanName(data.toString('latin1', 0, nameEnd));
+      }
+    }
+    pos += 12 + len;
+  }
+  if (!colorSpace && gamma) colorSpace = `gamma ${(1 / gamma).toFixed(1)}`;
+
+  return info({
+    width: ihdr.readUInt32BE(0),
+    height: ihdr.readUInt32BE(4),
+    channels,
+    bitDepth: colorType === 3 ? 8 : ihdr[8],
+    colorSpace,
+    encoding: colorType === 3 ? 'palette' : null,
+  });
+}
+
+const JPEG_SOF = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+/**
+ * Exif ColorSpace (1 = sRGB; 0xFFFF = uncalibrated,
+ * Adobe RGB if the interoperability index says R03).
+ */
+async function exifColorSpace(exif) {
+  const reader = bufferReader(exif);
+  const tiff = await tiffHeader(reader);
+  if (!tiff) return null;
+  const ifd0 = await readIfd(reader, tiff.ifd, tiff.le);
+  const [exifAt] = (await tagValues(reader, ifd0, 0x8769, tiff.le)) || [];
+  if (!exifAt) return null;
+  const exifIfd = await readIfd(reader, exifAt, tiff.le);
+  const [cs] = (await tagValues(reader, exifIfd, 0xA001, tiff.le)) || [];
+  if (cs === 1) return 'sRGB';
+  const [interopAt] = (await tagValues(reader, exifIfd, 0xA005, tiff.le)) || [];
+  if (!interopAt) return null;
+  const interop = await readIfd(reader, interopAt, tiff.le);
+  const index = await tagValues(reader, interop, 0x0001, tiff.le, { raw: true });
+  return index?.toString('latin1', 0, 3) === 'R03' ? 'Adobe RGB' : null;
+}
+
+async function jpegInfo(reader) {
+  const soi = await reader.bytes(0, 2);
+  if (soi[0] !== 0xFF || soi[1] !== 0xD8) return null;
+  const icc = [];
+  let exif = null;
+  let pos = 2;
+  for (let segments = 0; segments < 1000 && pos + 4 <= reader.size; segments++) {
+    const head = await reader.bytes(pos, 4);
+    if (head[0] !== 0xFF) return null;
+    const marker = head[1];
+    if (marker === 0xFF) { pos += 1; continue; } // Fill byte
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { pos += 2; continue; }
+    if (marker === 0xD9 || marker === 0xDA) return null; // No frame header before the image data
+    const len = head.readUInt16BE(2);
+
+    if (marker === 0xE1 && !exif) {
+      const data = await reader.bytes(pos + 4, len - 2);
+      if (data.toString('latin1', 0, 6) === 'Exif\0\0') exif = Buffer.from(data.subarray(6));
+    } else if (marker === 0xE2) {
+      const data = await reader.bytes(pos + 4, len - 2);
+      if (data.toString('latin1', 0, 12) === 'ICC_PROFILE\0') icc[data[12] - 1] = data.subarray(14);
+    } else if (JPEG_SOF.has(marker)) {
+      const sof = await reader.bytes(pos + 4, 6);
+      let colorSpace = null;
+      if (icc.length && icc.every(Boolean)) colorSpace = iccDescription(Buffer.concat(icc));
+      if (!colorSpace && exif) colorSpace = await exifColorSpace(exif).catch(() => null);
+      return info({
+        width: sof.readUInt16BE(3),
+        height: sof.readUInt16BE(1),
+        channels: sof[5],
+        bitDepth: sof[0],
+        colorSpace: colorSpace || (sof[5] === 4 ? 'CMYK' : null),
+        encoding: marker === 0xC2 ? 'progressive' : marker === 0xC3 ? 'lossless' : null,
+      });
+    }
+    pos += 2 + len;
+  }
+  return null;
+}
+
+async function webpInfo(reader) {
+  const head = await reader.bytes(0, 12);
+  if (head.toString('latin1', 0, 4) !== 'RIFF' || head.toString('latin1', 8, 12) !== 'WEBP') return null;
+  let canvas = null;
+  let pos = 12;
+  while (pos + 8 <= reader.size) {
+    const chunk = await reader.bytes(pos, 8);
+    const type = chunk.toString('latin1', 0, 4);
+    const len = chunk.readUInt32LE(4);
+    if (type === 'VP8X') {
+      const d = await reader.bytes(pos + 8, 10);
+      canvas = {
+        width: d.readUIntLE(4, 3) + 1,
+        height: d.readUIntLE(7, 3) + 1,
+        channels: d[0] & 0x10 ? 4 : 3,
+        bitDepth: 8,
+        encoding: d[0] & 0x02 ? 'animated' : null,
+      };
+    } else if (type === 'ICCP') {
+      return info({ ...canvas, colorSpace: iccDescription(Buffer.from(await reader.bytes(pos + 8, len))) });
+    } else if (canvas) {
+      // ICC profiles come right after VP8X
+      return info(canvas);
+    } else if (type === 'VP8 ') {
+      const d = await reader.bytes(pos + 8, 10);
+      return info({ width: d.readUInt16LE(6) & 0x3FFF, height: d.readUInt16LE(8) & 0x3FFF, channels: 3, bitDepth: 8, encoding: 'lossy' });
+    } else if (type === 'VP8L') {
+      const bits = (await reader.bytes(pos + 9, 4)).readUInt32LE(0);
+      return info({
+        width: (bits & 0x3FFF) + 1,
+        height: ((bits >> 14) & 0x3FFF) + 1,
+        channels: bits & (1 << 28) ? 4 : 3,
+        bitDepth: 8,
+        encoding: 'lossless',
+      });
+    }
+    pos += 8 + len + (len & 1);
+  }
+  return canvas && info(canvas);
+}
+
+const TIFF_PHOTOMETRIC = { 5: 'CMYK', 6: 'YCbCr', 8: 'CIE L*a*b*' };
+
+async function tiffInfo(reader) {
+  const tiff = await tiffHeader(reader);
+  if (!tiff) return null;
+  const { le } = tiff;
+  const tags = await readIfd(reader, tiff.ifd, le);
+  const first = async (tag, def = null) => ((await tagValues(reader, tags, tag, le)) || [def])[0];
+
+  const bits = await first(258, 1);
+  const format = await first(339, 1);
+  const icc = await tagValues(reader, tags, 34675, le, { raw: true });
+  const photometric = await first(262);
+  return info({
+    width: await first(256),
+    height: await first(257),
+    channels: await first(277, 1),
+    bitDepth: bits,
+    sampleType: format === 3 ? (bits === 16 ? 'half' : 'float') : 'uint',
+    colorSpace: (icc && iccDescription(Buffer.from(icc))) || TIFF_PHOTOMETRIC[photometric] || null,
+    encoding: photometric === 3 ? 'palette' : null,
+  });
+}
+
+// EXR pixel types: UINT, HALF, FLOAT
+const EXR_TYPES = [['uint', 32], ['half', 16], ['float', 32]];
+
+async function exrInfo(reader) {
+  const head = await reader.bytes(0, 8);
+  if (head.readUInt32LE(0) !== 20000630) return null;
+  if (head.readUInt32LE(4) & 0x1000) return null; // Multi-part: several images
+
+  let pos = 8;
+  const cstr = async () => {
+    const buf = await reader.bytes(pos, Math.min(256, reader.size - pos));
+    const end = buf.indexOf(0);
+    if (end < 0) throw new TruncatedError('Bad EXR attribute name');
+    pos += end + 1;
+    return buf.toString('latin1', 0, end);
+  };
+
+  let channels = null;
+  let dataWindow = null;
+  let chromaticities = null;
+  for (;;) {
+    const name = await cstr();
+    if (!name) break;
+    const type = await cstr();
+    const size = (await reader.bytes(pos, 4)).readInt32LE(0);
+    const at = pos + 4;
+    pos = at + size;
+    if (name === 'channels' && type === 'chlist') {
+      const data = await reader.bytes(at, size);
+      channels = [];
+      for (let q = 0; data[q] !== 0 && q < data.length;) {
+        const end = data.indexOf(0, q);
+        channels.push(data.readInt32LE(end + 1));
+        q = end + 17;
+      }
+    } else if (name === 'dataWindow' && type === 'box2i') {
+      const d = await reader.bytes(at, 16);
+      dataWindow = { width: d.readInt32LE(8) - d.readInt32LE(0) + 1, height: d.readInt32LE(12) - d.readInt32LE(4) + 1 };
+    } else if (name === 'chromaticities' && type === 'chromaticities') {
+      const d = await reader.bytes(at, 32);
+      chromaticities = Array.from({ length: 8 }, (_, i) => d.readFloatLE(i * 4));
+    }
+  }
+  if (!channels?.length || !dataWindow) return null;
+
+  // Widest channel type decides (e.g. HALF RGB + FLOAT depth)
+  const [sampleType, bitDepth] = EXR_TYPES[Math.max(...channels.map(t => (t === 2 ? 2 : t === 1 ? 1 : 0)))] || EXR_TYPES[1];
+  return info({
+    ...dataWindow,
+    channels: channels.length,
+    bitDepth,
+    sampleType,
+    // Without the attribute, EXR pixels are linear Rec.709
+    colorSpace: `Linear ${chromaticities ? primariesName(chromaticities) : 'Rec.709'}`,
+  });
+}
+
+async function hdrInfo(reader) {
+  const text = (await reader.bytes(0, Math.min(WINDOW, reader.size))).toString('latin1');
+  if (!/^#\?(RADIANCE|RGBE)/.test(text)) return null;
+  const lines = text.split('\n');
+  const blank = lines.indexOf('');
+  if (blank < 0 || blank + 1 >= lines.length) return null;
+
+  let colorSpace = 'Linear Rec.709';
+  let encoding = 'RGBE';
+  for (const line of lines.slice(0, blank)) {
+    const [key, value = ''] = line.split('=');
+    if (key === 'FORMAT' && value.trim() === '32-bit_rle_xyze') {
+      colorSpace = 'CIE XYZ';
+      encoding = 'XYZE';
+    }
+    if (key === 'PRIMARIES') {
+      const xy = value.trim().split(/\s+/).map(Number);
+      if (xy.length === 8 && xy.every(Number.isFinite)) colorSpace = `Linear ${primariesName(xy)}`;
+    }
+  }
+  // "-Y 1024 +X 2048" (or rotated: "+X 2048 -Y 1024")
+  const res = /^[-+]([XY]) (\d+) [-+]([XY]) (\d+)/.exec(lines[blank + 1].trim());
+  if (!res) return null;
+  const size = { [res[1]]: Number(res[2]), [res[3]]: Number(res[4]) };
+  return info({ width: size.X, height: size.Y, channels: 3, bitDepth: 32, sampleType: 'float', colorSpace, encoding });
+}
+
+/* ====== DDS ====== */
+
+const fourCC = (s) => s.charCodeAt(0) | (s.charCodeAt(1) << 8) | (s.charCodeAt(2) << 16) | (s.charCodeAt(3) << 24);
+
+// [encoding, channels, bitDepth, sampleType]
+const DDS_FOURCC = new Map([
+  [fourCC('DXT1'), ['BC1', 4, 8]],
+  [fourCC('DXT2'), ['BC2', 4, 8]],
+  [fourCC('DXT3'), ['BC2', 4, 8]],
+  [fourCC('DXT4'), ['BC3', 4, 8]],
+  [fourCC('DXT5'), ['BC3', 4, 8]],
+  [fourCC('ATI1'), ['BC4', 1, 8]],
+  [fourCC('BC4U'), ['BC4', 1, 8]],
+  [fourCC('BC4S'), ['BC4', 1, 8]],
+  [fourCC('ATI2'), ['BC5', 2, 8]],
+  [fourCC('BC5U'), ['BC5', 2, 8]],
+  [fourCC('BC5S'), ['BC5', 2, 8]],
+  [111, ['R16F', 1, 16, 'half']],
+  [112, ['RG16F', 2, 16, 'half']],
+  [113, ['RGBA16F', 4, 16, 'half']],
+  [114, ['R32F', 1, 32, 'float']],
+  [115, ['RG32F', 2, 32, 'float']],
+  [116, ['RGBA32F', 4, 32, 'float']],
+]);
+
+// DXGI_FORMAT → [encoding, channels, bitDepth, sampleType, sRGB]
+const DXGI = new Map([
+  [2, ['RGBA32F', 4, 32, 'float']],
+  [6, ['RGB32F', 3, 32, 'float']],
+  [10, ['RGBA16F', 4, 16, 'half']],
+  [11, ['RGBA16', 4, 16]],
+  [16, ['RG32F', 2, 32, 'float']],
+  [24, ['RGB10A2', 4, 10]],
+  [26, ['RG11B10F', 3, 11, 'float']],
+  [28, ['RGBA8', 4, 8]], [29, ['RGBA8', 4, 8, 'uint', true]],
+  [34, ['RG16F', 2, 16, 'half']],
+  [35, ['RG16', 2, 16]],
+  [41, ['R32F', 1, 32, 'float']],
+  [49, ['RG8', 2, 8]],
+  [54, ['R16F', 1, 16, 'half']],
+  [56, ['R16', 1, 16]],
+  [61, ['R8', 1, 8]],
+  [71, ['BC1', 4, 8]], [72, ['BC1', 4, 8, 'uint', true]],
+  [74, ['BC2', 4, 8]], [75, ['BC2', 4, 8, 'uint', true]],
+  [77, ['BC3', 4, 8]], [78, ['BC3', 4, 8, 'uint', true]],
+  [80, ['BC4', 1, 8]], [81, ['BC4', 1, 8]],
+  [83, ['BC5', 2, 8]], [84, ['BC5', 2, 8]],
+  [87, ['BGRA8', 4, 8]], [91, ['BGRA8', 4, 8, 'uint', true]],
+  [88, ['BGRX8', 3, 8]], [93, ['BGRX8', 3, 8, 'uint', true]],
+  [95, ['BC6H', 3, 16, 'half']], [96, ['BC6H', 3, 16, 'half']],
+  [98, ['BC7', 4, 8]], [99, ['BC7', 4, 8, 'uint', true]],
+]);
+
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+
+async function ddsInfo(reader) {
+  const h = await reader.bytes(0, 128);
+  if (h.readUInt32LE(0) !== fourCC('DDS ')) return null;
+  const flags = h.readUInt32LE(80);
+  const code = h.readUInt32LE(84);
+  let format = null;
+  if (flags & DDPF_FOURCC) {
+    format = code === fourCC('DX10') ? DXGI.get((await reader.bytes(128, 4)).readUInt32LE(0)) : DDS_FOURCC.get(code);
+    if (!format) format = ['unknown format', null, null];
+  } else {
+    // Bit masks: one channel per non-empty mask
+    const bitCount = h.readUInt32LE(88);
+    const masks = [92, 96, 100, 104].map(o => h.readUInt32LE(o)).filter((m, i) => m && (i < 3 || flags & DDPF_ALPHAPIXELS));
+    const channels = new Set(masks).size || 1;
+    format = [null, channels, Math.round(bitCount / channels)];
+  }
+  const [encoding, channels, bitDepth, sampleType = 'uint', srgb = false] = format;
+  return info({
+    width: h.readUInt32LE(16),
+    height: h.readUInt32LE(12),
+    channels: encoding === 'BC1' && !(flags & DDPF_ALPHAPIXELS) && code !== fourCC('DX10') ? 3 : channels,
+    bitDepth,
+    sampleType,
+    colorSpace: srgb ? 'sRGB' : null,
+    encoding,
+  });
+}
+
+const PARSERS = {
+  '.png': pngInfo,
+  '.apng': pngInfo,
+  '.jpg': jpegInfo,
+  '.jpeg': jpegInfo,
+  '.jfif': jpegInfo,
+  '.webp': webpInfo,
+  '.tif': tiffInfo,
+  '.tiff': tiffInfo,
+  '.exr': exrInfo,
+  '.hdr': hdrInfo,
+  '.dds': ddsInfo,
+};
+
+// Extensions readImageInfo() understands
+export const IMAGE_INFO_EXT = new Set(Object.keys(PARSERS));
+
+/**
+ * readImageInfo(abs, ext)
+ * ---------------------------------------------
+ * @param {string} abs - Absolute path of the file
+ * @param {string} ext - Lowercased extension
+ * @returns {Promise<ImageInfo|null>} null for other
+ *   formats, or files that are not what their
+ *   extension says (truncated, corrupt, …)
+ * @throws I/O errors (missing file, …)
+ */
+export async function readImageInfo(abs, ext) {
+  const parse = PARSERS[ext];
+  if (!parse) return null;
+  const fh = await fs.open(abs, 'r');
+  try {
+    const { size } = await fh.stat();
+    return await parse(fileReader(fh, size));
+  } catch (err) {
+    if (err instanceof TruncatedError || err instanceof RangeError) return null;
+    throw err;
+  } finally {
+    await fh.close();
+  }
+}
@@ -0,0 +1,267 @@
+// =============================================
+// JPEG decoder, 1/8 scale (DC coefficients only)
+// ---------------------------------------------
+// Enough for perceptual hashes: every 8×8 block
+// becomes one pixel (its average), so no IDCT is
+// needed. Only the first scan that carries the
+// luma (first) component is decoded:
+//  - baseline / extended sequential (SOF0, SOF1):
+//    AC coefficients are read and thrown away
+//  - progressive (SOF2): the first DC scan
+// The result is grey (luma only).
+// Lossless and arithmetic-coded files are not
+// supported.
+// =============================================
+import { UnsupportedImageError, checkPixels } from './common.js';
+
+/**
+ * Huffman table in the form of JPEG spec F.2.2.3
+ * (codes of each length are consecutive).
+ */
+function buildHuffman(counts, symbols) {
+  const maxcode = new Int32Array(17).fill(-1);
+  const valptr = new Int32Array(17);
+  const mincode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valptr[len] = k;
+    mincode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    if (counts[len - 1]) maxcode[len] = code - 1;
+    code <<= 1;
+  }
+  return { maxcode, valptr, mincode, symbols };
+}
+
+/**
+ * Bit reader over entropy-coded data: skips stuffed
+ * zero bytes, stops (feeding 1 bits) at a marker.
+ */
+function bitReader(buf, start) {
+  let pos = start;
+  let bits = 0;
+  let count = 0;
+
+  function bit() {
+    if (count === 0) {
+      if (pos >= buf.length) return 1;
+      const b = buf[pos];
+      if (b === 0xFF) {
+        const next = buf[pos + 1];
+        if (next === 0x00) pos += 2;
+        else return 1; // Marker: end of the data
+      } else {
+        pos += 1;
+      }
+      bits = b;
+      count = 8;
+    }
+    count -= 1;
+    return (bits >> count) & 1;
+  }
+
+  function receive(n) {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = (v << 1) | bit();
+    return v;
+  }
+
+  function decode(table) {
+    if (!table) throw new Error('JPEG: missing Huffman table');
+    let code = bit();
+    for (let len = 1; len <= 16; len++) {
+      if (code <= table.maxcode[len]) return table.symbols[table.valptr[len] + code - table.mincode[len]];
+      code = (code << 1) | bit();
+    }
+    throw new Error('JPEG: bad Huffman code');
+  }
+
+  // Skips to just after the next RSTn marker
+  function restart() {
+    count = 0;
+    while (pos + 1 < buf.length && !(buf[pos] === 0xFF && buf[pos + 1] >= 0xD0 && buf[pos + 1] <= 0xD7)) pos++;
+    pos += 2;
+  }
+
+  return { receive, decode, restart };
+}
+
+// Sign-extends an n-bit magnitude (JPEG spec F.2.2.1)
+const extend = (v, n) => (n && v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+
+/**
+ * decodeJpegDc(buf, opts)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxPixels?: number}} [opts] - Refuse larger
+ *   images (counted at full size)
+ * @returns {{width:number, height:number, data:Uint8Array}}
+ *   RGBA, about width/8 × height/8 of the image
+ * @throws {UnsupportedImageError}
+ */
+export function decodeJpegDc(buf, { maxPixels = Infinity } = {}) {
+  if (buf[0] !== 0xFF || buf[1] !== 0xD8) throw new UnsupportedImageError('Not a JPEG file');
+
+  const dcTables = [];
+  const acTables = [];
+  const quant = [];
+  let frame = null;
+  let restartInterval = 0;
+  let pos = 2;
+
+  while (pos + 4 <= buf.length) {
+    if (buf[pos] !== 0xFF) { pos++; continue; }
+    const marker = buf[pos + 1];
+    if (marker === 0xFF) { pos++; continue; } // Fill byte
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { pos += 2; continue; }
+    if (marker === 0xD9) break;
+    const len = (buf[pos + 2] << 8) | buf[pos + 3];
+    const seg = buf.subarray(pos + 4, pos + 2 + len);
+    pos += 2 + len;
+
+    if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+      const comps = [];
+      for (let i = 0; i < seg[5]; i++) {
+        const o = 6 + i * 3;
+        comps.push({ id: seg[o], h: seg[o + 1] >> 4, v: seg[o + 1] & 15, tq: seg[o + 2] });
+      }
+      frame = {
+        progressive: marker === 0xC2,
+        height: (seg[1] << 8) | seg[2],
+        width: (seg[3] << 8) | seg[4],
+        comps,
+      };
+      if (!frame.width || !frame.height || !comps.length) throw new UnsupportedImageError('JPEG without image size');
+      checkPixels(frame.width, frame.height, maxPixels);
+    } else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      throw new UnsupportedImageError('Lossless / arithmetic-coded JPEG');
+    } else if (marker === 0xC4) {
+      for (let o = 0; o < seg.length;) {
+        const cls = seg[o] >> 4;
+        const id = seg[o] & 15;
+        const counts = seg.subarray(o + 1, o + 17);
+        const total = counts.reduce((a, b) => a + b, 0);
+        const table = buildHuffman(counts, seg.slice(o + 17, o + 17 + total));
+        (cls === 0 ? dcTables : acTables)[id] = table;
+        o += 17 + total;
+      }
+    } else if (marker === 0xDB) {
+      for (let o = 0; o < seg.length;) {
+        const wide = seg[o] >> 4;
+        const id = seg[o] & 15;
+        quant[id] = wide ? (seg[o + 1] << 8) | seg[o + 2] : seg[o + 1]; // DC entry only
+        o += 1 + 64 * (wide ? 2 : 1);
+      }
+    } else if (marker === 0xDD) {
+      restartInterval = (seg[0] << 8) | seg[1];
+    } else if (marker === 0xDA) {
+      if (!frame) throw new UnsupportedImageError('JPEG scan before frame header');
+      const scan = [];
+      for (let i = 0; i < seg[0]; i++) {
+        const comp = frame.comps.find(c => c.id === seg[1 + i * 2]);
+        const t = seg[2 + i * 2];
+        scan.push({ comp, dc: dcTables[t >> 4], ac: acTables[t & 15] });
+      }
+      const o = 1 + seg[0] * 2;
+      const ss = seg[o];
+      const ah = seg[o + 2] >> 4;
+      const al = seg[o + 2] & 15;
+      const usable = scan[0]?.comp === frame.comps[0] && (!frame.progressive || (ss === 0 && ah === 0));
+      if (usable) return decodeScan(buf, pos, frame, scan, { restartInterval, al, quant });
+      // Other scans: skip their data (up to the next marker)
+      while (pos + 1 < buf.length && !(buf[pos] === 0xFF && buf[pos + 1] !== 0 && !(buf[pos + 1] >= 0xD0 && buf[pos + 1] <= 0xD7))) pos++;
+    }
+  }
+  throw new UnsupportedImageError('JPEG without image data');
+}
+
+/**
+ * Decodes the DC values of one scan and turns the
+ * first component's blocks into pixels.
+ */
+function decodeScan(buf, start, frame, scan, { restartInterval, al, quant }) {
+  const hmax = Math.max(...frame.comps.map(c => c.h));
+  const vmax = Math.max(...frame.comps.map(c => c.v));
+  const mcusX = Math.ceil(frame.width / (8 * hmax));
+  const mcusY = Math.ceil(frame.height / (8 * vmax));
+
+  for (const c of frame.comps) {
+    // Blocks that hold image data, and the padded grid of whole MCUs
+    c.blocksX = Math.ceil(Math.ceil((frame.width * c.h) / hmax) / 8);
+    c.blocksY = Math.ceil(Math.ceil((frame.height * c.v) / vmax) / 8);
+    c.stride = mcusX * c.h;
+    c.dc = new Int32Array(c.stride * mcusY * c.v);
+  }
+
+  const reader = bitReader(buf, start);
+  const preds = new Int32Array(scan.length);
+
+  function block(s, i, row, col) {
+    const t = reader.decode(s.dc);
+    preds[i] += t ? extend(reader.receive(t), t) : 0;
+    s.comp.dc[row * s.comp.stride + col] = preds[i] << al;
+    if (frame.progressive) return;
+    for (let k = 1; k < 64; k++) {
+      const rs = reader.decode(s.ac);
+      const size = rs & 15;
+      if (!size) {
+        if ((rs >> 4) !== 15) break; // End of block
+        k += 15;
+        continue;
+      }
+      k += rs >> 4;
+      reader.receive(size);
+    }
+  }
+
+  let todo = restartInterval;
+  const checkRestart = () => {
+    if (!restartInterval) return;
+    if (todo === 0) {
+      reader.restart();
+      preds.fill(0);
+      todo = restartInterval;
+    }
+    todo -= 1;
+  };
+
+  if (scan.length === 1) {
+    // Non-interleaved: the component's own blocks, one per MCU
+    const c = scan[0].comp;
+    for (let row = 0; row < c.blocksY; row++) {
+      for (let col = 0; col < c.blocksX; col++) {
+        checkRestart();
+        block(scan[0], 0, row, col);
+      }
+    }
+  } else {
+    for (let my = 0; my < mcusY; my++) {
+      for (let mx = 0; mx < mcusX; mx++) {
+        checkRestart();
+        scan.forEach((s, i) => {
+          for (let v = 0; v < s.comp.v; v++) {
+            for (let h = 0; h < s.comp.h; h++) block(s, i, my * s.comp.v + v, mx * s.comp.h + h);
+          }
+        });
+      }
+    }
+  }
+
+  // DC = 8 × (block average − 128), before quantization
+  const c = frame.comps[0];
+  const q = quant[c.tq] ?? 1;
+  const width = c.blocksX;
+  const height = c.blocksY;
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.max(0, Math.min(255, Math.round((c.dc[y * c.stride + x] * q) / 8 + 128)));
+      const o = (y * width + x) * 4;
+      data[o] = data[o + 1] = data[o + 2] = v;
+      data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,113 @@
+// =============================================
+// Perceptual hashes (difference hash, 64 bits)
+// ---------------------------------------------
+// The image is averaged down to 9 × 8 grey cells;
+// each bit tells whether a cell is darker than its
+// right-hand neighbour. Copies that were resized,
+// re-encoded or slightly retouched get hashes only
+// a few bits apart (see hammingDistance).
+// =============================================
+import { decodeImage, decodeHdrImage, HDR_EXT, DECODABLE_EXT } from './decode.js';
+import { decodeJpegDc } from './jpeg.js';
+import { decodePng } from './png.js';
+import { toneMap } from './tonemap.js';
+import { UnsupportedImageError } from './common.js';
+
+const COLS = 9;
+const ROWS = 8;
+
+const JPEG_EXT = new Set(['.jpg', '.jpeg', '.jfif']);
+
+// Extensions perceptualHash() understands
+export const PHASH_EXT = new Set([...JPEG_EXT, '.png', ...DECODABLE_EXT]);
+
+/**
+ * dHash(img)
+ * ---------------------------------------------
+ * @param {{width:number, height:number, data:Uint8Array}} img - RGBA8
+ * @returns {string} 16 hex digits
+ * @throws {UnsupportedImageError} images smaller than 9 × 8
+ */
+export function dHash({ width, height, data }) {
+  if (width < COLS || height < ROWS) throw new UnsupportedImageError('Image too small to hash');
+  const colW = coverage(width, COLS);
+  const rowW = coverage(height, ROWS);
+  const cells = new Float64Array(COLS * ROWS);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      // Transparent pixels count as black
+      const grey = ((0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) * data[p + 3]) / 255;
+      for (const [r, wy] of rowW[y]) {
+        for (const [c, wx] of colW[x]) cells[r * COLS + c] += grey * wx * wy;
+      }
+    }
+  }
+  let hex = '';
+  for (let r = 0; r < ROWS; r++) {
+    let byte = 0;
+    for (let c = 0; c < COLS - 1; c++) {
+      const i = r * COLS + c;
+      byte = (byte << 1) | (cells[i] < cells[i + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * For each of `size` source pixels, the cells (of
+ * `cells` equal ones) it overlaps and by how much:
+ * cells then hold exact area averages, whatever the
+ * source size.
+ */
+function coverage(size, cells) {
+  const out = [];
+  for (let i = 0; i < size; i++) {
+    const from = (i * cells) / size;
+    const to = ((i + 1) * cells) / size;
+    const first = Math.floor(from);
+    const last = Math.min(cells - 1, Math.ceil(to) - 1);
+    const parts = [];
+    for (let c = first; c <= last; c++) parts.push([c, Math.min(to, c + 1) - Math.max(from, c)]);
+    out.push(parts);
+  }
+  return out;
+}
+
+/**
+ * perceptualHash(buf, ext, opts)
+ * ---------------------------------------------
+ * Decodes a file (as small as its format allows)
+ * and hashes it. HDR files are tone-mapped first.
+ *
+ * @param {Uint8Array} buf - Whole file
+ * @param {string} ext - Lowercased extension
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {string} see dHash()
+ * @throws {UnsupportedImageError}
+ */
+export function perceptualHash(buf, ext, { maxPixels } = {}) {
+  if (HDR_EXT.has(ext)) return dHash(toneMap(decodeHdrImage(buf, ext, { maxSize: 64 }), {}));
+  if (JPEG_EXT.has(ext)) return dHash(decodeJpegDc(buf, { maxPixels }));
+  if (ext === '.png') return dHash(decodePng(buf, { maxPixels }));
+  return dHash(decodeImage(buf, ext, { maxPixels }));
+}
+
+// Set bits per byte value
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, i) => {
+  let n = 0;
+  for (let v = i; v; v >>= 1) n += v & 1;
+  return n;
+});
+
+/**
+ * hammingDistance(a, b)
+ * ---------------------------------------------
+ * Number of differing bits of two dHash() values.
+ */
+export function hammingDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i += 2) d += POPCOUNT[parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16)];
+  return d;
+}
@@ -0,0 +1,220 @@
+// =============================================
+// Minimal PNG encoder (8-bit RGB / RGBA)
+// ---------------------------------------------
+// Used for generated previews. Rows are filtered
+// with the usual "minimum sum of absolute
+// differences" heuristic, then deflated by zlib.
+//
+// decodePng() reads the common non-interlaced
+// variants back (perceptual hashes of PNG files).
+// =============================================
+import zlib from 'zlib';
+import { crc32 } from '../crc32.js';
+import { UnsupportedImageError, checkPixels } from './common.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(data, crc32(head.subarray(4))), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * encodePng({ width, height, data })
+ * ---------------------------------------------
+ * @param {{width:number, height:number, data:Uint8Array}} img
+ *   RGBA pixels, 4 bytes per pixel, rows top to bottom.
+ *   Fully opaque images are written as RGB.
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng({ width, height, data }) {
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) { opaque = false; break; }
+  }
+  const bpp = opaque ? 3 : 4;
+  const stride = width * bpp;
+
+  // Pack rows (dropping alpha if unused)
+  const raw = new Uint8Array(stride * height);
+  if (opaque) {
+    for (let s = 0, d = 0; s < data.length; s += 4, d += 3) {
+      raw[d] = data[s]; raw[d + 1] = data[s + 1]; raw[d + 2] = data[s + 2];
+    }
+  } else {
+    raw.set(data.subarray(0, raw.length));
+  }
+
+  // Filter each row with the cheapest of the 5 PNG filters
+  const out = new Uint8Array((stride + 1) * height);
+  const cand = Array.from({ length: 5 }, () => new Uint8Array(stride));
+  const zero = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const row = raw.subarray(y * stride, (y + 1) * stride);
+    const up = y > 0 ? raw.subarray((y - 1) * stride, y * stride) : zero;
+    let best = 0;
+    let bestSum = Infinity;
+    for (let f = 0; f < 5; f++) {
+      const c = cand[f];
+      let sum = 0;
+      for (let x = 0; x < stride; x++) {
+        const a = x >= bpp ? row[x - bpp] : 0;
+        const b = up[x];
+        const cc = x >= bpp ? up[x - bpp] : 0;
+        let v;
+        switch (f) {
+          case 0: v = row[x]; break;
+          case 1: v = row[x] - a; break;
+          case 2: v = row[x] - b; break;
+          case 3: v = row[x] - ((a + b) >> 1); break;
+          default: v = row[x] - paeth(a, b, cc);
+        }
+        v &= 0xFF;
+        c[x] = v;
+        sum += v < 128 ? v : 256 - v;
+      }
+      if (sum < bestSum) { bestSum = sum; best = f; }
+    }
+    const o = y * (stride + 1);
+    out[o] = best;
+    out.set(cand[best], o + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;                 // bit depth
+  ihdr[9] = opaque ? 2 : 6;    // color type: RGB / RGBA
+  ihdr[10] = 0;                // compression
+  ihdr[11] = 0;                // filter method
+  ihdr[12] = 0;                // no interlace
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(out, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Channels per colour type (0 grey, 2 RGB, 3 palette, 4 grey+alpha, 6 RGBA)
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * decodePng(buf, opts)
+ * ---------------------------------------------
+ * Non-interlaced PNG files, 8 or 16 bits per
+ * channel (16-bit samples keep their high byte),
+ * palette images of 1 to 8 bits. tRNS and gamma
+ * chunks are ignored.
+ *
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {{width:number, height:number, data:Uint8Array}} RGBA8
+ * @throws {UnsupportedImageError}
+ */
+export function decodePng(buf, { maxPixels = Infinity } = {}) {
+  const b = Buffer.from(buf.buffer, buf.byteOffset, buf.length);
+  if (b.length < 8 || !b.subarray(0, 8).equals(SIGNATURE)) throw new UnsupportedImageError('Not a PNG file');
+
+  let width = 0, height = 0, depth = 0, type = 0, interlace = 0;
+  let palette = null;
+  const idat = [];
+  for (let o = 8; o + 8 <= b.length;) {
+    const len = b.readUInt32BE(o);
+    const kind = b.toString('ascii', o + 4, o + 8);
+    const data = b.subarray(o + 8, o + 8 + len);
+    o += 12 + len;
+    if (kind === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      depth = data[8];
+      type = data[9];
+      interlace = data[12];
+    } else if (kind === 'PLTE') {
+      palette = data;
+    } else if (kind === 'IDAT') {
+      idat.push(data);
+    } else if (kind === 'IEND') {
+      break;
+    }
+  }
+
+  const channels = CHANNELS[type];
+  if (!width || !height || !channels) throw new UnsupportedImageError('PNG without a valid header');
+  if (interlace) throw new UnsupportedImageError('Interlaced PNG');
+  if (type === 3 ? !palette || depth > 8 : depth !== 8 && depth !== 16) {
+    throw new UnsupportedImageError(`PNG colour type ${type} with ${depth}-bit samples`);
+  }
+  checkPixels(width, height, maxPixels);
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  if (raw.length < (stride + 1) * height) throw new UnsupportedImageError('Truncated PNG');
+
+  // Undo the row filters in place
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const f = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    const up = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0;
+      const u = up ? up[x] : 0;
+      const c = x >= bpp && up ? up[x - bpp] : 0;
+      let v = src[x];
+      switch (f) {
+        case 1: v += a; break;
+        case 2: v += u; break;
+        case 3: v += (a + u) >> 1; break;
+        case 4: v += paeth(a, u, c); break;
+        default: break;
+      }
+      row[x] = v & 0xFF;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  const step = depth === 16 ? 2 : 1; // Bytes per sample (high byte first)
+  for (let y = 0; y < height; y++) {
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (type === 3) {
+        const bit = x * depth;
+        const idx = (row[bit >> 3] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+        data[o] = palette[idx * 3] ?? 0;
+        data[o + 1] = palette[idx * 3 + 1] ?? 0;
+        data[o + 2] = palette[idx * 3 + 2] ?? 0;
+        data[o + 3] = 255;
+        continue;
+      }
+      const p = x * channels * step;
+      const s = (i) => row[p + i * step];
+      if (channels <= 2) {
+        data[o] = data[o + 1] = data[o + 2] = s(0);
+        data[o + 3] = channels === 2 ? s(1) : 255;
+      } else {
+        data[o] = s(0);
+        data[o + 1] = s(1);
+        data[o + 2] = s(2);
+        data[o + 3] = channels === 4 ? s(3) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,79 @@
+// =============================================
+// Worker pool for image tasks (see worker.js)
+// =============================================
+import { Worker } from 'worker_threads';
+import { UnsupportedImageError } from './common.js';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+/**
+ * createImagePool({ size })
+ * ---------------------------------------------
+ * Runs tasks on up to `size` worker threads, one
+ * task per worker at a time. Workers are started on
+ * demand and replaced if they crash (e.g. out of
+ * memory on a huge file).
+ *
+ * @param {{size?: number}} [opts]
+ * @returns {{ run: (task: object) => Promise<any> }}
+ */
+export function createImagePool({ size = 1 } = {}) {
+  const idle = [];
+  const queue = [];
+  let workers = 0;
+  let nextId = 1;
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL);
+    workers++;
+    worker.unref();
+    worker.on('error', (err) => fail(worker, err));
+    worker.on('exit', (code) => {
+      if (code !== 0) fail(worker, new Error(`Image worker exited with code ${code}`));
+    });
+    return worker;
+  }
+
+  // A crashed worker rejects its current job and is replaced on demand
+  function fail(worker, err) {
+    if (worker.dead) return;
+    worker.dead = true;
+    workers--;
+    const i = idle.indexOf(worker);
+    if (i >= 0) idle.splice(i, 1);
+    worker.job?.reject(err);
+    worker.job = null;
+    pump();
+  }
+
+  function pump() {
+    while (queue.length) {
+      let worker = idle.pop();
+      if (!worker) {
+        if (workers >= size) return;
+        worker = spawn();
+      }
+      const job = queue.shift();
+      worker.job = job;
+      worker.ref();
+      worker.once('message', ({ ok, result, error, unsupported }) => {
+        worker.job = null;
+        worker.unref();
+        idle.push(worker);
+        if (ok) job.resolve(result);
+        else job.reject(unsupported ? new UnsupportedImageError(error) : new Error(error));
+        pump();
+      });
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, task, resolve, reject });
+      pump();
+    });
+  }
+
+  return { run };
+}
@@ -0,0 +1,116 @@
+// =============================================
+// Image downscaling (RGBA8, area average)
+// =============================================
+
+/**
+ * fitSize(width, height, maxSize)
+ * ---------------------------------------------
+ * Size of the image once scaled down to fit in a
+ * maxSize × maxSize box (never scaled up).
+ */
+export function fitSize(width, height, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * downscale(img, maxSize)
+ * ---------------------------------------------
+ * Box-filter downscale: every output pixel is the
+ * average of the source pixels it covers. Colours
+ * are weighted by alpha so transparent pixels do
+ * not darken the edges.
+ *
+ * @param {{width:number, height:number, data:Uint8Array}} img - RGBA8
+ * @param {number} maxSize - Longest side of the result
+ * @returns {{width:number, height:number, data:Uint8Array}}
+ */
+export function downscale(img, maxSize) {
+  const { width: sw, height: sh, data: src } = img;
+  const { width: dw, height: dh } = fitSize(sw, sh, maxSize);
+  if (dw === sw && dh === sh) return img;
+
+  const dst = new Uint8Array(dw * dh * 4);
+  const xs = new Uint32Array(dw + 1);
+  for (let x = 0; x <= dw; x++) xs[x] = Math.min(sw, Math.round((x * sw) / dw));
+
+  for (let y = 0; y < dh; y++) {
+    const y0 = Math.floor((y * sh) / dh);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * sh) / dh));
+    for (let x = 0; x < dw; x++) {
+      const x0 = xs[x];
+      const x1 = Math.max(x0 + 1, xs[x + 1]);
+      let r = 0, g = 0, b = 0, a = 0, n = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        let p = (yy * sw + x0) * 4;
+        for (let xx = x0; xx < x1; xx++, p += 4) {
+          const al = src[p + 3];
+          r += src[p] * al;
+          g += src[p + 1] * al;
+          b += src[p + 2] * al;
+          a += al;
+          n++;
+        }
+      }
+      const o = (y * dw + x) * 4;
+      if (a > 0) {
+        dst[o] = Math.round(r / a);
+        dst[o + 1] = Math.round(g / a);
+        dst[o + 2] = Math.round(b / a);
+      }
+      dst[o + 3] = Math.round(a / n);
+    }
+  }
+  return { width: dw, height: dh, data: dst };
+}
+
+/**
+ * createAccumulator(srcWidth, srcHeight, maxSize)
+ * ---------------------------------------------
+ * Streaming box-filter downscale for float images
+ * (EXR/HDR): decoders push pixels one at a time, in
+ * any order, and only the small result is kept in
+ * memory, so a 16k HDRI never needs a full-size buffer.
+ *
+ * @returns {{
+ *   width: number, height: number,
+ *   add: (x: number, y: number, r: number, g: number, b: number, a: number) => void,
+ *   result: () => {width:number, height:number, data:Float32Array},
+ * }} result() gives linear RGBA floats
+ */
+export function createAccumulator(srcWidth, srcHeight, maxSize) {
+  const { width, height } = fitSize(srcWidth, srcHeight, maxSize);
+  const sum = new Float64Array(width * height * 4);
+  const count = new Uint32Array(width * height);
+
+  // Source column/row → destination column/row
+  const xBin = new Uint32Array(srcWidth);
+  for (let x = 0; x < srcWidth; x++) xBin[x] = Math.min(width - 1, Math.floor((x * width) / srcWidth));
+  const yBin = new Uint32Array(srcHeight);
+  for (let y = 0; y < srcHeight; y++) yBin[y] = Math.min(height - 1, Math.floor((y * height) / srcHeight));
+
+  function add(x, y, r, g, b, a) {
+    const i = yBin[y] * width + xBin[x];
+    const o = i * 4;
+    // Ignore NaN/Inf so one bad pixel does not poison a whole block
+    sum[o] += Number.isFinite(r) ? r : 0;
+    sum[o + 1] += Number.isFinite(g) ? g : 0;
+    sum[o + 2] += Number.isFinite(b) ? b : 0;
+    sum[o + 3] += Number.isFinite(a) ? a : 1;
+    count[i]++;
+  }
+
+  function result() {
+    const data = new Float32Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      const n = count[i] || 1;
+      for (let c = 0; c < 4; c++) data[i * 4 + c] = sum[i * 4 + c] / n;
+    }
+    return { width, height, data };
+  }
+
+  return { width, height, add, result };
+}
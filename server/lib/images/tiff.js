@@ -0,0 +1,409 @@
+// =============================================
+// TIFF decoder (first image of the file)
+// ---------------------------------------------
+// Supports:
+//  - Strips and tiles, chunky and planar layouts
+//  - No compression, LZW, Deflate/ZIP, PackBits
+//  - Horizontal and floating-point predictors
+//  - 1/2/4/8/16-bit integer and 16/32/64-bit float samples
+//  - Gray, RGB, palette and CMYK, with extra alpha
+//
+// Not supported: JPEG-compressed TIFF, YCbCr,
+// BigTIFF. Those throw UnsupportedImageError.
+// =============================================
+import zlib from 'zlib';
+import { UnsupportedImageError, checkPixels, linearToSrgb8, halfToFloat } from './common.js';
+
+// Tag ids used below
+const T = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  Photometric: 262,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  PlanarConfig: 284,
+  Predictor: 317,
+  ColorMap: 320,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  ExtraSamples: 338,
+  SampleFormat: 339,
+};
+
+// Byte size of each IFD field type
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+/**
+ * Parse the first IFD into a Map(tag → number[]).
+ */
+function readIfd(buf) {
+  const le = buf[0] === 0x49 && buf[1] === 0x49; // "II" = little endian
+  const be = buf[0] === 0x4D && buf[1] === 0x4D; // "MM" = big endian
+  if (!le && !be) throw new Error('Not a TIFF file');
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const magic = dv.getUint16(2, le);
+  if (magic === 43) throw new UnsupportedImageError('BigTIFF is not supported');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+
+  const ifd = dv.getUint32(4, le);
+  const count = dv.getUint16(ifd, le);
+  const tags = new Map();
+  for (let i = 0; i < count; i++) {
+    const e = ifd + 2 + i * 12;
+    const tag = dv.getUint16(e, le);
+    const type = dv.getUint16(e + 2, le);
+    const n = dv.getUint32(e + 4, le);
+    const size = TYPE_SIZE[type];
+    if (!size) continue;
+    const at = n * size <= 4 ? e + 8 : dv.getUint32(e + 8, le);
+    if (at + n * size > buf.length) continue;
+
+    const values = new Array(n);
+    for (let k = 0; k < n; k++) {
+      const p = at + k * size;
+      switch (type) {
+        case 3: values[k] = dv.getUint16(p, le); break;
+        case 4: case 13: values[k] = dv.getUint32(p, le); break;
+        case 8: values[k] = dv.getInt16(p, le); break;
+        case 9: values[k] = dv.getInt32(p, le); break;
+        case 5: values[k] = dv.getUint32(p, le) / (dv.getUint32(p + 4, le) || 1); break;
+        case 10: values[k] = dv.getInt32(p, le) / (dv.getInt32(p + 4, le) || 1); break;
+        case 11: values[k] = dv.getFloat32(p, le); break;
+        case 12: values[k] = dv.getFloat64(p, le); break;
+        case 6: values[k] = dv.getInt8(p); break;
+        default: values[k] = buf[p];
+      }
+    }
+    tags.set(tag, values);
+  }
+  return { tags, le, dv };
+}
+
+/* ======================================================
+   Decompression
+   ====================================================== */
+
+/**
+ * TIFF flavour of LZW: MSB-first codes of 9–12 bits,
+ * code width grows one code early ("early change").
+ */
+function lzwDecode(src, size) {
+  const out = new Uint8Array(size);
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const length = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) { suffix[i] = i; length[i] = 1; }
+
+  const totalBits = src.length * 8;
+  let bitPos = 0;
+  let codeLen = 9;
+  let next = 258;
+  let old = -1;
+  let op = 0;
+
+  // Write the string of `code` at `at`; returns its length
+  const emit = (code, at) => {
+    const len = length[code];
+    let c = code;
+    for (let i = len - 1; i >= 0; i--) {
+      if (at + i < size) out[at + i] = suffix[c];
+      c = prefix[c];
+    }
+    return len;
+  };
+
+  while (bitPos + codeLen <= totalBits && op < size) {
+    const p = bitPos >> 3;
+    const bits = ((src[p] << 16) | ((src[p + 1] ?? 0) << 8) | (src[p + 2] ?? 0)) >>> 0;
+    const code = (bits >>> (24 - codeLen - (bitPos & 7))) & ((1 << codeLen) - 1);
+    bitPos += codeLen;
+
+    if (code === 257) break; // EOI
+    if (code === 256) {       // Clear
+      codeLen = 9;
+      next = 258;
+      old = -1;
+      continue;
+    }
+    if (old === -1) {
+      if (code > 255) break; // Corrupt stream
+      op += emit(code, op);
+      old = code;
+      continue;
+    }
+
+    if (code > next) break; // Corrupt stream
+
+    // code === next is the "KwKwK" case: old string + its first char
+    const known = code < next;
+    const base = known ? code : old;
+    let c = base;
+    while (length[c] > 1) c = prefix[c];
+    const first = suffix[c];
+    op += emit(base, op);
+    if (!known) {
+      if (op < size) out[op] = first;
+      op++;
+    }
+
+    if (next < 4096) {
+      prefix[next] = old;
+      suffix[next] = first;
+      length[next] = length[old] + 1;
+      next++;
+    }
+    if (next >= (1 << codeLen) - 1 && codeLen < 12) codeLen++;
+    old = code;
+  }
+  return out;
+}
+
+function packBitsDecode(src, size) {
+  const out = new Uint8Array(size);
+  let ip = 0;
+  let op = 0;
+  while (ip < src.length && op < size) {
+    const n = (src[ip++] << 24) >> 24; // int8
+    if (n >= 0) {
+      for (let i = 0; i <= n && op < size; i++) out[op++] = src[ip++];
+    } else if (n !== -128) {
+      const v = src[ip++];
+      for (let i = 0; i < 1 - n && op < size; i++) out[op++] = v;
+    }
+  }
+  return out;
+}
+
+function decompress(compression, src, size) {
+  switch (compression) {
+    case 1: {
+      const out = new Uint8Array(size);
+      out.set(src.subarray(0, size));
+      return out;
+    }
+    case 5: return lzwDecode(src, size);
+    case 8:
+    case 32946: {
+      const raw = zlib.inflateSync(src, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      const out = new Uint8Array(size);
+      out.set(raw.subarray(0, size));
+      return out;
+    }
+    case 32773: return packBitsDecode(src, size);
+    case 6:
+    case 7: throw new UnsupportedImageError('JPEG-compressed TIFF is not supported');
+    default: throw new UnsupportedImageError(`TIFF compression ${compression} is not supported`);
+  }
+}
+
+/* ======================================================
+   Predictors
+   ====================================================== */
+
+function undoHorizontal(block, rows, rowBytes, spp, bits, le) {
+  if (bits === 8) {
+    for (let y = 0; y < rows; y++) {
+      const o = y * rowBytes;
+      for (let x = spp; x < rowBytes; x++) block[o + x] = (block[o + x] + block[o + x - spp]) & 0xFF;
+    }
+  } else if (bits === 16) {
+    const dv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    for (let y = 0; y < rows; y++) {
+      const o = y * rowBytes;
+      for (let x = spp; x < rowBytes / 2; x++) {
+        const v = dv.getUint16(o + x * 2, le) + dv.getUint16(o + (x - spp) * 2, le);
+        dv.setUint16(o + x * 2, v & 0xFFFF, le);
+      }
+    }
+  } else if (bits === 32) {
+    const dv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    for (let y = 0; y < rows; y++) {
+      const o = y * rowBytes;
+      for (let x = spp; x < rowBytes / 4; x++) {
+        const v = dv.getUint32(o + x * 4, le) + dv.getUint32(o + (x - spp) * 4, le);
+        dv.setUint32(o + x * 4, v >>> 0, le);
+      }
+    }
+  }
+}
+
+/**
+ * Floating-point predictor (3): bytes are differenced
+ * across the row, then stored as byte planes (most
+ * significant bytes first). Rebuilds big-endian values.
+ */
+function undoFloat(block, rows, rowBytes, spp, bytesPerSample) {
+  const tmp = new Uint8Array(rowBytes);
+  const count = rowBytes / bytesPerSample;
+  for (let y = 0; y < rows; y++) {
+    const row = block.subarray(y * rowBytes, (y + 1) * rowBytes);
+    for (let x = spp; x < rowBytes; x++) row[x] = (row[x] + row[x - spp]) & 0xFF;
+    tmp.set(row);
+    for (let i = 0; i < count; i++) {
+      for (let b = 0; b < bytesPerSample; b++) row[i * bytesPerSample + b] = tmp[b * count + i];
+    }
+  }
+}
+
+/* ======================================================
+   Decoder
+   ====================================================== */
+
+/**
+ * decodeTiff(buf)
+ * ---------------------------------------------
+ * @param {Uint8Array} buf - Whole file
+ * @param {{maxPixels?: number}} [opts]
+ * @returns {{width:number, height:number, data:Uint8Array}} RGBA8
+ */
+export function decodeTiff(buf, { maxPixels } = {}) {
+  const { tags, le } = readIfd(buf);
+  const get = (tag, def) => (tags.has(tag) ? tags.get(tag)[0] : def);
+
+  const width = get(T.ImageWidth);
+  const height = get(T.ImageLength);
+  if (!width || !height) throw new Error('TIFF without dimensions');
+  checkPixels(width, height, maxPixels);
+
+  const spp = get(T.SamplesPerPixel, 1);
+  const bits = get(T.BitsPerSample, 1);
+  const compression = get(T.Compression, 1);
+  const photometric = get(T.Photometric, spp >= 3 ? 2 : 1);
+  const planar = get(T.PlanarConfig, 1);
+  const predictor = get(T.Predictor, 1);
+  const format = get(T.SampleFormat, 1); // 1 uint, 2 int, 3 float
+  const extra = tags.get(T.ExtraSamples) || [];
+
+  if (tags.has(T.BitsPerSample) && tags.get(T.BitsPerSample).some(b => b !== bits)) {
+    throw new UnsupportedImageError('Mixed TIFF bit depths are not supported');
+  }
+  if (![1, 2, 4, 8, 16, 32, 64].includes(bits)) {
+    throw new UnsupportedImageError(`TIFF ${bits}-bit samples are not supported`);
+  }
+  if (![0, 1, 2, 3, 5].includes(photometric)) {
+    throw new UnsupportedImageError(`TIFF photometric ${photometric} is not supported`);
+  }
+
+  // Block geometry (strips are full-width tiles)
+  const tiled = tags.has(T.TileWidth);
+  const bw = tiled ? get(T.TileWidth) : width;
+  const bh = tiled ? get(T.TileLength) : Math.min(get(T.RowsPerStrip, height), height);
+  const offsets = tags.get(tiled ? T.TileOffsets : T.StripOffsets);
+  const counts = tags.get(tiled ? T.TileByteCounts : T.StripByteCounts);
+  if (!offsets) throw new Error('TIFF without image data');
+
+  const across = Math.ceil(width / bw);
+  const down = Math.ceil(height / bh);
+  const perPlane = across * down;
+  const blockSpp = planar === 2 ? 1 : spp;
+  const rowBytes = Math.ceil((bw * blockSpp * bits) / 8);
+  const bytesPerSample = bits / 8;
+  // The floating-point predictor rebuilds big-endian values
+  const sampleLe = predictor === 3 ? false : le;
+
+  // Raw sample reader (returns the stored value)
+  const readSample = (block, dv, row, i) => {
+    if (bits < 8) {
+      const bit = i * bits;
+      const byte = block[row * rowBytes + (bit >> 3)];
+      return (byte >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+    }
+    const p = row * rowBytes + i * bytesPerSample;
+    if (bits === 8) return format === 2 ? (block[p] << 24) >> 24 : block[p];
+    if (bits === 16) {
+      if (format === 3) return halfToFloat(dv.getUint16(p, sampleLe));
+      return format === 2 ? dv.getInt16(p, sampleLe) : dv.getUint16(p, sampleLe);
+    }
+    if (bits === 32) {
+      if (format === 3) return dv.getFloat32(p, sampleLe);
+      return format === 2 ? dv.getInt32(p, sampleLe) : dv.getUint32(p, sampleLe);
+    }
+    return dv.getFloat64(p, sampleLe);
+  };
+
+  // Values → 0..255 (floats are assumed scene-linear)
+  const maxInt = bits >= 32 ? 4294967295 : (2 ** bits) - 1;
+  const to8 = format === 3
+    ? (v) => linearToSrgb8(v)
+    : format === 2
+      ? (v) => Math.round(((v + (maxInt + 1) / 2) / maxInt) * 255)
+      : bits === 8
+        ? (v) => v
+        : (v) => Math.round((v / maxInt) * 255);
+
+  // Decode all samples into 8-bit planes (palette keeps raw indices)
+  const planes = Array.from({ length: spp }, () => new Uint8Array(width * height));
+  const indices = photometric === 3 ? new Uint16Array(width * height) : null;
+
+  for (let plane = 0; plane < (planar === 2 ? spp : 1); plane++) {
+    for (let b = 0; b < perPlane; b++) {
+      const idx = plane * perPlane + b;
+      const start = offsets[idx];
+      const len = counts ? counts[idx] : buf.length - start;
+      if (start == null || start >= buf.length) continue;
+
+      const bx = (b % across) * bw;
+      const by = Math.floor(b / across) * bh;
+      const rows = tiled ? bh : Math.min(bh, height - by);
+
+      const block = decompress(compression, buf.subarray(start, start + len), rowBytes * rows);
+      if (predictor === 2) undoHorizontal(block, rows, rowBytes, blockSpp, bits, le);
+      if (predictor === 3) undoFloat(block, rows, rowBytes, blockSpp, bytesPerSample);
+      const dv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+
+      for (let y = 0; y < rows; y++) {
+        const iy = by + y;
+        if (iy >= height) break;
+        for (let x = 0; x < bw; x++) {
+          const ix = bx + x;
+          if (ix >= width) break;
+          const o = iy * width + ix;
+          for (let s = 0; s < blockSpp; s++) {
+            const c = planar === 2 ? plane : s;
+            const v = readSample(block, dv, y, x * blockSpp + s);
+            if (indices && c === 0) indices[o] = v;
+            else planes[c][o] = to8(v);
+          }
+        }
+      }
+    }
+  }
+
+  // Compose RGBA
+  const out = new Uint8Array(width * height * 4);
+  const colorCount = photometric === 2 ? 3 : photometric === 5 ? 4 : 1;
+  const alpha = extra.length > 0 && spp > colorCount ? planes[colorCount] : null;
+  const cmap = tags.get(T.ColorMap);
+  const mapLen = 1 << bits;
+
+  for (let i = 0, o = 0; i < width * height; i++, o += 4) {
+    let r, g, b;
+    switch (photometric) {
+      case 0: r = g = b = 255 - planes[0][i]; break;
+      case 1: r = g = b = planes[0][i]; break;
+      case 2: r = planes[0][i]; g = planes[1][i]; b = planes[2][i]; break;
+      case 3: {
+        const k = indices[i];
+        r = cmap ? cmap[k] >> 8 : k;
+        g = cmap ? cmap[mapLen + k] >> 8 : k;
+        b = cmap ? cmap[2 * mapLen + k] >> 8 : k;
+        break;
+      }
+      default: { // CMYK
+        const k = 255 - planes[3][i];
+        r = ((255 - planes[0][i]) * k) / 255;
+        g = ((255 - planes[1][i]) * k) / 255;
+        b = ((255 - planes[2][i]) * k) / 255;
+      }
+    }
+    out[o] = r; out[o + 1] = g; out[o + 2] = b;
+    out[o + 3] = alpha ? alpha[i] : 255;
+  }
+  return { width, height, data: out };
+}
@@ -0,0 +1,40 @@
+// =============================================
+// Tone mapping for HDR previews
+// =============================================
+
+/**
+ * toneMap(img, { exposure, gamma })
+ * ---------------------------------------------
+ * Scene-linear RGBA floats → 8-bit RGBA:
+ *   out = clamp((v × 2^exposure) ^ (1 / gamma))
+ *
+ * @param {{width:number, height:number, data:Float32Array}} img
+ * @param {{exposure?: number, gamma?: number}} [opts]
+ *   exposure in stops (EV, default 0), display gamma (default 2.2)
+ * @returns {{width:number, height:number, data:Uint8Array}}
+ */
+export function toneMap(img, { exposure = 0, gamma = 2.2 } = {}) {
+  const { width, height, data } = img;
+  const gain = 2 ** exposure;
+  const inv = 1 / gamma;
+
+  // Lookup table over the [0, 1] output range (after gain)
+  const STEPS = 4096;
+  const lut = new Uint8Array(STEPS + 1);
+  for (let i = 0; i <= STEPS; i++) lut[i] = Math.round((i / STEPS) ** inv * 255);
+  const map = (v) => {
+    v *= gain;
+    if (!(v > 0)) return 0; // also NaN
+    if (v >= 1) return 255;
+    return lut[Math.round(v * STEPS)];
+  };
+
+  const out = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height * 4; i += 4) {
+    out[i] = map(data[i]);
+    out[i + 1] = map(data[i + 1]);
+    out[i + 2] = map(data[i + 2]);
+    out[i + 3] = Math.round(Math.min(1, Math.max(0, data[i + 3] || 0)) * 255);
+  }
+  return { width, height, data: out };
+}
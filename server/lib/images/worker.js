@@ -0,0 +1,87 @@
+// =============================================
+// Image worker (runs in a worker thread)
+// ---------------------------------------------
+// Decoding a large TIFF/DDS/EXR takes seconds of
+// CPU; doing it here keeps the HTTP server responsive.
+//
+// Messages: { id, task } → { id, ok } | { id, error, unsupported }
+// =============================================
+import { parentPort } from 'worker_threads';
+import fs from 'fs/promises';
+import { decodeImage, decodeHdrImage } from './decode.js';
+import { downscale } from './resize.js';
+import { encodePng } from './png.js';
+import { toneMap } from './tonemap.js';
+import { perceptualHash } from './phash.js';
+
+// Recently decoded HDR images (linear, downscaled), so that
+// re-exposing the same file only re-runs the tone mapping
+const LINEAR_CACHE_SIZE = 4;
+const linearCache = new Map();
+
+/**
+ * Write a file atomically (temp file + rename), so a
+ * half-written preview is never served from the cache.
+ */
+async function writeAtomic(dest, data) {
+  const tmp = `${dest}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, dest);
+}
+
+const TASKS = {
+  /**
+   * thumb: decode `src`, fit it in maxSize × maxSize,
+   * write a PNG to `dest`.
+   */
+  async thumb({ src, ext, dest, maxSize, maxPixels }) {
+    const buf = new Uint8Array(await fs.readFile(src));
+    const img = decodeImage(buf, ext, { maxPixels });
+    await writeAtomic(dest, encodePng(downscale(img, maxSize)));
+  },
+
+  /**
+   * tonemap: decode the HDR file `src` at maxSize, apply
+   * exposure/gamma, write a PNG to `dest`. `linearKey`
+   * identifies the decoded image across exposures.
+   */
+  async tonemap({ src, ext, dest, maxSize, linearKey, exposure, gamma }) {
+    let img = linearCache.get(linearKey);
+    if (img) {
+      linearCache.delete(linearKey);
+    } else {
+      const buf = new Uint8Array(await fs.readFile(src));
+      img = decodeHdrImage(buf, ext, { maxSize });
+    }
+    // Map order doubles as LRU order
+    linearCache.set(linearKey, img);
+    while (linearCache.size > LINEAR_CACHE_SIZE) {
+      linearCache.delete(linearCache.keys().next().value);
+    }
+    await writeAtomic(dest, encodePng(toneMap(img, { exposure, gamma })));
+  },
+
+  /**
+   * phash: perceptual hash of `src` (see phash.js),
+   * returned as 16 hex digits.
+   */
+  async phash({ src, ext, maxPixels }) {
+    const buf = new Uint8Array(await fs.readFile(src));
+    return perceptualHash(buf, ext, { maxPixels });
+  },
+};
+
+parentPort.on('message', async ({ id, task }) => {
+  try {
+    const run = TASKS[task.type];
+    if (!run) throw new Error(`Unknown task ${task.type}`);
+    const result = await run(task);
+    parentPort.postMessage({ id, ok: true, result });
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: String(err.message || err),
+      unsupported: err.name === 'UnsupportedImageError',
+    });
+  }
+});
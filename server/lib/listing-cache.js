@@ -0,0 +1,62 @@
+// =============================================
+// In-memory cache of directory listings
+// ---------------------------------------------
+// Keeps the result of the (slow, one stat per
+// entry) directory listing per folder until the
+// watcher reports a change in that folder.
+// =============================================
+
+/**
+ * createListingCache(loader, { enabled })
+ * ---------------------------------------------
+ * @param {(rel: string) => Promise<object>} loader
+ *   Builds the listing of one folder (relative path).
+ * @param {object} [opts]
+ * @param {() => boolean} [opts.enabled] - When it returns false,
+ *   every call goes straight to the loader (e.g. no watcher).
+ * @returns {{
+ *   get: (rel: string) => Promise<object>,
+ *   invalidate: (change: {dirs?: string[], paths?: string[], all?: boolean}) => void,
+ * }}
+ */
+export function createListingCache(loader, { enabled = () => true } = {}) {
+  // rel → Promise<listing> (pending loads are shared too)
+  const entries = new Map();
+
+  function get(rel) {
+    if (!enabled()) {
+      entries.clear();
+      return loader(rel);
+    }
+    let p = entries.get(rel);
+    if (!p) {
+      p = loader(rel);
+      entries.set(rel, p);
+      // Never keep failures around (missing folder, I/O error, …)
+      p.catch(() => { if (entries.get(rel) === p) entries.delete(rel); });
+    }
+    return p;
+  }
+
+  /**
+   * Drops every listing touched by a change:
+   * - the folders whose content changed
+   * - changed paths themselves and their subfolders
+   *   (a renamed/removed folder takes its subtree along)
+   */
+  function invalidate({ dirs = [], paths = [], all = false } = {}) {
+    if (all) {
+      entries.clear();
+      return;
+    }
+    for (const d of dirs) entries.delete(d);
+    for (const p of paths) {
+      const prefix = `${p}/`;
+      for (const key of entries.keys()) {
+        if (key === p || key.startsWith(prefix)) entries.delete(key);
+      }
+    }
+  }
+
+  return { get, invalidate };
+}
@@ -0,0 +1,214 @@
+// =============================================
+// User-editable asset metadata (sidecar files)
+// ---------------------------------------------
+// Manual tags, a description and a rating per asset
+// group, stored next to the assets in one JSON file
+// per folder (META_FILE), keyed by the group key
+// (normalizeBase), so every variant shares them:
+//
+//   { "version": 1,
+//     "assets": { "oak_planks": { "tags": ["approved"],
+//                 "description": "…", "rating": 4 } } }
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { META_FILE } from './assets.js';
+
+const META_VERSION = 1;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 40;
+const MAX_DESCRIPTION = 2000;
+
+/**
+ * Thrown for invalid metadata sent by a client.
+ * Routes answer 400 for these.
+ */
+export class MetaValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetaValidationError';
+  }
+}
+
+/**
+ * sanitizeTag(tag)
+ * ---------------------------------------------
+ * "Client X " → "client_x": lowercase, spaces to
+ * underscores, only letters/digits/_/- kept, and "/"
+ * between the levels of a tag ("material/wood"). No
+ * leading "-" (it excludes a tag in filters).
+ */
+export function sanitizeTag(tag) {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[^\p{L}\p{N}_/-]/gu, '')
+    .replace(/_*\/+_*/g, '/')
+    .replace(/^[/-]+|\/+$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * sanitizeMeta(input)
+ * ---------------------------------------------
+ * Validates a metadata record sent by a client.
+ * Missing fields mean "empty".
+ *
+ * @returns {{tags: string[], description: string, rating: number|null}}
+ * @throws {MetaValidationError}
+ */
+export function sanitizeMeta(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new MetaValidationError('Expected a JSON object');
+  }
+  const { tags = [], description = '', rating = null } = input;
+
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+    throw new MetaValidationError('"tags" must be an array of strings');
+  }
+  const clean = Array.from(new Set(tags.map(sanitizeTag).filter(Boolean)));
+  if (clean.length > MAX_TAGS) throw new MetaValidationError(`At most ${MAX_TAGS} tags`);
+
+  if (typeof description !== 'string') throw new MetaValidationError('"description" must be a string');
+  if (description.length > MAX_DESCRIPTION) {
+    throw new MetaValidationError(`"description" is limited to ${MAX_DESCRIPTION} characters`);
+  }
+
+  if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+    throw new MetaValidationError('"rating" must be an integer from 1 to 5, or null');
+  }
+
+  return { tags: clean, description: description.trim(), rating };
+}
+
+// A record with nothing in it is removed from the sidecar
+const isEmptyMeta = (m) => !m.tags.length && !m.description && m.rating === null;
+
+/**
+ * readMetaFile(dirAbs)
+ * ---------------------------------------------
+ * Reads the sidecar of one folder. Missing or
+ * unreadable files give {} (no metadata).
+ *
+ * @returns {Promise<Object<string, {tags:string[], description:string, rating:number|null}>>}
+ */
+export async function readMetaFile(dirAbs) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dirAbs, META_FILE), 'utf8'));
+    const out = {};
+    for (const [key, value] of Object.entries(data?.assets || {})) {
+      try {
+        out[key] = sanitizeMeta(value);
+      } catch {
+        // Skip hand-edited entries we cannot make sense of
+      }
+    }
+    return out;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️ Ignoring ${path.join(dirAbs, META_FILE)}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * createMetaStore({ root })
+ * ---------------------------------------------
+ * @param {{root: string}} opts - ASSETS_ROOT (absolute)
+ * @returns {{
+ *   read: (rel: string) => Promise<object>,
+ *   put: (rel: string, key: string, input: object) => Promise<object>,
+ *   editTags: (rel: string, key: string, change: {add?: string[], remove?: string[]}) => Promise<object>,
+ *   take: (rel: string, key: string) => Promise<object|null>,
+ * }}
+ */
+export function createMetaStore({ root }) {
+  // rel dir → Promise of the last write (writes to one sidecar never overlap)
+  const writes = new Map();
+
+  const read = (rel) => readMetaFile(path.join(root, rel));
+
+  /**
+   * Read-modify-write of one sidecar: `change(assets)`
+   * edits the records in place and returns the result.
+   */
+  function update(rel, change) {
+    const dirAbs = path.join(root, rel);
+
+    const prev = writes.get(rel) || Promise.resolve();
+    const job = prev.catch(() => {}).then(async () => {
+      const assets = await readMetaFile(dirAbs);
+      const result = change(assets);
+
+      const file = path.join(dirAbs, META_FILE);
+      if (!Object.keys(assets).length) {
+        await fs.rm(file, { force: true });
+      } else {
+        // Temp file + rename: readers never see half a file
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ version: META_VERSION, assets }, null, 2));
+        await fs.rename(tmp, file);
+      }
+      return result;
+    });
+
+    writes.set(rel, job);
+    job.finally(() => { if (writes.get(rel) === job) writes.delete(rel); }).catch(() => {});
+    return job;
+  }
+
+  /**
+   * put(rel, key, input)
+   * ---------------------------------------------
+   * Replaces the metadata of asset group `key` in
+   * folder `rel` and returns the stored record.
+   *
+   * @throws {MetaValidationError}
+   */
+  function put(rel, key, input) {
+    const meta = sanitizeMeta(input);
+    return update(rel, (assets) => {
+      if (isEmptyMeta(meta)) delete assets[key];
+      else assets[key] = meta;
+      return meta;
+    });
+  }
+
+  /**
+   * editTags(rel, key, { add, remove })
+   * ---------------------------------------------
+   * Adds and removes tags of asset group `key` in
+   * folder `rel` (description and rating kept) and
+   * returns the stored record.
+   *
+   * @throws {MetaValidationError}
+   */
+  function editTags(rel, key, { add = [], remove = [] }) {
+    const drop = new Set(remove.map(sanitizeTag));
+    return update(rel, (assets) => {
+      const prev = assets[key] || { tags: [], description: '', rating: null };
+      const meta = sanitizeMeta({ ...prev, tags: [...prev.tags.filter(t => !drop.has(t)), ...add] });
+      if (isEmptyMeta(meta)) delete assets[key];
+      else assets[key] = meta;
+      return meta;
+    });
+  }
+
+  /**
+   * take(rel, key)
+   * ---------------------------------------------
+   * Removes the metadata of an asset group and
+   * returns it (null if it had none), e.g. to store
+   * it again under the group's new name or folder.
+   */
+  async function take(rel, key) {
+    if (!(key in await read(rel))) return null;
+    return update(rel, (assets) => {
+      const meta = assets[key] || null;
+      delete assets[key];
+      return meta;
+    });
+  }
+
+  return { read, put, editTags, take };
+}
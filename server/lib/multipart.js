@@ -0,0 +1,155 @@
+// =============================================
+// Streaming multipart/form-data parser
+// ---------------------------------------------
+// Parts are handed over one at a time; their bodies
+// are pushed to a sink chunk by chunk and the request
+// is only read as fast as the sink accepts data, so
+// multi-GB uploads never sit in memory.
+// =============================================
+
+// Above this, a part's header block is considered garbage
+const MAX_HEADER_BYTES = 16 * 1024;
+
+/**
+ * Thrown for bodies that are not valid multipart data.
+ * Routes answer 400 for these.
+ */
+export class MultipartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultipartError';
+  }
+}
+
+/**
+ * boundaryOf(contentType)
+ * ---------------------------------------------
+ * 'multipart/form-data; boundary=xyz' → 'xyz'
+ * (null for other content types).
+ */
+export function boundaryOf(contentType) {
+  const m = /^multipart\/form-data\s*;.*?\bboundary=(?:"([^"]+)"|([^\s;]+))/i.exec(String(contentType || ''));
+  return m ? (m[1] || m[2]) : null;
+}
+
+/**
+ * Parses one header block: lowercased names → values,
+ * plus `name` / `filename` from Content-Disposition.
+ * Browsers send UTF-8 names, escaping `"` as %22.
+ */
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.toString('utf8').split('\r\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const disposition = headers['content-disposition'] || '';
+  const param = (key) => {
+    const m = new RegExp(`;\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition)
+      || new RegExp(`;\\s*${key}=([^;\\s]+)`, 'i').exec(disposition);
+    return m ? m[1].replace(/\\(.)/g, '$1').replace(/%22/g, '"') : null;
+  };
+  const extended = /;\s*filename\*=UTF-8''([^;\s]+)/i.exec(disposition);
+  let filename = param('filename');
+  if (extended) {
+    try { filename = decodeURIComponent(extended[1]); } catch { /* keep the plain one */ }
+  }
+  return { headers, name: param('name'), filename };
+}
+
+/**
+ * readMultipart(stream, boundary, onPart)
+ * ---------------------------------------------
+ * @param {AsyncIterable<Buffer>} stream - e.g. the request
+ * @param {string} boundary - From boundaryOf()
+ * @param {(part: {headers: object, name: string|null, filename: string|null})
+ *   => Promise<null | {write: (chunk: Buffer) => Promise<void>, end: () => Promise<void>,
+ *   abort?: () => Promise<void>}>} onPart
+ *   Returns a sink for the body, or null to skip it. A sink
+ *   whose part never completes (truncated body, error) is
+ *   aborted.
+ * @returns {Promise<void>} once the closing boundary was read
+ * @throws {MultipartError} on malformed or truncated bodies
+ */
+export async function readMultipart(stream, boundary, onPart) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // The first delimiter has no leading CRLF: pretend it had one
+  let buf = Buffer.from('\r\n');
+  let state = 'preamble';
+  let sink = null;
+
+  // After a delimiter: "--" ends the body, CRLF starts a part.
+  // Returns false when more bytes are needed.
+  const afterDelimiter = () => {
+    if (buf.length < 2) return false;
+    if (buf[0] === 0x2d && buf[1] === 0x2d) {
+      state = 'done';
+      return true;
+    }
+    const eol = buf.indexOf('\r\n');
+    if (eol < 0) return false;
+    buf = buf.subarray(eol + 2); // transport padding is ignored
+    state = 'headers';
+    return true;
+  };
+
+  try {
+    for await (const chunk of stream) {
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+
+      for (;;) {
+        if (state === 'done') break;
+
+        if (state === 'preamble' || state === 'delimiter') {
+          if (state === 'preamble') {
+            const i = buf.indexOf(delimiter);
+            if (i < 0) {
+              buf = buf.subarray(Math.max(0, buf.length - delimiter.length));
+              break;
+            }
+            buf = buf.subarray(i + delimiter.length);
+            state = 'delimiter';
+          }
+          if (!afterDelimiter()) break;
+          continue;
+        }
+
+        if (state === 'headers') {
+          const end = buf.indexOf('\r\n\r\n');
+          if (end < 0) {
+            if (buf.length > MAX_HEADER_BYTES) throw new MultipartError('Part headers too large');
+            break;
+          }
+          sink = await onPart(parseHeaders(buf.subarray(0, end)));
+          buf = buf.subarray(end + 4);
+          state = 'body';
+          continue;
+        }
+
+        // state === 'body'
+        const i = buf.indexOf(delimiter);
+        if (i < 0) {
+          // Keep a tail that could be the start of the delimiter
+          const keep = Math.min(buf.length, delimiter.length - 1);
+          const data = buf.subarray(0, buf.length - keep);
+          if (data.length && sink) await sink.write(data);
+          buf = buf.subarray(buf.length - keep);
+          break;
+        }
+        if (i && sink) await sink.write(buf.subarray(0, i));
+        if (sink) await sink.end();
+        sink = null;
+        buf = buf.subarray(i + delimiter.length);
+        state = 'delimiter';
+      }
+      if (state === 'done') break;
+      // Copy the remainder so the request's chunks can be released
+      buf = Buffer.from(buf);
+    }
+
+    if (state !== 'done') throw new MultipartError('Unexpected end of multipart body');
+  } catch (err) {
+    await sink?.abort?.();
+    throw err;
+  }
+}
@@ -0,0 +1,77 @@
+// =============================================
+// Cursor pagination of sorted item lists
+// ---------------------------------------------
+// A cursor names the last item of the previous
+// page (its sort fields, base64url JSON), not an
+// offset: files added or removed between two
+// requests never make a page skip or repeat items.
+// =============================================
+import { compareItems } from './assets.js';
+
+export class CursorError extends Error {
+  /**
+   * @param {string} message
+   * @param {'INVALID'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'CursorError';
+    this.code = code;
+  }
+}
+
+// Item fields stored in cursors (enough for every sort order)
+const CURSOR_FIELDS = ['isDir', 'name', 'path', 'size', 'mtime', 'kind'];
+
+/**
+ * cursorOf(item)
+ * ---------------------------------------------
+ * Opaque cursor pointing just after `item`.
+ */
+export function cursorOf(item) {
+  const fields = {};
+  for (const f of CURSOR_FIELDS) if (item[f] !== undefined) fields[f] = item[f];
+  if (item.files) fields.variants = item.files.length;
+  return Buffer.from(JSON.stringify(fields)).toString('base64url');
+}
+
+function parseCursor(cursor) {
+  let item;
+  try {
+    item = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    item = null;
+  }
+  if (typeof item?.name !== 'string' || typeof item.isDir !== 'boolean') {
+    throw new CursorError('Invalid cursor', 'INVALID');
+  }
+  return item;
+}
+
+/**
+ * pageOf(items, { cursor, limit }, compare)
+ * ---------------------------------------------
+ * @param {object[]} items - Sorted by `compare`
+ * @param {{cursor?: string, limit?: number}} opts - No
+ *   cursor: first page; no limit: every item left
+ * @param {(a: object, b: object) => number} [compare]
+ * @returns {{items: object[], nextCursor: string|null}}
+ *   nextCursor is null on the last page
+ * @throws {CursorError}
+ */
+export function pageOf(items, { cursor, limit } = {}, compare = compareItems) {
+  let start = 0;
+  if (cursor) {
+    // First item sorted after the cursor (binary search)
+    const after = parseCursor(cursor);
+    let hi = items.length;
+    while (start < hi) {
+      const mid = (start + hi) >> 1;
+      if (compare(items[mid], after) <= 0) start = mid + 1;
+      else hi = mid;
+    }
+  }
+  const end = limit ? Math.min(items.length, start + limit) : items.length;
+  const page = items.slice(start, end);
+  return { items: page, nextCursor: end < items.length && page.length ? cursorOf(page[page.length - 1]) : null };
+}
@@ -0,0 +1,74 @@
+// =============================================
+// Path mapping: /files URLs → paths on user machines
+// ---------------------------------------------
+// The library share is mounted differently per
+// platform (UNC on Windows, mount point on Linux,
+// /Volumes on macOS). Each profile gives the local
+// root of ASSETS_ROOT and the path separator; the
+// UI copies paths using the profile a user picked.
+// =============================================
+import fs from 'fs/promises';
+
+// Used when no mapping file exists
+export const DEFAULT_PATH_MAPPING = {
+  default: 'windows',
+  profiles: [
+    { id: 'windows', label: 'Windows', root: '\\\\mango\\data\\LIB', separator: '\\' },
+  ],
+};
+
+/**
+ * Validates one profile; fills label/separator.
+ * Windows-looking roots (UNC or drive letter) get "\".
+ */
+function normalizeProfile(p, i) {
+  if (!p || typeof p.id !== 'string' || !p.id || typeof p.root !== 'string' || !p.root) {
+    throw new Error(`profile #${i + 1} needs a non-empty "id" and "root"`);
+  }
+  const windowsLike = /^(\\\\|[A-Za-z]:)/.test(p.root);
+  const separator = p.separator ?? (windowsLike ? '\\' : '/');
+  if (separator !== '/' && separator !== '\\') {
+    throw new Error(`profile "${p.id}": separator must be "/" or "\\"`);
+  }
+  return { id: p.id, label: typeof p.label === 'string' && p.label ? p.label : p.id, root: p.root, separator };
+}
+
+/**
+ * loadPathMapping(file)
+ * ---------------------------------------------
+ * Reads the JSON mapping file:
+ *   { "default": "windows",
+ *     "profiles": [{ "id", "label", "root", "separator"? }] }
+ *
+ * A missing file gives DEFAULT_PATH_MAPPING; an
+ * invalid one is reported and also falls back.
+ *
+ * @param {string} file
+ * @returns {Promise<{default: string, profiles: object[]}>}
+ */
+export async function loadPathMapping(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️ Cannot read path mapping ${file}: ${err.message}`);
+    return DEFAULT_PATH_MAPPING;
+  }
+
+  try {
+    const json = JSON.parse(raw);
+    if (!Array.isArray(json.profiles) || !json.profiles.length) {
+      throw new Error('"profiles" must be a non-empty array');
+    }
+    const profiles = json.profiles.map(normalizeProfile);
+    const ids = new Set(profiles.map(p => p.id));
+    if (ids.size !== profiles.length) throw new Error('profile ids must be unique');
+    return {
+      default: ids.has(json.default) ? json.default : profiles[0].id,
+      profiles,
+    };
+  } catch (err) {
+    console.warn(`⚠️ Invalid path mapping ${file}: ${err.message} (using defaults)`);
+    return DEFAULT_PATH_MAPPING;
+  }
+}
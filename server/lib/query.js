@@ -0,0 +1,160 @@
+// =============================================
+// Search query language
+// ---------------------------------------------
+//   tag:wood -tag:painted ext:exr res:>=4k
+//   size:>200mb modified:<30d kind:video "exact phrase"
+//
+// Terms are separated by spaces and must all
+// match; a leading "-" negates a term. Words and
+// "quoted phrases" are text terms (what they are
+// matched against is up to the caller, see
+// matchesQuery). Fields:
+//  - tag:, ext:, kind:, name: — a,b = any of them
+//    (kind:folder matches folders)
+//  - res:, size:, modified:, rating: — compared
+//    with <, <=, >, >= or = (default)
+//      res: 4k (4096 px), 2048, 2048x1024 → largest side
+//      size: 200mb, 1.5gb, 300kb, 12 (bytes)
+//      modified: 30d / 12h / 2w / 6mo / 1y (age;
+//        modified:30d = within the last 30 days)
+//        or 2024-05-31 (date; = that day)
+//      rating: 1-5
+//
+// parseQuery() builds the AST; syntax errors
+// carry the offsets of the bad term so the UI can
+// point at it. The parser lives in query-syntax.js
+// (shared with the web app).
+// =============================================
+import { extOf, normalizeToken, hasTag } from './assets.js';
+import { parseResolution } from './query-syntax.js';
+
+export { QueryError, QUERY_FIELDS, parseQuery, parseResolution } from './query-syntax.js';
+
+/**
+ * queryUses(query, field)
+ * ---------------------------------------------
+ * Whether a field appears in the query (e.g. res:,
+ * which needs image headers).
+ */
+export function queryUses(query, field) {
+  const uses = (node) => node.type === 'not' ? uses(node.term) : node.field === field;
+  return query.terms.some(uses);
+}
+
+/**
+ * mapTags(query, fn)
+ * ---------------------------------------------
+ * Copy of the query with `fn` applied to the values
+ * of its tag: terms (e.g. to map them through the
+ * tag vocabulary).
+ */
+export function mapTags(query, fn) {
+  const map = (node) => {
+    if (node.type === 'not') return { ...node, term: map(node.term) };
+    return node.field === 'tag' ? { ...node, values: node.values.map(fn) } : node;
+  };
+  return { ...query, terms: query.terms.map(map) };
+}
+
+/**
+ * textTerms(query)
+ * ---------------------------------------------
+ * Values of the text terms that are not negated
+ * (e.g. to rank search results).
+ */
+export function textTerms(query) {
+  return query.terms.filter(t => t.type === 'text').map(t => t.value);
+}
+
+/**
+ * resolutionOf(item)
+ * ---------------------------------------------
+ * Largest side in pixels of an asset group: from
+ * the image headers of its files when known
+ * (files[].image), else from resolution tags of
+ * the file names ("oak_4k.jpg" → 4096); null if
+ * neither says.
+ */
+export function resolutionOf(item) {
+  let fromHeaders = null;
+  let fromNames = null;
+  for (const f of item.files || []) {
+    if (f.image) fromHeaders = Math.max(fromHeaders ?? 0, f.image.width, f.image.height);
+    for (const t of f.tags || []) {
+      const res = parseResolution(t);
+      if (res) fromNames = Math.max(fromNames ?? 0, res);
+    }
+  }
+  return fromHeaders ?? fromNames;
+}
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+};
+
+function compareModified(mtime, op, value, now) {
+  const time = new Date(mtime).getTime();
+  if (value.age !== undefined) return COMPARE[op](now - time, value.age);
+  const dayEnd = new Date(value.day);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  switch (op) {
+    case '=': return time >= value.day && time < dayEnd.getTime();
+    case '<': return time < value.day;
+    case '<=': return time < dayEnd.getTime();
+    case '>': return time >= dayEnd.getTime();
+    default: return time >= value.day; // >=
+  }
+}
+
+// Default text match: the name contains the term
+const nameContains = (item, value) => normalizeToken(item.name).includes(normalizeToken(value));
+
+/**
+ * matchesQuery(query, item, { text, now })
+ * ---------------------------------------------
+ * Whether a listing / search item matches every
+ * term of a parsed query.
+ * @param {object} query - From parseQuery()
+ * @param {object} item - Folder or asset item
+ * @param {object} [opts]
+ * @param {(item: object, value: string) => boolean} [opts.text]
+ *   Match of text terms (default: name contains)
+ * @param {number} [opts.now] - Reference time of ages
+ */
+export function matchesQuery(query, item, { text = nameContains, now = Date.now() } = {}) {
+  const test = (node) => {
+    switch (node.type) {
+      case 'not':
+        return !test(node.term);
+      case 'text':
+        return text(item, node.value);
+      case 'list':
+        switch (node.field) {
+          case 'tag': // Children count: tag:material matches material/wood
+            return node.values.some(v => hasTag(item.tags, v));
+          case 'ext':
+            return (item.files || []).some(f => node.values.includes(extOf(f.name).slice(1)));
+          case 'kind':
+            return node.values.includes(item.isDir ? 'folder' : item.kind);
+          default: // name
+            return node.values.some(v => nameContains(item, v));
+        }
+      default: { // compare
+        let actual;
+        if (node.field === 'res') actual = item.isDir ? null : resolutionOf(item);
+        else if (node.field === 'size') actual = item.size;
+        else if (node.field === 'rating') actual = item.meta?.rating;
+        else actual = item.mtime;
+        if (actual === null || actual === undefined) return false;
+        return node.field === 'modified'
+          ? compareModified(actual, node.op, node.value, now)
+          : COMPARE[node.op](actual, node.value);
+      }
+    }
+  };
+  return query.terms.every(test);
+}
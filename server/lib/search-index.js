@@ -0,0 +1,456 @@
+// =============================================
+// Library-wide search index
+// ---------------------------------------------
+// Walks every folder under ASSETS_ROOT, keeps a
+// snapshot of the file listing on disk (JSON) and
+// derives asset groups from it in memory.
+//
+// The snapshot is per directory and keyed by the
+// directory mtime: a folder whose mtime did not
+// change since the last scan is NOT re-stat'ed,
+// which keeps rescans cheap on network shares.
+// (Adding/removing/renaming a file updates the
+// folder mtime; editing a file in place does not,
+// so sizes/dates of edited files may lag until the
+// folder itself changes.)
+//
+// Sidecar metadata (tags, description) and folder
+// naming rules (.assetlib.json) are part of the
+// snapshot: the metadata is rewritten by rename,
+// which does update the folder mtime; rules files
+// edited in place are picked up through the watcher
+// (or the next time the folder changes).
+//
+// Updates from the watcher only re-derive the
+// rescanned folders, and the summaries of their
+// parents are rebuilt from those of their
+// subfolders; the snapshot is written at most every
+// SAVE_DELAY_MS after such updates.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  IGNORE_FILES, META_FILE, RULES_FILE, toPosix, fileEntry, groupAssets, applyMeta, normalizeBase, normalizeToken,
+  matchesTagFilter,
+} from './assets.js';
+import { readMetaFile } from './metadata.js';
+import { readRulesFile, resolveRules, ancestorsOf } from './folder-rules.js';
+import { matchesQuery, textTerms } from './query.js';
+
+// Bump when the on-disk format changes (old files are ignored)
+const INDEX_VERSION = 3;
+
+// How many fs.stat calls may run at once while scanning a folder
+const STAT_CONCURRENCY = 16;
+
+// Thumbnails per folder summary (2×2 mosaic) and most frequent tags kept
+const MOSAIC_SIZE = 4;
+const SUMMARY_TAGS = 5;
+
+// Snapshot writes after updates are coalesced over this delay
+const SAVE_DELAY_MS = 30 * 1000;
+
+// Deepest folders first ("a/b" before "a"): subfolder totals are
+// ready when their parent is summed up
+const deepestFirst = (rels) =>
+  [...rels].sort((a, b) => (b ? b.split('/').length : 0) - (a ? a.split('/').length : 0));
+
+/**
+ * Run `fn` over `list` with at most `limit` promises in flight.
+ */
+async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+/**
+ * Totals of one folder over its whole subtree, from its
+ * own assets and the totals of its subfolders (see
+ * summaryOf for `summary`). Mosaic thumbnails come from
+ * the folder's own assets first, then from one subfolder
+ * after the other (in turn, so that each shows up).
+ *
+ * @param {object[]} own - Assets of the folder itself
+ * @param {object[]} children - Totals of its subfolders (by name)
+ * @returns {{assets, files, folders, size, mtime, tagCounts: Map, summary: object}}
+ */
+function totalsOf(own, children) {
+  const t = { assets: own.length, files: 0, folders: children.length, size: 0, mtime: null, tagCounts: new Map() };
+  const ownThumbs = [];
+  for (const it of own) {
+    t.files += it.files.length;
+    for (const f of it.files) {
+      t.size += f.size || 0;
+      if (f.mtime && (!t.mtime || f.mtime > t.mtime)) t.mtime = f.mtime;
+    }
+    for (const tag of it.tags) t.tagCounts.set(tag, (t.tagCounts.get(tag) || 0) + 1);
+    if (it.thumbnail && ownThumbs.length < MOSAIC_SIZE) ownThumbs.push(it.thumbnail);
+  }
+  for (const c of children) {
+    t.assets += c.assets;
+    t.files += c.files;
+    t.folders += c.folders;
+    t.size += c.size;
+    if (c.mtime && (!t.mtime || c.mtime > t.mtime)) t.mtime = c.mtime;
+    for (const [tag, n] of c.tagCounts) t.tagCounts.set(tag, (t.tagCounts.get(tag) || 0) + n);
+  }
+
+  const lists = [ownThumbs, ...children.map(c => c.summary.thumbnails)];
+  const thumbnails = [];
+  for (let i = 0; thumbnails.length < MOSAIC_SIZE && lists.some(l => l.length > i); i++) {
+    for (const l of lists) if (l[i] && thumbnails.length < MOSAIC_SIZE) thumbnails.push(l[i]);
+  }
+  const tags = [...t.tagCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, SUMMARY_TAGS)
+    .map(([name, count]) => ({ name, count }));
+  const { tagCounts, ...counts } = t;
+  t.summary = { ...counts, mtime: t.mtime ? new Date(t.mtime).toISOString() : null, tags, thumbnails };
+  return t;
+}
+
+/**
+ * createSearchIndex({ root, file, refreshMs, ignore })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string} opts.root      - ASSETS_ROOT (absolute)
+ * @param {string} opts.file      - Where the JSON snapshot is stored
+ * @param {number} [opts.refreshMs] - Periodic rescan interval (0 = never)
+ * @param {(rel: string) => boolean} [opts.ignore] - Folders not to index
+ *   (e.g. our cache, the trash)
+ * @returns {{
+ *   start: () => Promise<void>,
+ *   rebuild: () => Promise<void>,
+ *   update: (dirs: string[]) => Promise<void>,
+ *   search: (query: object, tagFilter?: object, limit?: number, accept?: (item: object) => boolean) => object,
+ *   files: () => Promise<{path: string, size: number, mtime: string}[]>,
+ *   summaryOf: (rel: string) => object|null,
+ *   status: () => object,
+ * }}
+ */
+export function createSearchIndex({ root, file, refreshMs = 0, ignore }) {
+  // rel dir → { mtime, dirs: string[], files: {name,size,mtime}[], meta?: object, rules?: object }
+  let dirs = new Map();
+  // Derived asset items (each with a `dir` field) used for searching,
+  // by folder (rel → items)
+  let assets = new Map();
+  let assetCount = 0;
+  // Subtree totals of each folder, with its summary (see totalsOf)
+  let totals = new Map();
+  let indexedAt = null;
+  let queue = Promise.resolve(); // Serializes scans (see enqueue)
+  let pending = 0;               // Scans queued or running
+  let queuedRebuild = null;      // Full rescan waiting in the queue
+  let saveTimer = null;          // Coalesced snapshot write (see saveSoon)
+
+  // Asset items of one folder of the snapshot
+  function assetsOf(rel) {
+    const entry = dirs.get(rel);
+    const rules = resolveRules(ancestorsOf(rel).map(d => dirs.get(d)?.rules));
+    const files = entry.files.map(f => fileEntry(rel, f.name, f, rules));
+    return applyMeta(groupAssets(rel, files, rules), entry.meta || {}, rules).map((item) => {
+      item.dir = rel;
+      // Pre-computed haystack for fast matching
+      item._haystack = [
+        normalizeToken(item.name),
+        item.normalizeBase,
+        ...item.files.map(f => normalizeToken(f.name)),
+        normalizeToken(item.meta?.description || ''),
+      ].join('\n');
+      return item;
+    });
+  }
+
+  // Recomputes the totals of these folders, deepest first
+  function sumUp(rels) {
+    for (const rel of deepestFirst(rels)) {
+      const entry = dirs.get(rel);
+      if (!entry) {
+        totals.delete(rel);
+        continue;
+      }
+      const children = [...entry.dirs].sort((a, b) => a.localeCompare(b))
+        .map(d => totals.get(rel ? `${rel}/${d}` : d))
+        .filter(Boolean);
+      totals.set(rel, totalsOf(assets.get(rel) || [], children));
+    }
+  }
+
+  /**
+   * Re-derive the assets and summaries of some folders
+   * from the snapshot (all of them when `rels` is
+   * omitted). Parents of these folders get their
+   * summaries rebuilt too.
+   */
+  function derive(rels = null) {
+    if (!rels) {
+      assets = new Map();
+      totals = new Map();
+    }
+    const changed = rels ?? [...dirs.keys()];
+    for (const rel of changed) {
+      if (dirs.has(rel)) assets.set(rel, assetsOf(rel));
+      else assets.delete(rel);
+    }
+    const seen = new Set(changed);
+    const parents = new Set(changed.flatMap(rel => ancestorsOf(rel)).filter(up => !seen.has(up)));
+    sumUp(changed);
+    sumUp(parents);
+    assetCount = 0;
+    for (const list of assets.values()) assetCount += list.length;
+  }
+
+  /**
+   * Load the snapshot from disk (if any). Missing or
+   * incompatible files are simply ignored.
+   */
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data?.version !== INDEX_VERSION) return;
+      dirs = new Map(Object.entries(data.dirs || {}));
+      indexedAt = data.indexedAt || null;
+      derive();
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Search index not loaded:', err.message);
+    }
+  }
+
+  /**
+   * Persist the snapshot (write to a temp file, then rename,
+   * so a crash never leaves a truncated index behind).
+   */
+  async function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    const data = { version: INDEX_VERSION, indexedAt, dirs: Object.fromEntries(dirs) };
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  // Persist the snapshot within SAVE_DELAY_MS (one write for
+  // every update meanwhile)
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => { enqueue('save', save); }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  /**
+   * Scan one folder (and recurse into its subfolders),
+   * filling `next` with fresh entries. Folders listed in
+   * `force` are re-read even if their mtime is unchanged.
+   */
+  async function scanDir(rel, next, force) {
+    const abs = path.join(root, rel);
+    let st;
+    try {
+      st = await fs.stat(abs);
+    } catch {
+      return; // Vanished during the scan
+    }
+    const mtime = st.mtimeMs;
+    const prev = dirs.get(rel);
+
+    let entry;
+    if (prev && prev.mtime === mtime && !force?.has(rel)) {
+      entry = prev;
+    } else {
+      const entries = await fs.readdir(abs, { withFileTypes: true });
+      const subdirs = [];
+      const names = [];
+      let hasMeta = false;
+      let hasRules = false;
+      for (const e of entries) {
+        if (e.isDirectory()) {
+          if (!ignore?.(toPosix(path.join(rel, e.name)))) subdirs.push(e.name);
+        } else if (e.name === META_FILE) hasMeta = true;
+        else if (e.name === RULES_FILE) hasRules = true;
+        else if (!IGNORE_FILES.test(e.name)) names.push(e.name);
+      }
+      const files = (await mapLimit(names, STAT_CONCURRENCY, async (name) => {
+        try {
+          const s = await fs.stat(path.join(abs, name));
+          return { name, size: s.size, mtime: s.mtime.toISOString() };
+        } catch {
+          return null;
+        }
+      })).filter(Boolean);
+      entry = { mtime, dirs: subdirs, files };
+      if (hasMeta) entry.meta = await readMetaFile(abs);
+      if (hasRules) entry.rules = await readRulesFile(abs);
+    }
+
+    next.set(rel, entry);
+    for (const d of entry.dirs) {
+      await scanDir(toPosix(path.join(rel, d)), next, force);
+    }
+  }
+
+  /**
+   * Scans never overlap: each one starts from the result
+   * of the previous one, so they run one after another.
+   */
+  function enqueue(label, task) {
+    pending++;
+    queue = queue
+      .then(task)
+      .catch(err => console.error(`❌ Search index ${label} failed:`, err))
+      .finally(() => { pending--; });
+    return queue;
+  }
+
+  /**
+   * Full (incremental) rescan of the library. A rescan that
+   * is queued but not started yet is shared by later callers.
+   */
+  function rebuild() {
+    if (queuedRebuild) return queuedRebuild;
+    const p = enqueue('rebuild', async () => {
+      queuedRebuild = null;
+      const started = Date.now();
+      const next = new Map();
+      await scanDir('', next);
+      dirs = next;
+      indexedAt = new Date().toISOString();
+      derive();
+      await save();
+      console.log(`🔎 Search index: ${assetCount} assets in ${dirs.size} folders (${Date.now() - started} ms)`);
+    });
+    queuedRebuild = p;
+    return p;
+  }
+
+  /**
+   * Incremental update of some folders (and their subtrees),
+   * e.g. after the watcher reported changes. The given folders
+   * are always re-read (files edited in place do not change the
+   * folder mtime); folders that no longer exist are dropped.
+   * Only the rescanned folders are derived again (see derive);
+   * the snapshot is written a little later (see saveSoon).
+   */
+  function update(rels) {
+    return enqueue('update', async () => {
+      // Only keep the top-most folders: subtrees are rescanned with them
+      const tops = [...new Set(rels)].sort().filter((d, i, list) =>
+        !list.slice(0, i).some(p => p === '' || d.startsWith(`${p}/`))
+      );
+      const force = new Set(rels);
+      const next = new Map(dirs);
+      const touched = new Set(); // Folders dropped or rescanned
+      const within = (rel, key) => rel === '' || key === rel || key.startsWith(`${rel}/`);
+      for (const rel of tops) {
+        for (const key of next.keys()) {
+          if (within(rel, key)) { next.delete(key); touched.add(key); }
+        }
+        await scanDir(rel, next, force);
+        for (const key of next.keys()) if (within(rel, key)) touched.add(key);
+      }
+      dirs = next;
+      indexedAt = new Date().toISOString();
+      derive([...touched]);
+      saveSoon();
+    });
+  }
+
+  /**
+   * Load the snapshot, then refresh it in the background
+   * (searches are served from the snapshot meanwhile).
+   */
+  async function start() {
+    await load();
+    rebuild();
+    if (refreshMs > 0) setInterval(rebuild, refreshMs).unref();
+  }
+
+  /**
+   * search(query, tagFilter, limit)
+   * ---------------------------------------------
+   * Assets matching every term of `query` (parsed by
+   * query.js): text terms must appear in the asset name,
+   * its normalizeBase key, one of its file names, its
+   * description or one of its tags. Its tags must pass
+   * `tagFilter` (see parseTagFilter in assets.js).
+   *
+   * Results are ranked: exact key match, then key prefix,
+   * then anything else; ties are broken by name.
+   * `accept` drops assets the caller may not see (before
+   * counting and limiting).
+   */
+  function search(query = { terms: [] }, tagFilter = {}, limit = 200, accept = null) {
+    const tagged = tagFilter.include?.length || tagFilter.exclude?.length;
+    const compact = normalizeBase(textTerms(query).join(' '));
+    const text = (it, value) => {
+      const t = normalizeToken(value);
+      return it._haystack.includes(t) || it.tags.some(tg => tg.includes(t));
+    };
+    const now = Date.now();
+
+    const hits = [];
+    if (query.terms.length || tagged) {
+      for (const it of [...assets.values()].flat()) {
+        if (!matchesTagFilter(it.tags, tagFilter)) continue;
+        if (accept && !accept(it)) continue;
+        if (!matchesQuery(query, it, { text, now })) continue;
+        let score = 2;
+        if (compact && it.normalizeBase === compact) score = 0;
+        else if (compact && it.normalizeBase.startsWith(compact)) score = 1;
+        hits.push({ it, score });
+      }
+    }
+
+    hits.sort((a, b) =>
+      a.score - b.score ||
+      a.it.name.localeCompare(b.it.name, undefined, { numeric: true, sensitivity: 'base' })
+    );
+
+    const results = hits.slice(0, limit).map(({ it }) => {
+      const { _haystack, ...item } = it;
+      return item;
+    });
+    return { total: hits.length, results };
+  }
+
+  /**
+   * Every file of the library (from the snapshot), once
+   * the scans queued so far are done.
+   */
+  async function files() {
+    await queue;
+    const out = [];
+    for (const [rel, entry] of dirs) {
+      for (const f of entry.files) out.push({ path: rel ? `${rel}/${f.name}` : f.name, size: f.size, mtime: f.mtime });
+    }
+    return out;
+  }
+
+  /**
+   * summaryOf(rel)
+   * ---------------------------------------------
+   * What a folder holds, subfolders included (from
+   * the snapshot, null until it was indexed):
+   *   { assets, files, folders, size, mtime (latest
+   *     file), tags: [{ name, count }] (most frequent,
+   *     count = assets), thumbnails: [url] (≤ 4) }
+   */
+  const summaryOf = (rel) => totals.get(rel)?.summary ?? null;
+
+  const status = () => ({
+    indexedAt,
+    building: pending > 0,
+    folders: dirs.size,
+    assets: assetCount,
+  });
+
+  return { start, rebuild, update, search, files, summaryOf, status };
+}
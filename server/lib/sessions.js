@@ -0,0 +1,80 @@
+// =============================================
+// Login sessions (cookie → user name)
+// ---------------------------------------------
+// Random tokens kept in memory: restarting the
+// server logs everybody out. Sessions expire after
+// `ttlMs` without a request (sliding expiry).
+// =============================================
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'assetlib_session';
+
+/**
+ * parseCookies(header)
+ * ---------------------------------------------
+ * 'a=1; b=x%20y' → { a: '1', b: 'x y' }
+ */
+export function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const key = part.slice(0, i).trim();
+    try {
+      out[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      // Not ours: ignore
+    }
+  }
+  return out;
+}
+
+/**
+ * createSessions({ ttlMs })
+ * ---------------------------------------------
+ * @param {{ttlMs: number}} opts
+ * @returns {{
+ *   create: (name: string) => string,
+ *   get: (token: string) => string|null,
+ *   drop: (token: string) => void,
+ *   dropUser: (name: string, except?: string) => void,
+ * }}
+ *   get() returns the user name of a live session and
+ *   extends it.
+ */
+export function createSessions({ ttlMs }) {
+  // token → { name, expires }
+  const sessions = new Map();
+
+  // Forget expired sessions now and then
+  setInterval(() => {
+    const now = Date.now();
+    for (const [token, s] of sessions) if (s.expires < now) sessions.delete(token);
+  }, 10 * 60 * 1000).unref();
+
+  function create(name) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    sessions.set(token, { name, expires: Date.now() + ttlMs });
+    return token;
+  }
+
+  function get(token) {
+    const s = token ? sessions.get(token) : null;
+    if (!s) return null;
+    if (s.expires < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    s.expires = Date.now() + ttlMs;
+    return s.name;
+  }
+
+  const drop = (token) => { sessions.delete(token); };
+
+  // e.g. after a password change: other browsers must log in again
+  function dropUser(name, except) {
+    for (const [token, s] of sessions) if (s.name === name && token !== except) sessions.delete(token);
+  }
+
+  return { create, get, drop, dropUser };
+}
@@ -0,0 +1,80 @@
+// =============================================
+// Thumbnail cache for non-web image formats
+// ---------------------------------------------
+// Previews are generated once (in a worker thread)
+// and stored as PNG files under CACHE_DIR/thumbs.
+// The cache key covers the file path, its size and
+// mtime, so a modified source gets a new preview.
+// EXR/HDR previews are also keyed by exposure and
+// gamma, one PNG per tone mapping.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { UnsupportedImageError } from './images/common.js';
+import { HDR_EXT } from './images/decode.js';
+
+const sha1 = (s) => crypto.createHash('sha1').update(s).digest('hex');
+
+/**
+ * createThumbnailer({ cacheDir, pool, maxPixels })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string} opts.cacheDir - Where PNG previews are stored
+ * @param {{run: Function}} opts.pool - Image worker pool
+ * @param {number} [opts.maxPixels] - Refuse bigger sources
+ * @returns {{ get: (abs: string, stat: import('fs').Stats, size: number, tone?: object) => Promise<string> }}
+ */
+export function createThumbnailer({ cacheDir, pool, maxPixels }) {
+  // key → Promise<path> while a preview is being generated
+  const pending = new Map();
+  // key → message, for sources we already failed to decode
+  const failures = new Map();
+
+  /**
+   * get(abs, stat, size, { exposure, gamma })
+   * ---------------------------------------------
+   * Returns the path of a PNG preview of `abs` that fits in
+   * size × size, generating it if needed. Tone mapping
+   * options only apply to HDR sources (EXR, Radiance).
+   *
+   * @throws {UnsupportedImageError} format/variant not decodable
+   */
+  async function get(abs, stat, size, { exposure = 0, gamma = 2.2 } = {}) {
+    const ext = path.extname(abs).toLowerCase();
+    const hdr = HDR_EXT.has(ext);
+    const source = `${abs}\0${stat.size}\0${stat.mtimeMs}\0${size}`;
+    const key = sha1(hdr ? `${source}\0${exposure}\0${gamma}` : source);
+    const dest = path.join(cacheDir, key.slice(0, 2), `${key}.png`);
+
+    if (failures.has(key)) throw new UnsupportedImageError(failures.get(key));
+    if (pending.has(key)) return pending.get(key);
+
+    try {
+      await fs.access(dest);
+      return dest;
+    } catch {
+      // Not cached yet
+    }
+
+    const job = (async () => {
+      await fs.mkdir(path.dirname(dest), { recursive: true });
+      await pool.run(hdr
+        ? { type: 'tonemap', src: abs, ext, dest, maxSize: size, linearKey: sha1(source), exposure, gamma }
+        : { type: 'thumb', src: abs, ext, dest, maxSize: size, maxPixels });
+      return dest;
+    })();
+
+    pending.set(key, job);
+    try {
+      return await job;
+    } catch (err) {
+      if (err instanceof UnsupportedImageError) failures.set(key, err.message);
+      throw err;
+    } finally {
+      pending.delete(key);
+    }
+  }
+
+  return { get };
+}
@@ -0,0 +1,221 @@
+// =============================================
+// Recoverable deletions (TRASH_DIR in the library)
+// ---------------------------------------------
+// Deleted assets and folders are moved, not erased:
+//   .trash/<id>/       the files / folder, original names
+//   .trash/<id>.json   where they came from:
+//     { id, deletedAt, dir, kind: "group"|"folder",
+//       names, meta }
+// The trash lives inside ASSETS_ROOT so deleting is
+// a rename on the same filesystem (instant, even for
+// big folders). Entries older than `days` are erased
+// for good by purge().
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { TRASH_DIR, toPosix } from './assets.js';
+import { FileOpError } from './file-ops.js';
+
+// Time-sortable, unguessable ids: "lq2x1c0k-3f9a1b2c"
+const newId = () => `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+const ID_RE = /^[0-9a-z]+-[0-9a-f]{8}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const exists = (abs) => fs.lstat(abs).then(() => true, () => false);
+
+/**
+ * Total size of a file or folder (symlinks not followed).
+ */
+async function sizeOf(abs) {
+  const st = await fs.lstat(abs).catch(() => null);
+  if (!st) return 0;
+  if (!st.isDirectory()) return st.size;
+  let total = 0;
+  for (const name of await fs.readdir(abs)) total += await sizeOf(path.join(abs, name));
+  return total;
+}
+
+/**
+ * createTrash({ root, days })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string} opts.root - ASSETS_ROOT (absolute)
+ * @param {number} opts.days - Retention (0 = keep forever)
+ * @returns {{
+ *   put: (entry: {dir: string, kind: 'group'|'folder', names: string[], meta?: object}) => Promise<object>,
+ *   get: (id: string) => Promise<object>,
+ *   list: () => Promise<object[]>,
+ *   restore: (id: string) => Promise<object>,
+ *   remove: (id: string) => Promise<object>,
+ *   purge: () => Promise<object[]>,
+ *   start: (onPurged?: (entries: object[]) => void) => void,
+ * }}
+ */
+export function createTrash({ root, days }) {
+  const trashAbs = path.join(root, TRASH_DIR);
+  const manifestOf = (id) => path.join(trashAbs, `${id}.json`);
+
+  const expiresAt = (entry) =>
+    days > 0 ? new Date(Date.parse(entry.deletedAt) + days * DAY_MS).toISOString() : null;
+
+  async function read(id) {
+    if (!ID_RE.test(String(id))) throw new FileOpError('Not in the trash', 'NOT_FOUND');
+    try {
+      return JSON.parse(await fs.readFile(manifestOf(id), 'utf8'));
+    } catch {
+      throw new FileOpError('Not in the trash', 'NOT_FOUND');
+    }
+  }
+
+  /**
+   * put(entry)
+   * ---------------------------------------------
+   * Moves `names` (files of one group, or one folder)
+   * of folder `dir` (relative) into the trash. `meta`
+   * is kept to be restored along.
+   */
+  async function put({ dir, kind, names, meta = null }) {
+    const id = newId();
+    const itemsAbs = path.join(trashAbs, id);
+    await fs.mkdir(itemsAbs, { recursive: true });
+
+    const moved = [];
+    try {
+      for (const name of names) {
+        await fs.rename(path.join(root, dir, name), path.join(itemsAbs, name));
+        moved.push(name);
+      }
+    } catch (err) {
+      for (const name of moved) {
+        await fs.rename(path.join(itemsAbs, name), path.join(root, dir, name)).catch(() => {});
+      }
+      await fs.rm(itemsAbs, { recursive: true, force: true });
+      if (err.code === 'ENOENT') throw new FileOpError('A file vanished during the operation', 'NOT_FOUND');
+      throw err;
+    }
+
+    const entry = { id, deletedAt: new Date().toISOString(), dir, kind, names, meta };
+    await fs.writeFile(manifestOf(id), JSON.stringify(entry, null, 2));
+    return entry;
+  }
+
+  /**
+   * list()
+   * ---------------------------------------------
+   * Trash entries, newest first, with `size` (bytes)
+   * and `expiresAt`.
+   */
+  async function list() {
+    let names;
+    try {
+      names = await fs.readdir(trashAbs);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const out = [];
+    for (const n of names) {
+      if (!n.endsWith('.json')) continue;
+      try {
+        const entry = await read(n.slice(0, -5));
+        out.push({ ...entry, size: await sizeOf(path.join(trashAbs, entry.id)), expiresAt: expiresAt(entry) });
+      } catch {
+        // Half-written entry: purge() cleans it up
+      }
+    }
+    return out.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * restore(id)
+   * ---------------------------------------------
+   * Moves an entry back where it was (the folder is
+   * created again if needed). Fails with 'CONFLICT'
+   * when one of its names has been taken meanwhile.
+   *
+   * @returns {Promise<object>} the entry, plus `created`:
+   *   the top-most folder created again (relative), or null
+   * @throws {FileOpError}
+   */
+  async function restore(id) {
+    const entry = await read(id);
+    const dirAbs = path.join(root, entry.dir);
+    for (const name of entry.names) {
+      if (await exists(path.join(dirAbs, name))) {
+        throw new FileOpError(`"${name}" already exists in ${entry.dir || 'the library root'}`, 'CONFLICT');
+      }
+    }
+    const created = await fs.mkdir(dirAbs, { recursive: true });
+    for (const name of entry.names) {
+      await fs.rename(path.join(trashAbs, entry.id, name), path.join(dirAbs, name));
+    }
+    await fs.rm(path.join(trashAbs, entry.id), { recursive: true, force: true });
+    await fs.rm(manifestOf(entry.id), { force: true });
+    return { ...entry, created: created ? toPosix(path.relative(root, created)) : null };
+  }
+
+  /**
+   * remove(id)
+   * ---------------------------------------------
+   * Erases an entry for good.
+   *
+   * @throws {FileOpError}
+   */
+  async function remove(id) {
+    const entry = await read(id);
+    await fs.rm(path.join(trashAbs, entry.id), { recursive: true, force: true });
+    await fs.rm(manifestOf(entry.id), { force: true });
+    return entry;
+  }
+
+  /**
+   * purge()
+   * ---------------------------------------------
+   * Erases entries older than `days`, and leftovers
+   * of deletions interrupted before their manifest
+   * was written.
+   *
+   * @returns {Promise<object[]>} the erased entries
+   */
+  async function purge() {
+    if (!(days > 0)) return [];
+    const limit = Date.now() - days * DAY_MS;
+    let names;
+    try {
+      names = await fs.readdir(trashAbs);
+    } catch {
+      return [];
+    }
+    const purged = [];
+    for (const n of names) {
+      const id = n.endsWith('.json') ? n.slice(0, -5) : n;
+      if (!ID_RE.test(id)) continue;
+      try {
+        if (n.endsWith('.json')) {
+          const entry = await read(id);
+          if (Date.parse(entry.deletedAt) < limit) purged.push(await remove(id));
+        } else if (!names.includes(`${n}.json`) && (await fs.stat(path.join(trashAbs, n))).mtimeMs < limit) {
+          await fs.rm(path.join(trashAbs, n), { recursive: true, force: true });
+        }
+      } catch (err) {
+        console.warn(`⚠️ Cannot purge trash entry ${id}: ${err.message}`);
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Purges now, then every hour.
+   */
+  function start(onPurged) {
+    const run = () => purge()
+      .then(entries => { if (entries.length) onPurged?.(entries); })
+      .catch(err => console.error('❌ Trash purge failed:', err));
+    run();
+    setInterval(run, 60 * 60 * 1000).unref();
+  }
+
+  return { put, get: read, list, restore, remove, purge, start };
+}
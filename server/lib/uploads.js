@@ -0,0 +1,213 @@
+// =============================================
+// Browser uploads into the library
+// ---------------------------------------------
+// Each file of a multipart request is streamed to a
+// hidden temp file next to its destination (same
+// filesystem, so the final rename is atomic). Once
+// the whole body is read, the temp files are
+// renamed according to the conflict mode:
+//  - skip:      keep the existing file
+//  - rename:    store as "name_v2.ext", "name_v3.ext", …
+//               (a version: still grouped with the asset)
+//  - overwrite: replace the existing file
+//
+// File names may contain "/" (folder uploads): the
+// subfolders are created under the destination. A
+// destination the caller refuses (UploadError, e.g.
+// a folder the user may not write to) rejects the
+// whole upload: none of its files is stored.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { IGNORE_FILES, isValidFileName } from './assets.js';
+import { readMultipart } from './multipart.js';
+
+export const CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+
+export class UploadError extends Error {
+  /**
+   * @param {string} message
+   * @param {'FORBIDDEN'} code
+   * @param {string} [path] - The file name it is about
+   */
+  constructor(message, code, path = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+// Temp files (hidden from listings, see IGNORE_FILES)
+const tmpNameOf = () => `.upload-${crypto.randomBytes(8).toString('hex')}.tmp`;
+
+/**
+ * uploadPathOf(filename)
+ * ---------------------------------------------
+ * "pack/wood_albedo.png" → ["pack", "wood_albedo.png"]
+ * (backslashes accepted). Returns null for names we
+ * refuse to store: empty, "." / "..", hidden system
+ * files, characters Windows does not allow.
+ */
+export function uploadPathOf(filename) {
+  const segments = String(filename || '').split(/[\\/]+/).filter(Boolean);
+  if (!segments.length) return null;
+  if (!segments.every(isValidFileName)) return null;
+  if (IGNORE_FILES.test(segments[segments.length - 1])) return null;
+  return segments;
+}
+
+const exists = (abs) => fs.lstat(abs).then(() => true, () => false);
+
+/**
+ * copyNameOf(name, n)
+ * ---------------------------------------------
+ * Name of the n-th copy of a file uploaded under a
+ * name already taken: "oak_albedo.png", 2 →
+ * "oak_albedo_v2.png". Versions are stripped before
+ * grouping (built-in rules), so the copy ends up in
+ * the same asset group and keeps its map role.
+ */
+export function copyNameOf(name, n) {
+  const ext = path.extname(name);
+  return `${path.basename(name, ext)}_v${n}${ext}`;
+}
+
+// First copy name (see copyNameOf) that does not exist yet
+async function freeNameOf(abs) {
+  for (let n = 2; n < 10000; n++) {
+    const candidate = path.join(path.dirname(abs), copyNameOf(path.basename(abs), n));
+    if (!(await exists(candidate))) return candidate;
+  }
+  throw new Error(`No free name for ${path.basename(abs)}`);
+}
+
+/**
+ * receiveUpload(stream, boundary, opts)
+ * ---------------------------------------------
+ * Stores every file part of a multipart body.
+ * Problems with one file (bad name, too large, disk
+ * error) are reported in its result; the others are
+ * still stored.
+ *
+ * @param {AsyncIterable<Buffer>} stream - The request
+ * @param {string} boundary
+ * @param {object} opts
+ * @param {(segments: string[]) => string} opts.resolve
+ *   Absolute destination of a relative path; must throw
+ *   for paths outside the library (safeJoin), and throw
+ *   an UploadError to reject the whole upload
+ * @param {'skip'|'rename'|'overwrite'} opts.conflict
+ * @param {number} opts.maxFileSize - Bytes, per file
+ * @returns {Promise<{name: string, abs: string|null, size: number,
+ *   status: 'created'|'renamed'|'overwritten'|'skipped'|'rejected', error?: string}[]>}
+ * @throws {MultipartError | UploadError}
+ */
+export async function receiveUpload(stream, boundary, { resolve, conflict, maxFileSize }) {
+  const results = [];
+  const staged = []; // { result, tmp, target }: complete, not stored yet
+
+  try {
+    await readMultipart(stream, boundary, async ({ filename }) => {
+      if (filename === null || filename === '') return null; // Not a file field
+
+      const result = { name: filename, abs: null, size: 0, status: 'rejected' };
+      results.push(result);
+
+      const segments = uploadPathOf(filename);
+      let target;
+      try {
+        if (!segments) throw new Error('Invalid file name');
+        target = resolve(segments);
+      } catch (err) {
+        if (err instanceof UploadError) throw err;
+        result.error = err.message;
+        return null;
+      }
+      result.abs = target;
+
+      if (conflict === 'skip' && await exists(target)) {
+        result.status = 'skipped';
+        return null;
+      }
+
+      let fh = null;
+      let tmp = null;
+      const fail = async (message) => {
+        result.status = 'rejected';
+        result.error = message;
+        result.abs = null;
+        await fh?.close().catch(() => {});
+        if (tmp) await fs.rm(tmp, { force: true });
+        fh = null;
+        tmp = null;
+      };
+
+      try {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        tmp = path.join(path.dirname(target), tmpNameOf());
+        fh = await fs.open(tmp, 'wx');
+      } catch (err) {
+        await fail(err.message);
+        return null;
+      }
+
+      return {
+        async write(chunk) {
+          if (!fh) return; // Failed earlier: the rest is discarded
+          result.size += chunk.length;
+          if (result.size > maxFileSize) return fail(`File larger than ${maxFileSize} bytes`);
+          try {
+            await fh.write(chunk);
+          } catch (err) {
+            await fail(err.message);
+          }
+        },
+
+        async end() {
+          if (!fh) return;
+          try {
+            await fh.close();
+            fh = null;
+            staged.push({ result, tmp, target });
+          } catch (err) {
+            await fail(err.message);
+          }
+        },
+
+        abort: () => fail('Upload interrupted'),
+      };
+    });
+  } catch (err) {
+    await Promise.all(staged.map(s => fs.rm(s.tmp, { force: true })));
+    throw err;
+  }
+
+  for (const { result, tmp, target } of staged) {
+    try {
+      let final = target;
+      const taken = await exists(target);
+      if (taken && conflict === 'skip') {
+        // Created by someone else meanwhile
+        await fs.rm(tmp, { force: true });
+        result.status = 'skipped';
+        continue;
+      }
+      if (taken && conflict === 'rename') final = await freeNameOf(target);
+      if (taken && conflict === 'overwrite' && (await fs.lstat(target)).isDirectory()) {
+        throw new Error('A folder with this name exists');
+      }
+      await fs.rename(tmp, final);
+      result.abs = final;
+      result.status = !taken ? 'created' : conflict === 'rename' ? 'renamed' : 'overwritten';
+    } catch (err) {
+      await fs.rm(tmp, { force: true });
+      result.status = 'rejected';
+      result.error = err.message;
+      result.abs = null;
+    }
+  }
+
+  return results;
+}
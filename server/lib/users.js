@@ -0,0 +1,306 @@
+// =============================================
+// Local accounts (hashed user file) and roles
+// ---------------------------------------------
+// USERS_FILE (JSON), edited with `node users.js`:
+//   { "users": {
+//       "alice": { "password": "scrypt$…", "roles": { "": "admin" } },
+//       "bob":   { "password": "scrypt$…",
+//                  "roles": { "": "viewer", "projects/x": "contributor" } } } }
+//
+// `roles` maps folders ('' = the whole library) to a
+// role; the most specific folder containing a path
+// decides. No entry above a path = no access to it.
+// A folder is renamed, moved or deleted as a whole
+// only with the role on all of it (hasRoleOnTree);
+// its entries follow it (relocate).
+//   viewer:      browse, search, preview, download
+//   contributor: + upload, edit metadata, rename,
+//                  move, new folder, delete (to trash)
+//   admin:       + erase trash entries, reindex
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Weakest first
+export const ROLES = ['viewer', 'contributor', 'admin'];
+
+// scrypt cost parameters of new hashes (stored in each hash)
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Used to spend the same time on unknown user names
+const DUMMY_HASH = 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$' + Buffer.alloc(64).toString('base64');
+
+export const USER_NAME_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+/**
+ * hashPassword(password)
+ * ---------------------------------------------
+ * "scrypt$N$r$p$<salt>$<hash>" (base64 salt / hash)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT.keylen, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * verifyPassword(password, stored)
+ * ---------------------------------------------
+ * Constant-time comparison with a hash made by
+ * hashPassword(). Malformed hashes never match.
+ */
+export async function verifyPassword(password, stored) {
+  const [kind, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (kind !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+// 'textures/' → 'textures', '/' → ''
+const normalizeFolder = (dir) => String(dir).replaceAll('\\', '/').replace(/^\/+|\/+$/g, '');
+
+/**
+ * Validates one user record of the file.
+ */
+function normalizeUser(name, u) {
+  if (!USER_NAME_RE.test(name)) throw new Error(`invalid user name "${name}"`);
+  if (!u || typeof u.password !== 'string') throw new Error(`user "${name}" has no password hash`);
+  const roles = {};
+  for (const [dir, role] of Object.entries(u.roles || {})) {
+    if (!ROLES.includes(role)) throw new Error(`user "${name}": unknown role "${role}" (${ROLES.join(', ')})`);
+    roles[normalizeFolder(dir)] = role;
+  }
+  return { name, password: u.password, roles };
+}
+
+// Whether `dir` is folder `rel` or below it ('' = everything)
+const isWithin = (dir, rel) => rel === '' || dir === rel || dir.startsWith(`${rel}/`);
+
+/**
+ * roleAt(user, rel)
+ * ---------------------------------------------
+ * The role of `user` on folder/file `rel` (most
+ * specific matching folder entry), or null.
+ */
+export function roleAt(user, rel) {
+  let best = null;
+  let bestLen = -1;
+  for (const [dir, role] of Object.entries(user?.roles || {})) {
+    const covers = dir === '' || rel === dir || rel.startsWith(`${dir}/`);
+    if (covers && dir.length > bestLen) {
+      best = role;
+      bestLen = dir.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * hasRole(user, rel, role)
+ * ---------------------------------------------
+ * Whether `user` has at least `role` on `rel`.
+ */
+export function hasRole(user, rel, role) {
+  const own = roleAt(user, rel);
+  return own !== null && ROLES.indexOf(own) >= ROLES.indexOf(role);
+}
+
+/**
+ * hasRoleOnTree(user, rel, role)
+ * ---------------------------------------------
+ * Whether `user` has at least `role` on folder `rel`
+ * and on every subfolder of it with an entry of its
+ * own: a more restricted subfolder must not be
+ * renamed, moved or deleted along with its parent.
+ */
+export function hasRoleOnTree(user, rel, role) {
+  return hasRole(user, rel, role) && Object.keys(user?.roles || {})
+    .filter(dir => isWithin(dir, rel))
+    .every(dir => hasRole(user, dir, role));
+}
+
+/**
+ * relocateRoles(roles, from, to)
+ * ---------------------------------------------
+ * Copy of a `roles` map after folder `from` became
+ * `to`: entries of `from` and below it move along
+ * ("locked/x" → "archive/locked/x").
+ */
+export function relocateRoles(roles, from, to) {
+  const out = {};
+  for (const [dir, role] of Object.entries(roles)) {
+    out[isWithin(dir, from) ? to + dir.slice(from.length) : dir] = role;
+  }
+  return out;
+}
+
+/**
+ * canBrowse(user, rel)
+ * ---------------------------------------------
+ * Whether folder `rel` may be shown: the user has
+ * a role on it, or on one of its subfolders (then
+ * only the way down to those is shown).
+ */
+export function canBrowse(user, rel) {
+  if (roleAt(user, rel) !== null) return true;
+  return Object.keys(user?.roles || {}).some(dir => rel === '' || dir.startsWith(`${rel}/`));
+}
+
+/**
+ * readUsersFile(file)
+ * ---------------------------------------------
+ * @returns {Promise<Map<string, object> | null>} null
+ *   if the file does not exist
+ * @throws {Error} for unreadable / invalid files
+ */
+export async function readUsersFile(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const json = JSON.parse(raw);
+  const users = new Map();
+  for (const [name, u] of Object.entries(json?.users || {})) {
+    users.set(name.toLowerCase(), normalizeUser(name.toLowerCase(), u));
+  }
+  return users;
+}
+
+/**
+ * writeUsersFile(file, users)
+ * ---------------------------------------------
+ * Temp file + rename: the server never reads half
+ * a file.
+ */
+export async function writeUsersFile(file, users) {
+  const data = { users: {} };
+  for (const u of [...users.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+    data.users[u.name] = { password: u.password, roles: u.roles };
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, file);
+}
+
+/**
+ * createUserStore({ file })
+ * ---------------------------------------------
+ * Accounts from the users file. The file is read
+ * again when it changes on disk (users added with
+ * the CLI, roles edited by hand), checked at most
+ * every few seconds.
+ *
+ * @param {{file: string}} opts
+ * @returns {{
+ *   load: () => Promise<boolean>,
+ *   refresh: () => Promise<void>,
+ *   enabled: () => boolean,
+ *   get: (name: string) => Promise<object|null>,
+ *   authenticate: (name: string, password: string) => Promise<object|null>,
+ *   setPassword: (name: string, password: string) => Promise<void>,
+ *   hasEntries: (rel: string) => Promise<boolean>,
+ *   relocate: (from: string, to: string) => Promise<void>,
+ * }}
+ *   load() resolves false when there is no users file
+ *   (authentication is then disabled). hasEntries()
+ *   tells whether any user has a role on folder `rel`
+ *   or below it.
+ */
+export function createUserStore({ file }) {
+  let users = null; // Map name → user, null = no file
+  let mtime = null;
+  let checkedAt = 0;
+
+  async function load() {
+    try {
+      const st = await fs.stat(file);
+      if (users && st.mtimeMs === mtime) return true;
+      users = await readUsersFile(file);
+      mtime = st.mtimeMs;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        users = null;
+        return false;
+      }
+      // Keep the accounts we had: a bad edit must not lock everyone out.
+      // Without any, nobody can log in (never fall back to no authentication)
+      console.warn(`⚠️ Cannot read users file ${file}: ${err.message}`);
+      users ??= new Map();
+    }
+    return users !== null;
+  }
+
+  // load(), at most every 5 s
+  async function refresh() {
+    if (Date.now() - checkedAt > 5000) {
+      checkedAt = Date.now();
+      await load();
+    }
+  }
+
+  async function get(name) {
+    await refresh();
+    return users?.get(String(name).toLowerCase()) || null;
+  }
+
+  async function authenticate(name, password) {
+    await refresh();
+    const user = users?.get(String(name || '').toLowerCase()) || null;
+    const ok = await verifyPassword(password, user ? user.password : DUMMY_HASH);
+    return ok && user ? user : null;
+  }
+
+  async function setPassword(name, password) {
+    await load();
+    const user = users?.get(name);
+    if (!user) throw new Error(`Unknown user "${name}"`);
+    const next = new Map(users);
+    next.set(name, { ...user, password: await hashPassword(password) });
+    await writeUsersFile(file, next);
+    await load();
+  }
+
+  async function hasEntries(rel) {
+    await load();
+    return [...(users?.values() || [])].some(u => Object.keys(u.roles).some(dir => isWithin(dir, rel)));
+  }
+
+  /**
+   * relocate(from, to)
+   * ---------------------------------------------
+   * Folder `from` was renamed / moved to `to`: the
+   * role entries of its subtree follow it (see
+   * relocateRoles), so its restrictions still apply.
+   */
+  async function relocate(from, to) {
+    await load();
+    if (!users) return;
+    let changed = false;
+    const next = new Map();
+    for (const [name, u] of users) {
+      const moved = Object.keys(u.roles).some(dir => isWithin(dir, from));
+      next.set(name, moved ? { ...u, roles: relocateRoles(u.roles, from, to) } : u);
+      changed ||= moved;
+    }
+    if (!changed) return;
+    await writeUsersFile(file, next);
+    await load();
+  }
+
+  return { load, refresh, enabled: () => users !== null, get, authenticate, setPassword, hasEntries, relocate };
+}
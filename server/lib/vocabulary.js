@@ -0,0 +1,205 @@
+// =============================================
+// Tag vocabulary (synonyms, hierarchy, blocked tags)
+// ---------------------------------------------
+// VOCABULARY_FILE (JSON), edited by admins through
+// the API:
+//   { "foldPlurals": true,
+//     "terms": [
+//       { "tag": "material/wood", "synonyms": ["timber", "planks"] },
+//       { "tag": "material/wood/oak" } ],
+//     "blocked": ["untitled", "new"] }
+//
+// Tags taken from file names (and manual tags) are
+// mapped to the term that claims them: its full tag,
+// its synonyms, then the last segment of its tag
+// ("oak" → "material/wood/oak"); explicit synonyms
+// win over last segments, earlier terms over later
+// ones. With foldPlurals, plurals are folded to the
+// singular first ("woods" → "wood" → "material/wood",
+// "tiles" → "tile").
+//
+// "/" makes the hierarchy: a tag filter on
+// "material/wood" also matches "material/wood/oak"
+// (see hasTag in assets.js). Blocked tags are added
+// to the stopwords of every folder.
+// =============================================
+import path from 'path';
+import fs from 'fs/promises';
+import { normalizeToken } from './assets.js';
+import { sanitizeTag } from './metadata.js';
+
+export class VocabularyError extends Error {
+  /**
+   * @param {string} message
+   * @param {'INVALID'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'VocabularyError';
+    this.code = code;
+  }
+}
+
+const MAX_TERMS = 5000;
+const MAX_SYNONYMS = 100;
+const MAX_BLOCKED = 1000;
+
+// One word: "Timber " → "timber" (as tags extracted from names)
+const wordOf = (value) => normalizeToken(sanitizeTag(String(value).replaceAll('/', '')));
+
+// A tag path: "Material / Wood" → "material/wood"
+const tagPathOf = (value) => String(value).split('/').map(wordOf).filter(Boolean).join('/');
+
+/**
+ * singularOf(word)
+ * ---------------------------------------------
+ * English plural folding, on the safe side:
+ * "woods" → "wood", "berries" → "berry", "boxes" →
+ * "box", "branches" → "branch"; words ending in ss,
+ * us, is or as ("glass", "canvas") and short words
+ * are kept. Wrong guesses ("lens") are fixed by a
+ * vocabulary term, which is looked up first.
+ */
+export function singularOf(word) {
+  if (word.length < 4 || !word.endsWith('s') || /(?:ss|us|is|as)$/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  return word.slice(0, -1);
+}
+
+/**
+ * validateVocabulary(input)
+ * ---------------------------------------------
+ * Checks and normalizes a vocabulary sent by a
+ * client (missing fields = empty, foldPlurals on).
+ *
+ * @returns {{foldPlurals: boolean, terms: {tag: string, synonyms: string[]}[], blocked: string[]}}
+ * @throws {VocabularyError}
+ */
+export function validateVocabulary(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new VocabularyError('Expected a JSON object', 'INVALID');
+  }
+  const { terms = [], blocked = [], foldPlurals = true } = input;
+  if (typeof foldPlurals !== 'boolean') throw new VocabularyError('"foldPlurals" must be true or false', 'INVALID');
+  if (!Array.isArray(terms) || terms.length > MAX_TERMS) {
+    throw new VocabularyError(`"terms" must be an array of at most ${MAX_TERMS} terms`, 'INVALID');
+  }
+
+  const tags = new Set();
+  const synonymOf = new Map(); // synonym → tag claiming it
+  const out = [];
+  for (const term of terms) {
+    const tag = typeof term?.tag === 'string' ? tagPathOf(term.tag) : '';
+    if (!tag) throw new VocabularyError('Every term needs a "tag" (letters, digits, _ and -, "/" between levels)', 'INVALID');
+    if (tags.has(tag)) throw new VocabularyError(`"${tag}" is listed twice`, 'INVALID');
+    tags.add(tag);
+
+    const synonyms = term.synonyms ?? [];
+    if (!Array.isArray(synonyms) || synonyms.length > MAX_SYNONYMS || synonyms.some(s => typeof s !== 'string')) {
+      throw new VocabularyError(`"synonyms" of "${tag}" must be an array of at most ${MAX_SYNONYMS} words`, 'INVALID');
+    }
+    const clean = [...new Set(synonyms.map(wordOf).filter(Boolean))].filter(s => s !== tag);
+    for (const s of clean) {
+      if (synonymOf.has(s)) throw new VocabularyError(`"${s}" is a synonym of both "${synonymOf.get(s)}" and "${tag}"`, 'INVALID');
+      synonymOf.set(s, tag);
+    }
+    out.push({ tag, synonyms: clean });
+  }
+
+  if (!Array.isArray(blocked) || blocked.length > MAX_BLOCKED || blocked.some(b => typeof b !== 'string')) {
+    throw new VocabularyError(`"blocked" must be an array of at most ${MAX_BLOCKED} words`, 'INVALID');
+  }
+  return { foldPlurals, terms: out, blocked: [...new Set(blocked.map(wordOf).filter(Boolean))] };
+}
+
+/**
+ * compileVocabulary(spec)
+ * ---------------------------------------------
+ * @param {object} spec - From validateVocabulary()
+ * @returns {{blocked: string[], canonical: (tag: string) => string}}
+ *   canonical() maps a tag (word or path) to the term
+ *   claiming it, else to its folded form
+ */
+export function compileVocabulary({ foldPlurals, terms, blocked }) {
+  const aliases = new Map();
+  const claim = (word, tag) => {
+    if (!aliases.has(word)) aliases.set(word, tag);
+    if (foldPlurals && !aliases.has(singularOf(word))) aliases.set(singularOf(word), tag);
+  };
+  for (const t of terms) aliases.set(t.tag, t.tag);
+  for (const t of terms) for (const s of t.synonyms) claim(s, t.tag);
+  for (const t of terms) claim(t.tag.split('/').pop(), t.tag);
+
+  function canonical(tag) {
+    const t = normalizeToken(String(tag));
+    if (aliases.has(t)) return aliases.get(t);
+    if (!foldPlurals || t.includes('/')) return t;
+    const one = singularOf(t);
+    return aliases.get(one) ?? one;
+  }
+
+  return { blocked, canonical };
+}
+
+// Without a vocabulary file: tags are kept as found
+const NO_VOCABULARY = { foldPlurals: false };
+
+/**
+ * createVocabulary({ file })
+ * ---------------------------------------------
+ * @param {{file: string}} opts
+ * @returns {{
+ *   load: () => Promise<void>,
+ *   get: () => object,
+ *   current: () => object,
+ *   replace: (input: object) => Promise<object>,
+ * }}
+ *   get() = the vocabulary (copy, as validated);
+ *   current() = compiled (see compileVocabulary)
+ */
+export function createVocabulary({ file }) {
+  let spec = validateVocabulary(NO_VOCABULARY);
+  let compiled = compileVocabulary(spec);
+  let queue = Promise.resolve(); // Writes happen in order
+
+  async function load() {
+    try {
+      spec = validateVocabulary(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`⚠️ Ignoring vocabulary file ${file}: ${err.message}`);
+      spec = validateVocabulary(NO_VOCABULARY);
+    }
+    compiled = compileVocabulary(spec);
+  }
+
+  // Temp file + rename: a crash never leaves half a file
+  function save() {
+    const data = JSON.stringify(spec, null, 2);
+    queue = queue.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, file);
+    });
+    return queue;
+  }
+
+  const get = () => structuredClone(spec);
+
+  /**
+   * replace(input)
+   * ---------------------------------------------
+   * Validates and stores a whole new vocabulary.
+   * @throws {VocabularyError}
+   */
+  async function replace(input) {
+    const next = validateVocabulary(input);
+    spec = next;
+    compiled = compileVocabulary(next);
+    await save();
+    return get();
+  }
+
+  return { load, get, current: () => compiled, replace };
+}
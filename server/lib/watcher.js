@@ -0,0 +1,93 @@
+// =============================================
+// Filesystem watcher for ASSETS_ROOT
+// ---------------------------------------------
+// Wraps a recursive fs.watch() and reports which
+// folders (relative to the root, "/" separated)
+// changed. Bursts of events (copying a texture
+// set, unzipping a pack, …) are batched so the
+// listeners run once per burst; during a long
+// burst (a big copy) they still run every few
+// seconds.
+// =============================================
+import path from 'path';
+import { watch } from 'fs';
+import { IGNORE_FILES, META_FILE, RULES_FILE, toPosix } from './assets.js';
+
+/**
+ * watchLibrary(root, onChange, { debounceMs, maxWaitMs, ignore })
+ * ---------------------------------------------
+ * @param {string} root - Directory to watch (recursively)
+ * @param {(change: {dirs: string[], paths: string[], all: boolean}) => void} onChange
+ *   - dirs:  folders whose listing changed
+ *   - paths: changed entries (files or folders)
+ *   - all:   true when the OS could not tell what changed
+ * @param {object} [opts]
+ * @param {number} [opts.debounceMs=300] - Quiet period before reporting
+ * @param {number} [opts.maxWaitMs=2000] - Longest delay between the
+ *   first event of a batch and its report
+ * @param {(rel: string) => boolean} [opts.ignore] - Skip matching paths
+ * @returns {{ active: boolean, close: () => void }}
+ *   `active` is false when recursive watching is unavailable
+ *   on this platform/filesystem; callers must not rely on
+ *   change notifications in that case.
+ */
+export function watchLibrary(root, onChange, { debounceMs = 300, maxWaitMs = 2000, ignore } = {}) {
+  let dirs = new Set();
+  let paths = new Set();
+  let all = false;
+  let timer = null;
+  let firstAt = null; // First event of the pending batch
+
+  const flush = () => {
+    timer = null;
+    firstAt = null;
+    const change = { dirs: [...dirs], paths: [...paths], all };
+    dirs = new Set();
+    paths = new Set();
+    all = false;
+    try {
+      onChange(change);
+    } catch (err) {
+      console.error('❌ Watch listener failed:', err);
+    }
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    firstAt ??= Date.now();
+    timer = setTimeout(flush, Math.max(0, Math.min(debounceMs, firstAt + maxWaitMs - Date.now())));
+  };
+
+  let watcher;
+  try {
+    watcher = watch(root, { recursive: true, persistent: false }, (_event, filename) => {
+      if (!filename) {
+        all = true;
+        return schedule();
+      }
+      const rel = toPosix(String(filename));
+      // Sidecars (metadata, rules) are hidden from listings but do change them
+      const name = path.posix.basename(rel);
+      if (name !== META_FILE && name !== RULES_FILE && IGNORE_FILES.test(name)) return;
+      if (ignore?.(rel)) return;
+
+      const parent = path.posix.dirname(rel);
+      dirs.add(parent === '.' ? '' : parent);
+      paths.add(rel);
+      schedule();
+    });
+  } catch (err) {
+    console.warn(`⚠️ File watching unavailable (${err.code || err.message}), listings will not be cached`);
+    return { active: false, close() {} };
+  }
+
+  const state = { active: true, close: () => watcher.close() };
+  watcher.on('error', (err) => {
+    console.warn('⚠️ File watcher stopped:', err.message);
+    state.active = false;
+    // Whatever happened since the last event is unknown now
+    all = true;
+    schedule();
+  });
+  return state;
+}
@@ -0,0 +1,234 @@
+// =============================================
+// Streamed ZIP archives (no temp files)
+// ---------------------------------------------
+// Files are stored as-is (method 0): textures and
+// EXRs are already compressed, and it keeps the
+// archive size known upfront (exact Content-Length,
+// download progress in browsers).
+//
+// CRCs are computed while streaming and written in
+// data descriptors (flag bit 3). ZIP64 records are
+// used per entry (files ≥ 4 GiB, offsets past 4 GiB)
+// and for the end of the archive when needed.
+// =============================================
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { crc32 } from './crc32.js';
+
+const MAX32 = 0xFFFFFFFF;
+const MAX16 = 0xFFFF;
+
+// General purpose flags: bit 3 = data descriptor, bit 11 = UTF-8 names
+const FLAGS = 0x0808;
+
+/**
+ * Thrown when a file changes size while it is being
+ * archived (the announced length would be wrong).
+ */
+export class ZipSourceChangedError extends Error {
+  constructor(name) {
+    super(`File changed while zipping: ${name}`);
+    this.name = 'ZipSourceChangedError';
+  }
+}
+
+// MS-DOS date/time (local time, 2 s resolution, 1980+)
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// 64-bit little-endian write (sizes/offsets stay below 2^53)
+const writeU64 = (buf, value, offset) => buf.writeBigUInt64LE(BigInt(value), offset);
+
+/**
+ * Local file header. With a data descriptor, CRC and
+ * sizes are 0 here (ZIP64 entries: 0xFFFFFFFF + an
+ * extra field with zeroed 64-bit sizes).
+ */
+function localHeader(e) {
+  const extra = e.zip64 ? 20 : 0;
+  const buf = Buffer.alloc(30 + e.nameBuf.length + extra);
+  buf.writeUInt32LE(0x04034b50, 0);
+  buf.writeUInt16LE(e.zip64 ? 45 : 20, 4);
+  buf.writeUInt16LE(FLAGS, 6);
+  buf.writeUInt16LE(0, 8); // stored
+  buf.writeUInt16LE(e.dos.time, 10);
+  buf.writeUInt16LE(e.dos.date, 12);
+  buf.writeUInt32LE(0, 14);
+  buf.writeUInt32LE(e.zip64 ? MAX32 : 0, 18);
+  buf.writeUInt32LE(e.zip64 ? MAX32 : 0, 22);
+  buf.writeUInt16LE(e.nameBuf.length, 26);
+  buf.writeUInt16LE(extra, 28);
+  e.nameBuf.copy(buf, 30);
+  if (e.zip64) {
+    const o = 30 + e.nameBuf.length;
+    buf.writeUInt16LE(0x0001, o);
+    buf.writeUInt16LE(16, o + 2); // sizes (filled in by the descriptor)
+  }
+  return buf;
+}
+
+// Data descriptor (signed), 64-bit sizes for ZIP64 entries
+function dataDescriptor(e, crc) {
+  const buf = Buffer.alloc(e.zip64 ? 24 : 16);
+  buf.writeUInt32LE(0x08074b50, 0);
+  buf.writeUInt32LE(crc, 4);
+  if (e.zip64) {
+    writeU64(buf, e.size, 8);
+    writeU64(buf, e.size, 16);
+  } else {
+    buf.writeUInt32LE(e.size, 8);
+    buf.writeUInt32LE(e.size, 12);
+  }
+  return buf;
+}
+
+// Central directory ZIP64 extra: only the fields that overflow
+const centralExtraLength = (e) =>
+  (e.zip64 || e.offset >= MAX32) ? 4 + (e.zip64 ? 16 : 0) + (e.offset >= MAX32 ? 8 : 0) : 0;
+
+function centralHeader(e, crc) {
+  const bigOffset = e.offset >= MAX32;
+  const extra = centralExtraLength(e);
+  const buf = Buffer.alloc(46 + e.nameBuf.length + extra);
+  buf.writeUInt32LE(0x02014b50, 0);
+  buf.writeUInt16LE((3 << 8) | 45, 4); // made by: Unix, 4.5
+  buf.writeUInt16LE(extra ? 45 : 20, 6);
+  buf.writeUInt16LE(FLAGS, 8);
+  buf.writeUInt16LE(0, 10);
+  buf.writeUInt16LE(e.dos.time, 12);
+  buf.writeUInt16LE(e.dos.date, 14);
+  buf.writeUInt32LE(crc, 16);
+  buf.writeUInt32LE(e.zip64 ? MAX32 : e.size, 20);
+  buf.writeUInt32LE(e.zip64 ? MAX32 : e.size, 24);
+  buf.writeUInt16LE(e.nameBuf.length, 28);
+  buf.writeUInt16LE(extra, 30);
+  buf.writeUInt16LE(0, 32); // comment
+  buf.writeUInt16LE(0, 34); // disk
+  buf.writeUInt16LE(0, 36); // internal attributes
+  buf.writeUInt32LE((0o100644 << 16) >>> 0, 38); // -rw-r--r--
+  buf.writeUInt32LE(bigOffset ? MAX32 : e.offset, 42);
+  e.nameBuf.copy(buf, 46);
+  if (extra) {
+    let o = 46 + e.nameBuf.length;
+    buf.writeUInt16LE(0x0001, o);
+    buf.writeUInt16LE(extra - 4, o + 2);
+    o += 4;
+    if (e.zip64) {
+      writeU64(buf, e.size, o);
+      writeU64(buf, e.size, o + 8);
+      o += 16;
+    }
+    if (bigOffset) writeU64(buf, e.offset, o);
+  }
+  return buf;
+}
+
+/**
+ * End of central directory, preceded by the ZIP64
+ * record + locator when counts/sizes/offsets overflow.
+ */
+function endRecords(count, cdOffset, cdSize) {
+  const zip64 = count >= MAX16 || cdOffset >= MAX32 || cdSize >= MAX32;
+  const parts = [];
+  if (zip64) {
+    const rec = Buffer.alloc(56);
+    rec.writeUInt32LE(0x06064b50, 0);
+    writeU64(rec, 44, 4); // size of the rest of the record
+    rec.writeUInt16LE((3 << 8) | 45, 12);
+    rec.writeUInt16LE(45, 14);
+    rec.writeUInt32LE(0, 16);
+    rec.writeUInt32LE(0, 20);
+    writeU64(rec, count, 24);
+    writeU64(rec, count, 32);
+    writeU64(rec, cdSize, 40);
+    writeU64(rec, cdOffset, 48);
+
+    const loc = Buffer.alloc(20);
+    loc.writeUInt32LE(0x07064b50, 0);
+    loc.writeUInt32LE(0, 4);
+    writeU64(loc, cdOffset + cdSize, 8); // offset of the ZIP64 record
+    loc.writeUInt32LE(1, 16);
+    parts.push(rec, loc);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, MAX16), 8);
+  end.writeUInt16LE(Math.min(count, MAX16), 10);
+  end.writeUInt32LE(Math.min(cdSize, MAX32), 12);
+  end.writeUInt32LE(Math.min(cdOffset, MAX32), 16);
+  parts.push(end);
+  return Buffer.concat(parts);
+}
+
+/**
+ * createZip(files)
+ * ---------------------------------------------
+ * Lays out an archive of the given files. Nothing is
+ * read until pipe() is called.
+ *
+ * @param {{name: string, abs: string, size: number, mtime: Date}[]} files
+ *   name = path inside the archive ("/" separated)
+ * @returns {{
+ *   length: number,
+ *   pipe: (out: import('stream').Writable) => Promise<void>,
+ * }}
+ *   length = exact archive size in bytes; pipe() streams the
+ *   archive and ends `out` (rejects with ZipSourceChangedError
+ *   if a file no longer has the announced size).
+ */
+export function createZip(files) {
+  let offset = 0;
+  const entries = files.map((f) => {
+    const e = {
+      ...f,
+      nameBuf: Buffer.from(f.name, 'utf8'),
+      dos: dosDateTime(f.mtime),
+      zip64: f.size >= MAX32,
+      offset,
+    };
+    offset += 30 + e.nameBuf.length + (e.zip64 ? 20 : 0) + e.size + (e.zip64 ? 24 : 16);
+    return e;
+  });
+
+  // The central directory size does not depend on the CRCs
+  const cdOffset = offset;
+  const cdSize = entries.reduce((n, e) => n + 46 + e.nameBuf.length + centralExtraLength(e), 0);
+  const length = cdOffset + cdSize + endRecords(entries.length, cdOffset, cdSize).length;
+
+  async function pipe(out) {
+    const crcs = [];
+    for (const e of entries) {
+      out.write(localHeader(e));
+      let crc = 0;
+      let read = 0;
+      if (e.size > 0) {
+        // Never read past the announced size (the file may grow meanwhile)
+        await pipeline(
+          createReadStream(e.abs, { start: 0, end: e.size - 1 }),
+          async function* (source) {
+            for await (const chunk of source) {
+              crc = crc32(chunk, crc);
+              read += chunk.length;
+              yield chunk;
+            }
+          },
+          out,
+          { end: false },
+        );
+      }
+      if (read !== e.size) throw new ZipSourceChangedError(e.name);
+      out.write(dataDescriptor(e, crc));
+      crcs.push(crc);
+    }
+    out.write(Buffer.concat(entries.map((e, i) => centralHeader(e, crcs[i]))));
+    out.end(endRecords(entries.length, cdOffset, cdSize));
+  }
+
+  return { length, pipe };
+}
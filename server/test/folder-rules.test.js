@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { createFolderRules } from '../lib/folder-rules.js';
+import { RULES_FILE } from '../lib/assets.js';
+
+test('createFolderRules: folders that do not exist are not cached', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-library-rules-'));
+  try {
+    const rules = createFolderRules({ root });
+    assert.deepEqual(await rules.sourcesOf('made/up'), []);
+    await sleep(50); // Existence is checked after the read
+
+    // Created later, without the watcher telling: read again
+    await fs.mkdir(path.join(root, 'made/up'), { recursive: true });
+    await fs.writeFile(path.join(root, 'made/up', RULES_FILE), JSON.stringify({ stopwords: ['pbr'] }));
+    assert.deepEqual(await rules.sourcesOf('made/up'), [`made/up/${RULES_FILE}`]);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('createFolderRules: existing folders stay cached until a change', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-library-rules-'));
+  try {
+    const rules = createFolderRules({ root });
+    await fs.mkdir(path.join(root, 'wood'));
+    assert.deepEqual(await rules.sourcesOf('wood'), []);
+    await sleep(50);
+
+    await fs.writeFile(path.join(root, 'wood', RULES_FILE), '{}');
+    assert.deepEqual(await rules.sourcesOf('wood'), []);
+    rules.invalidate({ paths: [`wood/${RULES_FILE}`] });
+    assert.deepEqual(await rules.sourcesOf('wood'), [`wood/${RULES_FILE}`]);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,129 @@
+// =============================================
+// Test server
+// ---------------------------------------------
+// Starts index.js on a free port, with a library,
+// users file and caches in a temp folder, so routes
+// are tested the way clients call them.
+// =============================================
+import path from 'path';
+import os from 'os';
+import net from 'net';
+import fs from 'fs/promises';
+import url from 'url';
+import { spawn } from 'child_process';
+import { hashPassword } from '../../lib/users.js';
+
+const SERVER_DIR = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), '../..');
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * startServer({ files, users })
+ * ---------------------------------------------
+ * @param {object} opts
+ * @param {string[]} opts.files - Library files to create
+ *   ("locked/a.png"; a trailing "/" = empty folder)
+ * @param {Record<string, object>} [opts.users] - name →
+ *   roles (password = name); none = no authentication
+ * @returns {Promise<{root: string, request: Function,
+ *   login: (name: string) => Promise<string>, stop: () => Promise<void>}>}
+ *   request(path, { cookie, ... }) = fetch on the server
+ */
+export async function startServer({ files, users = null }) {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-library-test-'));
+  const root = path.join(tmp, 'library');
+  await fs.mkdir(root);
+  for (const f of files) {
+    const abs = path.join(root, f);
+    if (f.endsWith('/')) {
+      await fs.mkdir(abs, { recursive: true });
+    } else {
+      await fs.mkdir(path.dirname(abs), { recursive: true });
+      await fs.writeFile(abs, f);
+    }
+  }
+
+  if (users) {
+    const data = { users: {} };
+    for (const [name, roles] of Object.entries(users)) {
+      data.users[name] = { password: await hashPassword(name), roles };
+    }
+    await fs.writeFile(path.join(tmp, 'users.json'), JSON.stringify(data));
+  }
+
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ASSETS_ROOT: root,
+      CACHE_DIR: path.join(tmp, 'cache'),
+      USERS_FILE: path.join(tmp, 'users.json'),
+      COLLECTIONS_FILE: path.join(tmp, 'collections.json'),
+      VOCABULARY_FILE: path.join(tmp, 'vocabulary.json'),
+      AUDIT_LOG_FILE: path.join(tmp, 'audit.log'),
+      INDEX_REFRESH_MINUTES: '0',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (d) => { output += d; });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (d) => {
+      output += d;
+      if (output.includes('running at')) resolve();
+    });
+    child.on('exit', () => reject(new Error(`Server exited:\n${output}`)));
+  });
+
+  const base = `http://localhost:${port}`;
+  const request = (p, { cookie, headers, ...opts } = {}) =>
+    fetch(base + p, { ...opts, headers: { ...headers, ...(cookie ? { cookie } : {}) } });
+
+  async function login(name) {
+    const r = await request('/api/auth/login', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ name, password: name }),
+    });
+    if (!r.ok) throw new Error(`Login of ${name} failed: HTTP ${r.status}`);
+    return r.headers.get('set-cookie').split(';')[0];
+  }
+
+  async function stop() {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+
+  return { root, request, login, stop };
+}
+
+/**
+ * multipartOf(files)
+ * ---------------------------------------------
+ * multipart/form-data body of { name: content }.
+ * @returns {{body: Buffer, contentType: string}}
+ */
+export function multipartOf(files) {
+  const boundary = 'test-boundary-7d1c';
+  const parts = Object.entries(files).map(([name, content]) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\n` +
+    `Content-Type: application/octet-stream\r\n\r\n${content}\r\n`);
+  return {
+    body: Buffer.from(`${parts.join('')}--${boundary}--\r\n`),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs/promises';
+import { startServer, multipartOf } from './helpers/server.js';
+
+const exists = (abs) => fs.lstat(abs).then(() => true, () => false);
+
+// bob may write everywhere but in locked/ (a more specific entry);
+// carol only in projects/x, dave has a role on a folder to be
+const USERS = {
+  bob: { '': 'contributor', locked: 'viewer' },
+  carol: { projects: 'viewer', 'projects/x': 'contributor' },
+  dave: { reserved: 'viewer' },
+};
+const FILES = ['oak.png', 'locked/secret.png', 'open/', 'scratch/', 'archive/', 'projects/x/a.png'];
+
+let server;
+let bob;
+test.before(async () => {
+  server = await startServer({ files: FILES, users: USERS });
+  bob = await server.login('bob');
+});
+test.after(() => server?.stop());
+
+function upload(dir, files, cookie = bob) {
+  const { body, contentType } = multipartOf(files);
+  return server.request(`/api/upload?dir=${encodeURIComponent(dir)}`, {
+    method: 'POST',
+    cookie,
+    headers: { 'content-type': contentType },
+    body,
+  });
+}
+
+// POST /api/fs/<op> as bob
+const fsOp = (op, body) => server.request(`/api/fs/${op}`, {
+  method: 'POST',
+  cookie: bob,
+  headers: { 'content-type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('upload: into a folder the user may write to', async () => {
+  const r = await upload('', { 'open/new.png': 'x' });
+  assert.equal(r.status, 200);
+  assert.ok(await exists(path.join(server.root, 'open/new.png')));
+});
+
+test('upload: into a restricted folder is refused', async () => {
+  const r = await upload('locked', { 'evil.png': 'x' });
+  assert.equal(r.status, 403);
+  assert.ok(!(await exists(path.join(server.root, 'locked/evil.png'))));
+});
+
+test('upload: a file name cannot reach a restricted subfolder', async () => {
+  const r = await upload('', { 'locked/evil.png': 'x' });
+  assert.equal(r.status, 403);
+  assert.equal((await r.json()).path, 'locked/evil.png');
+  assert.ok(!(await exists(path.join(server.root, 'locked/evil.png'))));
+});
+
+test('upload: one forbidden file rejects the whole upload', async () => {
+  const r = await upload('', { 'fine.png': 'x', 'locked/deep/evil.png': 'x' });
+  assert.equal(r.status, 403);
+  assert.ok(!(await exists(path.join(server.root, 'fine.png'))));
+  assert.ok(!(await exists(path.join(server.root, 'locked/deep'))));
+  // No temp file left behind
+  assert.deepEqual((await fs.readdir(server.root)).filter(n => n.startsWith('.upload-')), []);
+});
+
+test('rename: a restricted folder cannot be renamed from its parent', async () => {
+  const r = await fsOp('rename', { path: 'locked', name: 'unlocked' });
+  assert.equal(r.status, 403);
+  assert.ok(await exists(path.join(server.root, 'locked/secret.png')));
+});
+
+test('move: a restricted folder cannot be moved away', async () => {
+  const r = await fsOp('move', { path: 'locked', to: 'archive' });
+  assert.equal(r.status, 403);
+  assert.ok(await exists(path.join(server.root, 'locked/secret.png')));
+});
+
+test('move: nothing goes into a restricted folder', async () => {
+  const r = await fsOp('move', { path: 'oak.png', to: 'locked' });
+  assert.equal(r.status, 403);
+  assert.ok(await exists(path.join(server.root, 'oak.png')));
+});
+
+test('delete: a restricted folder cannot be trashed from its parent', async () => {
+  const r = await fsOp('delete', { path: 'locked' });
+  assert.equal(r.status, 403);
+  assert.ok(await exists(path.join(server.root, 'locked/secret.png')));
+});
+
+test('delete / rename: files of a restricted folder stay out of reach', async () => {
+  assert.equal((await fsOp('delete', { path: 'locked/secret.png' })).status, 403);
+  assert.equal((await fsOp('rename', { path: 'locked/secret.png', name: 'public' })).status, 403);
+});
+
+test('rename: a folder cannot take a path other users have roles on', async () => {
+  const r = await fsOp('rename', { path: 'scratch', name: 'reserved' });
+  assert.equal(r.status, 409);
+  assert.ok(await exists(path.join(server.root, 'scratch')));
+});
+
+test('rename: folders without restrictions below them', async () => {
+  const r = await fsOp('rename', { path: 'scratch', name: 'notes' });
+  assert.equal(r.status, 200);
+  assert.ok(await exists(path.join(server.root, 'notes')));
+});
+
+test('move: role entries follow the folder', async () => {
+  const r = await fsOp('move', { path: 'projects', to: 'archive' });
+  assert.equal(r.status, 200);
+  const carol = await server.login('carol');
+  assert.equal((await upload('archive/projects/x', { 'b.png': 'x' }, carol)).status, 200);
+  assert.equal((await upload('archive/projects', { 'b.png': 'x' }, carol)).status, 403);
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import url from 'url';
+import fs from 'fs/promises';
+import { parseQuery, QueryError } from '../lib/query-syntax.js';
+
+const here = path.dirname(url.fileURLToPath(import.meta.url));
+
+test('the web app parses with the same grammar', async () => {
+  const server = await fs.readFile(path.join(here, '../lib/query-syntax.js'), 'utf8');
+  const web = await fs.readFile(path.join(here, '../../web/src/query-syntax.js'), 'utf8');
+  assert.equal(web, server, 'web/src/query-syntax.js must be a copy of server/lib/query-syntax.js');
+});
+
+test('parseQuery: fields, negation and phrases', () => {
+  const { terms } = parseQuery('tag:wood,oak -ext:.exr res:>=4k "old barn"');
+  assert.deepEqual(terms.map(t => t.type), ['list', 'not', 'compare', 'text']);
+  assert.deepEqual(terms[0].values, ['wood', 'oak']);
+  assert.deepEqual(terms[1].term.values, ['exr']);
+  assert.deepEqual([terms[2].op, terms[2].value], ['>=', 4096]);
+  assert.equal(terms[3].value, 'old barn');
+});
+
+test('parseQuery: syntax errors point at the bad term', () => {
+  assert.throws(() => parseQuery('oak size:big'), (err) =>
+    err instanceof QueryError && err.code === 'SYNTAX' && err.position.start === 4 && err.position.end === 12);
+  assert.throws(() => parseQuery('"open phrase'), { code: 'SYNTAX' });
+  assert.throws(() => parseQuery('color:red'), /Unknown field/);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileEntry, groupAssets } from '../lib/assets.js';
+import { copyNameOf } from '../lib/uploads.js';
+import { startServer, multipartOf } from './helpers/server.js';
+
+// Asset groups of some file names, with the built-in rules: [[names…]]
+const groupsOf = (names) => groupAssets('', names.map(n => fileEntry('', n, { size: 1, mtime: new Date(0) })))
+  .map(it => it.files.map(f => f.name).sort())
+  .sort((a, b) => a[0].localeCompare(b[0]));
+
+test('copyNameOf: a version before the extension', () => {
+  assert.equal(copyNameOf('oak_albedo.png', 2), 'oak_albedo_v2.png');
+  assert.equal(copyNameOf('brick red 2k.exr', 3), 'brick red 2k_v3.exr');
+  assert.equal(copyNameOf('README', 2), 'README_v2');
+});
+
+test('copyNameOf: copies stay in the group of their asset', () => {
+  assert.deepEqual(groupsOf(['brick_red_2k.png', copyNameOf('brick_red_2k.png', 2)]), [
+    ['brick_red_2k.png', 'brick_red_2k_v2.png'],
+  ]);
+  // Texture sets: the copy keeps its map role
+  const set = groupAssets('', ['oak_albedo.png', 'oak_normal.png', copyNameOf('oak_albedo.png', 2)]
+    .map(n => fileEntry('', n, { size: 1, mtime: new Date(0) })));
+  assert.equal(set.length, 1);
+  const roleOf = (name) => set[0].files.find(f => f.name === name).role;
+  assert.equal(roleOf('oak_albedo_v2.png'), roleOf('oak_albedo.png'));
+});
+
+test('default rules: "name (1)" files saved on purpose stay apart', () => {
+  assert.deepEqual(groupsOf(['rock.png', 'rock (1).png']), [['rock (1).png'], ['rock.png']]);
+});
+
+test('upload with conflict=rename: the copy joins the existing asset', async () => {
+  const server = await startServer({ files: ['wood/oak_albedo.png', 'wood/oak_normal.png'] });
+  try {
+    const { body, contentType } = multipartOf({ 'oak_albedo.png': 'new' });
+    const r = await server.request('/api/upload?dir=wood&conflict=rename', {
+      method: 'POST',
+      headers: { 'content-type': contentType },
+      body,
+    });
+    assert.equal(r.status, 200);
+    const { files, groups } = await r.json();
+    assert.deepEqual(files.map(f => [f.status, f.path]), [['renamed', 'wood/oak_albedo_v2.png']]);
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].files.sort(), ['oak_albedo.png', 'oak_albedo_v2.png', 'oak_normal.png']);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { roleAt, hasRole, hasRoleOnTree, relocateRoles } from '../lib/users.js';
+
+const bob = { name: 'bob', roles: { '': 'contributor', locked: 'viewer', 'locked/open': 'contributor' } };
+
+test('roleAt: the most specific folder wins', () => {
+  assert.equal(roleAt(bob, ''), 'contributor');
+  assert.equal(roleAt(bob, 'textures/wood'), 'contributor');
+  assert.equal(roleAt(bob, 'locked'), 'viewer');
+  assert.equal(roleAt(bob, 'locked/deep/er'), 'viewer');
+  assert.equal(roleAt(bob, 'locked/open/x'), 'contributor');
+  // A prefix of the name is not the folder
+  assert.equal(roleAt(bob, 'lockedout'), 'contributor');
+});
+
+test('roleAt: no entry above a path = no role', () => {
+  const eve = { name: 'eve', roles: { hdri: 'viewer' } };
+  assert.equal(roleAt(eve, ''), null);
+  assert.equal(roleAt(eve, 'textures'), null);
+  assert.equal(roleAt(eve, 'hdri/sky'), 'viewer');
+  assert.equal(roleAt(null, 'hdri'), null);
+});
+
+test('hasRole compares with the weaker roles', () => {
+  assert.ok(hasRole(bob, 'textures', 'viewer'));
+  assert.ok(hasRole(bob, 'textures', 'contributor'));
+  assert.ok(!hasRole(bob, 'textures', 'admin'));
+  assert.ok(hasRole(bob, 'locked', 'viewer'));
+  assert.ok(!hasRole(bob, 'locked', 'contributor'));
+});
+
+test('hasRoleOnTree: every subfolder with an entry counts', () => {
+  assert.ok(hasRoleOnTree(bob, 'textures', 'contributor'));
+  assert.ok(!hasRoleOnTree(bob, '', 'contributor'));
+  assert.ok(!hasRoleOnTree(bob, 'locked', 'contributor'));
+  assert.ok(hasRoleOnTree(bob, 'locked/open', 'contributor'));
+  assert.ok(hasRoleOnTree(bob, 'locked', 'viewer'));
+});
+
+test('relocateRoles: entries of the folder and below move along', () => {
+  assert.deepEqual(relocateRoles(bob.roles, 'locked', 'archive/locked'), {
+    '': 'contributor', 'archive/locked': 'viewer', 'archive/locked/open': 'contributor',
+  });
+  assert.deepEqual(relocateRoles({ lockedout: 'viewer' }, 'locked', 'x'), { lockedout: 'viewer' });
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { watchLibrary } from '../lib/watcher.js';
+
+test('watchLibrary: a steady stream of writes is still reported', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-library-watch-'));
+  const changes = [];
+  const watcher = watchLibrary(root, (change) => changes.push(change), { debounceMs: 300, maxWaitMs: 500 });
+  try {
+    assert.ok(watcher.active);
+    // A write every 100 ms: never quiet for debounceMs
+    for (let i = 0; i < 15 && !changes.length; i++) {
+      await fs.writeFile(path.join(root, `part_${i}.png`), 'x');
+      await sleep(100);
+    }
+    assert.ok(changes.length > 0, 'no report while the writes went on');
+    assert.ok(changes[0].paths.includes('part_0.png'));
+  } finally {
+    watcher.close();
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('watchLibrary: a burst is reported once', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-library-watch-'));
+  const changes = [];
+  const watcher = watchLibrary(root, (change) => changes.push(change), { debounceMs: 200 });
+  try {
+    for (const n of ['oak_albedo.png', 'oak_normal.png', 'oak_rough.png']) await fs.writeFile(path.join(root, n), 'x');
+    await sleep(600);
+    assert.equal(changes.length, 1);
+    assert.deepEqual(changes[0].dirs, ['']);
+  } finally {
+    watcher.close();
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
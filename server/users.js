@@ -0,0 +1,129 @@
+// =============================================
+// Account management (command line)
+// ---------------------------------------------
+//   node users.js list
+//   node users.js add <name> <role>[@folder] …
+//   node users.js roles <name> <role>[@folder] …
+//   node users.js passwd <name>
+//   node users.js remove <name>
+//
+// Roles: viewer | contributor | admin; "@folder"
+// limits one to a folder subtree (no folder = the
+// whole library):
+//   node users.js add bob viewer contributor@projects/x
+//
+// Passwords are asked on the terminal (or read
+// from the first line of stdin when piped).
+// Uses USERS_FILE from .env (default server/users.json).
+// =============================================
+import 'dotenv/config';
+
+import path from 'path';
+import url from 'url';
+import readline from 'readline';
+import {
+  ROLES, USER_NAME_RE, hashPassword, readUsersFile, writeUsersFile,
+} from './lib/users.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'users.json');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * "contributor@projects/x" → ['projects/x', 'contributor']
+ */
+function parseRoleSpec(spec) {
+  const [role, ...folder] = spec.split('@');
+  if (!ROLES.includes(role)) fail(`Unknown role "${role}" (${ROLES.join(', ')})`);
+  return [folder.join('@').replaceAll('\\', '/').replace(/^\/+|\/+$/g, ''), role];
+}
+
+/**
+ * Asks for a password without echoing it (terminal),
+ * or reads one line from stdin (pipe).
+ */
+function askPassword(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    if (process.stdin.isTTY) {
+      process.stdout.write(prompt);
+      rl._writeToOutput = () => {}; // Hide what is typed
+    }
+    rl.once('line', (line) => {
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(line);
+      rl.close();
+    });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+async function newPassword() {
+  const password = await askPassword('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) fail(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  if (process.stdin.isTTY && (await askPassword('Again: ')) !== password) fail('Passwords do not match');
+  return hashPassword(password);
+}
+
+const formatRoles = (roles) =>
+  Object.entries(roles).map(([dir, role]) => (dir ? `${role}@${dir}` : role)).join(' ') || '(no access)';
+
+const [command, rawName, ...specs] = process.argv.slice(2);
+const name = rawName?.toLowerCase();
+
+let users;
+try {
+  users = (await readUsersFile(USERS_FILE)) || new Map();
+} catch (err) {
+  fail(`Cannot read ${USERS_FILE}: ${err.message}`);
+}
+
+switch (command) {
+  case 'list':
+    if (!users.size) console.log(`No users in ${USERS_FILE}`);
+    for (const u of users.values()) console.log(`${u.name}\t${formatRoles(u.roles)}`);
+    break;
+
+  case 'add': {
+    if (!name || !USER_NAME_RE.test(name)) fail('Usage: node users.js add <name> <role>[@folder] …');
+    if (users.has(name)) fail(`User "${name}" exists already`);
+    if (!specs.length) fail('Give at least one role');
+    const roles = Object.fromEntries(specs.map(parseRoleSpec));
+    users.set(name, { name, password: await newPassword(), roles });
+    await writeUsersFile(USERS_FILE, users);
+    console.log(`✅ Added ${name}: ${formatRoles(roles)}`);
+    break;
+  }
+
+  case 'roles': {
+    if (!users.has(name)) fail(`Unknown user "${rawName}"`);
+    const roles = Object.fromEntries(specs.map(parseRoleSpec));
+    users.set(name, { ...users.get(name), roles });
+    await writeUsersFile(USERS_FILE, users);
+    console.log(`✅ ${name}: ${formatRoles(roles)}`);
+    break;
+  }
+
+  case 'passwd':
+    if (!users.has(name)) fail(`Unknown user "${rawName}"`);
+    users.set(name, { ...users.get(name), password: await newPassword() });
+    await writeUsersFile(USERS_FILE, users);
+    console.log(`✅ Password of ${name} changed`);
+    break;
+
+  case 'remove':
+    if (!users.delete(name)) fail(`Unknown user "${rawName}"`);
+    await writeUsersFile(USERS_FILE, users);
+    console.log(`✅ Removed ${name}`);
+    break;
+
+  default:
+    console.log('Usage: node users.js list | add <name> <role>[@folder] … | roles <name> <role>[@folder] … | passwd <name> | remove <name>');
+    process.exit(command ? 1 : 0);
+}
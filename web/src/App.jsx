@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { parseQuery } from './query-syntax.js'
 
 /**
  * Simple icon mapping by "kind" returned from the API.
@@ -21,6 +22,29 @@ const KIND_ICON = {
 
 const IMG_EXTS = new Set(['png', 'webp', 'jpg', 'jpeg', 'gif', 'svg'])
 const PREFERRED_ORDER = ['png', 'webp', 'jpg', 'jpeg', 'gif', 'svg']
+// Tone-mapped on the server: the lightbox offers an exposure control
+const HDR_EXTS = new Set(['exr', 'hdr'])
+// Decoded on the server (/api/thumb/…)
+const THUMB_EXTS = new Set(['tif', 'tiff', 'bmp', 'dds', 'exr', 'hdr'])
+
+/* ==========================================================
+   PBR map roles (labels of the chips on texture set cards,
+   in the order the server returns `item.maps`)
+   ========================================================== */
+
+const MAP_ROLE_LABELS = {
+  basecolor: 'Base color',
+  normal_gl: 'Normal GL',
+  normal_dx: 'Normal DX',
+  normal: 'Normal',
+  roughness: 'Roughness',
+  metallic: 'Metallic',
+  ao: 'AO',
+  height: 'Height',
+  opacity: 'Opacity',
+  emissive: 'Emissive',
+  orm: 'ORM',
+}
 
 /* ==========================================================
    "Main folders" configuration
@@ -86,6 +110,214 @@ function useDarkMode() {
   return [enabled, setEnabled];
 }
 
+/* ==========================================================
+   usePathProfile()
+   ----------------------------------------------------------
+   - Platform profiles come from /api/config/paths
+     ({ default, profiles: [{ id, label, root, separator }] })
+   - The user's pick is kept in localStorage under "pathProfile";
+     without a pick, the server default applies
+   ========================================================== */
+function usePathProfile() {
+  const [mapping, setMapping] = React.useState(null);
+  const [picked, setPicked] = React.useState(() =>
+    typeof window === 'undefined' ? '' : localStorage.getItem('pathProfile') || ''
+  );
+
+  React.useEffect(() => {
+    fetch('/api/config/paths')
+      .then(r => (r.ok ? r.json() : null))
+      .then(setMapping)
+      .catch(() => setMapping(null));
+  }, []);
+
+  const profiles = mapping?.profiles || [];
+  const profile =
+    profiles.find(p => p.id === picked) ||
+    profiles.find(p => p.id === mapping?.default) ||
+    profiles[0] ||
+    null;
+
+  const pick = (id) => {
+    localStorage.setItem('pathProfile', id);
+    setPicked(id);
+  };
+
+  return [profile, profiles, pick];
+}
+
+/* ==========================================================
+   useListingView(user)
+   ----------------------------------------------------------
+   Layout and order of folder listings:
+   { view: 'grid' | 'table', sort, order }
+   - Persistence in localStorage under "listingView", one entry
+     per account when accounts are enabled ("listingView:<name>")
+   - sort is one of SORT_OPTIONS, order 'asc' | 'desc'
+   ========================================================== */
+const SORT_OPTIONS = { name: 'Name', mtime: 'Modified', size: 'Size', type: 'Type', variants: 'Variants' }
+const DEFAULT_LISTING_VIEW = { view: 'grid', sort: 'name', order: 'asc' }
+
+function useListingView(user) {
+  const key = user ? `listingView:${user.name}` : 'listingView';
+  const [state, setState] = React.useState(() => {
+    if (typeof window === 'undefined') return DEFAULT_LISTING_VIEW;
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(key));
+    } catch {
+      saved = null;
+    }
+    return {
+      view: saved?.view === 'table' ? 'table' : 'grid',
+      sort: Object.hasOwn(SORT_OPTIONS, String(saved?.sort)) ? saved.sort : DEFAULT_LISTING_VIEW.sort,
+      order: saved?.order === 'desc' ? 'desc' : 'asc',
+    };
+  });
+
+  React.useEffect(() => {
+    localStorage.setItem(key, JSON.stringify(state));
+  }, [key, state]);
+
+  const update = (patch) => setState(prev => ({ ...prev, ...patch }));
+  return [state, update];
+}
+
+/**
+ * localPathOf(url, profile) / parentPathOf(localPath, profile)
+ * ----------------------------------------------------------
+ * Turn a public "/files/..." URL into the path of the same file
+ * on the user's machine (profile root + decoded segments joined
+ * with the profile separator), and strip its last segment.
+ */
+function localPathOf(url, profile) {
+  const segments = String(url || '')
+    .replace(/^\/files\/?/, '')
+    .split('/')
+    .filter(Boolean)
+    .map(s => { try { return decodeURIComponent(s) } catch { return s } })
+  const root = profile.root.replace(/[\\/]+$/, '')
+  return [root, ...segments].join(profile.separator)
+}
+
+function parentPathOf(localPath, profile) {
+  const i = localPath.lastIndexOf(profile.separator)
+  return i > 0 ? localPath.slice(0, i) : localPath
+}
+
+/**
+ * downloadUrlOf(path)
+ * ----------------------------------------------------------
+ * ZIP download of a folder, or of the asset group a file
+ * belongs to (streamed by the server).
+ */
+function downloadUrlOf(path) {
+  return `/api/download?path=${encodeURIComponent(path || '')}`
+}
+
+/**
+ * downloadSelection(paths, onError)
+ * ----------------------------------------------------------
+ * One ZIP of several folders / assets. Posted by a form into
+ * a hidden frame, so the browser saves the stream like any
+ * download; the frame only loads when the server answers an
+ * error instead (onError(message)).
+ */
+const DOWNLOAD_FRAME = 'assetlib-download'
+function downloadSelection(paths, onError) {
+  let frame = document.getElementsByName(DOWNLOAD_FRAME)[0]
+  if (!frame) {
+    frame = Object.assign(document.createElement('iframe'), { name: DOWNLOAD_FRAME, hidden: true })
+    document.body.appendChild(frame)
+  }
+  frame.onload = () => {
+    let message = 'Download failed'
+    try { message = JSON.parse(frame.contentDocument.body.textContent).error || message } catch { /* not JSON */ }
+    onError(message)
+  }
+  const form = Object.assign(document.createElement('form'), { method: 'POST', action: '/api/download', target: DOWNLOAD_FRAME })
+  form.appendChild(Object.assign(document.createElement('input'), { type: 'hidden', name: 'paths', value: JSON.stringify(paths) }))
+  document.body.appendChild(form)
+  form.submit()
+  form.remove()
+}
+
+/**
+ * apiRequest(method, url, body)
+ * ----------------------------------------------------------
+ * JSON request to the API. Resolves with the response body,
+ * rejects with the server's error message.
+ */
+async function apiRequest(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  const data = await res.json().catch(() => ({}))
+  if (res.status === 401) notifySessionExpired()
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+  return data
+}
+
+/**
+ * notifySessionExpired()
+ * ----------------------------------------------------------
+ * Called on any 401 answer: useAuth() then shows the login
+ * screen again.
+ */
+const SESSION_EXPIRED_EVENT = 'assetlib:session-expired'
+function notifySessionExpired() {
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT))
+}
+
+// Roles of /api/auth (weakest first)
+const ROLES = ['viewer', 'contributor', 'admin']
+
+/**
+ * roleAt(user, path)
+ * ----------------------------------------------------------
+ * Role of the logged-in user on a folder (same rule as the
+ * server: the most specific folder of user.roles wins).
+ * user = null means no authentication: full access.
+ */
+function roleAt(user, path) {
+  if (!user) return 'admin'
+  let best = null
+  let bestLen = -1
+  for (const [dir, role] of Object.entries(user.roles || {})) {
+    const covers = dir === '' || path === dir || path.startsWith(`${dir}/`)
+    if (covers && dir.length > bestLen) { best = role; bestLen = dir.length }
+  }
+  return best
+}
+
+const hasRole = (user, path, role) => ROLES.indexOf(roleAt(user, path)) >= ROLES.indexOf(role)
+
+// 'a/b/c.png' → 'a/b', 'c.png' → ''
+const parentOf = (path) => path.slice(0, Math.max(0, path.lastIndexOf('/')))
+
+/**
+ * sharedPrefixOf(names)
+ * ----------------------------------------------------------
+ * The part of the name every file of an asset group shares,
+ * i.e. what POST /api/fs/rename replaces:
+ *   ["oak_albedo_2k.jpg", "oak_normal_2k.png"] → "oak"
+ */
+function sharedPrefixOf(names) {
+  if (names.length === 1) return stripExt(names[0])
+  let prefix = names[0]
+  for (const n of names) {
+    let i = 0
+    while (i < prefix.length && prefix[i] === n[i]) i++
+    prefix = prefix.slice(0, i)
+  }
+  const isSep = (c) => c === undefined || /[_\-. ]/.test(c)
+  let len = prefix.length
+  while (len > 0 && !names.every(n => isSep(n[len]))) len--
+  return prefix.slice(0, len).replace(/[_\-. ]+$/, '')
+}
+
 /**
  * getExt(entry)
  * ----------------------------------------------------------
@@ -116,10 +348,34 @@ function stripExt(name) {
   return name.replace(/\.[^./\\]+$/, '');
 }
 
+/**
+ * describeImage(image) / imageOf(item)
+ * ----------------------------------------------------------
+ * Header information of an image file (`image` of /api/assets
+ * files) as one line: "4096×2048 · RGBA · 16-bit half · BC6H ·
+ * Linear ACES AP0". imageOf() picks the item's primary file.
+ */
+const CHANNEL_LABELS = { 1: 'Grey', 2: '2 channels', 3: 'RGB', 4: 'RGBA' }
+
+function describeImage(image) {
+  if (!image) return ''
+  const depth = image.sampleType === 'half' ? '16-bit half'
+    : image.sampleType === 'float' ? `${image.bitDepth || 32}-bit float`
+      : image.bitDepth ? `${image.bitDepth}-bit` : null
+  const channels = image.colorSpace === 'CMYK' ? null : CHANNEL_LABELS[image.channels] || (image.channels && `${image.channels} channels`)
+  return [`${image.width}×${image.height}`, channels, depth, image.encoding, image.colorSpace].filter(Boolean).join(' · ')
+}
+
+function imageOf(item) {
+  return item.files?.find(f => f.name === item.name)?.image || null
+}
+
 /**
  * pickPreviewUrl(item)
  * ----------------------------------------------------------
  * Decide which URL to use for the preview thumbnail of an item:
+ * 0) PBR texture sets: use `item.thumbnail` (the server picked
+ *    the base color or a preview, not a normal/roughness map).
  * 1) If the item has multiple "image" files, pick the one with
  *    the preferred extension order (png > webp > jpg > ...).
  * 2) Otherwise, use `item.thumbnail` (if present).
@@ -129,6 +385,9 @@ function stripExt(name) {
 function pickPreviewUrl(item) {
   const files = Array.isArray(item.files) ? item.files : []
 
+  // 0) Texture sets
+  if (item.maps && item.thumbnail) return item.thumbnail
+
   // 1) Prefer among multiple image files
   const imageFiles = files.filter(f => f?.url && IMG_EXTS.has(getExt(f)))
   if (imageFiles.length > 0) {
@@ -150,6 +409,40 @@ function pickPreviewUrl(item) {
   return null
 }
 
+/**
+ * lightboxSrcOf(src)
+ * ----------------------------------------------------------
+ * Server-generated previews (/api/thumb/..., for TIFF/DDS/...)
+ * default to a small size; ask for a larger one in the lightbox.
+ */
+function lightboxSrcOf(src) {
+  if (!src || !src.startsWith('/api/thumb/')) return src
+  return `${src}${src.includes('?') ? '&' : '?'}size=2048`
+}
+
+// Lightbox URL of one file of a group (variant), or null
+function variantSrcOf(file) {
+  const ext = getExt(file)
+  if (IMG_EXTS.has(ext)) return file.url
+  if (THUMB_EXTS.has(ext)) return lightboxSrcOf(file.url.replace(/^\/files\//, '/api/thumb/'))
+  return null
+}
+
+/**
+ * isHdrPreview(src) / withExposure(src, ev)
+ * ----------------------------------------------------------
+ * EXR/HDR previews come from /api/thumb/ and accept an
+ * `exposure` (in stops) to re-run the tone mapping.
+ */
+function isHdrPreview(src) {
+  return !!src && src.startsWith('/api/thumb/') && HDR_EXTS.has(getExt(src))
+}
+
+function withExposure(src, ev) {
+  if (!ev) return src
+  return `${src}${src.includes('?') ? '&' : '?'}exposure=${ev}`
+}
+
 /* ==========================================================
    Clipboard fallback (works on HTTP / file:// as well)
    ----------------------------------------------------------
@@ -197,12 +490,13 @@ function Toast({ message, onClose, type = 'info' }) {
    Breadcrumbs
    ----------------------------------------------------------
    Shows the current path and allows navigation to any segment.
-   The root is named "LIB".
+   The root is named "LIB". Subfolders get a ZIP download link.
    Props:
      - cwd: string (current working directory, '' for root)
      - onNav: (path) => void  (callback to load a path)
+     - onNewFolder: () => void (create a folder in cwd)
    ========================================================== */
-function Breadcrumbs({ cwd, onNav }) {
+function Breadcrumbs({ cwd, onNav, onNewFolder }) {
   const parts = React.useMemo(() => (cwd ? cwd.split('/').filter(Boolean) : []), [cwd])
   const crumbs = [{ name: 'LIB', path: '' }]
   parts.forEach((p, i) => {
@@ -228,10 +522,206 @@ function Breadcrumbs({ cwd, onNav }) {
           </button>
         </span>
       ))}
+      {cwd && (
+        <a
+          href={downloadUrlOf(cwd)}
+          download
+          className="ml-2 px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200 dark:bg-neutral-800 dark:hover:bg-neutral-700 border border-neutral-200 dark:border-neutral-700"
+          title="Download this folder as ZIP"
+        >
+          ⬇️ ZIP
+        </a>
+      )}
+      {onNewFolder && (
+        <button
+          onClick={onNewFolder}
+          className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200 dark:bg-neutral-800 dark:hover:bg-neutral-700 border border-neutral-200 dark:border-neutral-700"
+          title="New folder here"
+        >
+          ＋📁
+        </button>
+      )}
+    </div>
+  )
+}
+
+/* ==========================================================
+   MetaEditor
+   ----------------------------------------------------------
+   Inline form (inside a Card) for the manual metadata of an
+   asset group: tags, description and a 1–5 rating, saved with
+   PUT /api/meta. Filename tags are not editable here.
+   Props:
+     - item: asset from /api/assets (uses item.path, item.meta)
+     - onSaved: () => void (after a successful save)
+     - onCancel: () => void
+     - onToast: (message, type?) => void
+   ========================================================== */
+function MetaEditor({ item, onSaved, onCancel, onToast }) {
+  const meta = item.meta || { tags: [], description: '', rating: null }
+  const [tags, setTags] = useState(meta.tags.join(', '))
+  const [description, setDescription] = useState(meta.description)
+  const [rating, setRating] = useState(meta.rating)
+  const [saving, setSaving] = useState(false)
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      const res = await fetch(`/api/meta?path=${encodeURIComponent(item.path)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tags: tags.split(',').map(t => t.trim()).filter(Boolean),
+          description,
+          rating,
+        }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      onToast?.('✅ Metadata saved')
+      onSaved?.()
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const field = "w-full px-2 py-1 rounded-lg border bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700 text-sm"
+
+  return (
+    <div className="mt-2 p-2 rounded-xl border border-neutral-200 dark:border-neutral-700 flex flex-col gap-2 text-sm">
+      <label className="text-xs text-neutral-500">
+        Tags (comma separated)
+        <input className={field} value={tags} onChange={(e) => setTags(e.target.value)} placeholder="approved, client_x" />
+      </label>
+      <label className="text-xs text-neutral-500">
+        Description
+        <textarea className={field} rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
+      </label>
+      <div className="flex items-center gap-1 text-xs text-neutral-500">
+        Rating
+        {[1, 2, 3, 4, 5].map(n => (
+          <button
+            key={n}
+            type="button"
+            className="text-lg leading-none text-amber-500"
+            onClick={() => setRating(rating === n ? null : n)}
+            title={rating === n ? 'Clear rating' : `${n} / 5`}
+          >
+            {rating && n <= rating ? '★' : '☆'}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2 justify-end">
+        <button className="px-3 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-700" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button className="px-3 py-1 rounded-lg bg-blue-500 text-white hover:bg-blue-400 disabled:opacity-50" onClick={save} disabled={saving}>
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/* ==========================================================
+   ContextMenu
+   ----------------------------------------------------------
+   Small menu at the mouse position (right click). Closes on
+   a click elsewhere, Escape, scrolling or after a choice.
+   Props:
+     - x, y: viewport coordinates
+     - title: shown above the actions
+     - actions: [{ label, onSelect }]
+     - onClose: () => void
+   ========================================================== */
+function ContextMenu({ x, y, title, actions, onClose }) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const onDown = (e) => { if (!ref.current?.contains(e.target)) onClose() }
+    const onKey = (e) => { if (e.key === 'Escape') onClose() }
+    document.addEventListener('mousedown', onDown)
+    document.addEventListener('keydown', onKey)
+    window.addEventListener('scroll', onClose, true)
+    return () => {
+      document.removeEventListener('mousedown', onDown)
+      document.removeEventListener('keydown', onKey)
+      window.removeEventListener('scroll', onClose, true)
+    }
+  }, [onClose])
+
+  // Keep the menu inside the window
+  const left = Math.min(x, window.innerWidth - 200)
+  const top = Math.min(y, window.innerHeight - 40 * (actions.length + 1))
+
+  return (
+    <div
+      ref={ref}
+      className="fixed z-[150] w-48 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm"
+      style={{ left, top }}
+      role="menu"
+    >
+      <div className="px-3 py-1 text-xs text-neutral-500 truncate">{title}</div>
+      {actions.map(a => (
+        <button
+          key={a.label}
+          role="menuitem"
+          className="w-full text-left px-3 py-1.5 hover:bg-neutral-100 dark:hover:bg-neutral-700"
+          onClick={() => { onClose(); a.onSelect() }}
+        >
+          {a.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Right-click actions on cards (handled by Library → runFileAction)
+const FILE_ACTIONS = { rename: '✏️ Rename…', move: '📂 Move to…', delete: '🗑️ Delete' }
+const COLLECT_ACTION = { collect: '⭐ Add to collection…' }
+const UNCOLLECT_ACTION = { uncollect: '➖ Remove from collection' }
+
+/* ==========================================================
+   FolderMosaic
+   ----------------------------------------------------------
+   Thumbnail area of a folder card: up to 4 previews of the
+   assets inside in a 2×2 grid (one fills the area), or the
+   folder icon when there is nothing to show.
+   Props:
+     - thumbnails: urls (folder summary) | undefined
+   ========================================================== */
+function FolderMosaic({ thumbnails = [] }) {
+  if (!thumbnails.length) return <div className="text-5xl">📁</div>
+  return (
+    <div className={`relative w-full h-full grid gap-0.5 ${thumbnails.length > 1 ? 'grid-cols-2 grid-rows-2' : ''}`}>
+      {thumbnails.map((src, i) => (
+        <img
+          key={src}
+          src={src}
+          alt=""
+          loading="lazy"
+          className={`w-full h-full object-cover ${thumbnails.length === 2 || (thumbnails.length === 3 && i === 0) ? 'row-span-2' : ''}`}
+          onError={(e) => { e.currentTarget.style.visibility = 'hidden' }}
+        />
+      ))}
+      <span className="absolute bottom-1 left-1 px-1.5 py-0.5 rounded bg-black/50 text-sm">📁</span>
     </div>
   )
 }
 
+// "120 assets · 348 files · 4 folders · 2.1 GB"
+function describeSummary(summary) {
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+  return [
+    count(summary.assets, 'asset'),
+    count(summary.files, 'file'),
+    summary.folders > 0 && count(summary.folders, 'folder'),
+    formatBytes(summary.size),
+  ].filter(Boolean).join(' · ')
+}
+
 /* ==========================================================
    Card
    ----------------------------------------------------------
@@ -239,33 +729,97 @@ function Breadcrumbs({ cwd, onNav }) {
      - a folder (click → open folder), or
      - a grouped file asset (click → preview if possible)
    Shows:
-     - Thumbnail or fallback icon
+     - Thumbnail or fallback icon (folders: a 2×2 mosaic of
+       assets inside, see FolderMosaic)
      - File/folder name (variants strip the last extension)
-     - Buttons to copy the folder path (UNC-style example)
+     - Buttons to copy the folder path (for the chosen platform)
+     - ZIP download (folder, or every file of the asset group)
+     - Image size, bit depth and colour space (from the file header)
+     - Texture map chips for PBR sets (each copies that map's path)
      - Variants list (each button copies its exact path)
+     - Folder location (library-wide search hits only)
+     - Folder content: counts, total size, latest change and
+       most frequent tags (item.summary, subfolders included)
+     - Manual metadata (rating, description, tags) + edit panel
    Props:
      - item: the asset/folder object from /api/assets
      - onOpenDir: (path) => void
-     - onPreviewImage: (src, alt) => void
+     - onPreviewImage: (src, alt, image?, item?) => void (image =
+       header information of the asset, see describeImage)
      - onToast: (message, type?) => void
+     - pathProfile: platform profile used for copied paths
+     - onMetaSaved: () => void (refresh after editing metadata)
+     - onFileAction: (action, item) => void, action = a key
+       of `actions`
+     - canEdit: boolean (contributor: metadata editing)
+     - actions: right-click menu, { id: label } (default:
+       FILE_ACTIONS when canEdit)
+     - selected: boolean (part of the multi-selection)
+     - onSelect: (item, { range }) => void — checkbox, or a
+       Ctrl/Cmd-click (toggle) / Shift-click (range) on the
+       thumbnail; no checkbox without it
    ========================================================== */
-function Card({ item, onOpenDir, onPreviewImage, onToast }) {
+function Card({ item, onOpenDir, onPreviewImage, onToast, pathProfile, onMetaSaved, onFileAction, canEdit = true, actions = canEdit ? FILE_ACTIONS : {}, selected = false, onSelect }) {
+  const [editing, setEditing] = useState(false)
+  // Right-click menu position: { x, y } | null
+  const [menu, setMenu] = useState(null)
   const previewSrc = pickPreviewUrl(item)
   const canPreview = Boolean(previewSrc)
   const hasVariants = Array.isArray(item.files) && item.files.length > 1;
   const rawName = item?.name || '';
   const displayName = hasVariants ? stripExt(rawName) : rawName;
 
+  // Copy a local path (see localPathOf), with toast feedback
+  const copyPath = (toPath, okMsg, failMsg) => {
+    if (!pathProfile) {
+      onToast?.("⚠️ No path mapping available");
+      return;
+    }
+    const ok = copyToClipboard(toPath(pathProfile));
+    onToast?.(ok ? okMsg : failMsg);
+  };
+  const copyFolderPath = () => copyPath(
+    (p) => parentPathOf(localPathOf(item.url, p), p),
+    "📋 Folder path copied to clipboard",
+    "⚠️ Unable to copy automatically"
+  );
+
   return (
-    <div className="rounded-2xl border border-neutral-400 bg-white dark:bg-neutral-800 dark:border-neutral-700 shadow-sm hover:shadow-md dark:hover:shadow-sm transition p-3 flex flex-col">
+    <div
+      className={`relative rounded-2xl border bg-white dark:bg-neutral-800 shadow-sm hover:shadow-md dark:hover:shadow-sm transition p-3 flex flex-col
+        ${selected ? 'border-blue-500 ring-2 ring-blue-500' : 'border-neutral-400 dark:border-neutral-700'}`}
+      onContextMenu={onFileAction && Object.keys(actions).length ? (e) => { e.preventDefault(); setMenu({ x: e.clientX, y: e.clientY }) } : undefined}
+    >
+      {menu && (
+        <ContextMenu
+          x={menu.x}
+          y={menu.y}
+          title={item.isDir ? `📁 ${item.name}` : displayName}
+          actions={Object.entries(actions).map(([id, label]) => ({ label, onSelect: () => onFileAction(id, item) }))}
+          onClose={() => setMenu(null)}
+        />
+      )}
+      {onSelect && (
+        <input
+          type="checkbox"
+          checked={selected}
+          readOnly
+          onClick={(e) => onSelect(item, { range: e.shiftKey })}
+          className={`absolute top-5 left-5 z-10 w-5 h-5 cursor-pointer accent-blue-500 ${selected ? '' : 'opacity-60 hover:opacity-100'}`}
+          title="Select (Shift-click: range)"
+          aria-label={`Select ${displayName}`}
+        />
+      )}
       {/* Clickable visual area (folder → open; file with preview → open lightbox) */}
       <button
         type="button"
-        onClick={() => {
-          if (item.isDir) {
+        onClick={(e) => {
+          if (onSelect && (e.ctrlKey || e.metaKey || e.shiftKey)) {
+            onSelect(item, { range: e.shiftKey })
+          } else if (item.isDir) {
             onOpenDir(item.path)
           } else if (canPreview) {
-            onPreviewImage(previewSrc, item.name)
+            onPreviewImage(lightboxSrcOf(previewSrc), item.name, imageOf(item), item)
           }
         }}
         className={`aspect-[4/3] w/full overflow-hidden rounded-xl bg-neutral-100 dark:bg-neutral-700 flex items-center justify-center
@@ -273,7 +827,7 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
         title={item.isDir ? 'Open folder' : (canPreview ? 'Preview image' : '')}
       >
         {item.isDir ? (
-          <div className="text-5xl">📁</div>
+          <FolderMosaic thumbnails={item.summary?.thumbnails} />
         ) : canPreview ? (
           <img
             src={previewSrc}
@@ -289,7 +843,78 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
 
       <div className="mt-3 flex-1 flex flex-col">
         {/* File/asset name (strip last extension if multiple variants exist) */}
-        <div className="font-medium line-clamp-2 break-all">{displayName}</div>
+        <div className="flex items-start gap-2">
+          <div className="flex-1 font-medium line-clamp-2 break-all">{displayName}</div>
+          {!item.isDir && canEdit && (
+            <button
+              className="text-sm opacity-60 hover:opacity-100"
+              onClick={() => setEditing(!editing)}
+              title="Edit tags, description and rating"
+            >
+              ✏️
+            </button>
+          )}
+        </div>
+
+        {/* Folder content (subfolders included) */}
+        {item.summary && (
+          <div className="mt-1 text-xs text-neutral-500 dark:text-neutral-400">
+            <div>{describeSummary(item.summary)}</div>
+            {item.summary.mtime && <div>Updated {new Date(item.summary.mtime).toLocaleDateString()}</div>}
+            {item.summary.tags.length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-1">
+                {item.summary.tags.map(t => (
+                  <span key={t.name} className="px-1.5 py-0.5 rounded bg-neutral-100 dark:bg-neutral-700" title={`${t.count} asset(s)`}>#{t.name}</span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Image header information of the primary file */}
+        {imageOf(item) && (
+          <div className="text-xs text-neutral-500 dark:text-neutral-400 truncate" title={describeImage(imageOf(item))}>
+            {describeImage(imageOf(item))}
+          </div>
+        )}
+
+        {/* Manual metadata (sidecar) */}
+        {item.meta && !editing && (
+          <div className="mt-1 text-xs text-neutral-600 dark:text-neutral-300">
+            {item.meta.rating && (
+              <div className="text-amber-500" title={`${item.meta.rating} / 5`}>
+                {'★'.repeat(item.meta.rating)}{'☆'.repeat(5 - item.meta.rating)}
+              </div>
+            )}
+            {item.meta.description && <div className="line-clamp-3">{item.meta.description}</div>}
+            {item.meta.tags.length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-1">
+                {item.meta.tags.map(t => (
+                  <span key={t} className="px-1.5 py-0.5 rounded bg-neutral-100 dark:bg-neutral-700">#{t}</span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        {editing && (
+          <MetaEditor
+            item={item}
+            onToast={onToast}
+            onCancel={() => setEditing(false)}
+            onSaved={() => { setEditing(false); onMetaSaved?.() }}
+          />
+        )}
+
+        {/* Folder location (only set on library-wide search hits) */}
+        {typeof item.dir === 'string' && (
+          <button
+            className="mt-1 text-xs text-left text-blue-600 dark:text-blue-400 hover:underline break-all"
+            onClick={() => onOpenDir(item.dir)}
+            title="Go to folder"
+          >
+            📂 LIB{item.dir ? `/${item.dir}` : ''}
+          </button>
+        )}
 
         {/* Primary action button area (always directly under the title) */}
         <div className="mt-3 flex gap-2">
@@ -306,20 +931,8 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
                 {/* Button: copy *folder* path (derived from public /files URL) */}
                 <button
                   className="px-3 py-2 text-sm rounded-lg bg-blue-500 text-white hover:bg-green-500"
-                  onClick={() => {
-                    const folderPath = (
-                      item.url
-                        .replace(/^\/files/, "//mango/data/LIB")
-                        .replaceAll("/", "\\")
-                        .replaceAll("%20", " ")
-                    ).replace(/\\[^\\]+$/, "");
-                    const ok = copyToClipboard(folderPath);
-                    if (ok) {
-                      onToast?.("📋 Folder path copied to clipboard");
-                    } else {
-                      onToast?.("⚠️ Unable to copy automatically");
-                    }
-                  }}
+                  onClick={copyFolderPath}
+                  title={pathProfile ? `Copy for ${pathProfile.label}` : undefined}
                 >
                   📁 Copy folder path
                 </button>
@@ -328,26 +941,45 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
           ) : (
             <button
               className="px-3 py-2 text-sm rounded-lg bg-blue-500 text-white hover:bg-blue-400"
-              onClick={() => {
-                const folderPath = (
-                  item.url
-                    .replace(/^\/files/, "//mango/data/LIB")
-                    .replaceAll("/", "\\")
-                    .replaceAll("%20", " ")
-                ).replace(/\\[^\\]+$/, "");
-                const ok = copyToClipboard(folderPath);
-                if (ok) {
-                  onToast?.("📋 Folder path copied to clipboard");
-                } else {
-                  onToast?.("⚠️ Unable to copy automatically");
-                }
-              }}
+              onClick={copyFolderPath}
+              title={pathProfile ? `Copy for ${pathProfile.label}` : undefined}
             >
               📁 Copy folder path
             </button>
           )}
+          <a
+            href={downloadUrlOf(item.path)}
+            download
+            className="px-3 py-2 text-sm rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-700 self-start"
+            title={item.isDir ? 'Download folder as ZIP' : 'Download all files of this asset as ZIP'}
+          >
+            ⬇️
+          </a>
         </div>
 
+        {/* Texture maps (each chip copies the path of that map) */}
+        {item.maps && (
+          <div className="text-xs text-neutral-500 mt-2">
+            Maps:
+            <div className="mt-1 flex flex-wrap gap-1">
+              {Object.entries(item.maps).map(([role, f]) => (
+                <button
+                  key={role}
+                  onClick={() => copyPath(
+                    (p) => localPathOf(f.url, p),
+                    `📋 ${MAP_ROLE_LABELS[role] || role} path copied`,
+                    "⚠️ Failed to copy"
+                  )}
+                  className="px-2 py-0.5 rounded-full bg-violet-100 text-violet-800 dark:bg-violet-900/40 dark:text-violet-200 hover:bg-violet-200 dark:hover:bg-violet-800"
+                  title={f.name}
+                >
+                  {MAP_ROLE_LABELS[role] || role}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Variants section (each button copies the exact variant path) */}
         {!item.isDir && item.files && (
           <div className="text-xs text-neutral-500 mt-2">
@@ -356,20 +988,13 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
               {item.files.map(f => (
                 <button
                   key={f.url}
-                  onClick={() => {
-                    const transformedPath = f.url
-                      .replace(/^\/files/, "//mango/data/LIB")
-                      .replaceAll("/", "\\")
-                      .replaceAll("%20", " ");
-                    const copied = copyToClipboard(transformedPath);
-                    if (copied) {
-                      onToast?.("📋 Variant path copied");
-                    } else {
-                      onToast?.("⚠️ Failed to copy");
-                    }
-                  }}
+                  onClick={() => copyPath(
+                    (p) => localPathOf(f.url, p),
+                    "📋 Variant path copied",
+                    "⚠️ Failed to copy"
+                  )}
                   className="px-2 py-1 rounded-lg border dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-700 truncate text-left"
-                  title={f.name}
+                  title={f.image ? `${f.name}\n${describeImage(f.image)}` : f.name}
                 >
                   {f.resolution ? f.resolution.toUpperCase() : f.ext.replace('.', '').toUpperCase()}
                 </button>
@@ -383,55 +1008,1948 @@ function Card({ item, onOpenDir, onPreviewImage, onToast }) {
 }
 
 /* ==========================================================
-   Skeletons (loading placeholders; no animations)
+   Table view (AssetTableHeader, AssetRow)
+   ----------------------------------------------------------
+   One line per folder / asset group: selection checkbox,
+   thumbnail, name, kind,
+   size, resolution, modified, variants and tags. Clicking a
+   sortable column header sorts the listing by it (again:
+   reverses the order). Rows open / preview and have the same
+   right-click menu as cards.
+   AssetTableHeader props:
+     - sort, order: current listing order
+     - onSort(sort, order)
+   AssetRow props:
+     - item
+     - onOpenDir(path)
+     - onPreviewImage(src, alt, image, item)
+     - onFileAction(actionId, item) / actions: as for Card
+     - selected / onSelect(item, { range }): as for Card
    ========================================================== */
-function SkeletonCard() {
+const TABLE_COLUMNS = [
+  { label: 'Name', sort: 'name' },
+  { label: 'Kind', sort: 'type' },
+  { label: 'Size', sort: 'size' },
+  { label: 'Resolution' },
+  { label: 'Modified', sort: 'mtime' },
+  { label: 'Variants', sort: 'variants' },
+  { label: 'Tags' },
+]
+// Grid template shared by the header and the rows (checkbox and
+// thumbnail first)
+const TABLE_TEMPLATE = '1.25rem 3rem minmax(10rem,3fr) 7rem 5rem 6rem 10rem 4.5rem minmax(6rem,2fr)'
+
+function AssetTableHeader({ sort, order, onSort }) {
   return (
-    <div className="rounded-2xl border bg-neutral-200 dark:bg-neutral-800 dark:border-neutral-700 p-3 flex flex-col">
-      <div className="aspect-[4/3] w-full rounded-xl bg-neutral-100 dark:bg-neutral-700" />
-      <div className="mt-3 space-y-2">
-        <div className="h-4 bg-neutral-100 dark:bg-neutral-700 rounded w-3/4" />
-        <div className="h-3 bg-neutral-100 dark:bg-neutral-700 rounded w-1/2" />
-        <div className="h-3 bg-neutral-100 dark:bg-neutral-700 rounded w-24" />
-      </div>
-      <div className="mt-3 h-9 bg-neutral-100 dark:bg-neutral-700 rounded w-36" />
+    <div
+      className="grid items-center gap-3 px-2 py-2 border-b border-neutral-200 dark:border-neutral-700 text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400"
+      style={{ gridTemplateColumns: TABLE_TEMPLATE }}
+    >
+      <span />
+      <span />
+      {TABLE_COLUMNS.map(c => c.sort ? (
+        <button
+          key={c.label}
+          className="text-left uppercase hover:text-neutral-900 dark:hover:text-neutral-100"
+          onClick={() => onSort(c.sort, c.sort === sort && order === 'asc' ? 'desc' : 'asc')}
+          title={`Sort by ${c.label.toLowerCase()}`}
+        >
+          {c.label}{c.sort === sort && (order === 'asc' ? ' ▲' : ' ▼')}
+        </button>
+      ) : (
+        <span key={c.label}>{c.label}</span>
+      ))}
     </div>
-  );
+  )
 }
 
-function SkeletonGrid({ count = 15 }) {
+function AssetRow({ item, onOpenDir, onPreviewImage, onFileAction, actions = {}, selected = false, onSelect }) {
+  // Right-click menu position: { x, y } | null
+  const [menu, setMenu] = useState(null)
+  const previewSrc = pickPreviewUrl(item)
+  const image = item.isDir ? null : imageOf(item)
+  const variants = item.files?.length || 0
+  const displayName = variants > 1 ? stripExt(item.name) : item.name
+  // Folders: total size and most frequent tags of their content
+  const size = item.isDir ? item.summary?.size : item.size
+  const tags = item.isDir ? (item.summary?.tags || []).map(t => t.name) : item.tags || []
+  const open = (e) => {
+    if (onSelect && (e.ctrlKey || e.metaKey || e.shiftKey)) onSelect(item, { range: e.shiftKey })
+    else if (item.isDir) onOpenDir(item.path)
+    else if (previewSrc) onPreviewImage(lightboxSrcOf(previewSrc), item.name, image, item)
+  }
+
   return (
-    <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(220px,1fr))]">
-      {Array.from({ length: count }).map((_, i) => (
-        <SkeletonCard key={i} />
-      ))}
+    <div
+      className={`grid items-center gap-3 px-2 py-1 rounded-lg text-sm
+        ${selected ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-neutral-50 dark:hover:bg-neutral-800'}`}
+      style={{ gridTemplateColumns: TABLE_TEMPLATE }}
+      onContextMenu={onFileAction && Object.keys(actions).length ? (e) => { e.preventDefault(); setMenu({ x: e.clientX, y: e.clientY }) } : undefined}
+    >
+      {menu && (
+        <ContextMenu
+          x={menu.x}
+          y={menu.y}
+          title={item.isDir ? `📁 ${item.name}` : displayName}
+          actions={Object.entries(actions).map(([id, label]) => ({ label, onSelect: () => onFileAction(id, item) }))}
+          onClose={() => setMenu(null)}
+        />
+      )}
+      {onSelect ? (
+        <input
+          type="checkbox"
+          checked={selected}
+          readOnly
+          onClick={(e) => onSelect(item, { range: e.shiftKey })}
+          className="w-4 h-4 cursor-pointer accent-blue-500"
+          title="Select (Shift-click: range)"
+          aria-label={`Select ${displayName}`}
+        />
+      ) : <span />}
+      <button
+        type="button"
+        onClick={open}
+        className="w-12 h-9 overflow-hidden rounded bg-neutral-100 dark:bg-neutral-700 flex items-center justify-center"
+        title={item.isDir ? 'Open folder' : (previewSrc ? 'Preview image' : '')}
+      >
+        {item.isDir ? '📁' : previewSrc ? (
+          <img
+            src={previewSrc}
+            alt=""
+            className="w-full h-full object-cover"
+            loading="lazy"
+            onError={(e) => { e.currentTarget.style.display = 'none' }}
+          />
+        ) : '📦'}
+      </button>
+      <button type="button" onClick={open} className="text-left font-medium truncate" title={item.name}>
+        {displayName}
+      </button>
+      <span className="truncate text-neutral-500 dark:text-neutral-400">
+        {item.isDir ? 'Folder' : [item.kind, getExt(item.name)].filter(Boolean).join(' · ')}
+      </span>
+      <span className="text-neutral-500 dark:text-neutral-400" title={item.summary ? describeSummary(item.summary) : undefined}>
+        {size != null ? formatBytes(size) : '—'}
+      </span>
+      <span className="text-neutral-500 dark:text-neutral-400" title={describeImage(image)}>
+        {image ? `${image.width}×${image.height}` : '—'}
+      </span>
+      <span className="text-neutral-500 dark:text-neutral-400">{item.mtime ? new Date(item.mtime).toLocaleString() : '—'}</span>
+      <span className="text-neutral-500 dark:text-neutral-400">{item.isDir ? '—' : variants}</span>
+      <span className="truncate text-xs text-neutral-500 dark:text-neutral-400" title={tags.join(', ')}>
+        {tags.map(t => `#${t}`).join(' ')}
+      </span>
     </div>
-  );
+  )
 }
 
 /* ==========================================================
-   Left Sidebar (Tags)
+   ListingToolbar
    ----------------------------------------------------------
-   Displays tags with counts and allows toggling filters.
+   "Select all", sort field, order and grid / table switch
+   above a listing.
    Props:
-     - tags: [{ name, count }]
-     - active: string[] (active tag names)
-     - onToggle(name)
-     - onClear()
-     - tagSort: 'pop' | 'alpha'
-     - onChangeSort(mode)
+     - view, sort, order: see useListingView
+     - onChange(patch)
+     - total: items matching the filters
+     - onSelectAll(): select them all (loaded or not)
    ========================================================== */
-function TagSidebar({ tags, active, onToggle, onClear, tagSort = 'pop', onChangeSort }) {
-  const hasTags = Array.isArray(tags) && tags.length > 0
+function ListingToolbar({ view, sort, order, onChange, total = 0, onSelectAll }) {
+  const button = 'px-2 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700'
   return (
-    <aside className="hidden md:block top-6 self-start">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-2">
-          <div className="text-xs uppercase font-semibold tracking-wide text-neutral-500 dark:text-neutral-400">Tags</div>
-          {/* Tag sort toggle (by popularity or alphabetically) */}
-          <div className="flex items-center gap-1" role="group" aria-label="Sort tags">
-            <button
-              onClick={() => onChangeSort?.('pop')}
+    <div className="flex items-center justify-end gap-2 text-sm">
+      {onSelectAll && total > 0 && (
+        <button className={`${button} mr-auto`} onClick={onSelectAll} title="Select every item matching the search and tags">
+          ☑ Select all ({total})
+        </button>
+      )}
+      <label className="flex items-center gap-1 text-neutral-500 dark:text-neutral-400">
+        Sort by
+        <select
+          value={sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          className="px-2 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 text-neutral-900 dark:text-neutral-100"
+        >
+          {Object.entries(SORT_OPTIONS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        className={button}
+        onClick={() => onChange({ order: order === 'asc' ? 'desc' : 'asc' })}
+        title={order === 'asc' ? 'Ascending (click to reverse)' : 'Descending (click to reverse)'}
+      >
+        {order === 'asc' ? '▲' : '▼'}
+      </button>
+      <button
+        className={button}
+        onClick={() => onChange({ view: view === 'grid' ? 'table' : 'grid' })}
+        title={view === 'grid' ? 'Show as a table' : 'Show as cards'}
+      >
+        {view === 'grid' ? '☰ Table' : '▦ Cards'}
+      </button>
+    </div>
+  )
+}
+
+/* ==========================================================
+   SelectionBar
+   ----------------------------------------------------------
+   Batch actions on the multi-selection (floating at the
+   bottom while anything is selected):
+     - copy every path, one per line, for the chosen platform
+       (assets: their main file, folders: the folder)
+     - download everything as one ZIP
+     - add the asset groups to a collection
+     - add / remove tags of the asset groups the user may edit
+   Props:
+     - items: selected folders / assets
+     - pathProfile: platform profile used for copied paths
+     - canTag: (item) => boolean (contributor on its folder)
+     - onCollect: (assets) => void (opens the collections panel)
+     - onTagged: () => void (refresh after a tag change)
+     - onClear: () => void
+     - onToast: (message, type?) => void
+   ========================================================== */
+function SelectionBar({ items, pathProfile, canTag, onCollect, onTagged, onClear, onToast }) {
+  const [tagInput, setTagInput] = useState('')
+  const [busy, setBusy] = useState(false)
+  const assets = items.filter(it => !it.isDir)
+  const taggable = assets.filter(canTag)
+  const folders = items.length - assets.length
+
+  const copyPaths = () => {
+    if (!pathProfile) return onToast('⚠️ No path mapping available')
+    const lines = items.map(it => localPathOf(it.url ?? `/files/${encodeURI(it.path)}`, pathProfile))
+    const ok = copyToClipboard(lines.join('\n'))
+    onToast(ok ? `📋 ${lines.length} path${lines.length > 1 ? 's' : ''} copied` : '⚠️ Unable to copy automatically')
+  }
+
+  const download = () => {
+    downloadSelection(items.map(it => it.path), (message) => onToast(`⚠️ ${message}`, 'error'))
+    onToast(`⬇️ Preparing ${items.length} item${items.length > 1 ? 's' : ''} as one ZIP…`)
+  }
+
+  // op = 'add' | 'remove'
+  const editTags = async (op) => {
+    const list = tagInput.split(',').map(t => t.trim()).filter(Boolean)
+    if (!list.length || !taggable.length) return
+    setBusy(true)
+    try {
+      const out = await apiRequest('POST', '/api/meta/tags', { paths: taggable.map(it => it.path), [op]: list })
+      onToast(`🏷️ ${op === 'add' ? 'Tagged' : 'Untagged'} ${out.updated} asset${out.updated > 1 ? 's' : ''}`)
+      setTagInput('')
+      onTagged()
+    } catch (e) {
+      onToast(`⚠️ ${e.message}`, 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const button = 'px-3 py-1.5 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700 disabled:opacity-40'
+
+  return (
+    <div className="fixed bottom-16 left-1/2 -translate-x-1/2 z-[60] max-w-[95vw] flex flex-wrap items-center gap-2 px-4 py-2 rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm">
+      <span className="font-semibold">
+        {items.length} selected
+        {folders > 0 && <span className="ml-1 font-normal text-neutral-500 dark:text-neutral-400">({folders} folder{folders > 1 ? 's' : ''})</span>}
+      </span>
+      <button className={button} onClick={copyPaths} title={pathProfile ? `Copy for ${pathProfile.label}` : undefined}>📋 Copy paths</button>
+      <button className={button} onClick={download} title="Download the selection as one ZIP">⬇️ ZIP</button>
+      <button className={button} onClick={() => onCollect(assets)} disabled={!assets.length} title="Add the selected assets to a collection">
+        ⭐ Add to collection…
+      </button>
+      {taggable.length > 0 && (
+        <form className="flex items-center gap-1" onSubmit={(e) => { e.preventDefault(); editTags('add') }}>
+          <input
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            placeholder="tags, comma separated"
+            className="w-44 px-2 py-1.5 rounded-lg border bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
+          />
+          <button type="submit" className={button} disabled={busy || !tagInput.trim()} title={`Add to ${taggable.length} asset(s)`}>
+            🏷️ Add
+          </button>
+          <button type="button" className={button} onClick={() => editTags('remove')} disabled={busy || !tagInput.trim()} title={`Remove from ${taggable.length} asset(s)`}>
+            Remove
+          </button>
+          {taggable.length < assets.length && (
+            <span className="text-xs text-neutral-500 dark:text-neutral-400" title="Tags can only be edited in folders you contribute to">
+              ({taggable.length} of {assets.length} editable)
+            </span>
+          )}
+        </form>
+      )}
+      <button className="px-2 py-1 rounded hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={onClear} title="Clear the selection" aria-label="Clear the selection">
+        ✕
+      </button>
+    </div>
+  )
+}
+
+/* ==========================================================
+   Uploads
+   ----------------------------------------------------------
+   Files are sent one per request to POST /api/upload, so each
+   gets its own progress bar and result. Folder drops keep their
+   structure: the relative path is sent as the file name.
+   ========================================================== */
+
+// Labels of the conflict modes accepted by /api/upload
+const CONFLICT_LABELS = { rename: 'Keep both', skip: 'Skip', overwrite: 'Overwrite' }
+
+/**
+ * filesFromDrop(dataTransfer)
+ * ----------------------------------------------------------
+ * Dropped files and folders (walked recursively) as
+ * [{ file, relPath }]. Must be called synchronously from the
+ * drop handler (entries are only readable during the event).
+ */
+function filesFromDrop(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map(i => (i.kind === 'file' ? i.webkitGetAsEntry?.() : null))
+    .filter(Boolean)
+  if (!entries.length) {
+    const files = [...(dataTransfer.files || [])].map(file => ({ file, relPath: file.name }))
+    return Promise.resolve(files)
+  }
+
+  const out = []
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      out.push({ file, relPath: prefix + file.name })
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader()
+      // readEntries returns the content in batches
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        if (!batch.length) break
+        for (const e of batch) await walk(e, `${prefix}${entry.name}/`)
+      }
+    }
+  }
+  return entries.reduce((p, e) => p.then(() => walk(e, '')), Promise.resolve()).then(() => out)
+}
+
+/**
+ * uploadFile(job, onProgress)
+ * ----------------------------------------------------------
+ * POSTs one file (XHR for upload progress). Resolves with the
+ * server response ({ files, groups }).
+ */
+function uploadFile({ dir, file, relPath, conflict }, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('POST', `/api/upload?dir=${encodeURIComponent(dir)}&conflict=${conflict}`)
+    xhr.upload.onprogress = (e) => {
+      // e.total includes the multipart envelope
+      if (e.lengthComputable) onProgress(Math.min(file.size, Math.round(file.size * e.loaded / e.total)))
+    }
+    xhr.onload = () => {
+      let data = {}
+      try { data = JSON.parse(xhr.responseText) } catch { /* not JSON */ }
+      if (xhr.status === 401) notifySessionExpired()
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data)
+      else reject(new Error(data.error || `HTTP ${xhr.status}`))
+    }
+    xhr.onerror = () => reject(new Error('Network error'))
+    const form = new FormData()
+    form.append('file', file, relPath)
+    xhr.send(form)
+  })
+}
+
+/**
+ * useUploads(onFinished)
+ * ----------------------------------------------------------
+ * Upload queue, processed one file at a time.
+ * Returns { uploads, running, enqueue(dir, files, conflict), clear }
+ *   - uploads: [{ id, name, size, loaded, status, error? }]
+ *     status: queued | uploading | created | renamed |
+ *             overwritten | skipped | rejected | error
+ *   - onFinished(groups): called when the queue is empty,
+ *     with the asset groups reported by the server
+ */
+function useUploads(onFinished) {
+  const [uploads, setUploads] = useState([])
+  const [running, setRunning] = useState(false)
+  const queueRef = useRef([])
+  const runningRef = useRef(false)
+  const finishedRef = useRef(onFinished)
+  finishedRef.current = onFinished
+
+  const patch = (id, changes) =>
+    setUploads(list => list.map(u => (u.id === id ? { ...u, ...changes } : u)))
+
+  const run = async () => {
+    if (runningRef.current) return
+    runningRef.current = true
+    setRunning(true)
+    const groups = new Map()
+    while (queueRef.current.length) {
+      const job = queueRef.current.shift()
+      patch(job.id, { status: 'uploading' })
+      try {
+        const data = await uploadFile(job, (loaded) => patch(job.id, { loaded }))
+        const result = data.files?.[0]
+        patch(job.id, { status: result?.status || 'rejected', error: result?.error, loaded: job.file.size })
+        for (const g of data.groups || []) groups.set(`${g.dir}\n${g.key}`, g)
+      } catch (e) {
+        patch(job.id, { status: 'error', error: e.message })
+      }
+    }
+    runningRef.current = false
+    setRunning(false)
+    finishedRef.current?.([...groups.values()])
+  }
+
+  const enqueue = (dir, files, conflict) => {
+    const jobs = files.map(({ file, relPath }) => ({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      dir, file, relPath, conflict,
+    }))
+    queueRef.current.push(...jobs)
+    setUploads(list => [
+      ...list,
+      ...jobs.map(j => ({ id: j.id, name: j.relPath, size: j.file.size, loaded: 0, status: 'queued' })),
+    ])
+    run()
+  }
+
+  const clear = () => setUploads(list => list.filter(u => u.status === 'queued' || u.status === 'uploading'))
+
+  return { uploads, running, enqueue, clear }
+}
+
+/* ==========================================================
+   UploadPanel
+   ----------------------------------------------------------
+   Floating list of uploads with per-file progress.
+   Props:
+     - uploads: from useUploads
+     - running: boolean
+     - onClear: () => void (drop finished entries)
+   ========================================================== */
+const UPLOAD_STATUS_ICON = {
+  queued: '⏳', uploading: '⬆️', created: '✅', renamed: '✅', overwritten: '♻️',
+  skipped: '⏭️', rejected: '⚠️', error: '⚠️',
+}
+
+function UploadPanel({ uploads, running, onClear }) {
+  if (!uploads.length) return null
+  const done = uploads.filter(u => u.status !== 'queued' && u.status !== 'uploading').length
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[90] w-96 max-h-[50vh] flex flex-col rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-neutral-200 dark:border-neutral-700">
+        <span className="font-semibold">Uploads ({done}/{uploads.length})</span>
+        <button
+          className="px-2 py-0.5 rounded border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700 disabled:opacity-40"
+          onClick={onClear}
+          disabled={running && done === 0}
+        >
+          Clear
+        </button>
+      </div>
+      <ul className="overflow-y-auto p-2 space-y-2">
+        {uploads.map(u => (
+          <li key={u.id} title={u.error || u.status}>
+            <div className="flex items-center gap-2">
+              <span>{UPLOAD_STATUS_ICON[u.status] || '•'}</span>
+              <span className="flex-1 truncate">{u.name}</span>
+              <span className="text-xs text-neutral-500 tabular-nums">
+                {u.status === 'uploading' && u.size ? `${Math.round((100 * u.loaded) / u.size)}%` : u.status}
+              </span>
+            </div>
+            {u.status === 'uploading' && (
+              <div className="mt-1 h-1 rounded bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
+                <div className="h-full bg-blue-500" style={{ width: `${u.size ? (100 * u.loaded) / u.size : 0}%` }} />
+              </div>
+            )}
+            {u.error && <div className="text-xs text-red-600 dark:text-red-400 truncate">{u.error}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/* ==========================================================
+   TrashPanel
+   ----------------------------------------------------------
+   Modal list of deleted assets and folders (GET /api/trash),
+   each with Restore and Delete forever. Entries expire after
+   the server's TRASH_DAYS.
+   Props:
+     - onClose: () => void
+     - onChanged: () => void (after a restore)
+     - onToast: (message, type?) => void
+     - user: logged-in user (null = no authentication)
+   ========================================================== */
+function formatBytes(n) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let i = 0
+  while (n >= 1024 && i < units.length - 1) { n /= 1024; i++ }
+  return `${n.toFixed(i && n < 10 ? 1 : 0)} ${units[i]}`
+}
+
+function TrashPanel({ onClose, onChanged, onToast, user }) {
+  const [trash, setTrash] = useState(null) // { days, entries } once loaded
+  const [busy, setBusy] = useState(null)   // id of the entry being handled
+
+  const reload = () =>
+    apiRequest('GET', '/api/trash')
+      .then(setTrash)
+      .catch(e => onToast?.(`⚠️ ${e.message}`, 'error'))
+
+  useEffect(() => { reload() }, [])
+
+  const act = async (entry, restore) => {
+    if (!restore && !window.confirm(`Delete "${entry.names.join(', ')}" forever?`)) return
+    setBusy(entry.id)
+    try {
+      if (restore) {
+        await apiRequest('POST', `/api/trash/${entry.id}/restore`)
+        onToast?.(`♻️ Restored to LIB${entry.dir ? `/${entry.dir}` : ''}`)
+        onChanged?.()
+      } else {
+        await apiRequest('DELETE', `/api/trash/${entry.id}`)
+        onToast?.('🗑️ Deleted forever')
+      }
+      await reload()
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] bg-black/50 flex items-center justify-center p-4"
+      onClick={onClose}
+      onKeyDown={(e) => { if (e.key === 'Escape') onClose() }}
+      tabIndex={-1}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        className="w-full max-w-2xl max-h-[80vh] flex flex-col rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-neutral-200 dark:border-neutral-700">
+          <span className="font-semibold">
+            🗑️ Trash
+            {trash?.days > 0 && (
+              <span className="ml-2 font-normal text-neutral-500">items are erased after {trash.days} days</span>
+            )}
+          </span>
+          <button className="px-2 py-0.5 rounded hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <ul className="overflow-y-auto p-2 divide-y divide-neutral-200 dark:divide-neutral-700">
+          {!trash && <li className="p-3 text-neutral-500">Loading…</li>}
+          {trash?.entries.length === 0 && <li className="p-3 text-neutral-500">The trash is empty.</li>}
+          {trash?.entries.map(entry => (
+            <li key={entry.id} className="flex items-center gap-3 p-2">
+              <span className="text-xl">{entry.kind === 'folder' ? '📁' : '📦'}</span>
+              <div className="flex-1 min-w-0">
+                <div className="truncate" title={entry.names.join('\n')}>
+                  {entry.kind === 'folder' ? entry.names[0] : `${sharedPrefixOf(entry.names) || entry.names[0]} (${entry.names.length} file${entry.names.length > 1 ? 's' : ''})`}
+                </div>
+                <div className="text-xs text-neutral-500 truncate">
+                  LIB{entry.dir ? `/${entry.dir}` : ''} · {formatBytes(entry.size)} · deleted {new Date(entry.deletedAt).toLocaleString()}
+                </div>
+              </div>
+              <button
+                className="px-2 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700 disabled:opacity-40"
+                onClick={() => act(entry, true)}
+                disabled={busy === entry.id}
+              >
+                Restore
+              </button>
+              {hasRole(user, entry.dir, 'admin') && (
+                <button
+                  className="px-2 py-1 rounded-lg border border-red-300 text-red-600 dark:border-red-800 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-40"
+                  onClick={() => act(entry, false)}
+                  disabled={busy === entry.id}
+                >
+                  Delete forever
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+/* ==========================================================
+   VocabularyPanel
+   ----------------------------------------------------------
+   Modal editor of the tag vocabulary (GET/PUT /api/vocabulary,
+   admins of the whole library). One term per line, its
+   synonyms after a colon:
+     material/wood: timber, planks
+     material/wood/oak
+   Saving re-tags the whole library on the server.
+   Props:
+     - onClose: () => void
+     - onToast: (message, type?) => void
+   ========================================================== */
+const termsToText = (terms) =>
+  terms.map(t => (t.synonyms.length ? `${t.tag}: ${t.synonyms.join(', ')}` : t.tag)).join('\n')
+
+const textToTerms = (text) =>
+  text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [tag, synonyms = ''] = line.split(':')
+    return { tag: tag.trim(), synonyms: synonyms.split(',').map(s => s.trim()).filter(Boolean) }
+  })
+
+function VocabularyPanel({ onClose, onToast }) {
+  const [form, setForm] = useState(null) // { terms, blocked, foldPlurals } as edited text once loaded
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    apiRequest('GET', '/api/vocabulary')
+      .then(v => setForm({ terms: termsToText(v.terms), blocked: v.blocked.join(', '), foldPlurals: v.foldPlurals }))
+      .catch(e => onToast?.(`⚠️ ${e.message}`, 'error'))
+  }, [])
+
+  const save = async () => {
+    setBusy(true)
+    try {
+      const v = await apiRequest('PUT', '/api/vocabulary', {
+        foldPlurals: form.foldPlurals,
+        terms: textToTerms(form.terms),
+        blocked: form.blocked.split(/[\s,]+/).filter(Boolean),
+      })
+      onToast?.(`🏷️ Vocabulary saved (${v.terms.length} term${v.terms.length === 1 ? '' : 's'}), re-tagging the library…`)
+      onClose()
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const field = 'w-full px-2 py-1.5 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-900 font-mono text-xs'
+  return (
+    <div
+      className="fixed inset-0 z-[100] bg-black/50 flex items-center justify-center p-4"
+      onClick={onClose}
+      onKeyDown={(e) => { if (e.key === 'Escape') onClose() }}
+      tabIndex={-1}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        className="w-full max-w-2xl max-h-[80vh] flex flex-col rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-neutral-200 dark:border-neutral-700">
+          <span className="font-semibold">🏷️ Tag vocabulary</span>
+          <button className="px-2 py-0.5 rounded hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+        {!form ? (
+          <div className="p-4 text-neutral-500">Loading…</div>
+        ) : (
+          <div className="overflow-y-auto p-4 space-y-3">
+            <label className="block">
+              <span className="block mb-1 text-xs text-neutral-500 dark:text-neutral-400">
+                Terms, one per line: <code>parent/child: synonym, synonym</code>
+              </span>
+              <textarea
+                className={field}
+                rows={12}
+                value={form.terms}
+                onChange={(e) => setForm({ ...form, terms: e.target.value })}
+                placeholder={'material/wood: timber, planks\nmaterial/wood/oak'}
+                spellCheck={false}
+              />
+            </label>
+            <label className="block">
+              <span className="block mb-1 text-xs text-neutral-500 dark:text-neutral-400">Blocked tags (never used)</span>
+              <input
+                className={field}
+                value={form.blocked}
+                onChange={(e) => setForm({ ...form, blocked: e.target.value })}
+                placeholder="untitled, new, copy"
+                spellCheck={false}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.foldPlurals}
+                onChange={(e) => setForm({ ...form, foldPlurals: e.target.checked })}
+              />
+              Fold plurals (“tiles” → “tile”)
+            </label>
+          </div>
+        )}
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-neutral-200 dark:border-neutral-700">
+          <button className="px-3 py-1.5 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="px-3 py-1.5 rounded-lg bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900 disabled:opacity-40"
+            onClick={save}
+            disabled={!form || busy}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* ==========================================================
+   Collections
+   ----------------------------------------------------------
+   Named, ordered sets of asset groups from any folder,
+   stored on the server and shared by everyone. A collection
+   opens as its own grid; its link (?collection=<id>) can be
+   pasted to teammates.
+   ========================================================== */
+const COLLECTION_PARAM = 'collection'
+
+function collectionUrlOf(id) {
+  return `${window.location.origin}/?${COLLECTION_PARAM}=${encodeURIComponent(id)}`
+}
+
+/* ==========================================================
+   Location (deep links)
+   ----------------------------------------------------------
+   The open folder is the path of the page URL, the search
+   query, tag filters ("-" = excluded, match=any), lightbox
+   preview (and its exposure) and open collection are in the
+   query string:
+     /browse/textures/wood?q=oak&tags=4k,pbr,-painted&match=any&preview=/files/…&ev=1.5
+     /?collection=<id>
+   Changing folder, collection or lightbox adds a history entry
+   (Back returns to the previous view); typing a query,
+   toggling tags or the exposure replace the current one.
+   ========================================================== */
+const BROWSE_PREFIX = '/browse/'
+
+// View described by the page URL
+function locationState() {
+  const { pathname, search } = window.location
+  const params = new URLSearchParams(search)
+  const dir = pathname.startsWith(BROWSE_PREFIX)
+    ? pathname.slice(BROWSE_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent).join('/')
+    : ''
+  // Only previews served by the library (not any URL of a pasted link)
+  const preview = params.get('preview')
+  return {
+    dir,
+    q: params.get('q') || '',
+    tags: (params.get('tags') || '').split(',').filter(Boolean),
+    match: params.get('match') === 'any' ? 'any' : 'all',
+    preview: preview && /^\/(files|api\/thumb)\//.test(preview) ? preview : null,
+    exposure: Number(params.get('ev')) || 0,
+    collection: params.get(COLLECTION_PARAM),
+  }
+}
+
+// Page URL (path + query string) of a view
+function urlOfLocation({ dir, q, tags, match, preview, exposure, collection }) {
+  const params = new URLSearchParams()
+  if (q) params.set('q', q)
+  if (tags.length) params.set('tags', tags.join(','))
+  if (tags.length && match === 'any') params.set('match', 'any')
+  if (collection) params.set(COLLECTION_PARAM, collection)
+  if (preview) params.set('preview', preview)
+  if (preview && exposure) params.set('ev', String(exposure))
+  const search = params.toString()
+  const path = dir ? BROWSE_PREFIX + dir.split('/').map(encodeURIComponent).join('/') : '/'
+  return `${path}${search ? `?${search}` : ''}`
+}
+
+// Changes of these add a history entry (the others replace it;
+// stepping through the lightbox gallery does not add entries)
+const historyKeyOf = ({ dir, preview, collection }) => `${dir}\n${preview ? 1 : ''}\n${collection || ''}`
+
+// Name shown for a preview restored from a link ("/files/a/oak%201.jpg" → "oak 1.jpg")
+function previewNameOf(src) {
+  try {
+    return decodeURIComponent(src.split('?')[0].split('/').pop())
+  } catch {
+    return ''
+  }
+}
+
+/* ==========================================================
+   CollectionsPanel
+   ----------------------------------------------------------
+   Modal list of all collections, with "New collection".
+   With `adding`, picking a collection (or creating one) adds
+   those assets to it; otherwise rows open their collection.
+   Props:
+     - adding: asset items to add | null
+     - rev: bumped when collections change on the server
+     - onOpen: (id) => void
+     - onClose: () => void
+     - onToast: (message, type?) => void
+   ========================================================== */
+function CollectionsPanel({ adding, rev, onOpen, onClose, onToast }) {
+  const [list, setList] = useState(null) // collection summaries once loaded
+  const [name, setName] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    apiRequest('GET', '/api/collections')
+      .then(data => setList(data.collections))
+      .catch(e => onToast?.(`⚠️ ${e.message}`, 'error'))
+  }, [rev])
+
+  // "oak_planks" or "12 assets"
+  const assetName = !adding ? '' : adding.length === 1 ? `"${stripExt(adding[0].name)}"` : `${adding.length} assets`
+  const paths = adding ? adding.map(it => it.path) : []
+
+  const create = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    setBusy(true)
+    try {
+      const c = await apiRequest('POST', '/api/collections', { name: name.trim(), paths })
+      if (adding) {
+        onToast?.(`⭐ Added ${assetName} to ${c.name}`)
+        onClose()
+      } else {
+        onOpen(c.id)
+      }
+    } catch (err) {
+      onToast?.(`⚠️ ${err.message}`, 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const addTo = async (c) => {
+    setBusy(true)
+    try {
+      const out = await apiRequest('PATCH', `/api/collections/${c.id}`, { add: paths })
+      const added = out.count - c.count
+      onToast?.(!added ? `Already in ${c.name}`
+        : added === paths.length ? `⭐ Added ${assetName} to ${c.name}`
+        : `⭐ Added ${added} of ${paths.length} assets to ${c.name} (others were in it)`)
+      onClose()
+    } catch (err) {
+      onToast?.(`⚠️ ${err.message}`, 'error')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const copyLink = (c) => {
+    const ok = copyToClipboard(collectionUrlOf(c.id))
+    onToast?.(ok ? `🔗 Link to ${c.name} copied` : '⚠️ Unable to copy automatically')
+  }
+
+  const button = "px-2 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700 disabled:opacity-40"
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] bg-black/50 flex items-center justify-center p-4"
+      onClick={onClose}
+      onKeyDown={(e) => { if (e.key === 'Escape') onClose() }}
+      tabIndex={-1}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        className="w-full max-w-xl max-h-[80vh] flex flex-col rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-neutral-200 dark:border-neutral-700">
+          <span className="font-semibold truncate">
+            {adding ? `⭐ Add ${assetName} to…` : '⭐ Collections'}
+          </span>
+          <button className="px-2 py-0.5 rounded hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <form onSubmit={create} className="flex gap-2 px-4 py-3 border-b border-neutral-200 dark:border-neutral-700">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New collection name"
+            maxLength={100}
+            className="flex-1 px-2 py-1 rounded-lg border bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
+          />
+          <button type="submit" className={button} disabled={busy || !name.trim()}>
+            {adding ? 'Create and add' : 'Create'}
+          </button>
+        </form>
+        <ul className="overflow-y-auto p-2 divide-y divide-neutral-200 dark:divide-neutral-700">
+          {!list && <li className="p-3 text-neutral-500">Loading…</li>}
+          {list?.length === 0 && <li className="p-3 text-neutral-500">No collections yet.</li>}
+          {list?.map(c => (
+            <li key={c.id} className="flex items-center gap-3 p-2">
+              <div className="flex-1 min-w-0">
+                <div className="truncate">{c.name}</div>
+                <div className="text-xs text-neutral-500 truncate">
+                  {c.count} asset{c.count === 1 ? '' : 's'}
+                  {c.createdBy && ` · by ${c.createdBy}`}
+                  {` · updated ${new Date(c.updatedAt).toLocaleString()}`}
+                </div>
+              </div>
+              {adding ? (
+                <button className={button} onClick={() => addTo(c)} disabled={busy}>Add</button>
+              ) : (
+                <>
+                  <button className={button} onClick={() => copyLink(c)} title="Copy a link to this collection">🔗</button>
+                  <button className={button} onClick={() => onOpen(c.id)}>Open</button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+/* ==========================================================
+   CollectionView
+   ----------------------------------------------------------
+   One collection as a grid of cards (GET /api/collections/
+   :id). Cards are dragged onto each other to reorder them;
+   the header renames, shares or deletes the collection.
+   Props:
+     - id: collection id
+     - rev: bumped when collections or files change
+     - renderCard: (item, items) => <Card … /> (same cards as
+       folders; items = the whole collection, in order)
+     - onRemove: (path) => void (take an asset out)
+     - onClose: () => void (back to the folder view)
+     - onToast: (message, type?) => void
+   ========================================================== */
+function CollectionView({ id, rev, renderCard, onRemove, onClose, onToast }) {
+  const [data, setData] = useState(null)   // the collection once loaded
+  const [error, setError] = useState(null)
+  const [dragged, setDragged] = useState(null) // path of the card being dragged
+
+  const reload = () =>
+    apiRequest('GET', `/api/collections/${encodeURIComponent(id)}`)
+      .then(c => { setData(c); setError(null) })
+      .catch(e => setError(e.message))
+
+  useEffect(() => { reload() }, [id, rev])
+
+  const rename = async () => {
+    const name = window.prompt('Collection name', data.name)
+    if (!name || !name.trim() || name.trim() === data.name) return
+    try {
+      await apiRequest('PATCH', `/api/collections/${data.id}`, { name: name.trim() })
+      onToast?.(`✏️ Renamed to ${name.trim()}`)
+      reload()
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    }
+  }
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the collection "${data.name}"? Its assets stay in the library.`)) return
+    try {
+      await apiRequest('DELETE', `/api/collections/${data.id}`)
+      onToast?.(`🗑️ Collection "${data.name}" deleted`)
+      onClose()
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    }
+  }
+
+  const copyLink = () => {
+    const ok = copyToClipboard(collectionUrlOf(data.id))
+    onToast?.(ok ? '🔗 Link copied to clipboard' : '⚠️ Unable to copy automatically')
+  }
+
+  // Drop the dragged card before `target` (shown at once, then saved)
+  const dropOn = async (target) => {
+    if (!dragged || dragged === target) return
+    const paths = data.items.map(i => i.path).filter(p => p !== dragged)
+    paths.splice(paths.indexOf(target), 0, dragged)
+    const byPath = new Map(data.items.map(i => [i.path, i]))
+    setData({ ...data, items: paths.map(p => byPath.get(p)) })
+    setDragged(null)
+    try {
+      await apiRequest('PATCH', `/api/collections/${data.id}`, { order: paths })
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+      reload()
+    }
+  }
+
+  const button = "px-3 py-2 text-sm rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+
+  if (error) {
+    return (
+      <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
+        ⚠️ {error}
+        <div className="mt-3"><button className={button} onClick={onClose}>Back to the library</button></div>
+      </div>
+    )
+  }
+  if (!data) return <SkeletonGrid count={10} />
+
+  return (
+    <section>
+      <div className="flex items-center gap-2 mb-4 flex-wrap">
+        <h2 className="flex-1 min-w-0 text-lg font-semibold truncate">
+          ⭐ {data.name}
+          <span className="ml-2 text-sm font-normal text-neutral-500">
+            {data.items.length} asset{data.items.length === 1 ? '' : 's'}
+            {data.hidden > 0 && ` (+${data.hidden} in folders you cannot open)`}
+            {data.createdBy && ` · by ${data.createdBy}`}
+          </span>
+        </h2>
+        <button className={button} onClick={copyLink} title="Copy a link to this collection">🔗 Copy link</button>
+        {data.canManage && <button className={button} onClick={rename}>✏️ Rename</button>}
+        {data.canManage && <button className={button} onClick={remove}>🗑️ Delete</button>}
+        <button className={button} onClick={onClose} title="Back to the library">✕</button>
+      </div>
+
+      {data.items.length === 0 && (
+        <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
+          This collection is empty: right-click an asset and choose "Add to collection…".
+        </div>
+      )}
+
+      <div className="grid gap-4 grid-cols-[repeat(auto-fill,minmax(220px,1fr))]">
+        {data.items.map(it => (
+          <div
+            key={it.path}
+            draggable
+            onDragStart={(e) => { setDragged(it.path); e.dataTransfer.effectAllowed = 'move' }}
+            onDragEnd={() => setDragged(null)}
+            onDragOver={(e) => { if (dragged) e.preventDefault() }}
+            onDrop={(e) => { e.preventDefault(); dropOn(it.path) }}
+            className={dragged === it.path ? 'opacity-40' : ''}
+            title="Drag to reorder"
+          >
+            {it.missing ? (
+              <div className="h-full rounded-2xl border border-dashed border-neutral-400 dark:border-neutral-600 p-3 flex flex-col gap-2 text-sm text-neutral-500">
+                <div className="text-3xl">❓</div>
+                <div className="break-all">Missing: LIB/{it.path}</div>
+                <div className="text-xs">Deleted, or renamed outside the library app.</div>
+                <button className="self-start px-2 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700" onClick={() => onRemove(it.path)}>
+                  Remove from collection
+                </button>
+              </div>
+            ) : renderCard(it, data.items)}
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+/* ==========================================================
+   DuplicatesView
+   ----------------------------------------------------------
+   Report of the server's duplicate scan (GET /api/duplicates):
+   exact copies and look-alike images (resized, re-encoded, …),
+   biggest waste first. Each file links to its folder. Admins
+   may start a rescan; the report reloads when it is done.
+   Props:
+     - user: logged-in user (null = no authentication)
+     - onOpenDir: (dir) => void
+     - onPreviewImage: (src, alt) => void
+     - onClose: () => void (back to the folder view)
+     - onToast: (message, type?) => void
+   ========================================================== */
+const DUPLICATE_KINDS = {
+  exact: { label: '🟰 Exact copies', empty: 'No file has an identical copy.' },
+  near: { label: '👀 Look-alikes', empty: 'No images look alike.' },
+}
+
+const SCAN_PHASES = { listing: 'listing files', hashing: 'comparing files', images: 'comparing images' }
+
+function DuplicatesView({ user, onOpenDir, onPreviewImage, onClose, onToast }) {
+  const [data, setData] = useState(null) // report once loaded
+  const [error, setError] = useState(null)
+  const [kind, setKind] = useState('exact')
+
+  const reload = () =>
+    apiRequest('GET', '/api/duplicates')
+      .then(d => { setData(d); setError(null) })
+      .catch(e => setError(e.message))
+
+  useEffect(() => { reload() }, [])
+
+  // Follow a scan in progress
+  const scanning = !!data?.status.scanning
+  useEffect(() => {
+    if (!scanning) return
+    const timer = setInterval(reload, 3000)
+    return () => clearInterval(timer)
+  }, [scanning])
+
+  const rescan = async () => {
+    try {
+      const { status } = await apiRequest('POST', '/api/duplicates/rescan')
+      setData(d => ({ ...d, status }))
+      onToast?.('🔄 Rescan started')
+    } catch (e) {
+      onToast?.(`⚠️ ${e.message}`, 'error')
+    }
+  }
+
+  const button = "px-3 py-2 text-sm rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 disabled:opacity-40"
+
+  if (error) {
+    return (
+      <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
+        ⚠️ {error}
+        <div className="mt-3"><button className={button} onClick={onClose}>Back to the library</button></div>
+      </div>
+    )
+  }
+  if (!data) return <SkeletonGrid count={10} />
+
+  const { status } = data
+  const report = data[kind]
+
+  return (
+    <section>
+      <div className="flex items-center gap-2 mb-4 flex-wrap">
+        <h2 className="flex-1 min-w-0 text-lg font-semibold truncate">
+          👯 Duplicates
+          <span className="ml-2 text-sm font-normal text-neutral-500">
+            {status.scanning
+              ? `Scanning: ${SCAN_PHASES[status.progress?.phase] || '…'}${status.progress?.total ? ` (${status.progress.done}/${status.progress.total})` : ''}`
+              : status.scannedAt ? `scanned ${new Date(status.scannedAt).toLocaleString()}` : 'not scanned yet'}
+          </span>
+        </h2>
+        {Object.entries(DUPLICATE_KINDS).map(([id, k]) => (
+          <button
+            key={id}
+            className={`${button} ${kind === id ? 'ring-2 ring-blue-500' : ''}`}
+            onClick={() => setKind(id)}
+          >
+            {k.label} · {data[id].total} ({formatBytes(data[id].wasted)})
+          </button>
+        ))}
+        {hasRole(user, '', 'admin') && (
+          <button className={button} onClick={rescan} disabled={status.scanning} title="Look for new or changed files">🔄 Rescan</button>
+        )}
+        <button className={button} onClick={onClose} title="Back to the library">✕</button>
+      </div>
+
+      {report.groups.length === 0 && (
+        <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
+          {status.scannedAt ? DUPLICATE_KINDS[kind].empty : 'The first scan is not finished yet.'}
+        </div>
+      )}
+      {report.total > report.groups.length && (
+        <div className="mb-3 text-sm text-neutral-500">Showing the {report.groups.length} biggest of {report.total} groups.</div>
+      )}
+
+      <ul className="flex flex-col gap-3">
+        {report.groups.map(g => (
+          <li key={g.files[0].path} className="rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 p-3">
+            <div className="mb-2 text-sm text-neutral-500">
+              {g.files.length} files · {formatBytes(g.wasted)} wasted
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {g.files.map(f => (
+                <div key={f.path} className="w-44 flex flex-col gap-1 text-xs">
+                  {f.thumbnail ? (
+                    <img
+                      src={f.thumbnail}
+                      alt={f.name}
+                      loading="lazy"
+                      className="w-44 h-28 object-cover rounded-lg bg-neutral-100 dark:bg-neutral-900 cursor-zoom-in"
+                      onClick={() => onPreviewImage(lightboxSrcOf(f.thumbnail), f.name)}
+                    />
+                  ) : (
+                    <div className="w-44 h-28 flex items-center justify-center rounded-lg bg-neutral-100 dark:bg-neutral-900 text-3xl">📄</div>
+                  )}
+                  <button
+                    className="text-left truncate hover:underline"
+                    onClick={() => onOpenDir(f.dir)}
+                    title={`Open LIB${f.dir ? `/${f.dir}` : ''}`}
+                  >
+                    {f.name}
+                  </button>
+                  <span className="truncate text-neutral-500" title={`LIB/${f.path}`}>LIB{f.dir ? `/${f.dir}` : ''} · {formatBytes(f.size)}</span>
+                </div>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+/* ==========================================================
+   Skeletons (loading placeholders; no animations)
+   ========================================================== */
+function SkeletonCard() {
+  return (
+    <div className="rounded-2xl border bg-neutral-200 dark:bg-neutral-800 dark:border-neutral-700 p-3 flex flex-col">
+      <div className="aspect-[4/3] w-full rounded-xl bg-neutral-100 dark:bg-neutral-700" />
+      <div className="mt-3 space-y-2">
+        <div className="h-4 bg-neutral-100 dark:bg-neutral-700 rounded w-3/4" />
+        <div className="h-3 bg-neutral-100 dark:bg-neutral-700 rounded w-1/2" />
+        <div className="h-3 bg-neutral-100 dark:bg-neutral-700 rounded w-24" />
+      </div>
+      <div className="mt-3 h-9 bg-neutral-100 dark:bg-neutral-700 rounded w-36" />
+    </div>
+  );
+}
+
+function SkeletonGrid({ count = 15 }) {
+  return (
+    <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(220px,1fr))]">
+      {Array.from({ length: count }).map((_, i) => (
+        <SkeletonCard key={i} />
+      ))}
+    </div>
+  );
+}
+
+/* ==========================================================
+   Lightbox
+   ----------------------------------------------------------
+   Full-screen preview of an asset:
+   - ← / → (or swipe, or the ‹ › buttons) step through the
+     previewable assets of `gallery`
+   - the mouse wheel zooms around the pointer, dragging pans;
+     "1:1" shows one image pixel per screen pixel, "Fit" (or 0)
+     goes back
+   - variant chips switch between the files of the group
+   - "A/B" compares with another variant or another asset of
+     the gallery, split by a draggable slider
+   - exposure slider for EXR/HDR (tone-mapped on the server)
+   Props:
+     - src, alt, image: what is shown (image = header info)
+     - item: asset shown (null: a lone image, no gallery)
+     - gallery: items to step through
+     - onChange({ src, alt, image, item? }): show something else
+     - onNearEnd(): the end of `gallery` is close (load more)
+     - exposure, onExposure(ev)
+     - onClose()
+   ========================================================== */
+const ZOOM_STEP = 1.25
+const MAX_ZOOM = 64
+const SWIPE_PX = 60
+const FIT_VIEW = { scale: 1, x: 0, y: 0 }
+
+// What the lightbox shows for an asset
+const previewOf = (it) => ({ src: lightboxSrcOf(pickPreviewUrl(it)), alt: it.name, image: imageOf(it), item: it })
+
+function Lightbox({ src, alt, image, item, gallery = [], onChange, onNearEnd, exposure, onExposure, onClose }) {
+  const stageRef = useRef(null)
+  // Zoom (1 = fit) and pan (px from the centre), shared by A and B
+  const [view, setView] = useState(FIT_VIEW)
+  // Natural size of the shown image (for 1:1)
+  const [natural, setNatural] = useState(null)
+  // A/B: { src, label } of the image on the right | null
+  const [compare, setCompare] = useState(null)
+  const [split, setSplit] = useState(50) // % from the left
+  const drag = useRef(null)
+
+  const list = useMemo(() => gallery.filter(it => !it.isDir && pickPreviewUrl(it)), [gallery])
+  const index = item ? list.findIndex(it => it.path === item.path) : -1
+  const variants = (item?.files || [])
+    .map(f => ({ file: f, src: variantSrcOf(f) }))
+    .filter(v => v.src)
+  const shown = (s) => (isHdrPreview(s) ? withExposure(s, exposure) : s)
+
+  useEffect(() => { setView(FIT_VIEW); setNatural(null) }, [src])
+  useEffect(() => {
+    if (index >= 0 && index >= list.length - 3) onNearEnd?.()
+  }, [index, list.length])
+
+  const step = (delta) => {
+    const next = list[index + delta]
+    if (index >= 0 && next) onChange(previewOf(next))
+  }
+
+  // Zoom by `factor` around a point of the stage (client coordinates;
+  // default: its centre)
+  const zoomBy = (factor, clientX, clientY) => {
+    const rect = stageRef.current.getBoundingClientRect()
+    const px = clientX === undefined ? 0 : clientX - rect.left - rect.width / 2
+    const py = clientY === undefined ? 0 : clientY - rect.top - rect.height / 2
+    setView(v => {
+      const scale = Math.min(MAX_ZOOM, Math.max(1, v.scale * factor))
+      if (scale === 1) return FIT_VIEW
+      const k = scale / v.scale
+      return { scale, x: px - (px - v.x) * k, y: py - (py - v.y) * k }
+    })
+  }
+  const actualSize = () => {
+    if (!natural) return
+    const rect = stageRef.current.getBoundingClientRect()
+    const fit = Math.min(rect.width / natural.width, rect.height / natural.height)
+    setView({ scale: Math.max(1, 1 / (fit * (window.devicePixelRatio || 1))), x: 0, y: 0 })
+  }
+
+  // Keyboard: Esc, ←/→, +/-, 0 (fit), 1 (1:1)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return
+      if (e.key === 'Escape') onClose()
+      else if (e.key === 'ArrowRight') step(1)
+      else if (e.key === 'ArrowLeft') step(-1)
+      else if (e.key === '+' || e.key === '=') zoomBy(ZOOM_STEP)
+      else if (e.key === '-') zoomBy(1 / ZOOM_STEP)
+      else if (e.key === '0') setView(FIT_VIEW)
+      else if (e.key === '1') actualSize()
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  })
+
+  // Wheel zoom (a native listener: React's is passive and cannot
+  // keep the page from scrolling)
+  useEffect(() => {
+    const stage = stageRef.current
+    const onWheel = (e) => {
+      e.preventDefault()
+      zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX, e.clientY)
+    }
+    stage.addEventListener('wheel', onWheel, { passive: false })
+    return () => stage.removeEventListener('wheel', onWheel)
+  }, [])
+
+  // Dragging: pans when zoomed, else a horizontal swipe steps
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    drag.current = { x: e.clientX, y: e.clientY, view }
+  }
+  const onPointerMove = (e) => {
+    const d = drag.current
+    if (!d || d.view.scale === 1) return
+    setView({ ...d.view, x: d.view.x + e.clientX - d.x, y: d.view.y + e.clientY - d.y })
+  }
+  const onPointerUp = (e) => {
+    const d = drag.current
+    drag.current = null
+    if (!d || d.view.scale !== 1) return
+    const dx = e.clientX - d.x
+    if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(e.clientY - d.y)) step(dx < 0 ? 1 : -1)
+  }
+
+  // Split slider of the A/B mode
+  const onSplitPointer = (e) => {
+    e.stopPropagation()
+    if (e.type === 'pointerdown') e.currentTarget.setPointerCapture(e.pointerId)
+    else if (!e.currentTarget.hasPointerCapture(e.pointerId)) return
+    const rect = stageRef.current.getBoundingClientRect()
+    setSplit(Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100)))
+  }
+
+  // Candidates for B: other variants of this group, then other assets
+  const compareOptions = [
+    ...variants.filter(v => v.src !== src).map(v => ({ src: v.src, label: `Variant · ${v.file.name}` })),
+    ...list.filter(it => it !== item).map(it => ({ src: lightboxSrcOf(pickPreviewUrl(it)), label: it.name })),
+  ]
+  const toggleCompare = () => setCompare(compare ? null : compareOptions[0] || null)
+
+  const transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+  // Sharp pixels when zoomed in far enough to inspect them
+  const pixelated = view.scale >= 4 ? 'pixelated' : 'auto'
+  const bar = 'px-2 py-1 rounded border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-100 dark:hover:bg-neutral-700 disabled:opacity-40'
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] bg-black/80 flex items-center justify-center"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose() }}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        ref={stageRef}
+        className={`relative w-[92vw] h-[80vh] overflow-hidden select-none touch-none ${view.scale > 1 ? 'cursor-grab' : ''}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={() => { drag.current = null }}
+        onDoubleClick={(e) => (view.scale > 1 ? setView(FIT_VIEW) : zoomBy(2, e.clientX, e.clientY))}
+      >
+        <div className="absolute inset-0" style={{ transform }}>
+          <img
+            src={shown(src)}
+            alt={alt || ''}
+            draggable={false}
+            className="w-full h-full object-contain"
+            style={{ imageRendering: pixelated }}
+            onLoad={(e) => setNatural({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
+          />
+        </div>
+        {compare && (
+          <>
+            <div className="absolute inset-0" style={{ clipPath: `inset(0 0 0 ${split}%)` }}>
+              <div className="absolute inset-0" style={{ transform }}>
+                <img src={shown(compare.src)} alt={compare.label} draggable={false} className="w-full h-full object-contain" style={{ imageRendering: pixelated }} />
+              </div>
+            </div>
+            <div
+              className="absolute inset-y-0 w-6 -ml-3 cursor-ew-resize flex justify-center"
+              style={{ left: `${split}%` }}
+              onPointerDown={onSplitPointer}
+              onPointerMove={onSplitPointer}
+              onDoubleClick={(e) => e.stopPropagation()}
+            >
+              <div className="w-0.5 h-full bg-white shadow" />
+            </div>
+            <span className="absolute bottom-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs">A</span>
+            <span className="absolute bottom-2 right-2 max-w-[40%] truncate px-2 py-0.5 rounded bg-black/60 text-white text-xs">B · {compare.label}</span>
+          </>
+        )}
+      </div>
+
+      {(alt || image) && (
+        <div className="absolute top-4 left-4 max-w-[70vw] px-3 py-2 rounded-lg bg-white/90 text-black dark:bg-neutral-800/90 dark:text-neutral-100 text-sm">
+          <div className="font-medium truncate">
+            {alt}
+            {index >= 0 && <span className="ml-2 font-normal text-neutral-500 dark:text-neutral-400">{index + 1} / {list.length}</span>}
+          </div>
+          {image && <div className="text-xs text-neutral-600 dark:text-neutral-300">{describeImage(image)}</div>}
+        </div>
+      )}
+
+      {index >= 0 && (
+        <>
+          <button
+            className="absolute left-2 top-1/2 -translate-y-1/2 w-10 h-16 rounded-lg bg-white/80 text-black text-2xl hover:bg-white disabled:opacity-30 dark:bg-neutral-800/80 dark:text-neutral-100"
+            onClick={() => step(-1)}
+            disabled={index === 0}
+            aria-label="Previous"
+          >
+            ‹
+          </button>
+          <button
+            className="absolute right-2 top-1/2 -translate-y-1/2 w-10 h-16 rounded-lg bg-white/80 text-black text-2xl hover:bg-white disabled:opacity-30 dark:bg-neutral-800/80 dark:text-neutral-100"
+            onClick={() => step(1)}
+            disabled={index === list.length - 1}
+            aria-label="Next"
+          >
+            ›
+          </button>
+        </>
+      )}
+
+      <div className="absolute bottom-3 left-1/2 -translate-x-1/2 max-w-[95vw] flex flex-wrap items-center justify-center gap-2 px-4 py-2 rounded-lg bg-white text-black dark:bg-neutral-800 dark:text-neutral-100 border border-neutral-200 dark:border-neutral-700 text-sm">
+        {variants.length > 1 && variants.map(v => (
+          <button
+            key={v.src}
+            className={`${bar} ${v.src === src ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900' : ''}`}
+            onClick={() => onChange({ src: v.src, alt: v.file.name, image: v.file.image })}
+            title={v.file.image ? `${v.file.name}\n${describeImage(v.file.image)}` : v.file.name}
+          >
+            {[v.file.resolution, getExt(v.file)].filter(Boolean).join(' ').toUpperCase()}
+          </button>
+        ))}
+        <button className={bar} onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={view.scale === 1} title="Zoom out (-)">−</button>
+        <span className="w-14 text-center tabular-nums">{Math.round(view.scale * 100)}%</span>
+        <button className={bar} onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in (+, mouse wheel)">＋</button>
+        <button className={bar} onClick={() => setView(FIT_VIEW)} disabled={view.scale === 1} title="Fit to the window (0)">Fit</button>
+        <button className={bar} onClick={actualSize} disabled={!natural} title="One image pixel per screen pixel (1)">1:1</button>
+        {compareOptions.length > 0 && (
+          <button className={`${bar} ${compare ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900' : ''}`} onClick={toggleCompare} title="Compare side by side">
+            A/B
+          </button>
+        )}
+        {compare && (
+          <select
+            value={compare.src}
+            onChange={(e) => setCompare(compareOptions.find(o => o.src === e.target.value) || null)}
+            className="max-w-[16rem] px-2 py-1 rounded border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800"
+            title="Image on the right (B)"
+          >
+            {!compareOptions.some(o => o.src === compare.src) && <option value={compare.src}>{compare.label}</option>}
+            {compareOptions.map(o => <option key={o.src} value={o.src}>{o.label}</option>)}
+          </select>
+        )}
+        {(isHdrPreview(src) || (compare && isHdrPreview(compare.src))) && (
+          <>
+            <label htmlFor="lightbox-exposure" className="ml-2">Exposure</label>
+            <input
+              id="lightbox-exposure"
+              type="range"
+              min={-6}
+              max={6}
+              step={0.5}
+              value={exposure}
+              onChange={(e) => onExposure(Number(e.target.value))}
+            />
+            <span className="w-16 tabular-nums">{exposure > 0 ? '+' : ''}{exposure.toFixed(1)} EV</span>
+            <button className={bar} onClick={() => onExposure(0)} disabled={exposure === 0}>Reset</button>
+          </>
+        )}
+      </div>
+
+      <button
+        className="absolute top-4 right-4 px-3 py-2 rounded-lg bg-white text-black hover:bg-neutral-200 dark:bg-neutral-800 dark:text-neutral-100 dark:hover:bg-neutral-700 border border-neutral-200 dark:border-neutral-700"
+        onClick={onClose}
+        aria-label="Close"
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
+
+/* ==========================================================
+   QueryInput
+   ----------------------------------------------------------
+   Search box of the query language (see server/lib/query.js):
+     tag:wood -tag:painted ext:exr res:>=4k size:>200mb
+     modified:<30d kind:video "exact phrase"
+   Suggests fields while a word is typed, and values after
+   tag:, ext: and kind: (↑/↓, Enter or Tab, Esc). Syntax errors
+   are shown under the box as soon as they are typed, with the
+   bad term underlined: the query is parsed here with a copy of
+   the server's parser (query-syntax.js), and queries that do
+   not parse are never sent.
+   Matching stays on the server on purpose: listings come in
+   pages (only the loaded part is here), tags are mapped
+   through the vocabulary and res: needs image headers.
+   Props:
+     - value, onChange(value)
+     - values: { tag: string[], ext: string[], kind: string[] }
+     - error: { query, message, position: { start, end } } | null
+       from the server (`query` = the trimmed text the error is
+       about)
+   ========================================================== */
+const QUERY_FIELDS = {
+  'tag:': 'has the tag (a,b = any)',
+  'ext:': 'has a file with the extension',
+  'kind:': 'image, video, audio, pdf, text, other or folder',
+  'name:': 'name contains',
+  'res:': 'largest side, e.g. >=4k or 2048',
+  'size:': 'e.g. >200mb',
+  'modified:': 'age or date, e.g. <30d or >=2024-05-01',
+  'rating:': 'stars, e.g. >=4',
+}
+const QUERY_KINDS = ['image', 'video', 'audio', 'pdf', 'text', 'other', 'folder']
+const MAX_SUGGESTIONS = 8
+
+// Suggestions for the word ending at `caret`: { from, to, list: [{ text, hint }] }
+// (accepting one replaces value[from..to) with its text)
+function querySuggestions(value, caret, values) {
+  const wordStart = value.slice(0, caret).search(/\S*$/)
+  const wordEnd = caret + value.slice(caret).search(/\s|$/)
+  const word = value.slice(wordStart, caret)
+  const body = word.startsWith('-') ? word.slice(1) : word
+  const bodyStart = caret - body.length
+  const none = { from: caret, to: caret, list: [] }
+
+  const m = /^([a-z]+):(.*)$/i.exec(body)
+  if (!m) {
+    const prefix = body.toLowerCase()
+    if (!/^[a-z]+$/.test(prefix)) return none
+    const list = Object.entries(QUERY_FIELDS)
+      .filter(([f]) => f.startsWith(prefix))
+      .map(([text, hint]) => ({ text, hint }))
+    return { from: bodyStart, to: wordEnd, list }
+  }
+
+  const options = values[m[1].toLowerCase()]
+  if (!options || m[2].startsWith('"')) return none
+  const chosen = m[2].split(',')
+  const partial = chosen.pop().toLowerCase()
+  const list = options
+    .filter(o => o.toLowerCase().startsWith(partial) && o.toLowerCase() !== partial && !chosen.includes(o))
+    // Values with spaces are quoted, which a,b lists cannot be
+    .filter(o => !chosen.length || !/\s|,|"/.test(o))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(o => /\s|,|"/.test(o)
+      ? { text: `${m[1]}:"${o.replace(/"/g, '')}" `, from: bodyStart }
+      : { text: `${o} `, from: caret - partial.length })
+  return { from: caret - partial.length, to: wordEnd, list }
+}
+
+// Syntax error of a (trimmed) query, in the shape of the server's
+// answer: { query, message, position } | null
+function querySyntaxError(term) {
+  try {
+    parseQuery(term)
+    return null
+  } catch (e) {
+    if (e.code !== 'SYNTAX') throw e
+    return { query: term, message: e.message, position: e.position }
+  }
+}
+
+function QueryInput({ value, onChange, values, error }) {
+  const inputRef = useRef(null)
+  const [caret, setCaret] = useState(0)
+  const [focused, setFocused] = useState(false)
+  const [active, setActive] = useState(0)
+  const [dismissed, setDismissed] = useState(false)
+
+  const { from, to, list } = useMemo(() => querySuggestions(value, caret, values), [value, caret, values])
+  const open = focused && !dismissed && list.length > 0
+  // The error is about the current text (not a query typed since)
+  const syntaxError = useMemo(() => querySyntaxError(value.trim()), [value])
+  const shownError = syntaxError ?? (error && error.query === value.trim() ? error : null)
+  const offset = value.length - value.trimStart().length
+
+  const syncCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length)
+  const accept = (s) => {
+    const start = s.from ?? from
+    const next = value.slice(0, start) + s.text + value.slice(to)
+    const pos = start + s.text.length
+    onChange(next)
+    setCaret(pos)
+    setActive(0)
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(pos, pos))
+  }
+  const onKeyDown = (e) => {
+    if (!open) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActive(i => (i + step + list.length) % list.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept(list[Math.min(active, list.length - 1)])
+    } else if (e.key === 'Escape') {
+      setDismissed(true)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        value={value}
+        onChange={(e) => { onChange(e.target.value); syncCaret(e); setActive(0); setDismissed(false) }}
+        onSelect={syncCaret}
+        onKeyDown={onKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        placeholder="🔍 Search… (tag: ext: res: size: modified:)"
+        spellCheck={false}
+        className={`px-3 py-2 rounded-xl border bg-white dark:bg-neutral-800 w-72 placeholder:text-neutral-400 dark:placeholder:text-neutral-500
+          ${shownError ? 'border-red-400 dark:border-red-500' : 'border-neutral-200 dark:border-neutral-700'}`}
+      />
+      {open ? (
+        <ul className="absolute right-0 top-full mt-1 z-50 w-80 max-h-72 overflow-auto rounded-lg border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-lg text-sm">
+          {list.map((s, i) => (
+            <li key={s.text}>
+              <button
+                type="button"
+                // Keep the focus in the input
+                onMouseDown={(e) => { e.preventDefault(); accept(s) }}
+                onMouseEnter={() => setActive(i)}
+                className={`w-full px-3 py-1.5 flex items-baseline gap-2 text-left ${i === active ? 'bg-neutral-100 dark:bg-neutral-700' : ''}`}
+              >
+                <span className="font-mono">{s.text.trim()}</span>
+                {s.hint && <span className="text-xs text-neutral-500 dark:text-neutral-400 truncate">{s.hint}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : shownError && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-80 rounded-lg border border-red-300 dark:border-red-700 bg-white dark:bg-neutral-800 shadow-lg px-3 py-2 text-xs">
+          {shownError.position && (
+            <div className="font-mono break-all">
+              {value.slice(0, offset + shownError.position.start)}
+              <span className="text-red-600 dark:text-red-400 underline decoration-wavy decoration-red-500">
+                {value.slice(offset + shownError.position.start, offset + shownError.position.end) || ' '}
+              </span>
+              {value.slice(offset + shownError.position.end)}
+            </div>
+          )}
+          <div className="mt-1 text-red-600 dark:text-red-400">⚠️ {shownError.message}</div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/* ==========================================================
+   Virtualized grid
+   ----------------------------------------------------------
+   Card grid of a long listing that only renders the rows near
+   the viewport (the page scrolls, not the grid). Rows are
+   measured once rendered; the others count with an estimated
+   height, including rows of items not loaded yet, so the
+   scrollbar covers the whole listing. Asks for the next page
+   when the rendered rows get near the end of `items`.
+   Props:
+     - items: loaded items, in display order
+     - total: number of items in the listing (loaded or not)
+     - keyOf(item) → string
+     - renderItem(item) → element
+     - onNeedMore(): load the next page
+     - minColumnWidth: px (default 220; Infinity: one column)
+     - gap: px between rows and columns (default 16)
+     - estimatedRowHeight: px, of rows not rendered yet
+     - className
+   ========================================================== */
+// Items per /api/assets request; the server caps pages at 1000
+const PAGE_SIZE = 200
+const MAX_PAGE_SIZE = 1000
+const GRID_GAP = 16 // px
+const ESTIMATED_ROW_HEIGHT = 400
+const OVERSCAN_ROWS = 3
+
+function VirtualGrid({
+  items, total, keyOf, renderItem, onNeedMore,
+  minColumnWidth = 220, gap = GRID_GAP, estimatedRowHeight = ESTIMATED_ROW_HEIGHT, className = '',
+}) {
+  const ref = useRef(null)
+  const [width, setWidth] = useState(0)
+  // Viewport relative to the top of the grid (px)
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight })
+  // Row index → measured height (px)
+  const heights = useRef(new Map())
+  const [, setMeasured] = useState(0)
+
+  useLayoutEffect(() => {
+    const el = ref.current
+    setWidth(el.clientWidth)
+    const ro = new ResizeObserver(() => setWidth(el.clientWidth))
+    ro.observe(el)
+    return () => ro.disconnect()
+  }, [])
+
+  useLayoutEffect(() => {
+    let frame = 0
+    const update = () => {
+      frame = 0
+      if (ref.current) setViewport({ top: -ref.current.getBoundingClientRect().top, height: window.innerHeight })
+    }
+    const schedule = () => { if (!frame) frame = requestAnimationFrame(update) }
+    update()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+    }
+  }, [])
+
+  const rowObserver = useMemo(() => new ResizeObserver((entries) => {
+    let changed = false
+    for (const e of entries) {
+      // Rows scrolled out of view report a zero size: forget them
+      if (!e.target.isConnected) { rowObserver.unobserve(e.target); continue }
+      const row = Number(e.target.dataset.row)
+      const h = e.target.offsetHeight
+      if (heights.current.get(row) !== h) { heights.current.set(row, h); changed = true }
+    }
+    if (changed) setMeasured(n => n + 1)
+  }), [])
+  useEffect(() => () => rowObserver.disconnect(), [rowObserver])
+  const observeRow = (el) => { if (el) rowObserver.observe(el) }
+
+  const columns = Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)))
+  // Row heights are only valid for one column count
+  const columnsRef = useRef(columns)
+  if (columnsRef.current !== columns) {
+    columnsRef.current = columns
+    heights.current.clear()
+  }
+
+  const rowCount = Math.ceil(Math.max(total, items.length) / columns)
+  const loadedRows = Math.ceil(items.length / columns)
+  const rowHeight = (r) => (heights.current.get(r) ?? estimatedRowHeight) + gap
+
+  // Rows intersecting the viewport: [first, last)
+  let first = 0
+  let offset = 0
+  while (first < rowCount - 1 && offset + rowHeight(first) <= viewport.top) offset += rowHeight(first++)
+  let last = first
+  for (let y = offset; last < rowCount && y < viewport.top + viewport.height; last++) y += rowHeight(last)
+
+  const from = Math.max(0, first - OVERSCAN_ROWS)
+  const to = Math.min(loadedRows, last + OVERSCAN_ROWS)
+  let padTop = 0
+  for (let r = 0; r < from; r++) padTop += rowHeight(r)
+  let fullHeight = 0
+  for (let r = 0; r < rowCount; r++) fullHeight += rowHeight(r)
+
+  const needMore = items.length < total && last + OVERSCAN_ROWS >= loadedRows
+  useEffect(() => {
+    if (needMore) onNeedMore()
+  }, [needMore, items.length])
+
+  const rows = []
+  for (let r = from; r < to; r++) rows.push(r)
+
+  return (
+    <div ref={ref} className={`relative ${className}`} style={{ height: Math.max(0, fullHeight - gap) }}>
+      <div className="absolute inset-x-0" style={{ top: padTop }}>
+        {rows.map(r => (
+          <div
+            key={r}
+            ref={observeRow}
+            data-row={r}
+            className="grid"
+            style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gap, marginBottom: gap }}
+          >
+            {items.slice(r * columns, (r + 1) * columns).map(it => (
+              <React.Fragment key={keyOf(it)}>{renderItem(it)}</React.Fragment>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/* ==========================================================
+   Tag hierarchy
+   ----------------------------------------------------------
+   "/" separates the levels of a tag ("material/wood/oak",
+   see the tag vocabulary on the server). A tag filter also
+   matches the children of the tag; the server counts an
+   asset once for each level of its tags.
+   ========================================================== */
+const hasTag = (itemTags, tag) => {
+  const t = tag.toLowerCase()
+  return (itemTags || []).some(own => {
+    const o = String(own).toLowerCase()
+    return o === t || o.startsWith(`${t}/`)
+  })
+}
+
+// Related tags shown in the sidebar
+const RELATED_TAGS = 8
+
+// Active tag filters are tag names, "-name" for an excluded tag
+const tagNameOf = (active) => active.replace(/^-/, '')
+
+// Whether item tags pass the active filters: every included tag
+// (any of them with match = 'any') and no excluded one
+const matchesTagFilter = (itemTags, active, match = 'all') => {
+  const include = active.filter(a => !a.startsWith('-'))
+  if (active.some(a => a.startsWith('-') && hasTag(itemTags, tagNameOf(a)))) return false
+  if (!include.length) return true
+  return match === 'any' ? include.some(a => hasTag(itemTags, a)) : include.every(a => hasTag(itemTags, a))
+}
+
+// "wood or stone, not painted"
+const describeTagFilter = (active, match = 'all') =>
+  [
+    active.filter(a => !a.startsWith('-')).join(match === 'any' ? ' or ' : ', '),
+    ...active.filter(a => a.startsWith('-')).map(a => `not ${tagNameOf(a)}`),
+  ].filter(Boolean).join(', ')
+
+// [{ name, count }] → [{ name, label, count, children }], keeping
+// the order of `tags` on each level (a tag whose parent is not
+// listed stays on the top level)
+function tagTreeOf(tags) {
+  const nodes = new Map()
+  const roots = []
+  for (const t of tags) nodes.set(t.name, { ...t, label: t.name.split('/').pop(), children: [] })
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.name.split('/').slice(0, -1).join('/'))
+    if (parent) parent.children.push(node)
+    else roots.push(node)
+  }
+  return roots
+}
+
+/* ==========================================================
+   Left Sidebar (Tags)
+   ----------------------------------------------------------
+   Displays tags with counts and allows toggling filters.
+   Tags with children ("material" of "material/wood") fold
+   open; an active tag keeps its parents open. A click cycles
+   a tag through included → excluded → off; "any" / "all"
+   says whether items need one or every included tag.
+   Related tags are the ones found most often on the items
+   matching the included tags (one click to narrow further).
+   Props:
+     - tags: [{ name, count }]
+     - active: string[] (active tag names, "-name" = excluded)
+     - onToggle(name)
+     - onClear()
+     - tagSort: 'pop' | 'alpha'
+     - onChangeSort(mode)
+     - match: 'all' | 'any'
+     - onChangeMatch(match)
+     - related: [{ name, count }]
+     - onEditVocabulary?: () => void (admins: opens the vocabulary)
+   ========================================================== */
+function TagSidebar({ tags, active, onToggle, onClear, tagSort = 'pop', onChangeSort, match = 'all', onChangeMatch, related = [], onEditVocabulary }) {
+  const hasTags = Array.isArray(tags) && tags.length > 0
+  const tree = useMemo(() => tagTreeOf(tags || []), [tags])
+  const [expanded, setExpanded] = useState(() => new Set())
+  const included = active.filter(a => !a.startsWith('-'))
+  const isOpen = (name) => expanded.has(name) || active.some(a => tagNameOf(a).startsWith(`${name}/`))
+  const toggleOpen = (name) => setExpanded(prev => {
+    const next = new Set(prev)
+    if (isOpen(name)) next.delete(name)
+    else next.add(name)
+    return next
+  })
+
+  const renderNode = (t, depth) => {
+    const isActive = active.includes(t.name)
+    const isExcluded = active.includes(`-${t.name}`)
+    const open = t.children.length > 0 && isOpen(t.name)
+    return (
+      <li key={t.name}>
+        <div className="flex items-center" style={{ paddingLeft: `${depth * 0.75}rem` }}>
+          {t.children.length > 0 ? (
+            <button
+              onClick={() => toggleOpen(t.name)}
+              className="w-4 shrink-0 text-xs text-neutral-500 dark:text-neutral-400"
+              aria-expanded={open}
+              aria-label={`${open ? 'Collapse' : 'Expand'} ${t.name}`}
+            >
+              {open ? '▾' : '▸'}
+            </button>
+          ) : depth > 0 || tree.some(n => n.children.length) ? (
+            <span className="w-4 shrink-0" />
+          ) : null}
+          <button
+            onClick={() => onToggle(t.name)}
+            className={`flex-1 min-w-0 flex items-center justify-between text-sm px-2 py-1 rounded
+              ${isActive
+                ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900'
+                : isExcluded
+                  ? 'bg-red-600 text-white dark:bg-red-500'
+                  : 'hover:bg-neutral-50 dark:hover:bg-neutral-800'}`}
+            title={`${t.name} (${t.count}) · ${isActive ? 'click to exclude' : isExcluded ? 'click to clear' : 'click to include'}`}
+            aria-pressed={isActive ? true : isExcluded ? 'mixed' : false}
+          >
+            <span className={`truncate ${isExcluded ? 'line-through' : ''}`}>{isExcluded && '− '}{t.label}</span>
+            <span className={`ml-2 text-xs ${isActive || isExcluded ? 'opacity-80' : 'text-neutral-500 dark:text-neutral-400'}`}>
+              ({t.count})
+            </span>
+          </button>
+        </div>
+        {open && <ul className="space-y-1 mt-1">{t.children.map(c => renderNode(c, depth + 1))}</ul>}
+      </li>
+    )
+  }
+
+  return (
+    <aside className="hidden md:block top-6 self-start">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <div className="text-xs uppercase font-semibold tracking-wide text-neutral-500 dark:text-neutral-400">Tags</div>
+          {/* Tag sort toggle (by popularity or alphabetically) */}
+          <div className="flex items-center gap-1" role="group" aria-label="Sort tags">
+            <button
+              onClick={() => onChangeSort?.('pop')}
               className={`px-2 py-0.5 text-xs rounded border ${
                 tagSort === 'pop'
                   ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900'
@@ -452,44 +2970,75 @@ function TagSidebar({ tags, active, onToggle, onClear, tagSort = 'pop', onChange
               title="Sort alphabetically (A–Z)"
               aria-pressed={tagSort === 'alpha'}
             >
-              A–Z
+              A–Z
+            </button>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {active.length > 0 && (
+            <button
+              onClick={onClear}
+              className="text-xs text-blue-600 hover:underline"
+              title="Clear all tags"
+            >
+              Clear
+            </button>
+          )}
+          {onEditVocabulary && (
+            <button
+              onClick={onEditVocabulary}
+              className="text-xs text-neutral-500 dark:text-neutral-400 hover:underline"
+              title="Tag vocabulary (synonyms, hierarchy, blocked tags)"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+      </div>
+
+      {included.length > 1 && (
+        <div className="flex items-center gap-1 mb-2 text-xs text-neutral-500 dark:text-neutral-400" role="group" aria-label="Match tags">
+          Match
+          {['all', 'any'].map(m => (
+            <button
+              key={m}
+              onClick={() => onChangeMatch?.(m)}
+              className={`px-2 py-0.5 rounded border ${
+                match === m
+                  ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900'
+                  : 'bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-800'
+              }`}
+              title={m === 'all' ? 'Items with every included tag' : 'Items with at least one included tag'}
+              aria-pressed={match === m}
+            >
+              {m}
             </button>
-          </div>
+          ))}
         </div>
+      )}
 
-        {active.length > 0 && (
-          <button
-            onClick={onClear}
-            className="text-xs text-blue-600 hover:underline"
-            title="Clear all tags"
-          >
-            Clear
-          </button>
-        )}
-      </div>
+      {related.length > 0 && (
+        <div className="mb-3 pr-3">
+          <div className="text-xs text-neutral-500 dark:text-neutral-400 mb-1">Related</div>
+          <div className="flex flex-wrap gap-1">
+            {related.map(t => (
+              <button
+                key={t.name}
+                onClick={() => onToggle(t.name)}
+                className="px-2 py-0.5 rounded-full border text-xs border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-800"
+                title={`${t.name}: on ${t.count} of the matching items`}
+              >
+                {t.name} <span className="opacity-60">({t.count})</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
 
       {hasTags ? (
         <ul className="space-y-1 pr-3 max-h-[calc(100vh-180px)] overflow-auto">
-          {tags.map(t => {
-            const isActive = active.includes(t.name)
-            return (
-              <li key={t.name}>
-                <button
-                  onClick={() => onToggle(t.name)}
-                  className={`w-full flex items-center justify-between text-sm px-2 py-1 rounded
-                    ${isActive
-                      ? 'bg-neutral-900 text-white dark:bg-neutral-100 dark:text-neutral-900'
-                      : 'hover:bg-neutral-50 dark:hover:bg-neutral-800'}`}
-                  title={`${t.name} (${t.count})`}
-                >
-                  <span className="truncate">{t.name}</span>
-                  <span className={`ml-2 text-xs ${isActive ? 'opacity-80' : 'text-neutral-500 dark:text-neutral-400'}`}>
-                    ({t.count})
-                  </span>
-                </button>
-              </li>
-            )
-          })}
+          {tree.map(t => renderNode(t, 0))}
         </ul>
       ) : (
         <div className="pr-3">
@@ -503,103 +3052,698 @@ function TagSidebar({ tags, active, onToggle, onClear, tagSort = 'pop', onChange
 }
 
 /* ==========================================================
-   App (Main component)
+   Accounts
+   ----------------------------------------------------------
+   The server asks for a login once it has a users file
+   (GET /api/auth/me → { auth, user }). Without one, auth is
+   false and everything stays open.
+   ========================================================== */
+
+/**
+ * useAuth()
+ * ----------------------------------------------------------
+ * Returns { auth, user, login(name, password), logout() }
+ *   - auth: null while loading, then boolean
+ *   - user: { name, roles } | null
+ * Any 401 answer (notifySessionExpired) logs the user out.
+ */
+function useAuth() {
+  const [state, setState] = useState({ auth: null, user: null })
+
+  useEffect(() => {
+    apiRequest('GET', '/api/auth/me')
+      .then(({ auth, user }) => setState({ auth, user }))
+      .catch(() => setState({ auth: false, user: null }))
+    const onExpired = () => setState(st => ({ ...st, user: null }))
+    window.addEventListener(SESSION_EXPIRED_EVENT, onExpired)
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, onExpired)
+  }, [])
+
+  const login = async (name, password) => {
+    const { user } = await apiRequest('POST', '/api/auth/login', { name, password })
+    setState({ auth: true, user })
+  }
+  const logout = async () => {
+    await apiRequest('POST', '/api/auth/logout').catch(() => {})
+    setState(st => ({ ...st, user: null }))
+  }
+
+  return { ...state, login, logout }
+}
+
+/* ==========================================================
+   LoginScreen
+   ----------------------------------------------------------
+   Full-page login form.
+   Props:
+     - onLogin: (name, password) => Promise (rejects with the
+       server's message)
+   ========================================================== */
+function LoginScreen({ onLogin }) {
+  const [name, setName] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      await onLogin(name.trim(), password)
+    } catch (err) {
+      setError(err.message)
+      setPassword('')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const field = "w-full mt-1 px-3 py-2 rounded-lg border bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-white dark:bg-neutral-900 text-neutral-900 dark:text-neutral-100 p-4">
+      <form
+        onSubmit={submit}
+        className="w-full max-w-sm p-6 rounded-2xl border border-neutral-200 dark:border-neutral-700 bg-neutral-50 dark:bg-neutral-800 shadow-sm flex flex-col gap-4"
+      >
+        <h1 className="text-lg font-semibold">📚 Asset Library</h1>
+        <label className="text-sm">
+          User name
+          <input className={field} value={name} onChange={(e) => setName(e.target.value)} autoComplete="username" autoFocus required />
+        </label>
+        <label className="text-sm">
+          Password
+          <input className={field} type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" required />
+        </label>
+        {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-lg bg-neutral-900 text-white hover:bg-neutral-800 dark:bg-neutral-100 dark:text-neutral-900 dark:hover:bg-neutral-200 disabled:opacity-50"
+          disabled={busy}
+        >
+          {busy ? 'Logging in…' : 'Log in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+/* ==========================================================
+   UserMenu
+   ----------------------------------------------------------
+   Header button with the user name; opens the user's roles,
+   a password change form and "Log out".
+   Props:
+     - user: { name, roles }
+     - onLogout: () => void
+     - onToast: (message, type?) => void
+   ========================================================== */
+const ROLE_LABELS = { viewer: '👁️ Viewer', contributor: '✏️ Contributor', admin: '🛡️ Admin' }
+
+function UserMenu({ user, onLogout, onToast }) {
+  const [open, setOpen] = useState(false)
+  const [current, setCurrent] = useState('')
+  const [password, setPassword] = useState('')
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => { if (!ref.current?.contains(e.target)) setOpen(false) }
+    document.addEventListener('mousedown', onDown)
+    return () => document.removeEventListener('mousedown', onDown)
+  }, [open])
+
+  const changePassword = async (e) => {
+    e.preventDefault()
+    try {
+      await apiRequest('POST', '/api/auth/password', { current, password })
+      onToast?.('🔑 Password changed')
+      setCurrent('')
+      setPassword('')
+      setOpen(false)
+    } catch (err) {
+      onToast?.(`⚠️ ${err.message}`, 'error')
+    }
+  }
+
+  const field = "w-full px-2 py-1 rounded-lg border bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+        title="Account"
+      >
+        👤 {user.name}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 p-3 rounded-xl border border-neutral-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 shadow-xl text-sm flex flex-col gap-3 z-[60]">
+          <div>
+            <div className="text-xs text-neutral-500 mb-1">Access</div>
+            {Object.entries(user.roles).map(([dir, role]) => (
+              <div key={dir} className="flex justify-between gap-2">
+                <span className="truncate">LIB{dir ? `/${dir}` : ''}</span>
+                <span>{ROLE_LABELS[role] || role}</span>
+              </div>
+            ))}
+          </div>
+          <form onSubmit={changePassword} className="flex flex-col gap-2 border-t border-neutral-200 dark:border-neutral-700 pt-3">
+            <div className="text-xs text-neutral-500">Change password</div>
+            <input className={field} type="password" placeholder="Current password" value={current} onChange={(e) => setCurrent(e.target.value)} autoComplete="current-password" required />
+            <input className={field} type="password" placeholder="New password (8+ characters)" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="new-password" minLength={8} required />
+            <button type="submit" className="px-3 py-1 rounded-lg border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-700">
+              Change
+            </button>
+          </form>
+          <button
+            onClick={onLogout}
+            className="px-3 py-1 rounded-lg bg-neutral-900 text-white hover:bg-neutral-800 dark:bg-neutral-100 dark:text-neutral-900 dark:hover:bg-neutral-200"
+          >
+            Log out
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/* ==========================================================
+   Library (main view, once logged in)
    ----------------------------------------------------------
    Responsibilities:
      - Load directory content via /api/assets?dir=...
      - Manage filters (search + active tags)
+     - Library-wide search via /api/search
+     - Live refresh of the open folder (/api/events)
+     - Refresh after metadata edits (tags, description, rating)
      - Separate "Main folders" at the root
      - Display grid of cards (folders + assets)
-     - Handle lightbox preview and toasts
+     - Handle lightbox preview (exposure for EXR/HDR) and toasts
+     - Uploads (drop zone over the grid, header button)
+     - File management (card right-click menu, new folder, trash)
+     - Collections (⭐ panel, collection grid, ?collection=<id> links)
+     - Write actions only where the user's role allows them
+   Props:
+     - user: logged-in user, null without authentication
+     - onLogout: () => void
    ========================================================== */
-export default function App() {
+function Library({ user, onLogout }) {
+  // View of the page URL at mount (deep link), see locationState
+  const [initial] = useState(locationState)
   // Current working directory ('' = root)
   const [cwd, setCwd] = useState('')
   // Items in the current directory (folders + grouped file assets)
   const [items, setItems] = useState([])
+  // Number of items matching the filters (loaded or not) and the
+  // cursor of the next page (null: everything is loaded)
+  const [total, setTotal] = useState(0)
+  // How many of them are assets (not folders): the base of tag counts
+  const [assetTotal, setAssetTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  // Role of the user on the open folder (null: browse only)
+  const [access, setAccess] = useState(null)
   // All tags aggregated for the current directory (from API)
   const [tags, setTags] = useState([])           
   // Currently active tag filters
-  const [activeTags, setActiveTags] = useState([]) 
+  const [activeTags, setActiveTags] = useState(initial.tags)
+  // Items need 'all' included tags or 'any' of them
+  const [tagMatch, setTagMatch] = useState(initial.match)
   // Tag sorting mode: 'pop' (by count) or 'alpha' (A–Z)
   const [tagSort, setTagSort] = useState('pop')
-  // Loading / error states for fetch
-  const [loading, setLoading] = useState(false)
+  // Loading / error states for fetch (the first load starts at mount)
+  const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  // Free-text search term
-  const [q, setQ] = useState('')
-  // Lightbox state: { src, alt } | null
-  const [lightbox, setLightbox] = useState(null)
+  // Search query (see QueryInput) and its syntax error (see fetchPage):
+  // { query, message, position } | null
+  const [q, setQ] = useState(initial.q)
+  const [queryError, setQueryError] = useState(null)
+  // Library-wide search hits for `q`: { total, results } | null
+  const [libSearch, setLibSearch] = useState(null)
+  // Bumped to re-run the library search (e.g. after a metadata edit)
+  const [searchRev, setSearchRev] = useState(0)
+  // Lightbox state: { src, alt, image, item, gallery } | null
+  // (item: the asset shown, undefined until known for a preview
+  // restored from a link; gallery: the items it steps through,
+  // undefined: the open folder)
+  const [lightbox, setLightbox] = useState(() =>
+    initial.preview ? { src: initial.preview, alt: previewNameOf(initial.preview) } : null)
+  // Exposure (EV) of EXR/HDR previews in the lightbox
+  const [exposure, setExposure] = useState(initial.exposure)
   // Dark mode (with persistence and system-pref default)
   const [dark, setDark] = useDarkMode();
+  // Platform used for copied paths (remembered per browser)
+  const [pathProfile, pathProfiles, setPathProfile] = usePathProfile();
+  // Cards or table, and listing order (remembered per user)
+  const [listingView, setListingView] = useListingView(user);
 
   // Global toast state
   const [toast, setToast] = useState({ msg: '', type: 'info' });
   const showToast = (msg, type = 'info') => setToast({ msg, type });
 
+  // Trash panel visibility
+  const [trashOpen, setTrashOpen] = useState(false)
+  const [vocabularyOpen, setVocabularyOpen] = useState(false)
+
+  // Open collection (replaces the folder grid; id in the URL) | null
+  const [collectionId, setCollectionId] = useState(initial.collection)
+  // Collections panel: { adding: items | null } | null
+  const [collectionsPanel, setCollectionsPanel] = useState(null)
+  // Bumped to reload collections (server events, file actions)
+  const [collectionsRev, setCollectionsRev] = useState(0)
+
+  // Duplicates report (replaces the folder grid)
+  const [duplicatesOpen, setDuplicatesOpen] = useState(false)
+
+  // Multi-selection, kept while browsing other folders: path → item
+  const [selection, setSelection] = useState(() => new Map())
+  // Last item clicked into the selection (start of Shift-click ranges)
+  const selectAnchor = useRef(null)
+
+  const openCollection = (id) => {
+    setDuplicatesOpen(false)
+    setCollectionId(id)
+    setCollectionsPanel(null)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+  const closeCollection = () => setCollectionId(null)
+  // Opening a folder leaves the collection
+  const openDir = (dir) => {
+    closeCollection()
+    setDuplicatesOpen(false)
+    load(dir)
+  }
+
+  // Write access to the open folder (uploads, new folder); the trash
+  // button is shown to users who can delete anywhere
+  const canUpload = hasRole(user, cwd, 'contributor')
+  const canUseTrash = !user || Object.values(user.roles).some(r => r !== 'viewer')
+  // Contributor on the folder holding an item: metadata + file actions
+  const canEditItem = (it) => hasRole(user, it.dir ?? parentOf(it.path), 'contributor')
+  // Right-click menu of a card: anyone may collect asset groups
+  const cardActionsOf = (it) => ({
+    ...(canEditItem(it) ? FILE_ACTIONS : {}),
+    ...(it.isDir ? {} : collectionId ? UNCOLLECT_ACTION : COLLECT_ACTION),
+  })
+
+  // Uploads: conflict mode for new uploads, drag-over state of the grid
+  const [uploadConflict, setUploadConflict] = useState('rename')
+  const [dragging, setDragging] = useState(false)
+  const fileInputRef = useRef(null)
+  const { uploads, running: uploading, enqueue: enqueueUploads, clear: clearUploads } = useUploads((groups) => {
+    refreshCwd()
+    if (groups.length) {
+      const names = groups.slice(0, 3).map(g => g.name).join(', ')
+      showToast(`⬆️ Upload done → ${groups.length} asset(s): ${names}${groups.length > 3 ? '…' : ''}`)
+    }
+  })
+
+  // Drop zone over the grid: uploads go to the open folder
+  const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files')
+  const onGridDragOver = (e) => {
+    if (!canUpload || !isFileDrag(e)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    setDragging(true)
+  }
+  const onGridDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false)
+  }
+  const onGridDrop = (e) => {
+    if (!canUpload || !isFileDrag(e)) return
+    e.preventDefault()
+    setDragging(false)
+    const dir = cwd
+    filesFromDrop(e.dataTransfer)
+      .then(files => { if (files.length) enqueueUploads(dir, files, uploadConflict) })
+      .catch(err => showToast(`⚠️ ${err.message}`, 'error'))
+  }
+
+  // Search term + tags the listing is filtered by on the server, and
+  // its order (latest values, sent with every page request)
+  const filtersRef = useRef({ q: initial.q.trim(), tags: initial.tags, match: initial.match, sort: listingView.sort, order: listingView.order })
+  // Bumped by every load: pages answered for an older one are dropped
+  const loadSeq = useRef(0)
+  const loadingMore = useRef(false)
+  const itemsRef = useRef(items)
+  useEffect(() => { itemsRef.current = items }, [items])
+
+  const fetchPage = async (dir, { cursor = null, limit = PAGE_SIZE } = {}) => {
+    const params = new URLSearchParams({ limit: String(limit) })
+    if (dir) params.set('dir', dir)
+    if (cursor) params.set('cursor', cursor)
+    const { q: term, tags: tagList, match, sort, order } = filtersRef.current
+    // A query that does not parse fails here, as it would on the server
+    const syntaxError = querySyntaxError(term)
+    if (syntaxError) throw Object.assign(new Error(syntaxError.message), { query: syntaxError })
+    if (term) params.set('q', term)
+    if (tagList.length) params.set('tags', tagList.join(','))
+    if (match === 'any') params.set('match', 'any')
+    if (sort !== 'name') params.set('sort', sort)
+    if (order !== 'asc') params.set('order', order)
+    const r = await fetch(`/api/assets?${params}`)
+    if (r.status === 401) notifySessionExpired()
+    if (!r.ok) {
+      const body = await r.json().catch(() => null)
+      // Query syntax errors carry the position of the bad term
+      const err = new Error(body?.error || `HTTP ${r.status}`)
+      if (body?.code === 'SYNTAX') err.query = { query: term, message: body.error, position: body.position }
+      throw err
+    }
+    return r.json()
+  }
+
   /**
-   * Load the directory listing from the server.
+   * Load the first page of a directory listing from the server.
    * - dir = '' means the library root.
-   * - If the request succeeds, it resets active tags.
-   * - Smoothly scroll back to top after loading.
+   * - Sets the active tags to `tags` (none by default) and
+   *   smoothly scrolls back to top.
+   * - silent = true (live refresh of the open folder): no skeleton,
+   *   active tags + scroll position are kept, and as many items as
+   *   are loaded now are reloaded.
+   * - refilter = true (search term, tags or order changed): no
+   *   skeleton, first page of the filtered listing.
+   * Further pages are appended by loadMore() while scrolling.
    */
-  const load = async (dir = '') => {
-    setLoading(true); setError(null)
+  const load = async (dir = '', { silent = false, refilter = false, tags = [] } = {}) => {
+    const seq = ++loadSeq.current
+    const quiet = silent || refilter
+    if (!quiet) {
+      setLoading(true); setError(null)
+      setActiveTags(tags)
+      filtersRef.current = { ...filtersRef.current, tags }
+    }
     try {
-      const r = await fetch(`/api/assets${dir ? `?dir=${encodeURIComponent(dir)}` : ''}`)
-      if (!r.ok) throw new Error(`HTTP ${r.status}`)
-      const data = await r.json()
+      const limit = silent ? Math.min(Math.max(itemsRef.current.length, PAGE_SIZE), MAX_PAGE_SIZE) : PAGE_SIZE
+      const data = await fetchPage(dir, { limit })
+      if (seq !== loadSeq.current) return
       setCwd(data.cwd || '')
+      setAccess(data.access ?? null)
       setItems(Array.isArray(data.items) ? data.items : [])
+      setTotal(data.total || 0)
+      setAssetTotal(data.assets || 0)
+      setNextCursor(data.nextCursor || null)
       setTags(Array.isArray(data.tags) ? data.tags : [])
-      setActiveTags([])
-      window.scrollTo({ top: 0, behavior: 'smooth' })
+      setQueryError(null)
+      if (!quiet) window.scrollTo({ top: 0, behavior: 'smooth' })
     } catch (e) {
+      if (seq !== loadSeq.current) return
+      if (e.query) {
+        // Bad query: nothing matches until it is fixed
+        setQueryError(e.query)
+        setCwd(dir)
+        setItems([]); setTotal(0); setAssetTotal(0); setNextCursor(null); setTags([])
+        return
+      }
+      if (silent) return
       setError(String(e.message || e))
       showToast('⚠️ ' + (e.message || 'Load failed'), 'error');
     } finally {
-      setLoading(false)
+      if (!quiet && seq === loadSeq.current) setLoading(false)
+    }
+  }
+
+  // Next page of the open listing (asked for by the grid)
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore.current) return
+    loadingMore.current = true
+    const seq = loadSeq.current
+    try {
+      const data = await fetchPage(cwdRef.current, { cursor: nextCursor })
+      if (seq !== loadSeq.current) return
+      setItems(prev => [...prev, ...(Array.isArray(data.items) ? data.items : [])])
+      setTotal(data.total || 0)
+      setAssetTotal(data.assets || 0)
+      setNextCursor(data.nextCursor || null)
+    } catch (e) {
+      if (seq === loadSeq.current) showToast('⚠️ ' + (e.message || 'Load failed'), 'error')
+    } finally {
+      loadingMore.current = false
+    }
+  }
+
+  // Search term / tags / order changed: refetch the first page (typing
+  // is debounced)
+  useEffect(() => {
+    const next = { q: q.trim(), tags: activeTags, match: tagMatch, sort: listingView.sort, order: listingView.order }
+    const prev = filtersRef.current
+    if (next.q === prev.q && next.tags.join('\n') === prev.tags.join('\n') && next.match === prev.match &&
+      next.sort === prev.sort && next.order === prev.order) return
+    const t = setTimeout(() => {
+      filtersRef.current = next
+      load(cwdRef.current, { refilter: true })
+    }, next.q === prev.q ? 0 : 250)
+    return () => clearTimeout(t)
+  }, [q, activeTags, tagMatch, listingView.sort, listingView.order])
+
+  // Latest cwd, readable from long-lived callbacks (event stream)
+  const cwdRef = useRef('')
+  useEffect(() => { cwdRef.current = cwd }, [cwd])
+  const collectionIdRef = useRef(collectionId)
+  useEffect(() => { collectionIdRef.current = collectionId }, [collectionId])
+
+  // After a metadata edit: reload the folder, the search hits and
+  // the open collection
+  const refreshCwd = () => {
+    load(cwdRef.current, { silent: true })
+    setSearchRev(n => n + 1)
+    setCollectionsRev(n => n + 1)
+  }
+
+  const removeFromCollection = async (path) => {
+    try {
+      await apiRequest('PATCH', `/api/collections/${collectionId}`, { remove: [path] })
+      showToast('➖ Removed from the collection')
+      setCollectionsRev(n => n + 1)
+    } catch (e) {
+      showToast(`⚠️ ${e.message}`, 'error')
+    }
+  }
+
+  /**
+   * Right-click actions of a card (see FILE_ACTIONS). Asset
+   * groups are renamed / moved / deleted with all their files,
+   * or added to / removed from collections.
+   */
+  const runFileAction = async (action, item) => {
+    if (action === 'collect') return setCollectionsPanel({ adding: [item] })
+    if (action === 'uncollect') return removeFromCollection(item.path)
+    const what = item.isDir ? `folder "${item.name}"` : `"${stripExt(item.name)}" (${item.files.length} file${item.files.length > 1 ? 's' : ''})`
+    try {
+      if (action === 'rename') {
+        const current = item.isDir ? item.name : sharedPrefixOf(item.files.map(f => f.name))
+        const name = window.prompt(item.isDir ? 'New folder name' : 'New asset name (replaces the shared part of the file names)', current)
+        if (!name || name.trim() === current) return
+        await apiRequest('POST', '/api/fs/rename', { path: item.path, name: name.trim() })
+        showToast(`✏️ Renamed to ${name.trim()}`)
+      } else if (action === 'move') {
+        const from = typeof item.dir === 'string' ? item.dir : cwdRef.current
+        const to = window.prompt(`Move ${what} to folder (path from LIB, empty = root)`, from)
+        if (to === null) return
+        const dest = to.trim().replace(/^\/+|\/+$/g, '')
+        if (dest === from) return
+        await apiRequest('POST', '/api/fs/move', { path: item.path, to: dest })
+        showToast(`📂 Moved to LIB${dest ? `/${dest}` : ''}`)
+      } else if (action === 'delete') {
+        if (!window.confirm(`Move ${what} to the trash?`)) return
+        await apiRequest('POST', '/api/fs/delete', { path: item.path })
+        showToast('🗑️ Moved to the trash')
+      }
+      // Its path changed or is gone
+      deselect(item.path)
+      refreshCwd()
+    } catch (e) {
+      showToast(`⚠️ ${e.message}`, 'error')
+    }
+  }
+
+  /**
+   * Checkbox, Ctrl/Cmd-click or Shift-click on a card / row:
+   * toggles the item, or with `range` selects every item of
+   * `list` (the listing it is shown in) from the last one
+   * clicked to this one.
+   */
+  const selectItem = (item, { range = false } = {}, list = otherItems) => {
+    const to = list.findIndex(it => it.path === item.path)
+    const from = range && selectAnchor.current ? list.findIndex(it => it.path === selectAnchor.current) : -1
+    setSelection(prev => {
+      const next = new Map(prev)
+      if (from >= 0 && to >= 0) {
+        for (const it of list.slice(Math.min(from, to), Math.max(from, to) + 1)) next.set(it.path, it)
+      } else if (next.has(item.path)) {
+        next.delete(item.path)
+      } else {
+        next.set(item.path, item)
+      }
+      return next
+    })
+    selectAnchor.current = item.path
+  }
+  const deselect = (path) => setSelection(prev => {
+    if (!prev.has(path)) return prev
+    const next = new Map(prev)
+    next.delete(path)
+    return next
+  })
+
+  // Selects every item of the open folder matching the filters,
+  // fetching the pages not loaded yet
+  const selectAll = async () => {
+    const seq = loadSeq.current
+    try {
+      const all = [...itemsRef.current]
+      let cursor = nextCursor
+      while (cursor) {
+        const data = await fetchPage(cwdRef.current, { cursor, limit: MAX_PAGE_SIZE })
+        if (seq !== loadSeq.current) return
+        all.push(...data.items)
+        cursor = data.nextCursor
+      }
+      setSelection(prev => {
+        const next = new Map(prev)
+        for (const it of all) next.set(it.path, it)
+        return next
+      })
+    } catch (e) {
+      showToast('⚠️ ' + (e.message || 'Load failed'), 'error')
+    }
+  }
+
+  const newFolder = async () => {
+    const name = window.prompt('New folder name')
+    if (!name || !name.trim()) return
+    const dir = cwdRef.current
+    try {
+      await apiRequest('POST', '/api/fs/mkdir', { path: dir ? `${dir}/${name.trim()}` : name.trim() })
+      showToast(`📁 Folder "${name.trim()}" created`)
+      refreshCwd()
+    } catch (e) {
+      showToast(`⚠️ ${e.message}`, 'error')
     }
   }
 
-  // Initial load at mount
-  useEffect(() => { load('') }, [])
+  // Initial load at mount (folder and tags of the page URL)
+  useEffect(() => { load(initial.dir, { tags: initial.tags }) }, [])
+
+  // History key of the current entry (see historyKeyOf)
+  const historyKey = useRef(historyKeyOf(initial))
+
+  // State → page URL; skipped while a folder loads (the URL
+  // changes once it is shown)
+  useEffect(() => {
+    if (loading) return
+    const view = { dir: cwd, q, tags: activeTags, match: tagMatch, preview: lightbox?.src, exposure, collection: collectionId }
+    const url = urlOfLocation(view)
+    if (url === `${window.location.pathname}${window.location.search}`) return
+    const key = historyKeyOf(view)
+    if (key !== historyKey.current) window.history.pushState(null, '', url)
+    else window.history.replaceState(null, '', url)
+    historyKey.current = key
+  }, [loading, cwd, q, activeTags, tagMatch, lightbox, exposure, collectionId])
+
+  // Back / forward: show the view of the URL
+  useEffect(() => {
+    const onPopState = () => {
+      const view = locationState()
+      historyKey.current = historyKeyOf(view)
+      setDuplicatesOpen(false)
+      setCollectionId(view.collection)
+      setLightbox(view.preview ? { src: view.preview, alt: previewNameOf(view.preview) } : null)
+      setExposure(view.exposure)
+      setQ(view.q)
+      setTagMatch(view.match)
+      if (view.dir !== cwdRef.current) {
+        filtersRef.current = { ...filtersRef.current, q: view.q.trim() }
+        load(view.dir, { tags: view.tags })
+      } else {
+        setActiveTags(view.tags)
+      }
+    }
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+
+  // Preview restored from a link: caption and gallery position from
+  // its item once listed
+  useEffect(() => {
+    if (!lightbox || lightbox.item !== undefined) return
+    const it = items.find(i => !i.isDir && lightboxSrcOf(pickPreviewUrl(i)) === lightbox.src)
+    if (it) setLightbox({ ...lightbox, alt: it.name, image: imageOf(it), item: it })
+  }, [items, lightbox])
+
+  // onPreviewImage of cards and rows: the lightbox steps through
+  // `gallery` (default: the open folder)
+  const previewIn = (gallery) => (src, alt, image, item) => setLightbox({ src, alt, image, item, gallery })
+
+  /**
+   * Live updates: the server pushes "change" events (SSE) when files
+   * are added, removed or renamed. Refresh the open folder silently
+   * when it is one of the changed folders.
+   */
+  useEffect(() => {
+    const es = new EventSource('/api/events')
+    es.addEventListener('change', (ev) => {
+      try {
+        const { dirs = [], all = false } = JSON.parse(ev.data)
+        const dir = cwdRef.current
+        if (all || dirs.includes(dir)) load(dir, { silent: true })
+        // An open collection may show assets of any folder
+        if (collectionIdRef.current) setCollectionsRev(n => n + 1)
+      } catch {
+        // Malformed event: ignore
+      }
+    })
+    es.addEventListener('collections', () => setCollectionsRev(n => n + 1))
+    return () => es.close()
+  }, [])
+
+  /**
+   * Library-wide search (debounced):
+   * queries /api/search while the user types, so hits
+   * from every folder can be shown below the local ones.
+   */
+  useEffect(() => {
+    const term = q.trim()
+    if (!term || querySyntaxError(term)) { setLibSearch(null); return }
+    const ctrl = new AbortController()
+    const t = setTimeout(async () => {
+      try {
+        const r = await fetch(`/api/search?q=${encodeURIComponent(term)}`, { signal: ctrl.signal })
+        if (!r.ok) throw new Error(`HTTP ${r.status}`)
+        const data = await r.json()
+        setLibSearch({ total: data.total || 0, results: Array.isArray(data.results) ? data.results : [] })
+      } catch (e) {
+        if (e.name !== 'AbortError') setLibSearch(null)
+      }
+    }, 250)
+    return () => { clearTimeout(t); ctrl.abort() }
+  }, [q, searchRev])
 
   /**
-   * Derive the filtered list of items based on:
-   * - Name contains the search term (case-insensitive)
-   * - Contains all active tags
+   * Library-wide hits outside the current folder
+   * (the current folder is already covered by the listing),
+   * narrowed by the active tags.
    */
-  const filtered = useMemo(() => {
-    const term = q.trim().toLowerCase()
-    return items.filter(i => {
-      const nameOK = !term || i.name?.toLowerCase().includes(term)
-      const itemTags = Array.isArray(i.tags) ? i.tags.map(t => t.toLowerCase()) : []
-      const tagsOK =
-        activeTags.length === 0 ||
-        activeTags.every(a => itemTags.includes(a.toLowerCase()))
-      return nameOK && tagsOK
+  const elsewhere = useMemo(() => {
+    if (!libSearch) return []
+    return libSearch.results.filter(i => {
+      if (i.dir === cwd) return false
+      return matchesTagFilter(i.tags, activeTags, tagMatch)
     })
-  }, [items, q, activeTags])
+  }, [libSearch, cwd, activeTags, tagMatch])
 
   /**
-   * Recompute tag counts over the *filtered* items
-   * so counts reflect the current search context.
+   * Tag counts over the items matching the search term and
+   * active tags (aggregated by the server over the whole folder,
+   * not only the loaded pages).
    * Keeps selected tags visible (count = 0) even if filtered out.
    */
   const displayTags = useMemo(() => {
     const counts = new Map()
-    for (const it of filtered) {
-      const seen = new Set()
-      for (const tg of it.tags || []) {
-        const k = String(tg).toLowerCase()
-        if (seen.has(k)) continue
-        seen.add(k)
-        counts.set(k, (counts.get(k) || 0) + 1)
-      }
-    }
+    for (const t of tags) counts.set(String(t.name).toLowerCase(), t.count || 0)
     for (const a of activeTags) {
-      const k = a.toLowerCase()
+      const k = tagNameOf(a).toLowerCase()
       if (!counts.has(k)) counts.set(k, 0)
     }
     const list = Array.from(counts, ([name, count]) => ({ name, count }))
@@ -609,30 +3753,58 @@ export default function App() {
       list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
     }
     return list
-  }, [filtered, activeTags, tagSort])
+  }, [tags, activeTags, tagSort])
+
+  // Autocomplete values of the search box (tags of the folder,
+  // extensions of the loaded items)
+  const queryValues = useMemo(() => {
+    const exts = new Set()
+    for (const it of items) for (const f of it.files || []) if (f.ext) exts.add(f.ext.replace('.', ''))
+    return { tag: displayTags.map(t => t.name), ext: [...exts].sort(), kind: QUERY_KINDS }
+  }, [items, displayTags])
+
+  /**
+   * Tags found most often on the items matching the included
+   * tags (counts from the server, over the whole folder), except
+   * the active ones, their parents and tags every matching asset
+   * carries (they would not narrow anything; folders have no
+   * tags, so they are not counted).
+   */
+  const relatedTags = useMemo(() => {
+    if (!activeTags.some(a => !a.startsWith('-'))) return []
+    const names = activeTags.map(tagNameOf)
+    return tags
+      .filter(t => t.count > 0 && t.count < assetTotal && !names.some(n => n === t.name || n.startsWith(`${t.name}/`)))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, RELATED_TAGS)
+  }, [tags, activeTags, assetTotal])
 
-  // Tag selection helpers
+  // Tag selection helpers: off → included → excluded → off
   const toggleTag = (name) =>
-    setActiveTags(prev => prev.includes(name) ? prev.filter(t => t !== name) : [...prev, name])
+    setActiveTags(prev => {
+      if (prev.includes(name)) return prev.map(t => (t === name ? `-${name}` : t))
+      if (prev.includes(`-${name}`)) return prev.filter(t => t !== `-${name}`)
+      return [...prev, name]
+    })
   const clearTags = () => setActiveTags([])
 
   /**
-   * Split the filtered list into:
-   * - mainFolders: emphasized at the root only
+   * Split the loaded items (already filtered and sorted by the
+   * server: folders first, then in the chosen order) into:
+   * - mainFolders: emphasized at the root only (card view)
    * - otherItems: everything else
-   * Also ensures stable sorting by name.
    */
   const { mainFolders, otherItems } = useMemo(() => {
     const mains = [];
     const others = [];
     const seen = new Set(); // avoid duplicates by unique key
 
-    for (const it of filtered) {
+    for (const it of items) {
       const key = (it.isDir ? 'd:' : 'f:') + it.path;
       if (seen.has(key)) continue;
       seen.add(key);
 
-      if (it.isDir && isMainFolder(it) && (cwd === '' || cwd === undefined)) {
+      if (it.isDir && isMainFolder(it) && (cwd === '' || cwd === undefined) && listingView.view === 'grid') {
         // Option: display "Main folders" only at library root
         mains.push(it);
       } else {
@@ -640,28 +3812,88 @@ export default function App() {
       }
     }
 
-    const byName = (a, b) =>
-      String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' });
-
-    mains.sort(byName);
-    others.sort(byName);
+    mains.sort((a, b) =>
+      String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' }));
 
     return { mainFolders: mains, otherItems: others };
-  }, [filtered, cwd]);
+  }, [items, cwd, listingView.view]);
 
   return (
     <div className="min-h-screen bg-white dark:bg-neutral-900 text-neutral-900 dark:text-neutral-100">
       <div className="max-w-full mx-auto p-10">
-        {/* Header: breadcrumbs, search, theme toggle */}
+        {/* Header: breadcrumbs, search, path platform, theme toggle */}
         <header className="sticky top-0 z-50 bg-neutral/90 dark:bg-neutral-900/90 backdrop-blur border-b border-neutral-200 dark:border-neutral-800 mb-4">
           <div className="flex items-center justify-between gap-4 py-3">
-            <Breadcrumbs cwd={cwd} onNav={load} />
+            <Breadcrumbs cwd={cwd} onNav={openDir} onNewFolder={canUpload ? newFolder : undefined} />
             <div className="flex items-center gap-2">
-              <input
-                value={q} onChange={(e) => setQ(e.target.value)}
-                placeholder="🔍 Search…"
-                className="px-3 py-2 rounded-xl border bg-white dark:bg-neutral-800 border-neutral-200 dark:border-neutral-700 w-72 placeholder:text-neutral-400 dark:placeholder:text-neutral-500"
-              />
+              <QueryInput value={q} onChange={setQ} values={queryValues} error={queryError} />
+              {pathProfiles.length > 1 && (
+                <select
+                  value={pathProfile?.id || ''}
+                  onChange={(e) => setPathProfile(e.target.value)}
+                  className="px-2 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800"
+                  title="Platform used for copied paths"
+                >
+                  {pathProfiles.map(p => (
+                    <option key={p.id} value={p.id}>{p.label}</option>
+                  ))}
+                </select>
+              )}
+              {canUpload && (
+                <>
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+                    title="Upload files to this folder (or drop files/folders on the grid)"
+                  >
+                    ⬆️
+                  </button>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    className="hidden"
+                    onChange={(e) => {
+                      const files = [...e.target.files].map(file => ({ file, relPath: file.name }))
+                      if (files.length) enqueueUploads(cwd, files, uploadConflict)
+                      e.target.value = ''
+                    }}
+                  />
+                  <select
+                    value={uploadConflict}
+                    onChange={(e) => setUploadConflict(e.target.value)}
+                    className="px-2 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800"
+                    title="When an uploaded file already exists"
+                  >
+                    {Object.entries(CONFLICT_LABELS).map(([id, label]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+              <button
+                onClick={() => setCollectionsPanel({ adding: null })}
+                className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+                title="Collections"
+              >
+                ⭐
+              </button>
+              <button
+                onClick={() => { closeCollection(); setDuplicatesOpen(true) }}
+                className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+                title="Duplicates (exact copies and look-alike images)"
+              >
+                👯
+              </button>
+              {canUseTrash && (
+                <button
+                  onClick={() => setTrashOpen(true)}
+                  className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
+                  title="Trash (restore deleted assets)"
+                >
+                  🗑️
+                </button>
+              )}
               <button
                 onClick={() => setDark(!dark)}
                 className="px-3 py-2 rounded-lg border border-neutral-200 dark:border-neutral-700 bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700"
@@ -669,149 +3901,297 @@ export default function App() {
               >
                 {dark ? '🌙' : '☀️'}
               </button>
+              {user && <UserMenu user={user} onLogout={onLogout} onToast={showToast} />}
             </div>
           </div>
         </header>
 
-        <div className="grid grid-cols-12 gap-6 items-start">
-          {/* Left column: tag sidebar (desktop) */}
-          <div className="sticky top-20 hidden md:block md:col-span-3 lg:col-span-2">
-            <TagSidebar
-              tags={displayTags}
-              active={activeTags}
-              onToggle={toggleTag}
-              onClear={clearTags}
-              tagSort={tagSort}
-              onChangeSort={setTagSort}
-            />
-          </div>
+        {duplicatesOpen ? (
+          <DuplicatesView
+            user={user}
+            onOpenDir={openDir}
+            onPreviewImage={(src, alt, image) => setLightbox({ src, alt, image, item: null })}
+            onClose={() => setDuplicatesOpen(false)}
+            onToast={showToast}
+          />
+        ) : collectionId ? (
+          <CollectionView
+            id={collectionId}
+            rev={collectionsRev}
+            renderCard={(it, gallery) => (
+              <Card
+                item={it}
+                onOpenDir={openDir}
+                onPreviewImage={previewIn(gallery)}
+                onToast={showToast}
+                pathProfile={pathProfile}
+                onMetaSaved={refreshCwd}
+                onFileAction={runFileAction}
+                canEdit={canEditItem(it)}
+                actions={cardActionsOf(it)}
+                selected={selection.has(it.path)}
+                onSelect={(item, opts) => selectItem(item, opts, gallery)}
+              />
+            )}
+            onRemove={removeFromCollection}
+            onClose={closeCollection}
+            onToast={showToast}
+          />
+        ) : (
+          <div className="grid grid-cols-12 gap-6 items-start">
+            {/* Left column: tag sidebar (desktop) */}
+            <div className="sticky top-20 hidden md:block md:col-span-3 lg:col-span-2">
+              <TagSidebar
+                tags={displayTags}
+                active={activeTags}
+                onToggle={toggleTag}
+                onClear={clearTags}
+                tagSort={tagSort}
+                onChangeSort={setTagSort}
+                match={tagMatch}
+                onChangeMatch={setTagMatch}
+                related={relatedTags}
+                onEditVocabulary={hasRole(user, '', 'admin') ? () => setVocabularyOpen(true) : undefined}
+              />
+            </div>
 
-          {/* Right column: main content */}
-          <main className="col-span-12 md:col-span-9 lg:col-span-10">
-            {/* Mobile tags (simple inline list) */}
-            <div className="md:hidden mb-2 flex items-center gap-2 flex-wrap">
-              {displayTags.length > 0 ? (
-                <>
-                  {displayTags.map(t => {
-                    const isActive = activeTags.includes(t.name)
-                    return (
+            {/* Right column: main content */}
+            <main
+              className="relative col-span-12 md:col-span-9 lg:col-span-10"
+              onDragOver={onGridDragOver}
+              onDragLeave={onGridDragLeave}
+              onDrop={onGridDrop}
+            >
+              {dragging && (
+                <div className="pointer-events-none absolute inset-0 z-40 rounded-2xl border-4 border-dashed border-blue-500 bg-blue-500/10 flex items-start justify-center pt-24 text-lg font-semibold text-blue-700 dark:text-blue-300">
+                  Drop to upload to LIB{cwd ? `/${cwd}` : ''}
+                </div>
+              )}
+              {/* Mobile tags (simple inline list) */}
+              <div className="md:hidden mb-2 flex items-center gap-2 flex-wrap">
+                {displayTags.length > 0 ? (
+                  <>
+                    {displayTags.map(t => {
+                      const isActive = activeTags.includes(t.name)
+                      const isExcluded = activeTags.includes(`-${t.name}`)
+                      return (
+                        <button
+                          key={t.name}
+                          onClick={() => toggleTag(t.name)}
+                          className={`px-2 py-1 rounded-full border text-sm
+                            ${isActive
+                              ? 'bg-neutral-900 text-white border-neutral-900 dark:bg-neutral-100 dark:text-neutral-900 dark:border-neutral-100'
+                              : isExcluded
+                                ? 'bg-red-600 text-white border-red-600 line-through'
+                                : 'bg-black dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-800'}`}
+                        >
+                          {isExcluded && '− '}{t.name} <span className="opacity-60 ml-1">({t.count})</span>
+                        </button>
+                      )
+                    })}
+                    {activeTags.length > 0 && (
                       <button
-                        key={t.name}
-                        onClick={() => toggleTag(t.name)}
-                        className={`px-2 py-1 rounded-full border text-sm
-                          ${isActive
-                            ? 'bg-neutral-900 text-white border-neutral-900 dark:bg-neutral-100 dark:text-neutral-900 dark:border-neutral-100'
-                            : 'bg-black dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700 hover:bg-neutral-50 dark:hover:bg-neutral-800'}`}
+                        onClick={clearTags}
+                        className="px-2 py-1 rounded-full border text-sm bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
                       >
-                        {t.name} <span className="opacity-60 ml-1">({t.count})</span>
+                        Clear
                       </button>
-                    )
-                  })}
-                  {activeTags.length > 0 && (
-                    <button
-                      onClick={clearTags}
-                      className="px-2 py-1 rounded-full border text-sm bg-white dark:bg-neutral-900 border-neutral-200 dark:border-neutral-700"
-                    >
-                      Clear
-                    </button>
-                  )}
-                </>
-              ) : (
-                <div className="text-sm text-neutral-500 dark:text-neutral-400">No tags available for this folder.</div>
-              )}
-            </div>
-
-            {error && <div className="mt-4 text-red-600 dark:text-red-400">{error}</div>}
-
-            {/* Main content area: skeleton or grids */}
-            {loading ? (
-              <SkeletonGrid count={15} />
-            ) : (
-              <>
-                {/* Highlighted "Main folders" at root */}
-                {mainFolders.length > 0 && (
-                  <section className="mb-6">
-                    <div className="flex items-center justify-between mb-2">
-                      <h2 className="text-sm font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">Main folders</h2>
-                    </div>
-                    <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(200px,1fr))]">
-                      {mainFolders.map((it) => (
-                        <Card
-                          key={(it.isDir ? 'd:' : 'f:') + it.path}
-                          item={it}
-                          onOpenDir={load}
-                          onPreviewImage={(src, alt) => setLightbox({ src, alt })}
-                          onToast={showToast}
-                        />
-                      ))}
-                    </div>
-                  </section>
+                    )}
+                  </>
+                ) : (
+                  <div className="text-sm text-neutral-500 dark:text-neutral-400">No tags available for this folder.</div>
                 )}
+              </div>
 
-                {/* All other items */}
-                <section>
+              <ListingToolbar {...listingView} onChange={setListingView} total={total} onSelectAll={selectAll} />
+
+              {error && <div className="mt-4 text-red-600 dark:text-red-400">{error}</div>}
+
+              {/* Main content area: skeleton or grids */}
+              {loading ? (
+                <SkeletonGrid count={15} />
+              ) : (
+                <>
+                  {/* Highlighted "Main folders" at root */}
                   {mainFolders.length > 0 && (
-                    <div className="flex items-center justify-between mt-4 mb-2">
-                      <h2 className="text-sm font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">All items</h2>
-                    </div>
+                    <section className="mb-6">
+                      <div className="flex items-center justify-between mb-2">
+                        <h2 className="text-sm font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">Main folders</h2>
+                      </div>
+                      <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(200px,1fr))]">
+                        {mainFolders.map((it) => (
+                          <Card
+                            key={(it.isDir ? 'd:' : 'f:') + it.path}
+                            item={it}
+                            onOpenDir={openDir}
+                            onPreviewImage={previewIn()}
+                            onToast={showToast}
+                            pathProfile={pathProfile}
+                            onMetaSaved={refreshCwd}
+                            onFileAction={runFileAction}
+                            canEdit={canEditItem(it)}
+                            actions={cardActionsOf(it)}
+                            selected={selection.has(it.path)}
+                            onSelect={(item, opts) => selectItem(item, opts, mainFolders)}
+                          />
+                        ))}
+                      </div>
+                    </section>
                   )}
 
-                  <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(220px,1fr))]">
-                    {otherItems.map((it) => (
-                      <Card
-                        key={(it.isDir ? 'd:' : 'f:') + it.path}
-                        item={it}
-                        onOpenDir={load}
-                        onPreviewImage={(src, alt) => setLightbox({ src, alt })}
-                        onToast={showToast}
+                  {/* All other items */}
+                  <section>
+                    {mainFolders.length > 0 && (
+                      <div className="flex items-center justify-between mt-4 mb-2">
+                        <h2 className="text-sm font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">All items</h2>
+                      </div>
+                    )}
+
+                    {listingView.view === 'table' ? (
+                      <div className="mt-2">
+                        <AssetTableHeader
+                          sort={listingView.sort}
+                          order={listingView.order}
+                          onSort={(sort, order) => setListingView({ sort, order })}
+                        />
+                        <VirtualGrid
+                          key={cwd}
+                          items={otherItems}
+                          total={total}
+                          minColumnWidth={Infinity}
+                          gap={2}
+                          estimatedRowHeight={44}
+                          keyOf={(it) => (it.isDir ? 'd:' : 'f:') + it.path}
+                          onNeedMore={loadMore}
+                          renderItem={(it) => (
+                            <AssetRow
+                              item={it}
+                              onOpenDir={openDir}
+                              onPreviewImage={previewIn()}
+                              onFileAction={runFileAction}
+                              actions={cardActionsOf(it)}
+                              selected={selection.has(it.path)}
+                              onSelect={selectItem}
+                            />
+                          )}
+                        />
+                      </div>
+                    ) : (
+                      <VirtualGrid
+                        key={cwd}
+                        className="mt-2"
+                        items={otherItems}
+                        total={total - mainFolders.length}
+                        keyOf={(it) => (it.isDir ? 'd:' : 'f:') + it.path}
+                        onNeedMore={loadMore}
+                        renderItem={(it) => (
+                          <Card
+                            item={it}
+                            onOpenDir={openDir}
+                            onPreviewImage={previewIn()}
+                            onToast={showToast}
+                            pathProfile={pathProfile}
+                            onMetaSaved={refreshCwd}
+                            onFileAction={runFileAction}
+                            canEdit={canEditItem(it)}
+                            actions={cardActionsOf(it)}
+                            selected={selection.has(it.path)}
+                            onSelect={selectItem}
+                          />
+                        )}
                       />
-                    ))}
-                  </div>
+                    )}
 
-                  {otherItems.length === 0 && filtered.length === 0 && (
-                    <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
-                      No items found {q && `for "${q}"`}{activeTags.length > 0 && ` with tags: ${activeTags.join(', ')}`}.
-                    </div>
-                  )}
-                </section>
+                    {total === 0 && (
+                      <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
+                        No items found {q && `for "${q}"`}{activeTags.length > 0 && ` with tags: ${describeTagFilter(activeTags, tagMatch)}`}.
+                      </div>
+                    )}
+                  </section>
 
-                {/* Extra empty-state safety (if filtered result is empty) */}
-                {filtered.length === 0 && (
-                  <div className="mt-10 text-center text-neutral-500 dark:text-neutral-400">
-                    No items found {q && `for "${q}"`}{activeTags.length > 0 && ` with tags: ${activeTags.join(', ')}`}.
-                  </div>
-                )}
-              </>
-            )}
-          </main>
-        </div>
+                  {/* Library-wide search hits (other folders) */}
+                  {elsewhere.length > 0 && (
+                    <section className="mt-8">
+                      <div className="flex items-center justify-between mb-2">
+                        <h2 className="text-sm font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">
+                          Elsewhere in the library
+                          {libSearch.total > libSearch.results.length && (
+                            <span className="ml-2 normal-case font-normal">
+                              (first {libSearch.results.length} of {libSearch.total})
+                            </span>
+                          )}
+                        </h2>
+                      </div>
+                      <div className="mt-2 grid gap-4 grid-cols-[repeat(auto-fill,minmax(220px,1fr))]">
+                        {elsewhere.map((it) => (
+                          <Card
+                            key={'s:' + it.path}
+                            item={it}
+                            onOpenDir={openDir}
+                            onPreviewImage={previewIn(elsewhere)}
+                            onToast={showToast}
+                            pathProfile={pathProfile}
+                            onMetaSaved={refreshCwd}
+                            onFileAction={runFileAction}
+                            canEdit={canEditItem(it)}
+                            actions={cardActionsOf(it)}
+                            selected={selection.has(it.path)}
+                            onSelect={(item, opts) => selectItem(item, opts, elsewhere)}
+                          />
+                        ))}
+                      </div>
+                    </section>
+                  )}
+                </>
+              )}
+            </main>
+          </div>
+        )}
 
         {/* Image Lightbox (click outside or press Esc to close) */}
         {lightbox && (
-          <div
-            className="fixed inset-0 z-[100] bg-black/80 flex items-center justify-center p-4"
-            onClick={() => setLightbox(null)}
-            onKeyDown={(e) => { if (e.key === 'Escape') setLightbox(null) }}
-            tabIndex={-1}
-            role="dialog"
-            aria-modal="true"
-          >
-            <img
-              src={lightbox.src}
-              alt={lightbox.alt || ''}
-              className="max-h-[90vh] max-w-[90vw] object-contain rounded-lg shadow-2xl"
-              onClick={(e) => e.stopPropagation()}
-            />
-            <button
-              className="absolute top-4 right-4 px-3 py-2 rounded-lg bg-white text-black hover:bg-neutral-200 dark:bg-neutral-800 dark:text-neutral-100 dark:hover:bg-neutral-700 border border-neutral-200 dark:border-neutral-700"
-              onClick={() => setLightbox(null)}
-              aria-label="Close"
-            >
-              ✕
-            </button>
-          </div>
+          <Lightbox
+            {...lightbox}
+            gallery={lightbox.gallery ?? items}
+            onChange={(next) => setLightbox(l => ({ ...l, ...next }))}
+            onNearEnd={lightbox.gallery ? undefined : loadMore}
+            exposure={exposure}
+            onExposure={setExposure}
+            onClose={() => setLightbox(null)}
+          />
+        )}
+
+        {collectionsPanel && (
+          <CollectionsPanel
+            adding={collectionsPanel.adding}
+            rev={collectionsRev}
+            onOpen={openCollection}
+            onClose={() => setCollectionsPanel(null)}
+            onToast={showToast}
+          />
+        )}
+
+        {selection.size > 0 && (
+          <SelectionBar
+            items={[...selection.values()]}
+            pathProfile={pathProfile}
+            canTag={canEditItem}
+            onCollect={(assets) => setCollectionsPanel({ adding: assets })}
+            onTagged={refreshCwd}
+            onClear={() => setSelection(new Map())}
+            onToast={showToast}
+          />
         )}
 
+        {trashOpen && (
+          <TrashPanel user={user} onClose={() => setTrashOpen(false)} onChanged={refreshCwd} onToast={showToast} />
+        )}
+
+        {vocabularyOpen && <VocabularyPanel onClose={() => setVocabularyOpen(false)} onToast={showToast} />}
+
+        {/* Upload progress (bottom-right) */}
+        <UploadPanel uploads={uploads} running={uploading} onClear={clearUploads} />
+
         {/* Global toast (bottom-center) */}
         <Toast
           message={toast.msg}
@@ -822,3 +4202,17 @@ export default function App() {
     </div>
   )
 }
+
+/* ==========================================================
+   App (Main component)
+   ----------------------------------------------------------
+   Login screen when the server requires an account,
+   otherwise the library.
+   ========================================================== */
+export default function App() {
+  const { auth, user, login, logout } = useAuth()
+
+  if (auth === null) return <div className="min-h-screen bg-white dark:bg-neutral-900" />
+  if (auth && !user) return <LoginScreen onLogin={login} />
+  return <Library key={user?.name || ''} user={user} onLogout={logout} />
+}
@@ -0,0 +1,174 @@
+// =============================================
+// Search query syntax
+// ---------------------------------------------
+// Parser of the query language (see query.js for
+// the language and the matching of items). The web
+// app runs the same parser to point at syntax errors
+// while the user types: this file has no imports and
+// is kept identical in server/lib/ and web/src/
+// (server/test/query-syntax.test.js checks it).
+// =============================================
+export class QueryError extends Error {
+  /**
+   * @param {string} message
+   * @param {'SYNTAX'} code
+   * @param {{start: number, end: number}} [position] - Offsets in the query
+   */
+  constructor(message, code, position = null) {
+    super(message);
+    this.name = 'QueryError';
+    this.code = code;
+    this.position = position;
+  }
+}
+
+// Fields matched against a list of values ("a,b" = any)
+const LIST_FIELDS = new Set(['tag', 'ext', 'kind', 'name']);
+// Fields compared with an operator
+const COMPARE_FIELDS = new Set(['res', 'size', 'modified', 'rating']);
+
+export const QUERY_FIELDS = [...LIST_FIELDS, ...COMPARE_FIELDS];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const HOUR = 60 * 60 * 1000;
+const AGE_UNITS = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR, mo: 30 * 24 * HOUR, y: 365 * 24 * HOUR };
+
+/**
+ * parseResolution(text)
+ * ---------------------------------------------
+ * "4k" → 4096, "2048x1024" → 2048, "1080p" → 1920,
+ * "2048" → 2048 (largest side in pixels), else null.
+ * Also reads the resolution tags of file names.
+ */
+export function parseResolution(text) {
+  const s = String(text).toLowerCase();
+  let m = /^(\d{1,2})k$/.exec(s);
+  if (m) return Number(m[1]) * 1024;
+  m = /^(\d{2,5})x(\d{2,5})$/.exec(s);
+  if (m) return Math.max(Number(m[1]), Number(m[2]));
+  m = /^(\d{3,4})p$/.exec(s);
+  if (m) return Math.round(Number(m[1]) * 16 / 9);
+  m = /^\d{1,5}$/.exec(s);
+  return m ? Number(s) : null;
+}
+
+function parseSize(text) {
+  const m = /^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/.exec(text.toLowerCase());
+  return m ? Math.round(Number(m[1]) * SIZE_UNITS[m[2] || 'b']) : null;
+}
+
+// { age: ms } | { day: ms at local midnight } | null
+function parseModified(text) {
+  let m = /^(\d+(?:\.\d+)?)(h|d|w|mo|y)$/.exec(text.toLowerCase());
+  if (m) return { age: Number(m[1]) * AGE_UNITS[m[2]] };
+  m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!m) return null;
+  const day = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(day.getTime()) || day.getDate() !== Number(m[3]) ? null : { day: day.getTime() };
+}
+
+function parseRating(text) {
+  return /^[1-5]$/.test(text) ? Number(text) : null;
+}
+
+const VALUE_PARSERS = {
+  res: [parseResolution, 'a resolution such as 4k, 2048 or 2048x1024'],
+  size: [parseSize, 'a size such as 200mb or 1.5gb'],
+  modified: [parseModified, 'an age such as 30d, 12h, 2w, 6mo, 1y or a date such as 2024-05-31'],
+  rating: [parseRating, 'a rating from 1 to 5'],
+};
+
+/**
+ * Splits the query into raw terms: { negate, field,
+ * value, start, end } (field null: text term).
+ */
+function tokenize(q) {
+  const terms = [];
+  let i = 0;
+  const readQuoted = (from) => {
+    const close = q.indexOf('"', from + 1);
+    if (close < 0) throw new QueryError('Missing closing quote', 'SYNTAX', { start: from, end: q.length });
+    return { text: q.slice(from + 1, close), next: close + 1 };
+  };
+
+  while (i < q.length) {
+    if (/\s/.test(q[i])) { i++; continue; }
+    const start = i;
+    let negate = false;
+    if (q[i] === '-' && i + 1 < q.length && !/\s/.test(q[i + 1])) { negate = true; i++; }
+
+    let field = null;
+    let value;
+    if (q[i] === '"') {
+      const { text, next } = readQuoted(i);
+      value = text;
+      i = next;
+    } else {
+      const m = /^([a-z]+):/i.exec(q.slice(i));
+      if (m) {
+        field = m[1].toLowerCase();
+        i += m[0].length;
+      }
+      if (q[i] === '"') {
+        const { text, next } = readQuoted(i);
+        value = text;
+        i = next;
+      } else {
+        const from = i;
+        while (i < q.length && !/\s/.test(q[i])) i++;
+        value = q.slice(from, i);
+      }
+    }
+    if (i < q.length && !/\s/.test(q[i])) {
+      throw new QueryError('Expected a space after the closing quote', 'SYNTAX', { start, end: i + 1 });
+    }
+    terms.push({ negate, field, value, start, end: i });
+  }
+  return terms;
+}
+
+/**
+ * parseQuery(q)
+ * ---------------------------------------------
+ * @param {string} q
+ * @returns {{type: 'and', terms: object[]}} AST; terms are
+ *   { type: 'not', term }
+ *   { type: 'text', value }              lowercased
+ *   { type: 'list', field, values }      tag / ext / kind / name
+ *   { type: 'compare', field, op, value } res / size / modified / rating
+ *   each with its { start, end } offsets in `q`
+ * @throws {QueryError}
+ */
+export function parseQuery(q) {
+  const terms = tokenize(String(q ?? '')).map(({ negate, field, value, start, end }) => {
+    const position = { start, end };
+    let node;
+    if (field === null) {
+      if (!value) throw new QueryError('Empty phrase', 'SYNTAX', position);
+      node = { type: 'text', value: value.toLowerCase(), start, end };
+    } else if (LIST_FIELDS.has(field)) {
+      const values = value.split(',')
+        .map(v => v.trim().toLowerCase())
+        .map(v => (field === 'ext' ? v.replace(/^\./, '') : v))
+        .filter(Boolean);
+      if (!values.length) throw new QueryError(`Missing value after ${field}:`, 'SYNTAX', position);
+      node = { type: 'list', field, values, start, end };
+    } else if (COMPARE_FIELDS.has(field)) {
+      const m = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+      const [parse, expected] = VALUE_PARSERS[field];
+      if (!m[2]) throw new QueryError(`Missing value after ${field}:`, 'SYNTAX', position);
+      const parsed = parse(m[2]);
+      if (parsed === null) throw new QueryError(`${field}: expects ${expected}`, 'SYNTAX', position);
+      let op = m[1] || '=';
+      if (parsed.age !== undefined) {
+        if (!m[1]) op = '<';
+        else if (op === '=') throw new QueryError('modified: use <, <=, > or >= with an age', 'SYNTAX', position);
+      }
+      node = { type: 'compare', field, op, value: parsed, start, end };
+    } else {
+      throw new QueryError(`Unknown field "${field}:" (use ${QUERY_FIELDS.map(f => `${f}:`).join(' ')})`, 'SYNTAX', position);
+    }
+    return negate ? { type: 'not', term: node, start, end } : node;
+  });
+  return { type: 'and', terms };
+}